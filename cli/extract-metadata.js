@@ -1,9 +1,9 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
-const path = require('path');
 const { Command } = require('commander');
-const { ContentMetadata } = require('../lib/core/metadata');
+const { KeyStore, loadTrustedKeys } = require('../lib/core/keystore');
+const { registry } = require('../lib/formats/registry');
 
 const program = new Command();
 
@@ -15,10 +15,12 @@ program
 program
   .option('-i, --input <file>', 'input file to extract metadata from')
   .option('-m, --metadata <file>', 'explicit metadata file (sidecar)')
-  .option('--format <format>', 'force metadata format: auto, sidecar, html, header', 'auto')
+  .option('--format <format>', `force metadata format: auto, ${registry.names({ capability: 'extract' }).join(', ')}`, 'auto')
   .option('--json', 'output metadata as JSON')
   .option('-v, --verbose', 'verbose output with extraction details')
-  .option('--verify', 'verify content integrity against extracted metadata');
+  .option('--verify', 'verify content integrity and signature against extracted metadata')
+  .option('--trusted-keys <dir>', 'directory of trusted public keys for signature verification')
+  .option('--key-store <dir>', 'key store with trusted/ public keys (default: ~/.ai-content-tagging)');
 
 program.action(async (options) => {
   try {
@@ -62,203 +64,74 @@ async function extractMetadata(inputFile, options) {
   };
 
   try {
-    let metadata = null;
-    let source = null;
-
-    // Try explicit metadata file first
-    if (options.metadata) {
-      if (!fs.existsSync(options.metadata)) {
-        result.errors.push(`Explicit metadata file not found: ${options.metadata}`);
-        return result;
-      }
-      
-      const metadataContent = fs.readFileSync(options.metadata, 'utf8');
-      metadata = await ContentMetadata.parseXML(metadataContent);
-      source = `sidecar: ${options.metadata}`;
-    } 
-    // Auto-detect metadata
-    else if (options.format === 'auto' || !options.format) {
-      const detection = await autoDetectMetadata(inputFile);
-      metadata = detection.metadata;
-      source = detection.source;
+    // Explicit metadata file, forced format or every registered format
+    if (options.metadata && !fs.existsSync(options.metadata)) {
+      result.errors.push(`Explicit metadata file not found: ${options.metadata}`);
+      return result;
     }
-    // Force specific format
-    else {
-      const forced = await forceFormat(inputFile, options.format);
-      metadata = forced.metadata;
-      source = forced.source;
+
+    const format = options.format && options.format !== 'auto' ? options.format : undefined;
+    if (format && !registry.supports(format, 'extract')) {
+      result.errors.push(`Unsupported format: ${format} (supported: ${registry.names({ capability: 'extract' }).join(', ')})`);
+      return result;
     }
 
-    if (!metadata) {
+    const content = fs.readFileSync(inputFile);
+    const lookup = { format, path: inputFile, sidecar: options.metadata };
+    const found = options.verify
+      ? await registry.verify(content, { ...lookup, trustedKeys: loadVerificationKeys(options) })
+      : await registry.extract(content, lookup);
+
+    if (!found) {
       result.errors.push('No metadata found in any supported format');
       return result;
     }
 
-    result.metadata = metadata.toObject();
-    result.source = source;
+    result.metadata = found.metadata;
+    result.source = found.source;
+    result.format = found.format;
     result.success = true;
+    if (found.signatures.length > 1) {
+      result.signatures = found.signatures;
+    }
 
-    // Verify content integrity if requested
+    // Content integrity and signature, checked by the format
     if (options.verify) {
-      const content = fs.readFileSync(inputFile);
-      const integrityValid = metadata.verifyIntegrity(content);
+      const integrityValid = found.checksum.valid === true;
       result.verification = {
         integrity: integrityValid,
         checksum_match: integrityValid,
-        message: integrityValid ? 'Content integrity verified' : 'Content has been modified since tagging'
+        message: integrityValid ? 'Content integrity verified'
+          : found.checksum.valid === null ? 'Content checksum not checked by this format'
+            : 'Content has been modified since tagging'
       };
-    }
-
-  } catch (error) {
-    result.errors.push(`Extraction failed: ${error.message}`);
-  }
-
-  return result;
-}
 
-async function autoDetectMetadata(inputFile) {
-  const attempts = [
-    // Try sidecar files first
-    () => tryExternalSidecar(inputFile),
-    // Try embedded metadata
-    () => tryEmbeddedMetadata(inputFile)
-  ];
-
-  for (const attempt of attempts) {
-    try {
-      const result = await attempt();
-      if (result.metadata) {
-        return result;
-      }
-    } catch (error) {
-      // Continue to next attempt
-      continue;
-    }
-  }
-
-  return { metadata: null, source: 'not found' };
-}
-
-async function tryExternalSidecar(inputFile) {
-  const sidecarPaths = [
-    `${inputFile}.meta.xml`,
-    `${inputFile}.tagged.meta.xml`,
-    `${path.dirname(inputFile)}/${path.basename(inputFile, path.extname(inputFile))}.meta.xml`
-  ];
-
-  for (const sidecarPath of sidecarPaths) {
-    if (fs.existsSync(sidecarPath)) {
-      try {
-        const xmlContent = fs.readFileSync(sidecarPath, 'utf8');
-        const metadata = await ContentMetadata.parseXML(xmlContent);
-        return { 
-          metadata, 
-          source: `sidecar: ${path.basename(sidecarPath)}` 
-        };
-      } catch (error) {
-        continue;
-      }
-    }
-  }
-
-  return { metadata: null, source: null };
-}
-
-async function tryEmbeddedMetadata(inputFile) {
-  try {
-    const content = fs.readFileSync(inputFile, 'utf8');
-    
-    // Try HTML meta tags
-    if (content.includes('X-Content-')) {
-      const metadata = parseHTMLMetadata(content);
-      if (metadata) {
-        return { 
-          metadata, 
-          source: 'embedded: HTML meta tags' 
-        };
-      }
-    }
-    
-    // Try HTTP header format
-    if (content.includes('X-Content-Metadata:')) {
-      const headerMatch = content.match(/X-Content-Metadata:\s*(.+)/);
-      if (headerMatch) {
-        const metadata = ContentMetadata.parseHTTPHeader(headerMatch[1]);
-        return { 
-          metadata, 
-          source: 'embedded: HTTP header comment' 
-        };
-      }
-    }
-
-    // Try XML embedded in document
-    if (content.includes('<metadata>')) {
-      const xmlMatch = content.match(/<metadata>[\s\S]*?<\/metadata>/);
-      if (xmlMatch) {
-        const metadata = await ContentMetadata.parseXML(xmlMatch[0]);
-        return { 
-          metadata, 
-          source: 'embedded: XML block' 
+      if (found.signature.present) {
+        const toResult = signature => ({
+          valid: signature.valid,
+          trusted: signature.trusted,
+          key_id: signature.keyId,
+          algorithm: signature.algorithm,
+          reason: signature.reason
+        });
+        result.verification.signature = {
+          ...toResult(found.signature),
+          signatures: found.signature.signatures.map(toResult)
         };
       }
     }
 
   } catch (error) {
-    // File might be binary or not readable as text
+    result.errors.push(`Extraction failed: ${error.message}`);
   }
 
-  return { metadata: null, source: null };
-}
-
-async function forceFormat(inputFile, format) {
-  switch (format.toLowerCase()) {
-    case 'sidecar':
-      return await tryExternalSidecar(inputFile);
-    case 'html':
-      return await tryHTMLFormat(inputFile);
-    case 'header':
-      return await tryHeaderFormat(inputFile);
-    default:
-      throw new Error(`Unsupported format: ${format}`);
-  }
-}
-
-async function tryHTMLFormat(inputFile) {
-  const content = fs.readFileSync(inputFile, 'utf8');
-  const metadata = parseHTMLMetadata(content);
-  return { 
-    metadata, 
-    source: metadata ? 'forced: HTML meta tags' : null 
-  };
-}
-
-async function tryHeaderFormat(inputFile) {
-  const content = fs.readFileSync(inputFile, 'utf8');
-  const headerMatch = content.match(/X-Content-Metadata:\s*(.+)/);
-  if (headerMatch) {
-    const metadata = ContentMetadata.parseHTTPHeader(headerMatch[1]);
-    return { 
-      metadata, 
-      source: 'forced: HTTP header' 
-    };
-  }
-  return { metadata: null, source: null };
+  return result;
 }
 
-function parseHTMLMetadata(content) {
-  const metadata = {};
-  
-  const metaRegex = /<meta\s+name="X-Content-([^"]+)"\s+content="([^"]+)"/g;
-  let match;
-  let foundAny = false;
-  
-  while ((match = metaRegex.exec(content)) !== null) {
-    const key = match[1].toLowerCase().replace('-', '_');
-    metadata[key] = match[2];
-    foundAny = true;
-  }
-  
-  return foundAny ? new ContentMetadata(metadata) : null;
+function loadVerificationKeys(options) {
+  return options.trustedKeys
+    ? loadTrustedKeys(options.trustedKeys)
+    : new KeyStore({ directory: options.keyStore }).getTrustedKeys();
 }
 
 function displayResults(result, options) {
@@ -302,6 +175,18 @@ function displayResults(result, options) {
         console.log('❌ Integrity: FAILED');
         console.log('⚠️  Content has been modified since tagging');
       }
+
+      const signature = result.verification.signature;
+      if (signature) {
+        for (const entry of signature.signatures) {
+          console.log(`${entry.valid ? '✅' : '❌'} Signature: ${entry.valid ? 'VERIFIED' : 'FAILED'} (key ${entry.key_id || 'unknown'}, ${entry.trusted ? 'trusted' : 'untrusted'})`);
+          if (!entry.valid) {
+            console.log(`⚠️  ${entry.reason}`);
+          }
+        }
+      } else {
+        console.log('➖ Signature: not signed');
+      }
     }
 
     if (options.verbose) {
@@ -330,11 +215,11 @@ program.on('--help', () => {
   console.log('  $ extract-metadata -i content.txt --verify --verbose');
   console.log('  $ extract-metadata -i data.txt --json > metadata.json');
   console.log('');
-  console.log('Detection methods:');
-  console.log('  📁 Sidecar files (.meta.xml, .tagged.meta.xml)');
-  console.log('  🌐 HTML meta tags (X-Content-* attributes)');
-  console.log('  📄 HTTP header comments (X-Content-Metadata)');
-  console.log('  📋 Embedded XML blocks (<metadata>...</metadata>)');
+  console.log('Detection methods (embedded formats are detected from the content,');
+  console.log('then the sidecars next to the file are checked):');
+  for (const format of registry.list({ capability: 'extract' })) {
+    console.log(`  ${format.name.padEnd(12)} - ${format.description}`);
+  }
   console.log('');
   console.log('Output formats:');
   console.log('  📊 Human-readable report (default)');
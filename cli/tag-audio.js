@@ -5,13 +5,28 @@
  */
 
 const { Command } = require('commander');
-const ID3AudioHandler = require('../lib/formats/id3-audio');
-const { createMetadata } = require('../lib/core/metadata');
+const { registry } = require('../lib/formats/registry');
+const { createMetadata, normalizeMetadata } = require('../lib/core/metadata');
+const cryptoUtils = require('../lib/core/crypto');
 const fs = require('fs').promises;
 const path = require('path');
 
 const program = new Command();
 
+/**
+ * Create the handler for an audio file, chosen by the audio format registered
+ * for its magic bytes (FLAC, Ogg, MP4, WAV/AIFF, ...); files no format
+ * recognises get ID3v2 tags
+ * @param {string} input - Audio file path
+ * @param {Object} options - Handler options
+ * @returns {Promise<Object>} Handler
+ */
+async function createAudioHandler(input, options = {}) {
+  const audioBuffer = await fs.readFile(input);
+  const format = registry.detect(audioBuffer, { category: 'audio', capability: 'createHandler' }) || registry.get('mp3');
+  return format.createHandler(options);
+}
+
 program
   .name('tag-audio')
   .description('Tag audio files with AI content metadata')
@@ -22,13 +37,14 @@ program
   .option('-o, --output <path>', 'Output file path (default: input-tagged.ext)')
   .option('-a, --author <name>', 'Content author')
   .option('-d, --description <text>', 'Content description')
-  .option('--origin <type>', 'Content origin (ai-generated, human-created, hybrid)', 'human-created')
+  .option('--origin <type>', 'Content origin (human, ai, hybrid; legacy ai-generated/human-created accepted)', 'human')
   .option('--model <name>', 'AI model used for generation')
   .option('--license <type>', 'Content license (e.g., CC-BY-4.0, MIT, Proprietary)')
   .option('--prompt <text>', 'Generation prompt (for AI-generated content)')
   .option('--no-checksum', 'Skip checksum generation')
   .option('--sign', 'Create digital signature (requires PRIVATE_KEY env var)')
   .option('--no-preserve', 'Don\'t preserve existing ID3 tags')
+  .option('--id3-version <version>', 'ID3 version to write (2.2, 2.3, 2.4; only used for MP3 and AAC)', '2.4')
   .option('-v, --verbose', 'Verbose output')
   .option('-f, --force', 'Overwrite output file if it exists')
   .action(async (input, options) => {
@@ -48,13 +64,22 @@ program
       
       // Validate file extension
       const ext = path.extname(input).toLowerCase();
-      const supportedFormats = ['.mp3', '.m4a', '.flac', '.wav', '.aac'];
+      const supportedFormats = registry.extensions({ category: 'audio' });
+      const videoFormats = ['.mp4', '.m4v', '.mov'];
       if (!supportedFormats.includes(ext)) {
         console.error(`❌ Error: Unsupported audio format: ${ext}`);
         console.error(`   Supported formats: ${supportedFormats.join(', ')}`);
         process.exit(1);
       }
       
+      // Validate ID3 version option
+      const validVersions = ['2.2', '2.3', '2.4'];
+      if (!validVersions.includes(options.id3Version)) {
+        console.error(`❌ Error: Invalid ID3 version: ${options.id3Version}`);
+        console.error(`   Valid versions: ${validVersions.join(', ')}`);
+        process.exit(1);
+      }
+      
       // Determine output path
       const outputPath = options.output || input.replace(/(\.[^.]+)$/, '-tagged$1');
       
@@ -72,21 +97,21 @@ program
       
       // Create metadata object
       const metadataFields = {
-        contentType: 'audio',
+        content_type: videoFormats.includes(ext) ? 'video' : 'audio',
         origin: options.origin,
-        created: new Date().toISOString()
+        creation_timestamp: new Date().toISOString()
       };
       
       // Add optional fields
       if (options.author) metadataFields.author = options.author;
       if (options.description) metadataFields.description = options.description;
-      if (options.model) metadataFields.model = options.model;
+      if (options.model) metadataFields.model_identifier = options.model;
       if (options.license) metadataFields.license = options.license;
       if (options.prompt) metadataFields.prompt = options.prompt;
       
       // Add processing steps for AI-generated content
-      if (options.origin === 'ai-generated' && options.model) {
-        metadataFields.processingSteps = [
+      if (normalizeMetadata({ origin: options.origin }).origin === 'ai' && options.model) {
+        metadataFields.processing_steps = [
           {
             step: 'generation',
             tool: options.model,
@@ -104,7 +129,8 @@ program
       }
       
       // Initialize handler
-      const handler = new ID3AudioHandler({
+      const handler = await createAudioHandler(input, {
+        version: options.id3Version,
         preserveExisting: options.preserve !== false
       });
       
@@ -120,9 +146,15 @@ program
           console.error('   Set PRIVATE_KEY to your private key file path or key content');
           process.exit(1);
         }
-        embedOptions.privateKey = process.env.PRIVATE_KEY;
+        try {
+          embedOptions.privateKey = cryptoUtils.loadKey(process.env.PRIVATE_KEY, 'private');
+        } catch (error) {
+          console.error(`❌ Error: Could not load PRIVATE_KEY: ${error.message}`);
+          process.exit(1);
+        }
         if (options.verbose) {
-          console.log('🔐 Digital signature will be added');
+          const algorithm = cryptoUtils.identifyAlgorithm(embedOptions.privateKey);
+          console.log(`🔐 Digital signature will be added (${algorithm}, key ${cryptoUtils.getKeyId(embedOptions.privateKey)})`);
         }
       }
       
@@ -141,14 +173,16 @@ program
       // Verify the tagging if verbose
       if (options.verbose) {
         console.log('🔍 Verifying embedded metadata...');
-        const extracted = await handler.extractMetadata(taggedAudio);
+        const extracted = await handler.extractMetadata(taggedAudio, {
+          publicKey: embedOptions.privateKey
+        });
         
         if (extracted) {
           console.log('📋 Verification results:');
-          console.log(`   Content Type: ${extracted.contentType}`);
+          console.log(`   Content Type: ${extracted.content_type}`);
           console.log(`   Origin: ${extracted.origin}`);
           console.log(`   Author: ${extracted.author || 'N/A'}`);
-          console.log(`   Created: ${extracted.created}`);
+          console.log(`   Created: ${extracted.creation_timestamp}`);
           console.log(`   Checksum verified: ${extracted._verified ? '✅' : '❌'}`);
           console.log(`   Signature valid: ${extracted._signatureValid ? '✅' : '❌'}`);
         } else {
@@ -180,6 +214,7 @@ program
   .description('Extract AI metadata from audio file')
   .option('-f, --format <type>', 'Output format (json, yaml, table)', 'table')
   .option('-o, --output <path>', 'Save output to file')
+  .option('--public-key <path>', 'Public key (PEM or JWK) for signature verification')
   .option('-v, --verbose', 'Verbose output')
   .action(async (input, options) => {
     try {
@@ -190,7 +225,9 @@ program
       // Check file exists
       await fs.access(input);
       
-      const handler = new ID3AudioHandler();
+      const handler = await createAudioHandler(input, {
+        publicKey: options.publicKey ? cryptoUtils.loadKey(options.publicKey, 'public') : undefined
+      });
       const metadata = await handler.extractMetadata(input);
       
       if (!metadata) {
@@ -216,16 +253,17 @@ program
         default:
           output = '📋 AI Content Metadata\n';
           output += '='.repeat(50) + '\n';
-          output += `Content Type: ${metadata.contentType}\n`;
+          output += `Content Type: ${metadata.content_type}\n`;
           output += `Origin: ${metadata.origin}\n`;
           output += `Author: ${metadata.author || 'N/A'}\n`;
-          output += `Created: ${metadata.created}\n`;
+          output += `Created: ${metadata.creation_timestamp}\n`;
           output += `Description: ${metadata.description || 'N/A'}\n`;
           output += `License: ${metadata.license || 'N/A'}\n`;
-          if (metadata.model) output += `Model: ${metadata.model}\n`;
+          if (metadata.model_identifier) output += `Model: ${metadata.model_identifier}\n`;
           if (metadata.prompt) output += `Prompt: ${metadata.prompt}\n`;
           output += `Checksum verified: ${metadata._verified ? '✅' : '❌'}\n`;
           output += `Signature valid: ${metadata._signatureValid ? '✅' : '❌'}\n`;
+          if (metadata._signatureReason) output += `Signature status: ${metadata._signatureReason}\n`;
           break;
       }
       
@@ -272,7 +310,7 @@ program
         }
       }
       
-      const handler = new ID3AudioHandler();
+      const handler = await createAudioHandler(input);
       
       // Check if file has AI metadata
       const hasMetadata = await handler.hasMetadata(input);
@@ -312,6 +350,7 @@ program
 program
   .command('validate <input>')
   .description('Validate AI metadata in audio file')
+  .option('--public-key <path>', 'Public key (PEM or JWK) for signature verification')
   .option('-v, --verbose', 'Verbose output')
   .action(async (input, options) => {
     try {
@@ -321,7 +360,9 @@ program
       
       await fs.access(input);
       
-      const handler = new ID3AudioHandler();
+      const handler = await createAudioHandler(input, {
+        publicKey: options.publicKey ? cryptoUtils.loadKey(options.publicKey, 'public') : undefined
+      });
       const metadata = await handler.extractMetadata(input);
       
       if (!metadata) {
@@ -330,9 +371,12 @@ program
       }
       
       console.log('✅ AI metadata found and validated');
-      console.log(`📋 Content: ${metadata.contentType} from ${metadata.origin}`);
+      console.log(`📋 Content: ${metadata.content_type} from ${metadata.origin}`);
       console.log(`🔒 Integrity: ${metadata._verified ? 'Verified' : 'Failed'}`);
       console.log(`✍️ Signature: ${metadata._signatureValid ? 'Valid' : 'Invalid/None'}`);
+      if (metadata._signatureReason) {
+        console.log(`   ${metadata._signatureReason}`);
+      }
       
       if (options.verbose) {
         console.log('\n📋 Full metadata:');
@@ -348,17 +392,25 @@ program
 // Add help examples
 program.addHelpText('after', `
 Examples:
-  $ tag-audio song.mp3 --author "AI Studio" --origin ai-generated
+  $ tag-audio song.mp3 --author "AI Studio" --origin ai
   $ tag-audio track.mp3 -o tagged-track.mp3 --model "MusicLM" --sign
+  $ tag-audio podcast.mp3 --origin hybrid --id3-version 2.3
   $ tag-audio extract music.mp3 --format json
   $ tag-audio remove tagged-music.mp3 -o clean-music.mp3
   $ tag-audio validate tagged-music.mp3
+  $ tag-audio voice.opus --origin ai --model "VoiceClone" --sign
+  $ tag-audio clip.mp4 --origin ai --model "VideoGen"
+  $ tag-audio take3.wav --origin hybrid --author "Studio B"
 
 Environment Variables:
-  PRIVATE_KEY    Path to private key file or key content for signing
+  PRIVATE_KEY    Path to private key file or key content (PEM or JWK) for signing.
+                 Ed25519, ECDSA (P-256/P-384/P-521) and RSA-PSS keys are supported.
 
 Supported Formats:
-  .mp3, .m4a, .flac, .wav, .aac
+  .mp3, .m4a, .m4b, .mp4, .m4v, .mov, .flac, .ogg, .opus, .oga, .wav, .aiff, .aif, .aifc, .aac
+  Formats are detected by content: FLAC and Ogg Vorbis/Opus files are tagged with Vorbis
+  comments, MP4/M4A files with a freeform iTunes item and XMP, WAV/BWF files with iXML,
+  bext and LIST/INFO chunks, AIFF files with iXML and ANNO chunks, other files with ID3v2.
 `);
 
 program.parse();
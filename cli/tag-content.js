@@ -3,7 +3,10 @@
 const fs = require('fs');
 const path = require('path');
 const { Command } = require('commander');
-const { ContentMetadata } = require('../lib/core/metadata');
+const { createMetadata, validateMetadata } = require('../lib/core/metadata');
+const cryptoUtils = require('../lib/core/crypto');
+const { KeyStore } = require('../lib/core/keystore');
+const { registry } = require('../lib/formats/registry');
 
 const program = new Command();
 
@@ -20,8 +23,11 @@ program
   .option('--license <license>', 'content license (e.g., CC-BY-4.0)')
   .option('--toolchain <tools>', 'tools used for AI content (e.g., GPT-4, DALL-E)')
   .option('--model <model>', 'specific AI model identifier')
-  .option('--format <format>', 'output format: sidecar, header, html', 'sidecar')
-  .option('--sign', 'add cryptographic signature (requires key setup)')
+  .option('--format <format>', `output format: ${registry.names({ capability: 'embed' }).join(', ')}`, 'sidecar')
+  .option('--sign', 'add cryptographic signature (uses --key or the key store)')
+  .option('--key <file>', 'private key (PEM or JWK) used with --sign; repeat to co-sign a sidecar', collect, [])
+  .option('--key-store <dir>', 'key store directory (default: ~/.ai-content-tagging)')
+  .option('--directory-sidecar', 'with --format sidecar, add an entry to the directory .meta.xml instead')
   .option('-v, --verbose', 'verbose output');
 
 program.action(async (options) => {
@@ -37,58 +43,80 @@ program.action(async (options) => {
       process.exit(1);
     }
 
+    const format = registry.get(options.format);
+    if (!format || !format.embed) {
+      console.error(`Error: Unsupported format: ${options.format}`);
+      console.error(`   Supported formats: ${registry.names({ capability: 'embed' }).join(', ')}`);
+      process.exit(1);
+    }
+
     // Read the input file
     const content = fs.readFileSync(options.input);
     if (options.verbose) {
-      console.log(`Read ${content.length} bytes from ${options.input}`);
+      console.log(`Read ${content.length} bytes from ${options.input} (detected: ${describeDetected(content)})`);
     }
 
-    // Generate metadata
-    const metadataOptions = {
+    // Generate metadata (the format adds the checksum and signature)
+    const metadata = createMetadata({
       origin: options.origin,
       author: options.author,
       license: options.license,
       toolchain: options.toolchain,
       model_identifier: options.model
-    };
-
-    const metadata = ContentMetadata.generateForContent(content, metadataOptions);
+    });
 
     // Validate metadata
-    const validation = metadata.validate();
+    const validation = validateMetadata(metadata);
     if (!validation.isValid) {
       console.error(`Error: Invalid metadata - ${validation.error}`);
       process.exit(1);
     }
 
+    // Extra keys add co-signatures where the format stores several signatures
+    let privateKey = null;
+    if (options.sign) {
+      const keys = loadSigningKeys(options);
+      if (keys.length > 1 && !format.multipleSignatures) {
+        const formats = registry.list({ capability: 'embed' }).filter(entry => entry.multipleSignatures);
+        console.error(`Error: Multiple signing keys are only supported with --format ${formats.map(entry => entry.name).join(', ')}`);
+        process.exit(1);
+      }
+      privateKey = keys.length > 1 ? keys : keys[0];
+    }
+
     if (options.verbose) {
       console.log('Generated metadata:');
-      console.log(JSON.stringify(metadata.toObject(), null, 2));
+      console.log(JSON.stringify(metadata, null, 2));
     }
 
-    // Determine output file
-    const outputFile = options.output || `${options.input}.tagged`;
-
-    // Generate output based on format
-    switch (options.format.toLowerCase()) {
-      case 'sidecar':
-        await generateSidecarOutput(options.input, outputFile, metadata, options.verbose);
-        break;
-      case 'header':
-        await generateHeaderOutput(options.input, outputFile, metadata, options.verbose);
-        break;
-      case 'html':
-        await generateHTMLOutput(options.input, outputFile, metadata, options.verbose);
-        break;
-      default:
-        console.error(`Error: Unsupported format: ${options.format}`);
-        process.exit(1);
+    // Determine output file (XMP sidecars leave the input in place unless --output is given)
+    const outputFile = format.name === 'xmp-sidecar'
+      ? options.output || options.input
+      : options.output || `${options.input}.tagged`;
+
+    // Sidecar formats write next to a copy of the content, the others embed
+    let metadataFile = null;
+    if (format.sidecar) {
+      if (outputFile !== options.input) {
+        fs.copyFileSync(options.input, outputFile);
+      }
+      metadataFile = await format.write(outputFile, metadata, {
+        privateKey,
+        directory: options.directorySidecar
+      });
+    } else {
+      const result = await format.embed(content, metadata, { privateKey, path: options.input });
+      fs.writeFileSync(outputFile, result.content);
+    }
+
+    if (options.verbose) {
+      await showTaggedMetadata(outputFile, format, metadataFile);
     }
 
     console.log(`✅ Successfully tagged content: ${outputFile}`);
     
-    if (options.format === 'sidecar') {
-      console.log(`📄 Metadata file: ${outputFile}.meta.xml`);
+    if (metadataFile) {
+      console.log(`📄 Metadata file: ${metadataFile}`);
     }
 
   } catch (error) {
@@ -97,59 +125,42 @@ program.action(async (options) => {
   }
 });
 
-async function generateSidecarOutput(inputFile, outputFile, metadata, verbose) {
-  // Copy original file to output
-  fs.copyFileSync(inputFile, outputFile);
-  
-  // Create sidecar metadata file
-  const metadataFile = `${outputFile}.meta.xml`;
-  const xmlContent = metadata.toXML();
-  fs.writeFileSync(metadataFile, xmlContent);
-  
-  if (verbose) {
-    console.log(`Created sidecar file: ${metadataFile}`);
-    console.log('Metadata XML:');
-    console.log(xmlContent);
-  }
+function collect(value, previous) {
+  return previous.concat([value]);
 }
 
-async function generateHeaderOutput(inputFile, outputFile, metadata, verbose) {
-  const originalContent = fs.readFileSync(inputFile, 'utf8');
-  const headerValue = metadata.toHTTPHeader();
-  
-  // For demonstration, we'll add the header as a comment at the top
-  const headerComment = `// X-Content-Metadata: ${headerValue}\n`;
-  const taggedContent = headerComment + originalContent;
-  
-  fs.writeFileSync(outputFile, taggedContent);
-  
-  if (verbose) {
-    console.log('HTTP Header format:');
-    console.log(`X-Content-Metadata: ${headerValue}`);
+function loadSigningKeys(options) {
+  if (options.key.length > 0) {
+    return options.key.map(file => cryptoUtils.loadKey(file, 'private'));
+  }
+
+  const keyStore = new KeyStore({ directory: options.keyStore });
+  if (!keyStore.hasSigningKey()) {
+    throw new Error(`--sign requires --key <file> or a signing key at ${keyStore.signingKeyPath}`);
   }
+  return [keyStore.getSigningKey()];
 }
 
-async function generateHTMLOutput(inputFile, outputFile, metadata, verbose) {
-  const originalContent = fs.readFileSync(inputFile, 'utf8');
-  const metaTags = metadata.toHTMLMeta();
-  
-  // Insert meta tags into HTML head section
-  let taggedContent = originalContent;
-  
-  if (originalContent.includes('<head>')) {
-    const metaTagsString = metaTags.join('\n  ') + '\n';
-    taggedContent = originalContent.replace('<head>', `<head>\n  ${metaTagsString}`);
-  } else {
-    // If not HTML, add as comments
-    const metaComments = metaTags.map(tag => `<!-- ${tag} -->`).join('\n');
-    taggedContent = metaComments + '\n' + originalContent;
+function describeDetected(content) {
+  const detected = registry.detect(content);
+  return detected ? detected.description : 'unknown';
+}
+
+async function showTaggedMetadata(outputFile, format, metadataFile) {
+  const tagged = await registry.extract(fs.readFileSync(outputFile), { format: format.name, path: outputFile });
+  if (!tagged) return;
+
+  for (const signature of tagged.signatures) {
+    const { algorithm, keyId } = cryptoUtils.parseSignature(signature);
+    console.log(`Signed metadata with ${algorithm} key ${keyId}`);
   }
-  
-  fs.writeFileSync(outputFile, taggedContent);
-  
-  if (verbose) {
-    console.log('HTML Meta tags:');
-    metaTags.forEach(tag => console.log(tag));
+
+  if (metadataFile) {
+    console.log(`Created ${format.description}: ${metadataFile}`);
+    console.log(fs.readFileSync(metadataFile, 'utf8'));
+  } else {
+    console.log(`Embedded ${format.description}:`);
+    console.log(JSON.stringify(tagged.metadata, null, 2));
   }
 }
 
@@ -160,6 +171,10 @@ program.on('--help', () => {
   console.log('  $ tag-content -i article.txt --origin human --author "Jane Doe"');
   console.log('  $ tag-content -i image.jpg --origin ai --toolchain "DALL-E" --format sidecar');
   console.log('  $ tag-content -i page.html --origin hybrid --format html --verbose');
+  console.log('  $ tag-content -i IMG_0001.CR2 --origin human --author "Jane Doe" --format xmp-sidecar');
+  console.log('  $ tag-content -i report.txt --origin ai --sign --key signing-key.pem');
+  console.log('  $ tag-content -i report.txt --origin ai --sign --key author.pem --key publisher.pem');
+  console.log('  $ tag-content -i a.jpg -o tagged/a.jpg --origin ai --directory-sidecar');
   console.log('');
   console.log('Supported origins:');
   console.log('  human  - Content created entirely by humans');
@@ -167,9 +182,18 @@ program.on('--help', () => {
   console.log('  hybrid - Content with both human and AI involvement');
   console.log('');
   console.log('Output formats:');
-  console.log('  sidecar - Creates .meta.xml file alongside original');
-  console.log('  header  - Embeds as HTTP header comment');
-  console.log('  html    - Embeds as HTML meta tags');
+  for (const format of registry.list({ capability: 'embed' })) {
+    console.log(`  ${format.name.padEnd(12)} - ${format.description}`);
+  }
+  console.log('  sidecar creates file.meta.xml (or an entry in the directory .meta.xml with');
+  console.log('  --directory-sidecar); xmp-sidecar writes photo.xmp next to the untouched file,');
+  console.log('  merged with an existing sidecar (e.g. from Lightroom).');
+  console.log('');
+  console.log('Signing:');
+  console.log('  --sign uses --key <file>, or signing-key.pem from the key store');
+  console.log('  (~/.ai-content-tagging, or $AI_CONTENT_KEY_STORE / --key-store <dir>).');
+  console.log('  Signatures are stored as <algorithm>:<key-id>:<base64>.');
+  console.log('  Repeat --key to co-sign a sidecar; every signature covers the same metadata.');
 });
 
 program.parse();
@@ -5,11 +5,32 @@
  */
 
 const { Command } = require('commander');
-const EXIFImageHandler = require('../lib/formats/exif-image');
-const { createMetadata } = require('../lib/core/metadata');
+const C2PAHandler = require('../lib/formats/c2pa');
+const XMPSidecarHandler = require('../lib/formats/xmp-sidecar');
+const { registry } = require('../lib/formats/registry');
+const { createMetadata, normalizeMetadata } = require('../lib/core/metadata');
+const cryptoUtils = require('../lib/core/crypto');
 const fs = require('fs').promises;
 const path = require('path');
 
+// RAW formats are never modified; they are tagged through an XMP sidecar
+const RAW_FORMATS = ['.cr2', '.cr3', '.nef', '.nrw', '.arw', '.dng', '.raf', '.orf', '.rw2', '.pef'];
+
+// Image formats registered with embedding support
+const IMAGE_FORMATS = registry.extensions({ category: 'image', capability: 'embed' });
+
+/**
+ * Create the handler for an image, chosen by the image format registered
+ * for its magic bytes
+ * @param {Buffer} imageBuffer - Image data
+ * @param {Object} options - Handler options
+ * @returns {Object} Handler
+ */
+function createImageHandler(imageBuffer, options = {}) {
+  const format = registry.detect(imageBuffer, { category: 'image', capability: 'createHandler' }) || registry.get('jpeg');
+  return format.createHandler(options);
+}
+
 const program = new Command();
 
 program
@@ -19,16 +40,17 @@ program
 
 program
   .argument('<input>', 'Input image file path')
-  .option('-o, --output <path>', 'Output file path (default: input-tagged.ext)')
+  .option('-o, --output <path>', 'Output file path (default: input-tagged.ext, or input.xmp for xmp-sidecar)')
   .option('-a, --author <n>', 'Content author')
   .option('-d, --description <text>', 'Content description')
-  .option('--origin <type>', 'Content origin (ai-generated, human-created, hybrid)', 'human-created')
+  .option('--origin <type>', 'Content origin (human, ai, hybrid; legacy ai-generated/human-created accepted)', 'human')
   .option('--model <n>', 'AI model used for generation')
   .option('--license <type>', 'Content license (e.g., CC-BY-4.0, MIT, Proprietary)')
   .option('--prompt <text>', 'Generation prompt (for AI-generated content)')
-  .option('--format <type>', 'Metadata format (xmp, exif, both)', 'xmp')
+  .option('--format <type>', 'Metadata format (xmp, exif, both, xmp-sidecar)', 'xmp')
   .option('--no-checksum', 'Skip checksum generation')
   .option('--sign', 'Create digital signature (requires PRIVATE_KEY env var)')
+  .option('--c2pa-cert <path>', 'Add a C2PA manifest signed with PRIVATE_KEY and this certificate chain (JPEG, PNG)')
   .option('--no-preserve', 'Don\'t preserve existing metadata')
   .option('-v, --verbose', 'Verbose output')
   .option('-f, --force', 'Overwrite output file if it exists')
@@ -50,12 +72,16 @@ program
       
       // Validate file extension
       const ext = path.extname(input).toLowerCase();
-      const supportedFormats = ['.jpg', '.jpeg', '.png', '.tiff', '.tif', '.webp'];
-      const fullySupported = ['.jpg', '.jpeg'];
+      const sidecar = options.format === 'xmp-sidecar';
+      const supportedFormats = [...IMAGE_FORMATS, ...(sidecar ? RAW_FORMATS : [])];
+      const fullySupported = [...IMAGE_FORMATS, ...RAW_FORMATS];
       
       if (!supportedFormats.includes(ext)) {
         console.error(`❌ Error: Unsupported image format: ${ext}`);
         console.error(`   Supported formats: ${supportedFormats.join(', ')}`);
+        if (RAW_FORMATS.includes(ext)) {
+          console.error('   RAW files are tagged with --format xmp-sidecar');
+        }
         process.exit(1);
       }
       
@@ -63,11 +89,13 @@ program
         console.log(`⚠️ Warning: ${ext} support is experimental. JPEG recommended.`);
       }
       
-      // Determine output path
-      const outputPath = options.output || input.replace(/(\.[^.]+)$/, '-tagged$1');
+      // Determine output path (an existing XMP sidecar is merged, not overwritten)
+      const outputPath = options.output || (sidecar
+        ? XMPSidecarHandler.getSidecarPath(input)
+        : input.replace(/(\.[^.]+)$/, '-tagged$1'));
       
       // Check if output file exists (unless force is used)
-      if (!options.force) {
+      if (!options.force && !sidecar) {
         try {
           await fs.access(outputPath);
           console.error(`❌ Error: Output file already exists: ${outputPath}`);
@@ -79,13 +107,25 @@ program
       }
       
       // Validate metadata format option
-      const validFormats = ['xmp', 'exif', 'both'];
+      const validFormats = ['xmp', 'exif', 'both', 'xmp-sidecar'];
       if (!validFormats.includes(options.format)) {
         console.error(`❌ Error: Invalid format option: ${options.format}`);
         console.error(`   Valid formats: ${validFormats.join(', ')}`);
         process.exit(1);
       }
       
+      // C2PA manifests are signed with PRIVATE_KEY and stored in JPEG APP11 or PNG caBX
+      if (options.c2paCert) {
+        if (!['.jpg', '.jpeg', '.png'].includes(ext) || sidecar) {
+          console.error(`❌ Error: --c2pa-cert supports JPEG and PNG files only`);
+          process.exit(1);
+        }
+        if (!process.env.PRIVATE_KEY) {
+          console.error('❌ Error: --c2pa-cert requires PRIVATE_KEY environment variable');
+          process.exit(1);
+        }
+      }
+      
       // Validate quality option
       const quality = parseInt(options.quality);
       if (isNaN(quality) || quality < 1 || quality > 100) {
@@ -95,21 +135,21 @@ program
       
       // Create metadata object
       const metadataFields = {
-        contentType: 'image',
+        content_type: 'image',
         origin: options.origin,
-        created: new Date().toISOString()
+        creation_timestamp: new Date().toISOString()
       };
       
       // Add optional fields
       if (options.author) metadataFields.author = options.author;
       if (options.description) metadataFields.description = options.description;
-      if (options.model) metadataFields.model = options.model;
+      if (options.model) metadataFields.model_identifier = options.model;
       if (options.license) metadataFields.license = options.license;
       if (options.prompt) metadataFields.prompt = options.prompt;
       
       // Add processing steps for AI-generated content
-      if (options.origin === 'ai-generated' && options.model) {
-        metadataFields.processingSteps = [
+      if (normalizeMetadata({ origin: options.origin }).origin === 'ai' && options.model) {
+        metadataFields.processing_steps = [
           {
             step: 'generation',
             tool: options.model,
@@ -126,13 +166,6 @@ program
         console.log(JSON.stringify(metadata, null, 2));
       }
       
-      // Initialize handler
-      const handler = new EXIFImageHandler({
-        preferredFormat: options.format,
-        preserveExisting: options.preserve !== false,
-        compressionQuality: quality
-      });
-      
       // Configure embedding options
       const embedOptions = {
         includeChecksum: options.checksum !== false
@@ -145,18 +178,49 @@ program
           console.error('   Set PRIVATE_KEY to your private key file path or key content');
           process.exit(1);
         }
-        embedOptions.privateKey = process.env.PRIVATE_KEY;
+        try {
+          embedOptions.privateKey = cryptoUtils.loadKey(process.env.PRIVATE_KEY, 'private');
+        } catch (error) {
+          console.error(`❌ Error: Could not load PRIVATE_KEY: ${error.message}`);
+          process.exit(1);
+        }
         if (options.verbose) {
-          console.log('🔐 Digital signature will be added');
+          const algorithm = cryptoUtils.identifyAlgorithm(embedOptions.privateKey);
+          console.log(`🔐 Digital signature will be added (${algorithm}, key ${cryptoUtils.getKeyId(embedOptions.privateKey)})`);
         }
       }
       
+      // RAW and other files that must stay untouched get an XMP sidecar
+      if (sidecar) {
+        await tagWithXMPSidecar(input, outputPath, metadata, embedOptions, options);
+        return;
+      }
+      
+      // Initialize handler
+      const imageBuffer = await fs.readFile(input);
+      const handler = createImageHandler(imageBuffer, {
+        preferredFormat: options.format,
+        preserveExisting: options.preserve !== false,
+        compressionQuality: quality
+      });
+      
       // Embed metadata
       if (options.verbose) {
         console.log(`⚙️ Embedding metadata using ${options.format.toUpperCase()} format...`);
       }
       
-      const taggedImage = await handler.embedMetadata(input, metadata, embedOptions);
+      let taggedImage = await handler.embedMetadata(imageBuffer, metadata, embedOptions);
+      
+      // The C2PA manifest binds to the final bytes, so it is added last
+      if (options.c2paCert) {
+        if (options.verbose) {
+          console.log('⚙️ Adding C2PA manifest...');
+        }
+        taggedImage = await new C2PAHandler().embedManifest(taggedImage, metadata, {
+          privateKey: process.env.PRIVATE_KEY,
+          certificateChain: options.c2paCert
+        });
+      }
       
       // Save tagged file
       await fs.writeFile(outputPath, taggedImage);
@@ -166,14 +230,16 @@ program
       // Verify the tagging if verbose
       if (options.verbose) {
         console.log('🔍 Verifying embedded metadata...');
-        const extracted = await handler.extractMetadata(taggedImage);
+        const extracted = await handler.extractMetadata(taggedImage, {
+          publicKey: embedOptions.privateKey
+        });
         
         if (extracted) {
           console.log('📋 Verification results:');
-          console.log(`   Content Type: ${extracted.contentType}`);
+          console.log(`   Content Type: ${extracted.content_type}`);
           console.log(`   Origin: ${extracted.origin}`);
           console.log(`   Author: ${extracted.author || 'N/A'}`);
-          console.log(`   Created: ${extracted.created}`);
+          console.log(`   Created: ${extracted.creation_timestamp}`);
           console.log(`   Checksum verified: ${extracted._verified ? '✅' : '❌'}`);
           console.log(`   Signature valid: ${extracted._signatureValid ? '✅' : '❌'}`);
         } else {
@@ -199,12 +265,58 @@ program
     }
   });
 
+/**
+ * Write an XMP sidecar for an image, leaving the image untouched
+ * @param {string} input - Image path
+ * @param {string} sidecarPath - Sidecar path
+ * @param {Object} metadata - Metadata to write
+ * @param {Object} embedOptions - Checksum and signing options
+ * @param {Object} options - CLI options
+ */
+async function tagWithXMPSidecar(input, sidecarPath, metadata, embedOptions, options) {
+  const handler = new XMPSidecarHandler({ preserveExisting: options.preserve !== false });
+  
+  if (options.verbose) {
+    console.log(`⚙️ Writing XMP sidecar: ${sidecarPath}`);
+  }
+  
+  await handler.writeSidecar(input, metadata, { ...embedOptions, sidecarPath });
+  console.log(`✅ XMP sidecar written: ${sidecarPath}`);
+  
+  if (options.verbose) {
+    console.log('🔍 Verifying sidecar metadata...');
+    const extracted = await handler.extractMetadata(input, {
+      sidecarPath,
+      publicKey: embedOptions.privateKey
+    });
+    console.log(`   Origin: ${extracted.origin}`);
+    console.log(`   Checksum verified: ${extracted._verified ? '✅' : '❌'}`);
+    console.log(`   Signature valid: ${extracted._signatureValid ? '✅' : '❌'}`);
+  }
+}
+
+/**
+ * Extract metadata embedded in an image, falling back to its XMP sidecar
+ * (RAW files are only read through the sidecar)
+ * @param {string} input - Image path
+ * @param {Object} keyOptions - Public key options
+ * @returns {Promise<Object|null>} Metadata, or null
+ */
+async function extractImageMetadata(input, keyOptions) {
+  if (!RAW_FORMATS.includes(path.extname(input).toLowerCase())) {
+    const metadata = await createImageHandler(await fs.readFile(input), keyOptions).extractMetadata(input);
+    if (metadata) return metadata;
+  }
+  return new XMPSidecarHandler(keyOptions).extractMetadata(input);
+}
+
 // Add subcommand for extracting metadata
 program
   .command('extract <input>')
   .description('Extract AI metadata from image file')
   .option('-f, --format <type>', 'Output format (json, yaml, table)', 'table')
   .option('-o, --output <path>', 'Save output to file')
+  .option('--public-key <path>', 'Public key (PEM or JWK) for signature verification')
   .option('-v, --verbose', 'Verbose output')
   .action(async (input, options) => {
     try {
@@ -215,8 +327,9 @@ program
       // Check file exists
       await fs.access(input);
       
-      const handler = new EXIFImageHandler();
-      const metadata = await handler.extractMetadata(input);
+      const metadata = await extractImageMetadata(input, {
+        publicKey: options.publicKey ? cryptoUtils.loadKey(options.publicKey, 'public') : undefined
+      });
       
       if (!metadata) {
         console.log('❌ No AI metadata found in file');
@@ -241,16 +354,17 @@ program
         default:
           output = '📋 AI Content Metadata\n';
           output += '='.repeat(50) + '\n';
-          output += `Content Type: ${metadata.contentType}\n`;
+          output += `Content Type: ${metadata.content_type}\n`;
           output += `Origin: ${metadata.origin}\n`;
           output += `Author: ${metadata.author || 'N/A'}\n`;
-          output += `Created: ${metadata.created}\n`;
+          output += `Created: ${metadata.creation_timestamp}\n`;
           output += `Description: ${metadata.description || 'N/A'}\n`;
           output += `License: ${metadata.license || 'N/A'}\n`;
-          if (metadata.model) output += `Model: ${metadata.model}\n`;
+          if (metadata.model_identifier) output += `Model: ${metadata.model_identifier}\n`;
           if (metadata.prompt) output += `Prompt: ${metadata.prompt}\n`;
           output += `Checksum verified: ${metadata._verified ? '✅' : '❌'}\n`;
           output += `Signature valid: ${metadata._signatureValid ? '✅' : '❌'}\n`;
+          if (metadata._signatureReason) output += `Signature status: ${metadata._signatureReason}\n`;
           break;
       }
       
@@ -297,7 +411,7 @@ program
         }
       }
       
-      const handler = new EXIFImageHandler();
+      const handler = createImageHandler(await fs.readFile(input));
       
       // Check if file has AI metadata
       const hasMetadata = await handler.hasMetadata(input);
@@ -337,6 +451,8 @@ program
 program
   .command('validate <input>')
   .description('Validate AI metadata in image file')
+  .option('--public-key <path>', 'Public key (PEM or JWK) for signature verification')
+  .option('--c2pa-trust <path>', 'CA certificate(s) trusted for C2PA manifests (PEM)')
   .option('-v, --verbose', 'Verbose output')
   .action(async (input, options) => {
     try {
@@ -346,8 +462,9 @@ program
       
       await fs.access(input);
       
-      const handler = new EXIFImageHandler();
-      const metadata = await handler.extractMetadata(input);
+      const metadata = await extractImageMetadata(input, {
+        publicKey: options.publicKey ? cryptoUtils.loadKey(options.publicKey, 'public') : undefined
+      });
       
       if (!metadata) {
         console.log('❌ No AI metadata found');
@@ -355,9 +472,24 @@ program
       }
       
       console.log('✅ AI metadata found and validated');
-      console.log(`📋 Content: ${metadata.contentType} from ${metadata.origin}`);
+      console.log(`📋 Content: ${metadata.content_type} from ${metadata.origin}`);
       console.log(`🔒 Integrity: ${metadata._verified ? 'Verified' : 'Failed'}`);
       console.log(`✍️ Signature: ${metadata._signatureValid ? 'Valid' : 'Invalid/None'}`);
+      if (metadata._signatureReason) {
+        console.log(`   ${metadata._signatureReason}`);
+      }
+      
+      const ext = path.extname(input).toLowerCase();
+      if (['.jpg', '.jpeg', '.png'].includes(ext)) {
+        const c2pa = await new C2PAHandler().verifyManifest(input, {
+          trustAnchors: options.c2paTrust ? [options.c2paTrust] : undefined
+        });
+        if (c2pa.present) {
+          console.log(`📜 C2PA manifest: ${c2pa.valid ? 'Valid' : 'Invalid'}${c2pa.valid ? (c2pa.trusted ? ', trusted' : ', untrusted') : ''}`);
+          if (c2pa.signer) console.log(`   Signer: ${c2pa.signer}`);
+          if (c2pa.reason) console.log(`   ${c2pa.reason}`);
+        }
+      }
       
       if (options.verbose) {
         console.log('\n📋 Full metadata:');
@@ -383,9 +515,10 @@ program
       
       await fs.access(input);
       
-      const handler = new EXIFImageHandler();
       const imageBuffer = await fs.readFile(input);
-      const format = handler._detectImageFormat(imageBuffer);
+      const detected = registry.detect(imageBuffer, { category: 'image' });
+      const format = detected ? detected.name : 'unknown';
+      const handler = createImageHandler(imageBuffer);
       
       console.log(`📊 Image Format Analysis`);
       console.log('='.repeat(30));
@@ -400,14 +533,12 @@ program
       if (hasAIMetadata) {
         const metadata = await handler.extractMetadata(input);
         console.log(`Origin: ${metadata.origin}`);
-        console.log(`Created: ${metadata.created}`);
+        console.log(`Created: ${metadata.creation_timestamp}`);
       }
       
       // Format-specific information
-      if (format === 'jpeg') {
+      if (detected && registry.supports(detected.name, 'embed')) {
         console.log(`✅ Full metadata support available`);
-      } else if (format === 'png' || format === 'tiff') {
-        console.log(`⚠️ Experimental support - JPEG recommended`);
       } else {
         console.log(`❌ Unsupported format for metadata embedding`);
       }
@@ -423,7 +554,7 @@ program
   .command('batch <directory>')
   .description('Batch process images in directory')
   .option('-o, --output <dir>', 'Output directory (default: input-tagged/)')
-  .option('--origin <type>', 'Content origin for all files', 'human-created')
+  .option('--origin <type>', 'Content origin for all files (human, ai, hybrid)', 'human')
   .option('--author <n>', 'Content author for all files')
   .option('--format <type>', 'Metadata format (xmp, exif, both)', 'xmp')
   .option('-f, --force', 'Overwrite existing files')
@@ -447,7 +578,7 @@ program
       const files = await fs.readdir(directory);
       const imageFiles = files.filter(file => {
         const ext = path.extname(file).toLowerCase();
-        return ['.jpg', '.jpeg', '.png', '.tiff', '.tif', '.webp'].includes(ext);
+        return IMAGE_FORMATS.includes(ext);
       });
       
       console.log(`Found ${imageFiles.length} image files to process`);
@@ -458,10 +589,10 @@ program
         return;
       }
       
-      const handler = new EXIFImageHandler({
+      const handlerOptions = {
         preferredFormat: options.format,
         preserveExisting: true
-      });
+      };
       
       let processed = 0;
       let errors = 0;
@@ -488,15 +619,17 @@ program
           
           // Create metadata
           const metadata = createMetadata({
-            contentType: 'image',
+            content_type: 'image',
             origin: options.origin,
             author: options.author,
-            created: new Date().toISOString(),
+            creation_timestamp: new Date().toISOString(),
             description: `Batch processed: ${file}`
           });
           
           // Process file
-          const taggedImage = await handler.embedMetadata(inputPath, metadata);
+          const imageBuffer = await fs.readFile(inputPath);
+          const handler = createImageHandler(imageBuffer, handlerOptions);
+          const taggedImage = await handler.embedMetadata(imageBuffer, metadata);
           await fs.writeFile(outputPath, taggedImage);
           
           processed++;
@@ -524,25 +657,32 @@ program
 // Add help examples
 program.addHelpText('after', `
 Examples:
-  $ tag-image photo.jpg --author "AI Artist" --origin ai-generated
+  $ tag-image photo.jpg --author "AI Artist" --origin ai
   $ tag-image picture.jpg -o tagged.jpg --model "DALL-E-3" --format xmp
   $ tag-image extract tagged-photo.jpg --format json
   $ tag-image remove tagged-photo.jpg -o clean-photo.jpg
   $ tag-image validate tagged-photo.jpg
+  $ PRIVATE_KEY=signer.key tag-image photo.jpg --origin ai --c2pa-cert signer-chain.pem
+  $ tag-image validate tagged-photo.jpg --c2pa-trust ca.pem
   $ tag-image info photo.jpg
   $ tag-image batch ./photos --author "Studio" --output ./tagged-photos
+  $ tag-image IMG_0001.CR2 --origin human --author "Jane Doe" --format xmp-sidecar
+  $ tag-image extract IMG_0001.CR2
 
 Environment Variables:
-  PRIVATE_KEY    Path to private key file or key content for signing
+  PRIVATE_KEY    Path to private key file or key content (PEM or JWK) for signing.
+                 Ed25519, ECDSA (P-256/P-384/P-521) and RSA-PSS keys are supported.
 
 Supported Formats:
-  .jpg, .jpeg (full support)
-  .png, .tiff, .tif, .webp (experimental)
+  ${IMAGE_FORMATS.join(', ')}
+  RAW (xmp-sidecar only): ${RAW_FORMATS.join(', ')}
 
 Metadata Formats:
   xmp   - Adobe XMP format (recommended, full feature support)
   exif  - EXIF UserComment field (basic support)
   both  - Embed in both XMP and EXIF formats
+  xmp-sidecar - Write photo.xmp next to the file, which is left untouched
+                (an existing sidecar, e.g. from Lightroom, is merged)
 `);
 
 program.parse();
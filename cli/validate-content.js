@@ -3,7 +3,9 @@
 const fs = require('fs');
 const path = require('path');
 const { Command } = require('commander');
-const { ContentMetadata } = require('../lib/core/metadata');
+const { validateMetadata } = require('../lib/core/metadata');
+const { KeyStore, loadTrustedKeys } = require('../lib/core/keystore');
+const { registry } = require('../lib/formats/registry');
 
 const program = new Command();
 
@@ -15,9 +17,12 @@ program
 program
   .option('-i, --input <file>', 'input file to validate')
   .option('-m, --metadata <file>', 'metadata file (if not auto-detected)')
-  .option('--format <format>', 'metadata format: sidecar, header, html', 'auto')
+  .option('--format <format>', `metadata format: auto, ${registry.names({ capability: 'verify' }).join(', ')}`, 'auto')
   .option('-v, --verbose', 'verbose output with full metadata display')
   .option('--strict', 'strict validation mode (fail on any issues)')
+  .option('--key-store <dir>', 'key store with trusted/ public keys (default: ~/.ai-content-tagging)')
+  .option('--trusted-keys <dir>', 'directory of trusted public keys (overrides the key store)')
+  .option('--require-signature', 'fail (exit 1) when metadata is not signed by a trusted key')
   .option('--json', 'output results as JSON');
 
 program.action(async (options) => {
@@ -33,6 +38,11 @@ program.action(async (options) => {
       process.exit(1);
     }
 
+    if (options.trustedKeys && !fs.existsSync(options.trustedKeys)) {
+      console.error(`Error: Trusted keys directory does not exist: ${options.trustedKeys}`);
+      process.exit(1);
+    }
+
     const validationResult = await validateContent(options.input, options);
     
     if (options.json) {
@@ -41,11 +51,12 @@ program.action(async (options) => {
       displayResults(validationResult, options);
     }
 
-    // Exit with appropriate code
-    if (validationResult.overall.valid) {
+    // Exit with appropriate code (a required signature is enforced without --strict)
+    const signatureMissing = options.requireSignature && validationResult.checks.signature_valid !== true;
+    if (validationResult.overall.valid && !signatureMissing) {
       process.exit(0);
     } else {
-      process.exit(options.strict ? 1 : 0);
+      process.exit(options.strict || signatureMissing ? 1 : 0);
     }
 
   } catch (error) {
@@ -64,8 +75,10 @@ async function validateContent(inputFile, options) {
       metadata_found: false,
       metadata_valid: false,
       checksum_valid: false,
-      schema_valid: false
+      schema_valid: false,
+      signature_valid: false
     },
+    signature: null,
     overall: {
       valid: false,
       score: 0,
@@ -81,51 +94,76 @@ async function validateContent(inputFile, options) {
       return result;
     }
 
-    // Try to locate metadata
-    const metadataFile = await findMetadata(inputFile, options);
-    if (!metadataFile) {
+    // Locate and verify metadata through the format registry
+    const format = options.format && options.format !== 'auto' ? options.format : undefined;
+    if (format && !registry.supports(format, 'verify')) {
+      result.overall.issues.push(`Unsupported format: ${format} (supported: ${registry.names({ capability: 'verify' }).join(', ')})`);
+      return result;
+    }
+    if (options.metadata && !fs.existsSync(options.metadata)) {
       result.overall.issues.push('No metadata found for this file');
       return result;
     }
 
-    result.checks.metadata_found = true;
-    if (options.verbose) {
-      result.metadata_source = metadataFile;
+    const found = await registry.verify(fs.readFileSync(inputFile), {
+      format,
+      path: inputFile,
+      sidecar: options.metadata,
+      trustedKeys: loadVerificationKeys(options)
+    });
+    if (!found) {
+      result.overall.issues.push('No metadata found for this file');
+      return result;
     }
 
-    // Parse metadata
-    const metadata = await parseMetadata(metadataFile, options);
-    if (!metadata) {
-      result.overall.issues.push('Failed to parse metadata');
-      return result;
+    result.checks.metadata_found = true;
+    result.format = found.format;
+    if (options.verbose) {
+      result.metadata_source = found.source;
     }
 
-    result.metadata = metadata.toObject();
+    result.metadata = found.metadata;
     result.checks.metadata_valid = true;
 
     // Validate metadata schema
-    const schemaValidation = metadata.validate();
+    const schemaValidation = validateMetadata(found.metadata);
     result.checks.schema_valid = schemaValidation.isValid;
     if (!schemaValidation.isValid) {
       result.overall.issues.push(`Schema validation failed: ${schemaValidation.error}`);
     }
 
-    // Verify content integrity
-    const content = fs.readFileSync(inputFile);
-    const integrityValid = metadata.verifyIntegrity(content);
+    // Content integrity (the format knows what the checksum covers)
+    const integrityValid = found.checksum.valid === true;
     result.checks.checksum_valid = integrityValid;
     
-    if (!integrityValid) {
+    if (found.checksum.valid === null) {
+      result.overall.issues.push('Content checksum not checked by this format');
+    } else if (!integrityValid) {
       result.overall.issues.push('Content checksum does not match - file may have been modified');
     }
 
-    // Calculate overall validity
-    const checkCount = Object.values(result.checks).filter(Boolean).length;
-    result.overall.score = checkCount / Object.keys(result.checks).length;
+    // Signature against trusted keys
+    result.signature = toSignatureResult(found.signature);
+    if (result.signature.present) {
+      result.checks.signature_valid = result.signature.valid;
+      if (!result.signature.valid) {
+        result.overall.issues.push(`Signature verification failed: ${result.signature.reason}`);
+      }
+    } else if (options.requireSignature) {
+      result.overall.issues.push('Metadata is not signed (--require-signature)');
+    } else {
+      result.checks.signature_valid = null; // Not applicable for unsigned content
+    }
+
+    // Calculate overall validity (checks that are not applicable are skipped)
+    const applicableChecks = Object.values(result.checks).filter(value => value !== null);
+    const checkCount = applicableChecks.filter(Boolean).length;
+    result.overall.score = checkCount / applicableChecks.length;
     result.overall.valid = result.checks.metadata_found && 
                            result.checks.metadata_valid && 
                            result.checks.checksum_valid && 
-                           result.checks.schema_valid;
+                           result.checks.schema_valid &&
+                           result.checks.signature_valid !== false;
 
   } catch (error) {
     result.overall.issues.push(`Validation error: ${error.message}`);
@@ -134,85 +172,29 @@ async function validateContent(inputFile, options) {
   return result;
 }
 
-async function findMetadata(inputFile, options) {
-  // If metadata file explicitly specified
-  if (options.metadata) {
-    return fs.existsSync(options.metadata) ? options.metadata : null;
-  }
-
-  // Auto-detect metadata based on format
-  const candidates = [
-    `${inputFile}.meta.xml`,  // Sidecar format
-    `${inputFile}.tagged.meta.xml`,  // Our tagging tool format
-    inputFile  // Embedded format (HTML, etc.)
-  ];
-
-  for (const candidate of candidates) {
-    if (fs.existsSync(candidate)) {
-      // For embedded formats, check if file contains metadata
-      if (candidate === inputFile) {
-        const content = fs.readFileSync(inputFile, 'utf8');
-        if (content.includes('X-Content-') || content.includes('<metadata>')) {
-          return candidate;
-        }
-      } else {
-        return candidate;
-      }
-    }
-  }
-
-  return null;
-}
-
-async function parseMetadata(metadataFile, options) {
-  try {
-    if (metadataFile.endsWith('.xml')) {
-      // Parse XML sidecar file
-      const xmlContent = fs.readFileSync(metadataFile, 'utf8');
-      return await ContentMetadata.parseXML(xmlContent);
-    } else {
-      // Try to extract embedded metadata
-      const content = fs.readFileSync(metadataFile, 'utf8');
-      
-      // Check for HTML meta tags
-      if (content.includes('X-Content-')) {
-        return parseHTMLMetadata(content);
-      }
-      
-      // Check for HTTP header format
-      if (content.includes('X-Content-Metadata:')) {
-        return parseHeaderMetadata(content);
-      }
-    }
-  } catch (error) {
-    throw new Error(`Failed to parse metadata: ${error.message}`);
-  }
-
-  return null;
+function loadVerificationKeys(options) {
+  return options.trustedKeys
+    ? loadTrustedKeys(options.trustedKeys)
+    : new KeyStore({ directory: options.keyStore }).getTrustedKeys();
 }
 
-function parseHTMLMetadata(content) {
-  const metadata = {};
-  
-  // Extract meta tags
-  const metaRegex = /<meta\s+name="X-Content-([^"]+)"\s+content="([^"]+)"/g;
-  let match;
-  
-  while ((match = metaRegex.exec(content)) !== null) {
-    const key = match[1].toLowerCase().replace('-', '_');
-    metadata[key] = match[2];
-  }
-  
-  return new ContentMetadata(metadata);
-}
+function toSignatureResult(signature) {
+  const toResult = entry => ({
+    valid: entry.valid,
+    trusted: entry.trusted,
+    key_id: entry.keyId,
+    algorithm: entry.algorithm,
+    reason: entry.reason
+  });
 
-function parseHeaderMetadata(content) {
-  // Extract header value
-  const headerMatch = content.match(/X-Content-Metadata:\s*(.+)/);
-  if (headerMatch) {
-    return ContentMetadata.parseHTTPHeader(headerMatch[1]);
+  if (!signature.present) {
+    return { present: false, ...toResult(signature) };
   }
-  return null;
+  return {
+    present: true,
+    ...toResult(signature),
+    signatures: signature.signatures.map(toResult)
+  };
 }
 
 function displayResults(result, options) {
@@ -238,6 +220,16 @@ function displayResults(result, options) {
   console.log(`  📝 Metadata valid: ${result.checks.metadata_valid ? '✅' : '❌'}`);
   console.log(`  🔒 Checksum valid: ${result.checks.checksum_valid ? '✅' : '❌'}`);
   console.log(`  📐 Schema valid: ${result.checks.schema_valid ? '✅' : '❌'}`);
+  if (result.checks.signature_valid === null) {
+    console.log('  ✍️  Signature valid: ➖ (not signed)');
+  } else {
+    console.log(`  ✍️  Signature valid: ${result.checks.signature_valid ? '✅' : '❌'}`);
+  }
+  if (result.signature && result.signature.present) {
+    for (const signature of result.signature.signatures) {
+      console.log(`  🔑 Signed by: ${signature.key_id || 'unknown key'} (${signature.trusted ? 'trusted' : 'untrusted'}${signature.valid ? '' : ', not verified'})`);
+    }
+  }
   
   // Issues
   if (result.overall.issues.length > 0) {
@@ -279,16 +271,19 @@ program.on('--help', () => {
   console.log('  $ validate-content -i image.jpg -m image.jpg.meta.xml');
   console.log('  $ validate-content -i article.html --format html');
   console.log('  $ validate-content -i content.txt --json > validation-report.json');
+  console.log('  $ validate-content -i report.txt --trusted-keys ./keys --require-signature');
   console.log('');
   console.log('Exit codes:');
   console.log('  0 - Content is valid or validation passed');
-  console.log('  1 - Content is invalid (only in --strict mode)');
+  console.log('  1 - Content is invalid (only in --strict mode), or --require-signature is given and');
+  console.log('      the metadata is not signed by a trusted key');
   console.log('');
   console.log('Validation checks:');
   console.log('  ✅ File existence');
   console.log('  ✅ Metadata presence and parsing');
   console.log('  ✅ Schema compliance (RFC specification)');
   console.log('  ✅ Content integrity (SHA-256 checksum)');
+  console.log('  ✅ Signature against trusted keys (--trusted-keys or key store trusted/)');
 });
 
 program.parse();
\ No newline at end of file
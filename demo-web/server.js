@@ -2,7 +2,8 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { ContentMetadata } = require('../lib/core/metadata');
+const { ContentMetadata, validateMetadata } = require('../lib/core/metadata');
+const { registry } = require('../lib/formats/registry');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -46,6 +47,20 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Registered formats and what each supports
+app.get('/api/formats', (req, res) => {
+  res.json({
+    formats: registry.list().map(format => ({
+      name: format.name,
+      description: format.description,
+      category: format.category,
+      extensions: format.extensions,
+      sidecar: format.sidecar,
+      capabilities: registry.capabilities(format)
+    }))
+  });
+});
+
 // Tag content endpoint
 app.post('/api/tag', upload.single('file'), async (req, res) => {
   try {
@@ -53,6 +68,15 @@ app.post('/api/tag', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    // The upload name picks the temp files, so it must be a plain file name
+    const taggedName = req.file.originalname.replace(/(\.[^.]+)?$/, '-tagged$1');
+    const originalPath = getTempFilePath(req.file.originalname);
+    const metadataPath = getTempFilePath(`${req.file.originalname}.meta.xml`);
+    const taggedPath = getTempFilePath(taggedName);
+    if (!originalPath || !metadataPath || !taggedPath) {
+      return res.status(400).json({ error: 'Invalid file name' });
+    }
+
     const { origin, author, license, toolchain, model_identifier } = req.body;
 
     // Validate required fields
@@ -85,6 +109,12 @@ app.post('/api/tag', upload.single('file'), async (req, res) => {
       htmlMeta: metadata.toHTMLMeta()
     };
 
+    // Formats that carry metadata inside the file also get a tagged copy
+    const embedFormat = registry.detect(req.file.buffer, { capability: 'embed', sidecar: false });
+    const tagged = embedFormat
+      ? await embedFormat.embed(req.file.buffer, outputs.metadata)
+      : null;
+
     // Create response with file data
     const response = {
       success: true,
@@ -93,6 +123,7 @@ app.post('/api/tag', upload.single('file'), async (req, res) => {
         size: req.file.size,
         type: req.file.mimetype
       },
+      format: embedFormat ? embedFormat.name : 'sidecar',
       metadata: outputs.metadata,
       formats: {
         xml: outputs.xml,
@@ -105,17 +136,21 @@ app.post('/api/tag', upload.single('file'), async (req, res) => {
       }
     };
 
+    if (tagged) {
+      response.downloads.taggedFile = `/api/download/tagged/${encodeURIComponent(taggedName)}`;
+    }
+
     // Store files temporarily for download (in production, use proper file storage)
     const tempDir = path.join(__dirname, 'temp');
     if (!fs.existsSync(tempDir)) {
       fs.mkdirSync(tempDir, { recursive: true });
     }
 
-    const originalPath = path.join(tempDir, req.file.originalname);
-    const metadataPath = path.join(tempDir, `${req.file.originalname}.meta.xml`);
-
     fs.writeFileSync(originalPath, req.file.buffer);
     fs.writeFileSync(metadataPath, outputs.xml);
+    if (tagged) {
+      fs.writeFileSync(taggedPath, tagged.content);
+    }
 
     res.json(response);
 
@@ -138,30 +173,13 @@ app.post('/api/validate', upload.fields([
       return res.status(400).json({ error: 'Content file is required' });
     }
 
-    let metadata = null;
-
-    // Try to parse metadata from uploaded metadata file or embedded in content
-    if (metadataFile) {
-      // Parse external metadata file
-      if (metadataFile.originalname.endsWith('.xml')) {
-        const xmlContent = metadataFile.buffer.toString('utf8');
-        metadata = await ContentMetadata.parseXML(xmlContent);
-      }
-    } else {
-      // Try to extract embedded metadata from content file
-      const content = contentFile.buffer.toString('utf8');
-      
-      if (content.includes('X-Content-')) {
-        metadata = parseHTMLMetadata(content);
-      } else if (content.includes('X-Content-Metadata:')) {
-        const headerMatch = content.match(/X-Content-Metadata:\s*(.+)/);
-        if (headerMatch) {
-          metadata = ContentMetadata.parseHTTPHeader(headerMatch[1]);
-        }
-      }
-    }
+    // An uploaded metadata file is read as a sidecar, otherwise the
+    // registered format of the content is used
+    const found = await registry.verify(contentFile.buffer, {
+      sidecar: metadataFile ? metadataFile.buffer : undefined
+    });
 
-    if (!metadata) {
+    if (!found) {
       return res.status(400).json({ error: 'No valid metadata found' });
     }
 
@@ -169,7 +187,9 @@ app.post('/api/validate', upload.fields([
     const result = {
       file: contentFile.originalname,
       timestamp: new Date().toISOString(),
-      metadata: metadata.toObject(),
+      format: found.format,
+      source: found.source,
+      metadata: found.metadata,
       checks: {
         metadata_valid: true,
         checksum_valid: false,
@@ -183,16 +203,18 @@ app.post('/api/validate', upload.fields([
     };
 
     // Validate schema
-    const schemaValidation = metadata.validate();
+    const schemaValidation = validateMetadata(found.metadata);
     result.checks.schema_valid = schemaValidation.isValid;
     if (!schemaValidation.isValid) {
       result.overall.issues.push(`Schema validation failed: ${schemaValidation.error}`);
     }
 
     // Verify content integrity
-    const integrityValid = metadata.verifyIntegrity(contentFile.buffer);
+    const integrityValid = found.checksum.valid === true;
     result.checks.checksum_valid = integrityValid;
-    if (!integrityValid) {
+    if (found.checksum.valid === null) {
+      result.overall.issues.push('Content checksum not checked by this format');
+    } else if (!integrityValid) {
       result.overall.issues.push('Content checksum does not match - file may have been modified');
     }
 
@@ -212,10 +234,26 @@ app.post('/api/validate', upload.fields([
 });
 
 // Download endpoints
+
+/**
+ * Resolve an upload or download name to a file in the temp directory
+ * @param {string} filename - Uploaded file name, or decoded file name from the URL
+ * @returns {string|null} File path, or null for names that are not a plain file name (e.g. ../server.js)
+ */
+function getTempFilePath(filename) {
+  if (!filename || path.basename(filename) !== filename || filename === '.' || filename === '..') {
+    return null;
+  }
+  return path.join(__dirname, 'temp', filename);
+}
+
 app.get('/api/download/original/:filename', (req, res) => {
   try {
     const filename = decodeURIComponent(req.params.filename);
-    const filePath = path.join(__dirname, 'temp', filename);
+    const filePath = getTempFilePath(filename);
+    if (!filePath) {
+      return res.status(400).json({ error: 'Invalid file name' });
+    }
     
     if (!fs.existsSync(filePath)) {
       return res.status(404).json({ error: 'File not found' });
@@ -227,10 +265,31 @@ app.get('/api/download/original/:filename', (req, res) => {
   }
 });
 
+app.get('/api/download/tagged/:filename', (req, res) => {
+  try {
+    const filename = decodeURIComponent(req.params.filename);
+    const filePath = getTempFilePath(filename);
+    if (!filePath) {
+      return res.status(400).json({ error: 'Invalid file name' });
+    }
+    
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Tagged file not found' });
+    }
+
+    res.download(filePath, filename);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to download tagged file' });
+  }
+});
+
 app.get('/api/download/metadata/:filename', (req, res) => {
   try {
     const filename = decodeURIComponent(req.params.filename);
-    const filePath = path.join(__dirname, 'temp', filename);
+    const filePath = getTempFilePath(filename);
+    if (!filePath) {
+      return res.status(400).json({ error: 'Invalid file name' });
+    }
     
     if (!fs.existsSync(filePath)) {
       return res.status(404).json({ error: 'Metadata file not found' });
@@ -243,21 +302,6 @@ app.get('/api/download/metadata/:filename', (req, res) => {
   }
 });
 
-// Utility function for parsing HTML metadata
-function parseHTMLMetadata(content) {
-  const metadata = {};
-  
-  const metaRegex = /<meta\s+name="X-Content-([^"]+)"\s+content="([^"]+)"/g;
-  let match;
-  
-  while ((match = metaRegex.exec(content)) !== null) {
-    const key = match[1].toLowerCase().replace('-', '_');
-    metadata[key] = match[2];
-  }
-  
-  return new ContentMetadata(metadata);
-}
-
 // Cleanup temp files periodically (basic cleanup - in production use proper file management)
 setInterval(() => {
   const tempDir = path.join(__dirname, 'temp');
@@ -294,5 +338,6 @@ app.listen(PORT, () => {
   console.log('  GET  / - Web interface');
   console.log('  POST /api/tag - Tag content with metadata');
   console.log('  POST /api/validate - Validate tagged content');
+  console.log('  GET  /api/formats - Registered content formats');
   console.log('  GET  /api/health - Service health check');
 });
\ No newline at end of file
@@ -18,14 +18,14 @@ async function tagAudioFile() {
   try {
     // Create RFC-compliant metadata
     const metadata = createMetadata({
-      contentType: 'audio',
-      origin: 'ai-generated',
-      model: 'MusicLM-2024',
+      content_type: 'audio',
+      origin: 'ai',
+      model_identifier: 'MusicLM-2024',
       author: 'AI Music Studio',
       description: 'Jazz instrumental generated by AI',
       license: 'CC-BY-4.0',
-      created: new Date().toISOString(),
-      processingSteps: [
+      creation_timestamp: new Date().toISOString(),
+      processing_steps: [
         {
           step: 'generation',
           tool: 'MusicLM',
@@ -74,15 +74,15 @@ async function tagImageFile() {
   try {
     // Create metadata for AI-generated image
     const metadata = createMetadata({
-      contentType: 'image',
-      origin: 'ai-generated',
-      model: 'DALL-E-3',
+      content_type: 'image',
+      origin: 'ai',
+      model_identifier: 'DALL-E-3',
       author: 'AI Art Generator',
       description: 'Surreal landscape with floating islands',
       license: 'Proprietary',
-      created: new Date().toISOString(),
+      creation_timestamp: new Date().toISOString(),
       prompt: 'A surreal landscape with floating islands, crystal clear water, and dramatic clouds',
-      processingSteps: [
+      processing_steps: [
         {
           step: 'generation',
           tool: 'DALL-E-3',
@@ -162,10 +162,10 @@ async function batchProcessMultimedia() {
         if (['.mp3', '.m4a', '.flac', '.wav'].includes(fileExt)) {
           // Audio file
           metadata = createMetadata({
-            contentType: 'audio',
-            origin: 'human-created',
+            content_type: 'audio',
+            origin: 'human',
             author: 'Unknown Artist',
-            created: new Date().toISOString(),
+            creation_timestamp: new Date().toISOString(),
             description: `Audio file: ${file}`
           });
           
@@ -175,10 +175,10 @@ async function batchProcessMultimedia() {
         } else if (['.jpg', '.jpeg', '.png', '.tiff'].includes(fileExt)) {
           // Image file
           metadata = createMetadata({
-            contentType: 'image',
-            origin: 'human-created',
+            content_type: 'image',
+            origin: 'human',
             author: 'Unknown Photographer',
-            created: new Date().toISOString(),
+            creation_timestamp: new Date().toISOString(),
             description: `Image file: ${file}`
           });
           
@@ -237,15 +237,15 @@ async function validateMultimediaMetadata() {
         
         if (metadata) {
           console.log('📋 Metadata found:');
-          console.log(`- Content Type: ${metadata.contentType}`);
+          console.log(`- Content Type: ${metadata.content_type}`);
           console.log(`- Origin: ${metadata.origin}`);
           console.log(`- Author: ${metadata.author || 'N/A'}`);
-          console.log(`- Created: ${metadata.created}`);
+          console.log(`- Created: ${metadata.creation_timestamp}`);
           console.log(`- Checksum verified: ${metadata._verified ? '✅' : '❌'}`);
           console.log(`- Signature valid: ${metadata._signatureValid ? '✅' : '❌'}`);
           
           // Validate against RFC schema
-          const isValidSchema = validateMetadata(metadata);
+          const isValidSchema = validateMetadata(metadata).isValid;
           console.log(`- Schema valid: ${isValidSchema ? '✅' : '❌'}`);
           
         } else {
@@ -307,10 +307,10 @@ async function performanceTest() {
   
   // Create test metadata
   const testMetadata = createMetadata({
-    contentType: 'test',
-    origin: 'performance-test',
+    content_type: 'test',
+    origin: 'ai',
     author: 'Test Suite',
-    created: new Date().toISOString(),
+    creation_timestamp: new Date().toISOString(),
     description: 'Performance test metadata'
   });
   
@@ -367,10 +367,10 @@ async function compareMetadataFormats() {
   const imageHandler = new EXIFImageHandler();
   
   const testMetadata = createMetadata({
-    contentType: 'image',
-    origin: 'ai-generated',
+    content_type: 'image',
+    origin: 'ai',
     author: 'Format Test',
-    created: new Date().toISOString(),
+    creation_timestamp: new Date().toISOString(),
     description: 'Testing different metadata formats'
   });
   
@@ -496,9 +496,9 @@ async function testAudioFormats() {
   
   const handler = new ID3AudioHandler();
   const metadata = createMetadata({
-    contentType: 'audio',
-    origin: 'test',
-    created: new Date().toISOString()
+    content_type: 'audio',
+    origin: 'human',
+    creation_timestamp: new Date().toISOString()
   });
   
   // Test different "audio" files (simulated)
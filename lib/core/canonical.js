@@ -0,0 +1,105 @@
+/**
+ * Canonical JSON serialization (RFC 8785 JSON Canonicalization Scheme)
+ * Used wherever metadata is signed or hashed so that equivalent objects
+ * produce identical bytes regardless of key order.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Serialize a value using the JSON Canonicalization Scheme (RFC 8785)
+ * - Object members are sorted by the UTF-16 code units of their names
+ * - Numbers and strings use ECMAScript JSON serialization
+ * - Members with undefined or function values are omitted, as in JSON.stringify
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON text
+ */
+function canonicalize(value) {
+  const serialized = serializeValue(value);
+  if (serialized === undefined) {
+    throw new Error('Cannot canonicalize a value that is not representable in JSON');
+  }
+  return serialized;
+}
+
+/**
+ * Compute a hex digest of the canonical form of a value
+ * @param {*} value - JSON-compatible value
+ * @param {string} algorithm - Hash algorithm (default sha256)
+ * @returns {string} Hex digest
+ */
+function canonicalDigest(value, algorithm = 'sha256') {
+  return crypto.createHash(algorithm).update(canonicalize(value), 'utf8').digest('hex');
+}
+
+/**
+ * Remove fields that are not part of the signed/hashed metadata:
+ * the given fields (checksum and signature by default) and any
+ * underscore-prefixed verification flags such as _verified.
+ * @param {Object} metadata - Metadata object
+ * @param {Array<string>} excluded - Top-level fields to drop
+ * @returns {Object} Shallow copy without excluded fields
+ */
+function stripUnsignedFields(metadata, excluded = ['checksum', 'signature']) {
+  const result = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    if (excluded.includes(key) || key.startsWith('_')) continue;
+    result[key] = value;
+  }
+  return result;
+}
+
+function serializeValue(value) {
+  if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+    value = value.toJSON();
+  }
+
+  if (value === null) {
+    return 'null';
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'number':
+      if (!Number.isFinite(value)) {
+        throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+      }
+      // ECMAScript Number serialization is what RFC 8785 mandates
+      return JSON.stringify(value);
+    case 'string':
+      return JSON.stringify(value);
+    case 'bigint':
+      throw new Error('Cannot canonicalize BigInt values');
+    case 'undefined':
+    case 'function':
+    case 'symbol':
+      return undefined;
+    default:
+      break;
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.map(item => {
+      const serialized = serializeValue(item);
+      return serialized === undefined ? 'null' : serialized;
+    });
+    return `[${items.join(',')}]`;
+  }
+
+  // Default sort compares UTF-16 code units, as required by RFC 8785
+  const members = [];
+  for (const key of Object.keys(value).sort()) {
+    const serialized = serializeValue(value[key]);
+    if (serialized !== undefined) {
+      members.push(`${JSON.stringify(key)}:${serialized}`);
+    }
+  }
+  return `{${members.join(',')}}`;
+}
+
+module.exports = {
+  canonicalize,
+  canonicalDigest,
+  stripUnsignedFields
+};
@@ -0,0 +1,505 @@
+/**
+ * Signature and checksum utilities for AI Content Tagging Tools
+ * Supports Ed25519, ECDSA (P-256/P-384/P-521) and RSA-PSS keys
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Supported signature algorithms
+const ALGORITHMS = {
+  ED25519: 'ed25519',
+  ECDSA_P256: 'ecdsa-p256',
+  ECDSA_P384: 'ecdsa-p384',
+  ECDSA_P521: 'ecdsa-p521',
+  RSA_PSS: 'rsa-pss'
+};
+
+const DEFAULT_ALGORITHM = ALGORITHMS.ED25519;
+
+// Named curve and digest for each ECDSA variant
+const ECDSA_PARAMS = {
+  [ALGORITHMS.ECDSA_P256]: { namedCurve: 'P-256', hash: 'sha256' },
+  [ALGORITHMS.ECDSA_P384]: { namedCurve: 'P-384', hash: 'sha384' },
+  [ALGORITHMS.ECDSA_P521]: { namedCurve: 'P-521', hash: 'sha512' }
+};
+
+// OpenSSL curve names as reported by KeyObject.asymmetricKeyDetails
+const CURVE_ALGORITHMS = {
+  prime256v1: ALGORITHMS.ECDSA_P256,
+  'P-256': ALGORITHMS.ECDSA_P256,
+  secp384r1: ALGORITHMS.ECDSA_P384,
+  'P-384': ALGORITHMS.ECDSA_P384,
+  secp521r1: ALGORITHMS.ECDSA_P521,
+  'P-521': ALGORITHMS.ECDSA_P521
+};
+
+/**
+ * Generate a new signing key pair
+ * @param {string} algorithm - One of ed25519, ecdsa-p256, ecdsa-p384, ecdsa-p521, rsa-pss
+ * @param {Object} options - Generation options
+ * @param {number} options.modulusLength - RSA modulus length (default 3072)
+ * @returns {{algorithm: string, keyId: string, privateKey: string, publicKey: string}} PEM encoded key pair
+ */
+function generateKeyPair(algorithm = DEFAULT_ALGORITHM, options = {}) {
+  const normalized = normalizeAlgorithm(algorithm);
+  const encoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  };
+
+  let pair;
+  if (normalized === ALGORITHMS.ED25519) {
+    pair = crypto.generateKeyPairSync('ed25519', encoding);
+  } else if (ECDSA_PARAMS[normalized]) {
+    pair = crypto.generateKeyPairSync('ec', {
+      namedCurve: ECDSA_PARAMS[normalized].namedCurve,
+      ...encoding
+    });
+  } else {
+    pair = crypto.generateKeyPairSync('rsa', {
+      modulusLength: options.modulusLength || 3072,
+      ...encoding
+    });
+  }
+
+  return {
+    algorithm: normalized,
+    keyId: getKeyId(pair.publicKey),
+    privateKey: pair.privateKey,
+    publicKey: pair.publicKey
+  };
+}
+
+/**
+ * Import a key from PEM, JWK or an existing KeyObject
+ * @param {string|Buffer|Object|KeyObject} input - PEM text, JWK object/JSON, or KeyObject
+ * @param {string} type - 'private', 'public' or 'auto' (detect from input)
+ * @returns {KeyObject} Imported key
+ */
+function importKey(input, type = 'auto') {
+  if (input instanceof crypto.KeyObject) {
+    if (type === 'public' && input.type === 'private') {
+      return crypto.createPublicKey(input);
+    }
+    return input;
+  }
+
+  if (!input) {
+    throw new Error('No key material provided');
+  }
+
+  // JWK as JSON text
+  const text = Buffer.isBuffer(input) ? input.toString('utf8') : input;
+  if (typeof text === 'string' && text.trim().startsWith('{')) {
+    return importKey(JSON.parse(text), type);
+  }
+
+  // JWK object
+  if (typeof text === 'object') {
+    if (!text.kty) {
+      throw new Error('Unsupported key object: expected a JWK with "kty"');
+    }
+    const isPrivate = Boolean(text.d);
+    if (isPrivate && type !== 'public') {
+      return crypto.createPrivateKey({ key: text, format: 'jwk' });
+    }
+    return crypto.createPublicKey({ key: text, format: 'jwk' });
+  }
+
+  // PEM text
+  const isPrivate = /PRIVATE KEY-----/.test(text);
+  if (isPrivate && type !== 'public') {
+    return crypto.createPrivateKey(text);
+  }
+  if (!isPrivate && type === 'private') {
+    throw new Error('Expected a private key but received a public key');
+  }
+  return crypto.createPublicKey(text);
+}
+
+/**
+ * Load a key from a file path or inline key material (PEM/JWK)
+ * @param {string|Buffer|Object|KeyObject} source - File path or key material
+ * @param {string} type - 'private', 'public' or 'auto'
+ * @returns {KeyObject} Loaded key
+ */
+function loadKey(source, type = 'auto') {
+  if (typeof source === 'string' && !source.includes('-----BEGIN') && !source.trim().startsWith('{')) {
+    if (!fs.existsSync(source)) {
+      throw new Error(`Key file not found: ${source}`);
+    }
+    return importKey(fs.readFileSync(source, 'utf8'), type);
+  }
+  return importKey(source, type);
+}
+
+/**
+ * Export a key as PEM or JWK
+ * @param {KeyObject|string|Object} key - Key to export
+ * @param {string} format - 'pem' or 'jwk'
+ * @returns {string|Object} Exported key
+ */
+function exportKey(key, format = 'pem') {
+  const keyObject = importKey(key);
+
+  if (format === 'jwk') {
+    return keyObject.export({ format: 'jwk' });
+  }
+
+  return keyObject.type === 'private'
+    ? keyObject.export({ type: 'pkcs8', format: 'pem' })
+    : keyObject.export({ type: 'spki', format: 'pem' });
+}
+
+/**
+ * Identify the signature algorithm for a key
+ * @param {KeyObject|string|Object} key - Private or public key
+ * @returns {string} Algorithm identifier
+ */
+function identifyAlgorithm(key) {
+  const keyObject = importKey(key);
+
+  switch (keyObject.asymmetricKeyType) {
+    case 'ed25519':
+      return ALGORITHMS.ED25519;
+    case 'ec': {
+      const curve = keyObject.asymmetricKeyDetails && keyObject.asymmetricKeyDetails.namedCurve;
+      const algorithm = CURVE_ALGORITHMS[curve];
+      if (!algorithm) {
+        throw new Error(`Unsupported ECDSA curve: ${curve}`);
+      }
+      return algorithm;
+    }
+    case 'rsa':
+    case 'rsa-pss':
+      return ALGORITHMS.RSA_PSS;
+    default:
+      throw new Error(`Unsupported key type: ${keyObject.asymmetricKeyType}`);
+  }
+}
+
+/**
+ * Compute a short key identifier (SHA-256 of the SPKI public key, first 16 hex chars)
+ * @param {KeyObject|string|Object} key - Private or public key
+ * @returns {string} Key identifier
+ */
+function getKeyId(key) {
+  const publicKey = importKey(key, 'public');
+  const spki = publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(spki).digest('hex').slice(0, 16);
+}
+
+/**
+ * Sign data with a private key
+ * @param {Buffer|string} data - Data to sign
+ * @param {KeyObject|string|Object} privateKey - Private key (PEM, JWK or KeyObject)
+ * @param {Object} options - Signing options
+ * @param {string} options.algorithm - Expected algorithm (defaults to the key's algorithm)
+ * @returns {string} Base64-encoded signature
+ */
+function sign(data, privateKey, options = {}) {
+  const keyObject = importKey(privateKey, 'private');
+  const algorithm = resolveAlgorithm(keyObject, options.algorithm);
+  const signature = crypto.sign(getDigest(algorithm), toBuffer(data), getSignKey(keyObject, algorithm));
+  return signature.toString('base64');
+}
+
+/**
+ * Verify a signature with a public key
+ * Accepts raw base64 signatures and "algorithm:keyId:base64" signatures;
+ * for the latter the key must match both the algorithm and the key id.
+ * @param {Buffer|string} data - Signed data
+ * @param {string|Buffer} signature - Signature string or raw signature bytes
+ * @param {KeyObject|string|Object} publicKey - Public key (PEM, JWK or KeyObject)
+ * @param {Object} options - Verification options
+ * @param {string} options.algorithm - Expected algorithm (defaults to the key's algorithm)
+ * @returns {boolean} True if the signature is valid
+ */
+function verify(data, signature, publicKey, options = {}) {
+  const keyObject = importKey(publicKey, 'public');
+  let signatureBuffer;
+
+  if (Buffer.isBuffer(signature)) {
+    signatureBuffer = signature;
+  } else {
+    const parsed = parseSignature(signature);
+    if (parsed.keyId && parsed.keyId !== getKeyId(keyObject)) {
+      return false;
+    }
+    if (parsed.algorithm && parsed.algorithm !== identifyAlgorithm(keyObject)) {
+      return false;
+    }
+    signatureBuffer = Buffer.from(parsed.value, 'base64');
+  }
+
+  const algorithm = resolveAlgorithm(keyObject, options.algorithm);
+  return crypto.verify(getDigest(algorithm), toBuffer(data), getSignKey(keyObject, algorithm), signatureBuffer);
+}
+
+/**
+ * Sign data and prefix the signature with its algorithm and key id
+ * @param {Buffer|string} data - Data to sign
+ * @param {KeyObject|string|Object} privateKey - Private key (PEM, JWK or KeyObject)
+ * @returns {string} Signature as "algorithm:keyId:base64"
+ */
+function createSignature(data, privateKey) {
+  const keyObject = importKey(privateKey, 'private');
+  return formatSignature({
+    algorithm: identifyAlgorithm(keyObject),
+    keyId: getKeyId(keyObject),
+    value: sign(data, keyObject)
+  });
+}
+
+/**
+ * Format a signature as "algorithm:keyId:base64"
+ * @param {Object} parts - Signature parts
+ * @param {string} parts.algorithm - Algorithm identifier
+ * @param {string} parts.keyId - Key identifier
+ * @param {string} parts.value - Base64 signature
+ * @returns {string} Formatted signature
+ */
+function formatSignature({ algorithm, keyId, value }) {
+  return `${algorithm}:${keyId}:${value}`;
+}
+
+/**
+ * Parse a signature string; bare base64 signatures have no algorithm or key id
+ * @param {string} signature - Signature string
+ * @returns {{algorithm: string|null, keyId: string|null, value: string}} Signature parts
+ */
+function parseSignature(signature) {
+  const text = String(signature).trim();
+  const match = text.match(/^([a-z0-9-]+):([a-f0-9]+):([A-Za-z0-9+/=_-]+)$/);
+
+  if (!match) {
+    return { algorithm: null, keyId: null, value: text };
+  }
+
+  return { algorithm: match[1], keyId: match[2], value: match[3] };
+}
+
+/**
+ * Verify a signature against a list of trusted public keys
+ * trusted is only set when a trusted key verified the signature, not when the
+ * signature merely names a trusted key id.
+ * @param {Buffer|string} data - Signed data
+ * @param {string} signature - Signature string
+ * @param {Map|Array|Object} trustedKeys - Trusted public keys (Map/object keyed by key id, or array)
+ * @returns {{valid: boolean, trusted: boolean, keyId: string|null, algorithm: string|null, reason: string}} Result
+ */
+function verifyWithTrustedKeys(data, signature, trustedKeys) {
+  const parsed = parseSignature(signature);
+  const keys = normalizeKeyList(trustedKeys);
+  const result = { valid: false, trusted: false, keyId: parsed.keyId, algorithm: parsed.algorithm, reason: '' };
+
+  const candidates = parsed.keyId
+    ? keys.filter(entry => entry.keyId === parsed.keyId)
+    : keys;
+
+  if (candidates.length === 0) {
+    result.reason = parsed.keyId
+      ? `Signing key ${parsed.keyId} is not in the trusted key list`
+      : 'No trusted keys available to verify signature';
+    return result;
+  }
+
+  for (const entry of candidates) {
+    try {
+      if (verify(data, signature, entry.key)) {
+        return {
+          valid: true,
+          trusted: true,
+          keyId: entry.keyId,
+          algorithm: identifyAlgorithm(entry.key),
+          reason: `Signature verified with trusted key ${entry.keyId}`
+        };
+      }
+    } catch (error) {
+      result.reason = `Verification error: ${error.message}`;
+    }
+  }
+
+  result.reason = result.reason || 'Signature does not match metadata';
+  return result;
+}
+
+/**
+ * Collect candidate public keys from format handler key options
+ * publicKey and publicKeys take a key, an array of keys, or a Map or object
+ * keyed by key id (such as KeyStore.getTrustedKeys()); keyResolver(context)
+ * returns the same. Given a list of option
+ * objects, the first that names any key is used, so per-call options replace
+ * the handler's own.
+ * @param {Object|Array<Object>} keyOptions - Key options (publicKey, publicKeys, keyResolver)
+ * @param {*} context - Passed to keyResolver (the metadata being verified)
+ * @returns {Promise<Array<{keyId: string, key: *}>>} Candidate keys
+ */
+async function resolvePublicKeys(keyOptions, context = null) {
+  const sources = (Array.isArray(keyOptions) ? keyOptions : [keyOptions]).filter(Boolean);
+  const source = sources.find(options => options.publicKey || options.publicKeys || options.keyResolver) || {};
+  const candidates = [];
+
+  const addKeys = (keys, prefix) => {
+    if (!keys) return;
+    if (Array.isArray(keys)) {
+      keys.forEach((key, index) => candidates.push({ keyId: `${prefix}-${index}`, key }));
+    } else if (keys instanceof Map) {
+      for (const [keyId, key] of keys) {
+        candidates.push({ keyId: String(keyId), key });
+      }
+    } else if (typeof keys === 'object' && !keys.kty && !Buffer.isBuffer(keys) && !(keys instanceof crypto.KeyObject)) {
+      for (const [keyId, key] of Object.entries(keys)) {
+        candidates.push({ keyId, key });
+      }
+    } else {
+      candidates.push({ keyId: prefix, key: keys });
+    }
+  };
+
+  addKeys(source.publicKey, 'default');
+  addKeys(source.publicKeys, 'key');
+
+  if (typeof source.keyResolver === 'function') {
+    addKeys(await source.keyResolver(context), 'resolved');
+  }
+
+  return candidates;
+}
+
+/**
+ * Verify a signature against the public keys of format handler key options
+ * Unlike verifyWithTrustedKeys every candidate key is tried, whatever key id
+ * the signature names.
+ * @param {Buffer|string} data - Signed data
+ * @param {string} signature - Signature string
+ * @param {Object|Array<Object>} keyOptions - Key options (see resolvePublicKeys)
+ * @param {*} context - Passed to keyResolver (the metadata being verified)
+ * @returns {Promise<{valid: boolean, reason: string, keyId?: string}>} Result with the matching key id
+ */
+async function verifyWithPublicKeys(data, signature, keyOptions, context = null) {
+  let candidates;
+  try {
+    candidates = await resolvePublicKeys(keyOptions, context);
+  } catch (error) {
+    return { valid: false, reason: `Key resolution failed: ${error.message}` };
+  }
+
+  if (candidates.length === 0) {
+    return { valid: false, reason: 'No public key available to verify signature' };
+  }
+
+  const errors = [];
+
+  for (const { keyId, key } of candidates) {
+    try {
+      if (verify(data, signature, key)) {
+        return { valid: true, reason: `Signature verified with key ${keyId}`, keyId };
+      }
+    } catch (error) {
+      errors.push(`${keyId}: ${error.message}`);
+    }
+  }
+
+  if (errors.length === candidates.length) {
+    return { valid: false, reason: `Signature could not be checked (${errors.join('; ')})` };
+  }
+
+  return {
+    valid: false,
+    reason: `Signature does not match metadata for any of ${candidates.length} key(s)`
+  };
+}
+
+/**
+ * Compute a SHA-256 checksum
+ * @param {Buffer|string} data - Data to hash
+ * @returns {string} Hex digest
+ */
+function checksum(data) {
+  return crypto.createHash('sha256').update(toBuffer(data)).digest('hex');
+}
+
+// Internal helpers
+
+function normalizeAlgorithm(algorithm) {
+  const value = String(algorithm || DEFAULT_ALGORITHM).toLowerCase();
+  const aliases = {
+    ecdsa: ALGORITHMS.ECDSA_P256,
+    es256: ALGORITHMS.ECDSA_P256,
+    es384: ALGORITHMS.ECDSA_P384,
+    es512: ALGORITHMS.ECDSA_P521,
+    eddsa: ALGORITHMS.ED25519,
+    rsa: ALGORITHMS.RSA_PSS,
+    ps256: ALGORITHMS.RSA_PSS
+  };
+  const normalized = aliases[value] || value;
+
+  if (!Object.values(ALGORITHMS).includes(normalized)) {
+    throw new Error(`Unsupported signature algorithm: ${algorithm}`);
+  }
+  return normalized;
+}
+
+function resolveAlgorithm(keyObject, requested) {
+  const algorithm = identifyAlgorithm(keyObject);
+  if (requested && normalizeAlgorithm(requested) !== algorithm) {
+    throw new Error(`Key algorithm ${algorithm} does not match requested ${requested}`);
+  }
+  return algorithm;
+}
+
+function getDigest(algorithm) {
+  if (algorithm === ALGORITHMS.ED25519) return null;
+  if (ECDSA_PARAMS[algorithm]) return ECDSA_PARAMS[algorithm].hash;
+  return 'sha256';
+}
+
+function getSignKey(keyObject, algorithm) {
+  if (algorithm === ALGORITHMS.RSA_PSS) {
+    return {
+      key: keyObject,
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+    };
+  }
+  return keyObject;
+}
+
+function normalizeKeyList(keys) {
+  if (!keys) return [];
+
+  const entries = keys instanceof Map
+    ? Array.from(keys.values())
+    : Array.isArray(keys) ? keys : Object.values(keys);
+
+  return entries.map(key => {
+    const keyObject = importKey(key, 'public');
+    return { keyId: getKeyId(keyObject), key: keyObject };
+  });
+}
+
+function toBuffer(data) {
+  return Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+}
+
+module.exports = {
+  ALGORITHMS,
+  DEFAULT_ALGORITHM,
+  generateKeyPair,
+  importKey,
+  loadKey,
+  exportKey,
+  identifyAlgorithm,
+  getKeyId,
+  sign,
+  verify,
+  createSignature,
+  formatSignature,
+  parseSignature,
+  verifyWithTrustedKeys,
+  resolvePublicKeys,
+  verifyWithPublicKeys,
+  checksum
+};
@@ -0,0 +1,133 @@
+/**
+ * Local key store for signing and trusted verification keys
+ *
+ * Layout (default ~/.ai-content-tagging, override with AI_CONTENT_KEY_STORE):
+ *   signing-key.pem   Private key used by `tag-content --sign`
+ *   trusted/          Public keys (PEM or JWK) accepted when validating signatures
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cryptoUtils = require('./crypto');
+
+const SIGNING_KEY_FILE = 'signing-key.pem';
+const TRUSTED_KEYS_DIR = 'trusted';
+const KEY_FILE_EXTENSIONS = ['.pem', '.pub', '.jwk', '.json'];
+
+class KeyStore {
+  /**
+   * @param {Object} options - Key store options
+   * @param {string} options.directory - Key store directory
+   */
+  constructor(options = {}) {
+    this.directory = options.directory ||
+      process.env.AI_CONTENT_KEY_STORE ||
+      path.join(os.homedir(), '.ai-content-tagging');
+  }
+
+  /**
+   * Path of the private signing key
+   * @returns {string} - File path
+   */
+  get signingKeyPath() {
+    return path.join(this.directory, SIGNING_KEY_FILE);
+  }
+
+  /**
+   * Path of the trusted public keys directory
+   * @returns {string} - Directory path
+   */
+  get trustedKeysPath() {
+    return path.join(this.directory, TRUSTED_KEYS_DIR);
+  }
+
+  /**
+   * Check whether a signing key is configured
+   * @returns {boolean} - True if signing key exists
+   */
+  hasSigningKey() {
+    return fs.existsSync(this.signingKeyPath);
+  }
+
+  /**
+   * Load the private signing key
+   * @returns {KeyObject} - Private key
+   */
+  getSigningKey() {
+    if (!this.hasSigningKey()) {
+      throw new Error(`No signing key configured in key store: ${this.signingKeyPath}`);
+    }
+    return cryptoUtils.loadKey(this.signingKeyPath, 'private');
+  }
+
+  /**
+   * Load all trusted public keys
+   * @returns {Map<string, KeyObject>} - Trusted keys by key id
+   */
+  getTrustedKeys() {
+    return loadTrustedKeys(this.trustedKeysPath);
+  }
+
+  /**
+   * Generate a new signing key and trust its public key
+   * @param {string} algorithm - Signature algorithm (default ed25519)
+   * @param {Object} options - Options
+   * @param {boolean} options.overwrite - Replace an existing signing key
+   * @returns {{algorithm: string, keyId: string, publicKey: string}} - Generated key info
+   */
+  generateSigningKey(algorithm = cryptoUtils.DEFAULT_ALGORITHM, options = {}) {
+    if (this.hasSigningKey() && !options.overwrite) {
+      throw new Error(`Signing key already exists: ${this.signingKeyPath}`);
+    }
+
+    const keyPair = cryptoUtils.generateKeyPair(algorithm);
+    fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(this.signingKeyPath, keyPair.privateKey, { mode: 0o600 });
+    this.trustKey(keyPair.publicKey);
+
+    return { algorithm: keyPair.algorithm, keyId: keyPair.keyId, publicKey: keyPair.publicKey };
+  }
+
+  /**
+   * Add a public key to the trusted key list
+   * @param {KeyObject|string|Object} publicKey - Public key (PEM, JWK or KeyObject)
+   * @returns {string} - Key id of the trusted key
+   */
+  trustKey(publicKey) {
+    const keyId = cryptoUtils.getKeyId(publicKey);
+    fs.mkdirSync(this.trustedKeysPath, { recursive: true });
+    fs.writeFileSync(
+      path.join(this.trustedKeysPath, `${keyId}.pem`),
+      cryptoUtils.exportKey(cryptoUtils.importKey(publicKey, 'public'))
+    );
+    return keyId;
+  }
+}
+
+/**
+ * Load trusted public keys from a directory of PEM/JWK files
+ * @param {string} directory - Directory containing public keys
+ * @returns {Map<string, KeyObject>} - Trusted keys by key id
+ */
+function loadTrustedKeys(directory) {
+  const keys = new Map();
+
+  if (!directory || !fs.existsSync(directory)) {
+    return keys;
+  }
+
+  for (const file of fs.readdirSync(directory)) {
+    if (!KEY_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase())) continue;
+
+    const keyObject = cryptoUtils.loadKey(path.join(directory, file), 'public');
+    keys.set(cryptoUtils.getKeyId(keyObject), keyObject);
+  }
+
+  return keys;
+}
+
+module.exports = {
+  KeyStore,
+  loadTrustedKeys
+};
@@ -1,30 +1,98 @@
-const crypto = require('crypto');
 const Joi = require('joi');
+const cryptoUtils = require('./crypto');
+const { canonicalize } = require('./canonical');
 
-// Metadata schema validation based on RFC draft
+// Current schema version, shared by text (sidecar/header/HTML) and multimedia (ID3/EXIF/XMP) metadata
+const SCHEMA_VERSION = '1.1';
+const SUPPORTED_VERSIONS = ['1.0', '1.1'];
+const ORIGINS = ['human', 'ai', 'hybrid'];
+
+// Origin values used by the original multimedia tools
+const LEGACY_ORIGINS = {
+  'human-created': 'human',
+  'ai-generated': 'ai',
+  'ai-assisted': 'hybrid'
+};
+
+// IPTC Digital Source Type (also used by C2PA actions) for each origin.
+// None is written for human content: every human type (digitalCapture,
+// digitalArt, ...) states how it was made, which the origin does not say.
+const IPTC_DIGITAL_SOURCE_TYPE_URI = 'http://cv.iptc.org/newscodes/digitalsourcetype/';
+const DIGITAL_SOURCE_TYPES = {
+  ai: 'trainedAlgorithmicMedia',
+  hybrid: 'compositeWithTrainedAlgorithmicMedia'
+};
+
+// Other IPTC Digital Source Types understood when reading
+const DIGITAL_SOURCE_TYPE_ORIGINS = {
+  algorithmicMedia: 'ai',
+  compositeSynthetic: 'hybrid',
+  digitalCapture: 'human',
+  digitalArt: 'human',
+  negativeFilm: 'human',
+  positiveFilm: 'human',
+  print: 'human'
+};
+
+// camelCase field names used by the original multimedia tools
+const LEGACY_FIELDS = {
+  contentType: 'content_type',
+  created: 'creation_timestamp',
+  processingSteps: 'processing_steps',
+  model: 'model_identifier'
+};
+
+const processingStepSchema = Joi.object({
+  step: Joi.string().required(),
+  tool: Joi.string().optional(),
+  parameters: Joi.object().unknown(true).optional(),
+  timestamp: Joi.string().isoDate().optional()
+}).unknown(true);
+
+// Metadata schema validation based on RFC draft (version 1.1)
+// Fields outside the schema (extension fields such as seed) are allowed
 const metadataSchema = Joi.object({
-  version: Joi.string().valid('1.0').required(),
-  origin: Joi.string().valid('human', 'ai', 'hybrid').required(),
-  author: Joi.string().required(),
+  version: Joi.string().valid(...SUPPORTED_VERSIONS).required(),
+  content_type: Joi.string().optional(), // text, audio, image, video, ...
+  origin: Joi.string().valid(...ORIGINS).required(),
+  author: Joi.string().optional(),
   creation_timestamp: Joi.string().isoDate().required(),
   license: Joi.string().optional(),
-  checksum: Joi.string().pattern(/^[a-f0-9]{64}$/).required(), // SHA-256 hex
+  checksum: Joi.string().pattern(/^[a-f0-9]{64}$/).optional(), // SHA-256 hex
   signature: Joi.string().optional(),
   toolchain: Joi.string().optional(),
-  model_identifier: Joi.string().optional()
-});
+  model_identifier: Joi.string().optional(),
+  description: Joi.string().optional(),
+  prompt: Joi.string().optional(),
+  processing_steps: Joi.array().items(processingStepSchema).optional()
+}).unknown(true);
+
+const SCHEMA_FIELDS = Object.keys(metadataSchema.describe().keys);
 
 class ContentMetadata {
   constructor(options = {}) {
-    this.version = '1.0';
-    this.origin = options.origin || 'human';
-    this.author = options.author || 'Unknown';
-    this.creation_timestamp = options.creation_timestamp || new Date().toISOString();
-    this.license = options.license;
-    this.checksum = options.checksum;
-    this.signature = options.signature;
-    this.toolchain = options.toolchain;
-    this.model_identifier = options.model_identifier;
+    const fields = normalizeMetadata(options);
+
+    // Keep the stored version of parsed metadata so checksums and signatures still verify
+    this.version = SUPPORTED_VERSIONS.includes(options.version) ? options.version : SCHEMA_VERSION;
+    this.content_type = fields.content_type;
+    this.origin = fields.origin || 'human';
+    this.author = fields.author || 'Unknown';
+    this.creation_timestamp = fields.creation_timestamp || new Date().toISOString();
+    this.license = fields.license;
+    this.checksum = fields.checksum;
+    this.signature = fields.signature;
+    this.toolchain = fields.toolchain;
+    this.model_identifier = fields.model_identifier;
+    this.description = fields.description;
+    this.prompt = fields.prompt;
+    this.processing_steps = fields.processing_steps;
+
+    // Extension fields are written and signed like the schema fields
+    this.extensions = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (isExtensionField(key)) this.extensions[key] = value;
+    }
   }
 
   /**
@@ -37,9 +105,7 @@ class ContentMetadata {
     const metadata = new ContentMetadata(options);
     
     // Generate SHA-256 checksum
-    const hash = crypto.createHash('sha256');
-    hash.update(content);
-    metadata.checksum = hash.digest('hex');
+    metadata.checksum = cryptoUtils.checksum(content);
     
     return metadata;
   }
@@ -49,12 +115,7 @@ class ContentMetadata {
    * @returns {Object} - Validation result
    */
   validate() {
-    const { error, value } = metadataSchema.validate(this.toObject());
-    return {
-      isValid: !error,
-      error: error?.details?.[0]?.message,
-      metadata: value
-    };
+    return validateMetadata(this.toObject());
   }
 
   /**
@@ -66,33 +127,29 @@ class ContentMetadata {
       version: this.version,
       origin: this.origin,
       author: this.author,
-      creation_timestamp: this.creation_timestamp,
-      checksum: this.checksum
+      creation_timestamp: this.creation_timestamp
     };
 
     // Only include optional fields if they exist
+    if (this.content_type) obj.content_type = this.content_type;
+    if (this.checksum) obj.checksum = this.checksum;
     if (this.license) obj.license = this.license;
     if (this.signature) obj.signature = this.signature;
     if (this.toolchain) obj.toolchain = this.toolchain;
     if (this.model_identifier) obj.model_identifier = this.model_identifier;
+    if (this.description) obj.description = this.description;
+    if (this.prompt) obj.prompt = this.prompt;
+    if (this.processing_steps) obj.processing_steps = this.processing_steps;
 
-    return obj;
+    return { ...obj, ...this.extensions };
   }
 
   /**
    * Convert to XML format for sidecar files
-   * @returns {string} - XML representation
+   * @returns {string} - Namespaced sidecar XML (see lib/formats/sidecar-xml.js)
    */
   toXML() {
-    const obj = this.toObject();
-    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n<metadata>\n';
-    
-    for (const [key, value] of Object.entries(obj)) {
-      xml += `  <${key}>${this.escapeXML(value)}</${key}>\n`;
-    }
-    
-    xml += '</metadata>';
-    return xml;
+    return require('../formats/sidecar-xml').create(this);
   }
 
   /**
@@ -102,7 +159,7 @@ class ContentMetadata {
   toHTTPHeader() {
     const obj = this.toObject();
     const pairs = Object.entries(obj).map(([key, value]) => 
-      `${key}=${this.escapeHeaderValue(value)}`
+      `${key}=${this.escapeHeaderValue(serializeFieldValue(key, value))}`
     );
     return pairs.join(';');
   }
@@ -114,7 +171,7 @@ class ContentMetadata {
   toHTMLMeta() {
     const obj = this.toObject();
     return Object.entries(obj).map(([key, value]) => 
-      `<meta name="X-Content-${this.capitalizeFirst(key.replace('_', '-'))}" content="${this.escapeHTML(value)}">`
+      `<meta name="X-Content-${this.capitalizeFirst(key.replace('_', '-'))}" content="${this.escapeHTML(serializeFieldValue(key, value))}">`
     );
   }
 
@@ -138,31 +195,16 @@ class ContentMetadata {
   }
 
   /**
-   * Parse XML metadata
+   * Parse XML metadata (namespaced or legacy flat sidecars)
    * @param {string} xml - XML string
-   * @returns {ContentMetadata} - Parsed metadata
+   * @returns {Promise<ContentMetadata>} - Parsed metadata
    */
-  static parseXML(xml) {
-    const xml2js = require('xml2js');
-    const parser = new xml2js.Parser({ explicitArray: false });
-    
-    return new Promise((resolve, reject) => {
-      parser.parseString(xml, (err, result) => {
-        if (err) {
-          reject(new Error(`XML parsing error: ${err.message}`));
-          return;
-        }
-        
-        // Check if metadata exists
-        if (!result || !result.metadata) {
-          reject(new Error(`Invalid XML structure: missing metadata element. Got: ${JSON.stringify(result)}`));
-          return;
-        }
-        
-        const metadata = new ContentMetadata(result.metadata);
-        resolve(metadata);
-      });
-    });
+  static async parseXML(xml) {
+    const entry = await require('../formats/sidecar-xml').parse(xml);
+    if (!entry) {
+      throw new Error('Invalid XML structure: no metadata entry');
+    }
+    return entry.metadata;
   }
 
   /**
@@ -177,7 +219,7 @@ class ContentMetadata {
     for (const pair of pairs) {
       const [key, value] = pair.split('=').map(s => s.trim());
       if (key && value) {
-        options[key] = decodeURIComponent(value);
+        options[key] = parseFieldValue(key, decodeURIComponent(value));
       }
     }
     
@@ -190,13 +232,64 @@ class ContentMetadata {
    * @returns {boolean} - True if content matches checksum
    */
   verifyIntegrity(content) {
-    const hash = crypto.createHash('sha256');
-    hash.update(content);
-    const computedChecksum = hash.digest('hex');
-    return computedChecksum === this.checksum;
+    return cryptoUtils.checksum(content) === this.checksum;
+  }
+
+  /**
+   * Sign metadata with a private key (Ed25519, ECDSA or RSA-PSS)
+   * The signature is stored as "algorithm:keyId:base64"
+   * @param {KeyObject|string|Object} privateKey - Private key as PEM, JWK or KeyObject
+   * @returns {ContentMetadata} - This instance with signature set
+   */
+  sign(privateKey) {
+    this.signature = cryptoUtils.createSignature(this.getSignedData(), privateKey);
+    return this;
+  }
+
+  /**
+   * Verify metadata signature with a public key
+   * @param {KeyObject|string|Object} publicKey - Public key as PEM, JWK or KeyObject
+   * @returns {boolean} - True if signature is present and valid
+   */
+  verifySignature(publicKey) {
+    if (!this.signature) {
+      return false;
+    }
+
+    try {
+      return cryptoUtils.verify(this.getSignedData(), this.signature, publicKey);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Verify metadata signature against a trusted key list
+   * @param {Map|Array|Object} trustedKeys - Trusted public keys
+   * @returns {Object} - Result with valid, trusted, keyId, algorithm and reason
+   */
+  verifySignatureWithKeys(trustedKeys) {
+    if (!this.signature) {
+      return { valid: false, trusted: false, keyId: null, algorithm: null, reason: 'Metadata is not signed' };
+    }
+    return cryptoUtils.verifyWithTrustedKeys(this.getSignedData(), this.signature, trustedKeys);
+  }
+
+  /**
+   * Get the data covered by the signature (all fields except signature)
+   * @returns {string} - Canonical JSON (RFC 8785) of the metadata
+   */
+  getSignedData() {
+    const obj = this.toObject();
+    delete obj.signature;
+    return canonicalize(obj);
   }
 
   // Utility methods
+  serializeValue(value) {
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+  }
+
   escapeXML(str) {
     return String(str)
       .replace(/&/g, '&amp;')
@@ -222,42 +315,158 @@ class ContentMetadata {
     return str.charAt(0).toUpperCase() + str.slice(1);
   }
 }
+
+/**
+ * Convert metadata in any supported shape to the version 1.1 field names
+ * - camelCase multimedia fields (contentType, created, model, processingSteps) become snake_case
+ * - Legacy origins (ai-generated, human-created, ai-assisted) become ai, human, hybrid
+ * - Processing steps serialized as JSON (sidecar/header/HTML) are parsed back
+ * Fields that are already in 1.1 form win over their legacy equivalents; unknown
+ * fields are kept so no information is lost.
+ * @param {Object} metadata - Metadata object (1.0 text, legacy multimedia or 1.1)
+ * @returns {Object} - New metadata object using 1.1 field names
+ */
+function normalizeMetadata(metadata = {}) {
+  const result = {};
+
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value === undefined || key in LEGACY_FIELDS) continue;
+    result[key] = value;
+  }
+
+  for (const [legacyKey, key] of Object.entries(LEGACY_FIELDS)) {
+    if (metadata[legacyKey] !== undefined && result[key] === undefined) {
+      result[key] = metadata[legacyKey];
+    }
+  }
+
+  if (result.origin in LEGACY_ORIGINS) {
+    result.origin = LEGACY_ORIGINS[result.origin];
+  }
+
+  if (typeof result.processing_steps === 'string') {
+    try {
+      result.processing_steps = JSON.parse(result.processing_steps);
+    } catch (error) {
+      // Leave as-is, schema validation will report it
+    }
+  }
+
+  result.version = SCHEMA_VERSION;
+  return result;
+}
+
+/**
+ * Check whether a field is an extension field (outside the schema)
+ * Legacy field names and underscore-prefixed verification flags are not.
+ * @param {string} key - Field name
+ * @returns {boolean} True for extension fields
+ */
+function isExtensionField(key) {
+  return !SCHEMA_FIELDS.includes(key) && !(key in LEGACY_FIELDS) && !key.startsWith('_');
+}
+
+/**
+ * Serialize a field value for the text formats (HTTP header, HTML meta tags)
+ * Extension field values are always JSON so their type survives parsing.
+ * @param {string} key - Field name
+ * @param {*} value - Field value
+ * @returns {string} Serialized value
+ */
+function serializeFieldValue(key, value) {
+  if (isExtensionField(key)) return JSON.stringify(value);
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Parse a field value read from the text formats
+ * Extension field values are JSON; text that is not JSON (written by other
+ * tools) is kept as a string.
+ * @param {string} key - Field name
+ * @param {string} value - Serialized value
+ * @returns {*} Field value
+ */
+function parseFieldValue(key, value) {
+  if (!isExtensionField(key)) return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Validate metadata against the version 1.1 schema
+ * Legacy shapes are normalized first; underscore-prefixed verification
+ * flags added by format handlers (_verified, _signatureValid, ...) are ignored.
+ * @param {Object} metadata - Metadata object
+ * @returns {Object} - Validation result with isValid, error and normalized metadata
+ */
+function validateMetadata(metadata) {
+  if (!metadata || typeof metadata !== 'object') {
+    return { isValid: false, error: 'Metadata must be a valid object', metadata: null };
+  }
+
+  const candidate = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    if (!key.startsWith('_')) candidate[key] = value;
+  }
+
+  // Report the declared version as-is instead of upgrading it
+  const normalized = normalizeMetadata(candidate);
+  if (candidate.version !== undefined) normalized.version = candidate.version;
+
+  const { error, value } = metadataSchema.validate(normalized);
+  return {
+    isValid: !error,
+    error: error?.details?.[0]?.message,
+    metadata: value
+  };
+}
+
 /**
  * Create metadata using simplified interface (compatibility function)
+ * Accepts both 1.1 and legacy multimedia field names and returns a 1.1 object.
  * @param {Object} options - Metadata options
  * @returns {Object} - Metadata object
  */
 function createMetadata(options = {}) {
-  // Map new field names to existing schema
-  const mappedOptions = {
-    origin: options.origin === 'human-created' ? 'human' : 
-            options.origin === 'ai-generated' ? 'ai' : 
-            options.origin || 'human',
-    author: options.author || 'Unknown',
-    creation_timestamp: options.created || new Date().toISOString(),
-    license: options.license,
-    toolchain: options.model,
-    model_identifier: options.model
-  };
+  return new ContentMetadata(normalizeMetadata(options)).toObject();
+}
 
-  // Create ContentMetadata instance
-  const metadata = new ContentMetadata(mappedOptions);
-  
-  // Add additional fields that aren't in the original schema
-  const result = metadata.toObject();
-  
-  // Add both field names for compatibility
-  result.created = result.creation_timestamp; // Add the expected field name
-  
-  if (options.contentType) result.contentType = options.contentType;
-  if (options.description) result.description = options.description;
-  if (options.prompt) result.prompt = options.prompt;
-  if (options.processingSteps) result.processingSteps = options.processingSteps;
-  
-  return result;
+/**
+ * Get the IPTC Digital Source Type URI for an origin
+ * @param {string} origin - Content origin (legacy values accepted)
+ * @returns {string|null} Digital Source Type URI, or null for human and unknown origins
+ */
+function toDigitalSourceType(origin) {
+  const type = DIGITAL_SOURCE_TYPES[LEGACY_ORIGINS[origin] || origin];
+  return type ? IPTC_DIGITAL_SOURCE_TYPE_URI + type : null;
 }
+
+/**
+ * Get the origin for an IPTC Digital Source Type
+ * @param {string} digitalSourceType - Digital Source Type URI or bare code
+ * @returns {string|null} Origin, or null for types without a clear origin
+ */
+function originFromDigitalSourceType(digitalSourceType) {
+  if (!digitalSourceType) return null;
+
+  const type = String(digitalSourceType).replace(IPTC_DIGITAL_SOURCE_TYPE_URI, '');
+  const origin = Object.keys(DIGITAL_SOURCE_TYPES).find(key => DIGITAL_SOURCE_TYPES[key] === type);
+  return origin || DIGITAL_SOURCE_TYPE_ORIGINS[type] || null;
+}
+
 module.exports = {
   ContentMetadata,
   metadataSchema,
-  createMetadata
+  SCHEMA_VERSION,
+  normalizeMetadata,
+  validateMetadata,
+  serializeFieldValue,
+  parseFieldValue,
+  createMetadata,
+  toDigitalSourceType,
+  originFromDigitalSourceType
 };
@@ -0,0 +1,954 @@
+/**
+ * C2PA Manifest Handler for AI Content Tagging Tools
+ * Builds, embeds, reads and verifies C2PA manifest stores (JUMBF) in
+ * JPEG (APP11) and PNG (caBX) files
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const crc32 = require('buffer-crc32');
+const cbor = require('./cbor');
+const cryptoUtils = require('../core/crypto');
+const { stripUnsignedFields } = require('../core/canonical');
+const { normalizeMetadata, validateMetadata, toDigitalSourceType, originFromDigitalSourceType } = require('../core/metadata');
+const { version: PACKAGE_VERSION } = require('../../package.json');
+
+// JUMBF description box types: four characters followed by the common C2PA UUID suffix
+const C2PA_UUID_SUFFIX = Buffer.from('00110010800000AA00389B71', 'hex');
+const JUMBF_TYPES = {
+  STORE: 'c2pa',
+  MANIFEST: 'c2ma',
+  ASSERTIONS: 'c2as',
+  CLAIM: 'c2cl',
+  SIGNATURE: 'c2cs',
+  CBOR: 'cbor',
+  JSON: 'json'
+};
+const JUMD_TOGGLES = 0x03; // Requestable, label present
+
+// Labels
+const STORE_LABEL = 'c2pa';
+const ASSERTION_STORE_LABEL = 'c2pa.assertions';
+const CLAIM_LABEL = 'c2pa.claim';
+const SIGNATURE_LABEL = 'c2pa.signature';
+const ACTIONS_LABEL = 'c2pa.actions';
+const HASH_DATA_LABEL = 'c2pa.hash.data';
+const METADATA_LABEL = 'org.aicontenttagging.metadata';
+
+// JPEG: the store is split over APP11 segments (JPEG XT box format)
+const JPEG_SOI = 0xFFD8;
+const JPEG_SOS = 0xFFDA;
+const JPEG_APP0 = 0xFFE0;
+const JPEG_APP11 = 0xFFEB;
+const JPEG_APP15 = 0xFFEF;
+const JPEG_XT_ID = 'JP'; // Common identifier of JPEG XT APP11 segments
+const JPEG_BOX_INSTANCE = 1;
+const JPEG_JUMBF_CHUNK_SIZE = 65000; // Box payload bytes per APP11 segment
+
+// PNG: the store is the data of a single caBX chunk
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const PNG_C2PA_CHUNK = 'caBX';
+
+// COSE algorithm identifier and digest for each key algorithm
+const COSE_ALGORITHMS = {
+  [cryptoUtils.ALGORITHMS.ED25519]: { id: -8, name: 'Ed25519', hash: null },
+  [cryptoUtils.ALGORITHMS.ECDSA_P256]: { id: -7, name: 'ES256', hash: 'sha256' },
+  [cryptoUtils.ALGORITHMS.ECDSA_P384]: { id: -35, name: 'ES384', hash: 'sha384' },
+  [cryptoUtils.ALGORITHMS.ECDSA_P521]: { id: -36, name: 'ES512', hash: 'sha512' },
+  [cryptoUtils.ALGORITHMS.RSA_PSS]: { id: -37, name: 'PS256', hash: 'sha256' }
+};
+const COSE_HEADER_ALG = 1;
+const COSE_HEADER_X5CHAIN = 33;
+const COSE_SIGN1_TAG = 18;
+
+const HASH_ALGORITHMS = ['sha256', 'sha384', 'sha512'];
+
+/**
+ * C2PA Manifest Handler
+ */
+class C2PAHandler {
+  /**
+   * @param {Object} options - Handler options
+   * @param {string} [options.claimGenerator] - Claim generator recorded in manifests
+   * @param {Array|string} [options.trustAnchors] - CA certificates (PEM, paths or X509Certificate) trusted when verifying
+   */
+  constructor(options = {}) {
+    this.options = {
+      claimGenerator: `ai-content-tagging-tools/${PACKAGE_VERSION}`,
+      trustAnchors: null,
+      ...options
+    };
+  }
+
+  /**
+   * Embed a C2PA manifest store built from AI content metadata
+   * An existing manifest store is replaced.
+   * @param {Buffer|string} imageData - Image file data or path
+   * @param {Object} metadata - RFC-compliant metadata object
+   * @param {Object} options - Signing options
+   * @param {string|Object|KeyObject} options.privateKey - Private key (PEM, JWK, path or KeyObject)
+   * @param {string|Buffer|Array} options.certificateChain - Signing certificate first, then intermediates (PEM, DER, path or array)
+   * @param {string} [options.title] - Asset title recorded in the claim
+   * @returns {Promise<Buffer>} Image with the manifest store
+   */
+  async embedManifest(imageData, metadata, options = {}) {
+    try {
+      const imageBuffer = await this._readImage(imageData);
+
+      metadata = stripUnsignedFields(normalizeMetadata(metadata), ['signature']);
+      const validation = validateMetadata(metadata);
+      if (!validation.isValid) {
+        throw new Error(`Invalid metadata: ${validation.error}`);
+      }
+
+      const format = this._detectImageFormat(imageBuffer);
+      const signer = this._loadSigner(options);
+
+      const baseBuffer = this._removeStore(imageBuffer, format);
+      const insertAt = this._getInsertOffset(baseBuffer, format);
+
+      // Everything outside the store is covered by the data hash, which is
+      // exactly the image without a store
+      const context = {
+        format,
+        title: options.title,
+        signer,
+        hash: crypto.createHash('sha256').update(baseBuffer).digest(),
+        manifestId: crypto.randomUUID(),
+        instanceId: crypto.randomUUID()
+      };
+
+      // The excluded length is part of the store, so size it until stable
+      let container = Buffer.alloc(0);
+      let excludedLength = -1;
+      while (container.length !== excludedLength) {
+        excludedLength = container.length;
+        const store = this._buildManifestStore(metadata, {
+          ...context,
+          exclusion: { start: insertAt, length: excludedLength }
+        });
+        container = this._wrapStore(store, format);
+      }
+
+      return Buffer.concat([baseBuffer.slice(0, insertAt), container, baseBuffer.slice(insertAt)]);
+    } catch (error) {
+      throw new Error(`Failed to embed C2PA manifest: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the C2PA manifest store of an image
+   * @param {Buffer|string} imageData - Image file data or path
+   * @returns {Promise<Object|null>} Manifest store with activeManifest and manifests, or null
+   */
+  async extractManifest(imageData) {
+    try {
+      const imageBuffer = await this._readImage(imageData);
+      const store = this._readStore(imageBuffer, this._detectImageFormat(imageBuffer));
+      if (!store) return null;
+
+      const manifests = store.children
+        .filter(box => box.type === JUMBF_TYPES.MANIFEST)
+        .map(box => this._parseManifest(box));
+
+      return {
+        activeManifest: manifests.length ? manifests[manifests.length - 1].label : null,
+        manifests
+      };
+    } catch (error) {
+      throw new Error(`Failed to extract C2PA manifest: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify the active manifest of an image
+   * Checks the claim signature, the assertion hashes and the data hash;
+   * `trusted` additionally requires the certificate chain to end at a trust anchor.
+   * @param {Buffer|string} imageData - Image file data or path
+   * @param {Object} options - Verification options
+   * @param {Array|string} [options.trustAnchors] - CA certificates trusted for this call
+   * @returns {Promise<Object>} Result with present, valid, trusted, reason, signer and metadata
+   */
+  async verifyManifest(imageData, options = {}) {
+    const result = { present: false, valid: false, trusted: false, reason: null };
+
+    try {
+      const imageBuffer = await this._readImage(imageData);
+      const store = this._readStore(imageBuffer, this._detectImageFormat(imageBuffer));
+      const manifestBoxes = store ? store.children.filter(box => box.type === JUMBF_TYPES.MANIFEST) : [];
+
+      if (manifestBoxes.length === 0) {
+        result.reason = 'No C2PA manifest found';
+        return result;
+      }
+
+      result.present = true;
+      const manifestBox = manifestBoxes[manifestBoxes.length - 1];
+      const manifest = this._parseManifest(manifestBox);
+      result.manifest = manifest.label;
+      result.metadata = manifest.metadata;
+
+      const signature = this._verifyClaimSignature(manifestBox);
+      result.signer = signature.subject;
+      result.algorithm = signature.algorithm;
+      if (!signature.valid) {
+        result.reason = signature.reason;
+        return result;
+      }
+
+      const assertionError = this._verifyAssertionHashes(manifestBox, manifest.claim);
+      if (assertionError) {
+        result.reason = assertionError;
+        return result;
+      }
+
+      const hashData = manifest.assertions[HASH_DATA_LABEL];
+      if (!hashData) {
+        result.reason = 'Manifest has no c2pa.hash.data assertion';
+        return result;
+      }
+      if (!this._verifyDataHash(imageBuffer, hashData)) {
+        result.reason = 'Image data does not match c2pa.hash.data';
+        return result;
+      }
+
+      result.valid = true;
+
+      const anchors = this._loadCertificates(options.trustAnchors || this.options.trustAnchors || []);
+      const trust = this._verifyCertificateChain(signature.certificates, anchors);
+      result.trusted = trust.trusted;
+      result.reason = trust.reason;
+
+      return result;
+    } catch (error) {
+      result.reason = `Failed to verify C2PA manifest: ${error.message}`;
+      return result;
+    }
+  }
+
+  /**
+   * Check if an image has a C2PA manifest store
+   * @param {Buffer|string} imageData - Image file data or path
+   * @returns {Promise<boolean>} True if a manifest store is present
+   */
+  async hasManifest(imageData) {
+    try {
+      return (await this.extractManifest(imageData)) !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove the C2PA manifest store from an image
+   * @param {Buffer|string} imageData - Image file data or path
+   * @returns {Promise<Buffer>} Image without a manifest store
+   */
+  async removeManifest(imageData) {
+    try {
+      const imageBuffer = await this._readImage(imageData);
+      return this._removeStore(imageBuffer, this._detectImageFormat(imageBuffer));
+    } catch (error) {
+      throw new Error(`Failed to remove C2PA manifest: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read image from buffer or path
+   * @param {Buffer|string} imageData - Image file data or path
+   * @returns {Promise<Buffer>} Image buffer
+   */
+  async _readImage(imageData) {
+    return typeof imageData === 'string' ? fs.promises.readFile(imageData) : imageData;
+  }
+
+  /**
+   * Detect image format from file header
+   * @param {Buffer} imageBuffer - Image buffer
+   * @returns {string} 'jpeg' or 'png'
+   */
+  _detectImageFormat(imageBuffer) {
+    if (imageBuffer.length >= 2 && imageBuffer.readUInt16BE(0) === JPEG_SOI) {
+      return 'jpeg';
+    }
+    if (imageBuffer.length >= 8 && imageBuffer.slice(0, 8).equals(PNG_SIGNATURE)) {
+      return 'png';
+    }
+    throw new Error('Unsupported image format for C2PA (JPEG and PNG are supported)');
+  }
+
+  /**
+   * Build the manifest store: assertions, claim and claim signature
+   * @param {Object} metadata - AI metadata
+   * @param {Object} context - Format, signer, data hash, exclusion and identifiers
+   * @returns {Buffer} JUMBF manifest store
+   */
+  _buildManifestStore(metadata, context) {
+    const action = {
+      action: 'c2pa.created',
+      when: metadata.creation_timestamp,
+      digitalSourceType: toDigitalSourceType(metadata.origin) || undefined,
+      softwareAgent: metadata.model_identifier || metadata.toolchain
+    };
+
+    const assertions = [
+      { label: ACTIONS_LABEL, data: { actions: [action] } },
+      { label: METADATA_LABEL, data: metadata },
+      {
+        label: HASH_DATA_LABEL,
+        data: {
+          exclusions: [context.exclusion],
+          name: 'jumbf manifest',
+          alg: 'sha256',
+          hash: context.hash,
+          pad: Buffer.alloc(0)
+        }
+      }
+    ];
+
+    const assertionBoxes = assertions.map(({ label, data }) =>
+      this._createSuperbox(JUMBF_TYPES.CBOR, label, [this._createBox('cbor', cbor.encode(data))]));
+
+    const claim = {
+      claim_generator: this.options.claimGenerator,
+      claim_generator_info: [{ name: 'ai-content-tagging-tools', version: PACKAGE_VERSION }],
+      title: context.title,
+      'dc:format': context.format === 'png' ? 'image/png' : 'image/jpeg',
+      instanceID: `xmp:iid:${context.instanceId}`,
+      signature: `self#jumbf=${SIGNATURE_LABEL}`,
+      assertions: assertions.map(({ label }, index) => ({
+        url: `self#jumbf=${ASSERTION_STORE_LABEL}/${label}`,
+        hash: this._hashBox(assertionBoxes[index], 'sha256')
+      })),
+      alg: 'sha256'
+    };
+    const claimData = cbor.encode(claim);
+
+    const manifest = this._createSuperbox(JUMBF_TYPES.MANIFEST, `urn:uuid:${context.manifestId}`, [
+      this._createSuperbox(JUMBF_TYPES.ASSERTIONS, ASSERTION_STORE_LABEL, assertionBoxes),
+      this._createSuperbox(JUMBF_TYPES.CLAIM, CLAIM_LABEL, [this._createBox('cbor', claimData)]),
+      this._createSuperbox(JUMBF_TYPES.SIGNATURE, SIGNATURE_LABEL, [
+        this._createBox('cbor', this._signClaim(claimData, context.signer))
+      ])
+    ]);
+
+    return this._createSuperbox(JUMBF_TYPES.STORE, STORE_LABEL, [manifest]);
+  }
+
+  /**
+   * Parse a manifest superbox
+   * @param {Object} manifestBox - Parsed JUMBF manifest box
+   * @returns {Object} Manifest with label, claim, assertions, actions, origin and metadata
+   */
+  _parseManifest(manifestBox) {
+    const claimBox = manifestBox.children.find(box => box.type === JUMBF_TYPES.CLAIM);
+    const assertionStore = manifestBox.children.find(box => box.type === JUMBF_TYPES.ASSERTIONS);
+
+    const assertions = {};
+    for (const box of assertionStore ? assertionStore.children : []) {
+      assertions[box.label] = this._readContent(box);
+    }
+
+    const actions = assertions[ACTIONS_LABEL] || assertions['c2pa.actions.v2'];
+    const actionList = actions && Array.isArray(actions.actions) ? actions.actions : [];
+    const created = actionList.find(action => action.digitalSourceType);
+
+    return {
+      label: manifestBox.label,
+      claim: claimBox ? this._readContent(claimBox) : null,
+      assertions,
+      actions: actionList,
+      origin: created ? originFromDigitalSourceType(created.digitalSourceType) : null,
+      metadata: assertions[METADATA_LABEL] || null
+    };
+  }
+
+  /**
+   * Read the content of a JUMBF superbox (CBOR or JSON)
+   * @param {Object} box - Parsed JUMBF box
+   * @returns {*} Decoded content, or the raw bytes for other content types
+   */
+  _readContent(box) {
+    const content = box.contents[0];
+    if (!content) return null;
+
+    if (content.type === 'cbor') return cbor.decode(content.data);
+    if (content.type === 'json') return JSON.parse(content.data.toString('utf8'));
+    return content.data;
+  }
+
+  /**
+   * Sign claim bytes as a COSE_Sign1 structure with a detached payload
+   * @param {Buffer} claimData - CBOR-encoded claim
+   * @param {Object} signer - Signer from _loadSigner
+   * @returns {Buffer} CBOR-encoded COSE_Sign1_Tagged
+   */
+  _signClaim(claimData, signer) {
+    const certificates = signer.certificates.map(certificate => certificate.raw);
+    const protectedHeader = cbor.encode(new Map([
+      [COSE_HEADER_ALG, signer.algorithm.id],
+      [COSE_HEADER_X5CHAIN, certificates.length === 1 ? certificates[0] : certificates]
+    ]));
+
+    const toBeSigned = cbor.encode(['Signature1', protectedHeader, Buffer.alloc(0), claimData]);
+    const signature = crypto.sign(signer.algorithm.hash, toBeSigned, this._getKeyOptions(signer.privateKey, signer.algorithm));
+
+    return cbor.encode(new cbor.Tagged(COSE_SIGN1_TAG, [protectedHeader, {}, null, signature]));
+  }
+
+  /**
+   * Verify the claim signature of a manifest
+   * @param {Object} manifestBox - Parsed JUMBF manifest box
+   * @returns {Object} Result with valid, reason, algorithm, subject and certificates
+   */
+  _verifyClaimSignature(manifestBox) {
+    const claimBox = manifestBox.children.find(box => box.type === JUMBF_TYPES.CLAIM);
+    const signatureBox = manifestBox.children.find(box => box.type === JUMBF_TYPES.SIGNATURE);
+
+    if (!claimBox || !signatureBox || !claimBox.contents[0] || !signatureBox.contents[0]) {
+      return { valid: false, reason: 'Manifest is missing its claim or claim signature', certificates: [] };
+    }
+
+    let coseSign1 = cbor.decode(signatureBox.contents[0].data);
+    if (coseSign1 instanceof cbor.Tagged) coseSign1 = coseSign1.value;
+    if (!Array.isArray(coseSign1) || coseSign1.length !== 4) {
+      return { valid: false, reason: 'Claim signature is not a COSE_Sign1 structure', certificates: [] };
+    }
+
+    const [protectedHeader, unprotectedHeader, , signature] = coseSign1;
+    const headers = this._mergeHeaders(cbor.decode(protectedHeader), unprotectedHeader);
+    const algorithm = Object.values(COSE_ALGORITHMS).find(entry => entry.id === headers.get(COSE_HEADER_ALG));
+    const chain = headers.get(COSE_HEADER_X5CHAIN);
+    const certificates = (Array.isArray(chain) ? chain : chain ? [chain] : [])
+      .map(der => new crypto.X509Certificate(der));
+
+    if (!algorithm) {
+      return { valid: false, reason: `Unsupported COSE algorithm ${headers.get(COSE_HEADER_ALG)}`, certificates };
+    }
+    if (certificates.length === 0) {
+      return { valid: false, reason: 'Claim signature has no x5chain certificate', algorithm: algorithm.name, certificates };
+    }
+
+    const toBeSigned = cbor.encode(['Signature1', protectedHeader, Buffer.alloc(0), claimBox.contents[0].data]);
+    const valid = crypto.verify(algorithm.hash, toBeSigned,
+      this._getKeyOptions(certificates[0].publicKey, algorithm), signature);
+
+    return {
+      valid,
+      reason: valid ? null : 'Claim signature does not match the signing certificate',
+      algorithm: algorithm.name,
+      subject: certificates[0].subject,
+      certificates
+    };
+  }
+
+  /**
+   * Check the hashes the claim records for its assertions
+   * @param {Object} manifestBox - Parsed JUMBF manifest box
+   * @param {Object} claim - Decoded claim
+   * @returns {string|null} Error message, or null when all hashes match
+   */
+  _verifyAssertionHashes(manifestBox, claim) {
+    const assertionStore = manifestBox.children.find(box => box.type === JUMBF_TYPES.ASSERTIONS);
+    const references = [
+      ...(claim.assertions || []),
+      ...(claim.created_assertions || []),
+      ...(claim.gathered_assertions || [])
+    ];
+
+    for (const reference of references) {
+      const label = String(reference.url).split(`${ASSERTION_STORE_LABEL}/`).pop();
+      const box = assertionStore && assertionStore.children.find(child => child.label === label);
+      const alg = reference.alg || claim.alg || 'sha256';
+
+      if (!box) return `Assertion ${label} referenced by the claim is missing`;
+      if (!HASH_ALGORITHMS.includes(alg)) return `Unsupported hash algorithm ${alg}`;
+      if (!this._hashBox(box.raw, alg).equals(Buffer.from(reference.hash))) {
+        return `Assertion ${label} does not match its hash in the claim`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the c2pa.hash.data hard binding
+   * @param {Buffer} imageBuffer - Image buffer
+   * @param {Object} hashData - Decoded c2pa.hash.data assertion
+   * @returns {boolean} True if the image data matches
+   */
+  _verifyDataHash(imageBuffer, hashData) {
+    const alg = hashData.alg || 'sha256';
+    if (!HASH_ALGORITHMS.includes(alg)) return false;
+
+    const exclusions = [...(hashData.exclusions || [])].sort((a, b) => a.start - b.start);
+    const hash = crypto.createHash(alg);
+    let offset = 0;
+
+    for (const { start, length } of exclusions) {
+      if (start < offset || start + length > imageBuffer.length) return false;
+      hash.update(imageBuffer.slice(offset, start));
+      offset = start + length;
+    }
+    hash.update(imageBuffer.slice(offset));
+
+    return hash.digest().equals(Buffer.from(hashData.hash));
+  }
+
+  /**
+   * Validate a certificate chain against trust anchors
+   * @param {Array<X509Certificate>} certificates - Signing certificate first
+   * @param {Array<X509Certificate>} anchors - Trusted CA certificates
+   * @returns {Object} Result with trusted and reason
+   */
+  _verifyCertificateChain(certificates, anchors) {
+    const now = Date.now();
+
+    for (const certificate of certificates) {
+      if (Date.parse(certificate.validFrom) > now || Date.parse(certificate.validTo) < now) {
+        return { trusted: false, reason: `Certificate is not valid at this time: ${certificate.subject}` };
+      }
+    }
+
+    for (let i = 0; i < certificates.length - 1; i++) {
+      if (!certificates[i].checkIssued(certificates[i + 1]) || !certificates[i].verify(certificates[i + 1].publicKey)) {
+        return { trusted: false, reason: `Certificate chain is broken at ${certificates[i].subject}` };
+      }
+    }
+
+    if (anchors.length === 0) {
+      return { trusted: false, reason: 'No trust anchors configured' };
+    }
+
+    const last = certificates[certificates.length - 1];
+    const anchored = anchors.some(anchor =>
+      anchor.fingerprint256 === last.fingerprint256 ||
+      (last.checkIssued(anchor) && last.verify(anchor.publicKey)));
+
+    return anchored
+      ? { trusted: true, reason: null }
+      : { trusted: false, reason: 'Certificate chain does not end at a trust anchor' };
+  }
+
+  /**
+   * Load the signing key and certificate chain
+   * @param {Object} options - Signing options
+   * @returns {Object} Signer with privateKey, algorithm and certificates
+   */
+  _loadSigner(options) {
+    if (!options.privateKey || !options.certificateChain) {
+      throw new Error('C2PA signing requires privateKey and certificateChain');
+    }
+
+    const privateKey = cryptoUtils.loadKey(options.privateKey, 'private');
+    const algorithm = COSE_ALGORITHMS[cryptoUtils.identifyAlgorithm(privateKey)];
+    const certificates = this._loadCertificates(options.certificateChain);
+
+    if (certificates.length === 0) {
+      throw new Error('Certificate chain is empty');
+    }
+
+    const keySpki = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+    const certificateSpki = certificates[0].publicKey.export({ type: 'spki', format: 'der' });
+    if (!keySpki.equals(certificateSpki)) {
+      throw new Error('Signing certificate does not match the private key');
+    }
+
+    return { privateKey, algorithm, certificates };
+  }
+
+  /**
+   * Load X.509 certificates
+   * @param {Array|string|Buffer|X509Certificate} source - PEM (one or more certificates), DER, file path, or an array of these
+   * @returns {Array<X509Certificate>} Certificates
+   */
+  _loadCertificates(source) {
+    if (Array.isArray(source)) {
+      return source.flatMap(item => this._loadCertificates(item));
+    }
+    if (source instanceof crypto.X509Certificate) {
+      return [source];
+    }
+
+    let data = source;
+    if (typeof data === 'string' && !data.includes('-----BEGIN')) {
+      if (!fs.existsSync(data)) {
+        throw new Error(`Certificate file not found: ${data}`);
+      }
+      data = fs.readFileSync(data);
+    }
+
+    const text = Buffer.isBuffer(data) ? data.toString('latin1') : String(data);
+    const pemBlocks = text.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g);
+
+    return pemBlocks
+      ? pemBlocks.map(pem => new crypto.X509Certificate(pem))
+      : [new crypto.X509Certificate(data)];
+  }
+
+  /**
+   * Get sign/verify key options for a COSE algorithm
+   * @param {KeyObject} key - Private or public key
+   * @param {Object} algorithm - Entry of COSE_ALGORITHMS
+   * @returns {Object} Key options for crypto.sign and crypto.verify
+   */
+  _getKeyOptions(key, algorithm) {
+    if (algorithm.id === COSE_ALGORITHMS[cryptoUtils.ALGORITHMS.RSA_PSS].id) {
+      return {
+        key,
+        padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+        saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+      };
+    }
+    // COSE uses fixed-size r || s ECDSA signatures
+    return { key, dsaEncoding: 'ieee-p1363' };
+  }
+
+  /**
+   * Combine COSE protected and unprotected headers
+   * @param {Map|Object} protectedHeaders - Decoded protected header map
+   * @param {Map|Object} unprotectedHeaders - Unprotected header map
+   * @returns {Map} Headers keyed by label (protected headers win)
+   */
+  _mergeHeaders(protectedHeaders, unprotectedHeaders) {
+    const toMap = headers => headers instanceof Map
+      ? headers
+      : new Map(Object.entries(headers || {}).map(([key, value]) => [isNaN(key) ? key : Number(key), value]));
+
+    return new Map([...toMap(unprotectedHeaders), ...toMap(protectedHeaders)]);
+  }
+
+  /**
+   * Hash a JUMBF superbox for a hashed URI (box contents without the superbox header)
+   * @param {Buffer} box - Superbox bytes
+   * @param {string} alg - Hash algorithm
+   * @returns {Buffer} Digest
+   */
+  _hashBox(box, alg) {
+    const headerSize = box.readUInt32BE(0) === 1 ? 16 : 8;
+    return crypto.createHash(alg).update(box.slice(headerSize)).digest();
+  }
+
+  /**
+   * Create a box
+   * @param {string} type - Four-character box type
+   * @param {Buffer} payload - Box payload
+   * @returns {Buffer} Box bytes
+   */
+  _createBox(type, payload) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payload.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, payload]);
+  }
+
+  /**
+   * Create a JUMBF superbox with its description box
+   * @param {string} type - Four-character C2PA content type (see JUMBF_TYPES)
+   * @param {string} label - Box label
+   * @param {Array<Buffer>} children - Content boxes or nested superboxes
+   * @returns {Buffer} Superbox bytes
+   */
+  _createSuperbox(type, label, children) {
+    const description = this._createBox('jumd', Buffer.concat([
+      Buffer.from(type, 'latin1'),
+      C2PA_UUID_SUFFIX,
+      Buffer.from([JUMD_TOGGLES]),
+      Buffer.from(`${label}\0`, 'utf8')
+    ]));
+
+    return this._createBox('jumb', Buffer.concat([description, ...children]));
+  }
+
+  /**
+   * Parse boxes in a range
+   * @param {Buffer} buffer - Data
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   * @returns {Array<Object>} Boxes with type, data and raw bytes
+   */
+  _parseBoxes(buffer, start = 0, end = buffer.length) {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+      let size = buffer.readUInt32BE(offset);
+      const type = buffer.slice(offset + 4, offset + 8).toString('latin1');
+      let headerSize = 8;
+
+      if (size === 1) {
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = end - offset; // Box extends to the end
+      }
+
+      if (size < headerSize || offset + size > end) {
+        throw new Error(`Invalid JUMBF data: box ${type} at ${offset} is truncated`);
+      }
+
+      boxes.push({
+        type,
+        data: buffer.slice(offset + headerSize, offset + size),
+        raw: buffer.slice(offset, offset + size)
+      });
+      offset += size;
+    }
+
+    return boxes;
+  }
+
+  /**
+   * Parse a JUMBF superbox into its description and children
+   * @param {Object} box - Box from _parseBoxes with type 'jumb'
+   * @returns {Object} Superbox with type, label, children (superboxes), contents (other boxes) and raw bytes
+   */
+  _parseSuperbox(box) {
+    const [description, ...rest] = this._parseBoxes(box.data);
+
+    if (!description || description.type !== 'jumd' || description.data.length < 17) {
+      throw new Error('Invalid JUMBF data: superbox without description box');
+    }
+
+    const uuid = description.data.slice(0, 16);
+    const toggles = description.data[16];
+    let label = null;
+
+    if (toggles & 0x02) {
+      const labelEnd = description.data.indexOf(0, 17);
+      label = description.data.slice(17, labelEnd === -1 ? undefined : labelEnd).toString('utf8');
+    }
+
+    return {
+      type: uuid.slice(4).equals(C2PA_UUID_SUFFIX) ? uuid.slice(0, 4).toString('latin1') : uuid.toString('hex'),
+      label,
+      children: rest.filter(child => child.type === 'jumb').map(child => this._parseSuperbox(child)),
+      contents: rest.filter(child => child.type !== 'jumb'),
+      raw: box.raw
+    };
+  }
+
+  /**
+   * Read the manifest store of an image
+   * @param {Buffer} imageBuffer - Image buffer
+   * @param {string} format - 'jpeg' or 'png'
+   * @returns {Object|null} Parsed store superbox, or null
+   */
+  _readStore(imageBuffer, format) {
+    const jumbf = format === 'jpeg'
+      ? this._readJPEGStore(imageBuffer)
+      : this._readPNGStore(imageBuffer);
+    if (!jumbf) return null;
+
+    const [box] = this._parseBoxes(jumbf);
+    if (!box || box.type !== 'jumb') return null;
+
+    const store = this._parseSuperbox(box);
+    return store.type === JUMBF_TYPES.STORE ? store : null;
+  }
+
+  /**
+   * Remove the manifest store of an image
+   * @param {Buffer} imageBuffer - Image buffer
+   * @param {string} format - 'jpeg' or 'png'
+   * @returns {Buffer} Image without the store
+   */
+  _removeStore(imageBuffer, format) {
+    if (format === 'jpeg') {
+      const segments = this._parseJPEGSegments(imageBuffer);
+      const storeSegments = this._getJPEGStoreSegments(segments);
+      return Buffer.concat(segments.filter(segment => !storeSegments.includes(segment)).map(segment => segment.raw));
+    }
+
+    const chunks = this._parsePNGChunks(imageBuffer);
+    return Buffer.concat([PNG_SIGNATURE, ...chunks
+      .filter(chunk => chunk.type !== PNG_C2PA_CHUNK)
+      .map(chunk => chunk.raw)]);
+  }
+
+  /**
+   * Find where the store goes: after the leading APPn segments (JPEG) or after IHDR (PNG)
+   * @param {Buffer} imageBuffer - Image buffer without a store
+   * @param {string} format - 'jpeg' or 'png'
+   * @returns {number} Offset
+   */
+  _getInsertOffset(imageBuffer, format) {
+    if (format === 'jpeg') {
+      const segments = this._parseJPEGSegments(imageBuffer);
+      const firstOther = segments.find(segment =>
+        segment.marker !== JPEG_SOI && (segment.marker < JPEG_APP0 || segment.marker > JPEG_APP15));
+      return firstOther ? firstOther.offset : imageBuffer.length;
+    }
+
+    const ihdr = this._parsePNGChunks(imageBuffer).find(chunk => chunk.type === 'IHDR');
+    if (!ihdr) {
+      throw new Error('Invalid PNG file: missing IHDR chunk');
+    }
+    return ihdr.offset + ihdr.raw.length;
+  }
+
+  /**
+   * Wrap a store for embedding
+   * @param {Buffer} store - JUMBF manifest store
+   * @param {string} format - 'jpeg' or 'png'
+   * @returns {Buffer} APP11 segments or caBX chunk
+   */
+  _wrapStore(store, format) {
+    if (format === 'png') {
+      return this._createPNGChunk(PNG_C2PA_CHUNK, store);
+    }
+
+    // Each APP11 segment repeats the box header and carries the next part of the payload
+    const header = store.slice(0, 8);
+    const payload = store.slice(8);
+    const segments = [];
+
+    for (let offset = 0, sequence = 1; offset < payload.length; offset += JPEG_JUMBF_CHUNK_SIZE, sequence++) {
+      const chunk = payload.slice(offset, offset + JPEG_JUMBF_CHUNK_SIZE);
+      const segmentHeader = Buffer.alloc(12);
+      segmentHeader.writeUInt16BE(JPEG_APP11, 0);
+      segmentHeader.writeUInt16BE(2 + 8 + header.length + chunk.length, 2);
+      segmentHeader.write(JPEG_XT_ID, 4, 'latin1');
+      segmentHeader.writeUInt16BE(JPEG_BOX_INSTANCE, 6);
+      segmentHeader.writeUInt32BE(sequence, 8);
+      segments.push(segmentHeader, header, chunk);
+    }
+
+    return Buffer.concat(segments);
+  }
+
+  /**
+   * Reassemble the manifest store from JPEG APP11 segments
+   * @param {Buffer} imageBuffer - JPEG image buffer
+   * @returns {Buffer|null} JUMBF store, or null
+   */
+  _readJPEGStore(imageBuffer) {
+    const storeSegments = this._getJPEGStoreSegments(this._parseJPEGSegments(imageBuffer));
+    return storeSegments.length ? this._joinJPEGBoxSegments(storeSegments) : null;
+  }
+
+  /**
+   * Find the APP11 segments that carry a C2PA manifest store
+   * @param {Array<Object>} segments - Parsed JPEG segments
+   * @returns {Array<Object>} Store segments in sequence order
+   */
+  _getJPEGStoreSegments(segments) {
+    const instances = new Map();
+
+    for (const segment of segments) {
+      if (segment.marker !== JPEG_APP11 || segment.data.length < 16 ||
+          segment.data.slice(0, 2).toString('latin1') !== JPEG_XT_ID) {
+        continue;
+      }
+      const instance = segment.data.readUInt16BE(2);
+      if (!instances.has(instance)) instances.set(instance, []);
+      instances.get(instance).push(segment);
+    }
+
+    for (const instanceSegments of instances.values()) {
+      instanceSegments.sort((a, b) => a.data.readUInt32BE(4) - b.data.readUInt32BE(4));
+      try {
+        const [box] = this._parseBoxes(this._joinJPEGBoxSegments(instanceSegments));
+        if (box && box.type === 'jumb' && this._parseSuperbox(box).type === JUMBF_TYPES.STORE) {
+          return instanceSegments;
+        }
+      } catch (error) {
+        // Not a (complete) JUMBF box, keep looking
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Join the payloads of APP11 segments of one box instance
+   * @param {Array<Object>} segments - Segments in sequence order
+   * @returns {Buffer} Box bytes
+   */
+  _joinJPEGBoxSegments(segments) {
+    // Segment data: CI (2), En (2), Z (4), then the box header and payload part
+    const headerSize = segments[0].data.readUInt32BE(8) === 1 ? 16 : 8;
+    const header = segments[0].data.slice(8, 8 + headerSize);
+    return Buffer.concat([header, ...segments.map(segment => segment.data.slice(8 + headerSize))]);
+  }
+
+  /**
+   * Parse JPEG into segments up to the start of scan
+   * @param {Buffer} imageBuffer - JPEG image buffer
+   * @returns {Array<Object>} Segments with marker, offset, data (after the length field) and raw bytes
+   */
+  _parseJPEGSegments(imageBuffer) {
+    if (imageBuffer.readUInt16BE(0) !== JPEG_SOI) {
+      throw new Error('Invalid JPEG file: missing SOI marker');
+    }
+
+    const segments = [{ marker: JPEG_SOI, offset: 0, data: Buffer.alloc(0), raw: imageBuffer.slice(0, 2) }];
+    let offset = 2;
+
+    while (offset + 4 <= imageBuffer.length && imageBuffer[offset] === 0xFF) {
+      const marker = imageBuffer.readUInt16BE(offset);
+      if (marker === JPEG_SOS) break;
+
+      const end = offset + 2 + imageBuffer.readUInt16BE(offset + 2);
+      if (end > imageBuffer.length) break;
+
+      segments.push({ marker, offset, data: imageBuffer.slice(offset + 4, end), raw: imageBuffer.slice(offset, end) });
+      offset = end;
+    }
+
+    // Scan data and everything after it
+    segments.push({ marker: JPEG_SOS, offset, data: Buffer.alloc(0), raw: imageBuffer.slice(offset) });
+    return segments;
+  }
+
+  /**
+   * Read the manifest store of a PNG file
+   * @param {Buffer} imageBuffer - PNG image buffer
+   * @returns {Buffer|null} JUMBF store, or null
+   */
+  _readPNGStore(imageBuffer) {
+    const chunk = this._parsePNGChunks(imageBuffer).find(item => item.type === PNG_C2PA_CHUNK);
+    return chunk ? chunk.data : null;
+  }
+
+  /**
+   * Parse PNG into chunks
+   * @param {Buffer} imageBuffer - PNG image buffer
+   * @returns {Array<Object>} Chunks with type, offset, data and raw bytes
+   */
+  _parsePNGChunks(imageBuffer) {
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + 12 <= imageBuffer.length) {
+      const length = imageBuffer.readUInt32BE(offset);
+      const end = offset + 12 + length;
+      if (end > imageBuffer.length) {
+        throw new Error('Invalid PNG file: truncated chunk');
+      }
+
+      const type = imageBuffer.slice(offset + 4, offset + 8).toString('latin1');
+      chunks.push({ type, offset, data: imageBuffer.slice(offset + 8, offset + 8 + length), raw: imageBuffer.slice(offset, end) });
+      offset = end;
+
+      if (type === 'IEND') break;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Create PNG chunk with length and CRC
+   * @param {string} type - Chunk type
+   * @param {Buffer} data - Chunk data
+   * @returns {Buffer} Chunk bytes
+   */
+  _createPNGChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    return Buffer.concat([length, typeAndData, crc32(typeAndData)]);
+  }
+}
+
+module.exports = C2PAHandler;
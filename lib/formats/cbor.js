@@ -0,0 +1,287 @@
+/**
+ * Minimal CBOR (RFC 8949) encoder and decoder
+ * Covers what C2PA manifests and COSE signatures use: integers, byte and
+ * text strings, arrays, maps, tags, floats and simple values.
+ */
+
+const MAJOR_TYPES = {
+  UNSIGNED: 0,
+  NEGATIVE: 1,
+  BYTES: 2,
+  TEXT: 3,
+  ARRAY: 4,
+  MAP: 5,
+  TAG: 6,
+  SIMPLE: 7
+};
+
+const INDEFINITE = 31;
+const BREAK = 0xFF;
+
+/**
+ * Tagged data item (major type 6)
+ */
+class Tagged {
+  /**
+   * @param {number} tag - Tag number
+   * @param {*} value - Tagged value
+   */
+  constructor(tag, value) {
+    this.tag = tag;
+    this.value = value;
+  }
+}
+
+/**
+ * Encode a value
+ * Plain objects are encoded as maps with text keys; use a Map for other key types.
+ * @param {*} value - Value to encode
+ * @returns {Buffer} CBOR data
+ */
+function encode(value) {
+  const parts = [];
+  encodeItem(value, parts);
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decode a single data item
+ * Maps with only text keys become plain objects, other maps become Map instances.
+ * @param {Buffer} buffer - CBOR data
+ * @returns {*} Decoded value
+ */
+function decode(buffer) {
+  const state = { buffer, offset: 0 };
+  const value = decodeItem(state);
+
+  if (state.offset !== buffer.length) {
+    throw new Error(`Invalid CBOR data: ${buffer.length - state.offset} trailing bytes`);
+  }
+
+  return value;
+}
+
+function encodeItem(value, parts) {
+  if (value === false) return parts.push(Buffer.from([0xF4]));
+  if (value === true) return parts.push(Buffer.from([0xF5]));
+  if (value === null) return parts.push(Buffer.from([0xF6]));
+  if (value === undefined) return parts.push(Buffer.from([0xF7]));
+
+  if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) {
+      return parts.push(value >= 0
+        ? encodeHead(MAJOR_TYPES.UNSIGNED, value)
+        : encodeHead(MAJOR_TYPES.NEGATIVE, -1 - value));
+    }
+    const float = Buffer.alloc(9);
+    float[0] = 0xFB;
+    float.writeDoubleBE(value, 1);
+    return parts.push(float);
+  }
+
+  if (typeof value === 'bigint') {
+    return parts.push(value >= 0n
+      ? encodeHead(MAJOR_TYPES.UNSIGNED, value)
+      : encodeHead(MAJOR_TYPES.NEGATIVE, -1n - value));
+  }
+
+  if (typeof value === 'string') {
+    const text = Buffer.from(value, 'utf8');
+    return parts.push(encodeHead(MAJOR_TYPES.TEXT, text.length), text);
+  }
+
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return parts.push(encodeHead(MAJOR_TYPES.BYTES, value.length), Buffer.from(value));
+  }
+
+  if (Array.isArray(value)) {
+    parts.push(encodeHead(MAJOR_TYPES.ARRAY, value.length));
+    return value.forEach(item => encodeItem(item, parts));
+  }
+
+  if (value instanceof Tagged) {
+    parts.push(encodeHead(MAJOR_TYPES.TAG, value.tag));
+    return encodeItem(value.value, parts);
+  }
+
+  if (value instanceof Map) {
+    parts.push(encodeHead(MAJOR_TYPES.MAP, value.size));
+    return value.forEach((item, key) => {
+      encodeItem(key, parts);
+      encodeItem(item, parts);
+    });
+  }
+
+  if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    parts.push(encodeHead(MAJOR_TYPES.MAP, entries.length));
+    return entries.forEach(([key, item]) => {
+      encodeItem(key, parts);
+      encodeItem(item, parts);
+    });
+  }
+
+  throw new Error(`Cannot encode ${typeof value} as CBOR`);
+}
+
+function encodeHead(majorType, length) {
+  const type = majorType << 5;
+  const value = BigInt(length);
+
+  if (value < 24n) return Buffer.from([type | Number(value)]);
+  if (value < 0x100n) return Buffer.from([type | 24, Number(value)]);
+
+  if (value < 0x10000n) {
+    const head = Buffer.alloc(3);
+    head[0] = type | 25;
+    head.writeUInt16BE(Number(value), 1);
+    return head;
+  }
+
+  if (value < 0x100000000n) {
+    const head = Buffer.alloc(5);
+    head[0] = type | 26;
+    head.writeUInt32BE(Number(value), 1);
+    return head;
+  }
+
+  const head = Buffer.alloc(9);
+  head[0] = type | 27;
+  head.writeBigUInt64BE(value, 1);
+  return head;
+}
+
+function decodeItem(state) {
+  const { majorType, info, length } = readHead(state);
+
+  switch (majorType) {
+    case MAJOR_TYPES.UNSIGNED:
+      return length;
+    case MAJOR_TYPES.NEGATIVE:
+      return typeof length === 'bigint' ? -1n - length : -1 - length;
+    case MAJOR_TYPES.BYTES:
+    case MAJOR_TYPES.TEXT: {
+      const bytes = info === INDEFINITE
+        ? readChunks(state, majorType)
+        : readBytes(state, length);
+      return majorType === MAJOR_TYPES.TEXT ? bytes.toString('utf8') : bytes;
+    }
+    case MAJOR_TYPES.ARRAY: {
+      const items = [];
+      while (info === INDEFINITE ? !readBreak(state) : items.length < length) {
+        items.push(decodeItem(state));
+      }
+      return items;
+    }
+    case MAJOR_TYPES.MAP: {
+      const entries = [];
+      while (info === INDEFINITE ? !readBreak(state) : entries.length < length) {
+        entries.push([decodeItem(state), decodeItem(state)]);
+      }
+      return entries.every(([key]) => typeof key === 'string')
+        ? Object.fromEntries(entries)
+        : new Map(entries);
+    }
+    case MAJOR_TYPES.TAG:
+      return new Tagged(length, decodeItem(state));
+    default:
+      return decodeSimple(state, info, length);
+  }
+}
+
+function readHead(state) {
+  const { buffer } = state;
+  if (state.offset >= buffer.length) {
+    throw new Error('Invalid CBOR data: unexpected end of data');
+  }
+
+  const initial = buffer[state.offset++];
+  const majorType = initial >> 5;
+  const info = initial & 0x1F;
+
+  // Floats are read by decodeSimple from the raw bytes
+  if (majorType === MAJOR_TYPES.SIMPLE && info >= 25 && info <= 27) {
+    return { majorType, info, length: null };
+  }
+
+  let length;
+  if (info < 24) {
+    length = info;
+  } else if (info === 24) {
+    length = readBytes(state, 1)[0];
+  } else if (info === 25) {
+    length = readBytes(state, 2).readUInt16BE(0);
+  } else if (info === 26) {
+    length = readBytes(state, 4).readUInt32BE(0);
+  } else if (info === 27) {
+    const value = readBytes(state, 8).readBigUInt64BE(0);
+    length = value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+  } else if (info === INDEFINITE && majorType !== MAJOR_TYPES.UNSIGNED &&
+             majorType !== MAJOR_TYPES.NEGATIVE && majorType !== MAJOR_TYPES.TAG) {
+    length = null;
+  } else {
+    throw new Error(`Invalid CBOR data: reserved additional information ${info}`);
+  }
+
+  return { majorType, info, length };
+}
+
+function decodeSimple(state, info, value) {
+  if (info === 25) return readHalfFloat(readBytes(state, 2).readUInt16BE(0));
+  if (info === 26) return readBytes(state, 4).readFloatBE(0);
+  if (info === 27) return readBytes(state, 8).readDoubleBE(0);
+
+  switch (value) {
+    case 20: return false;
+    case 21: return true;
+    case 22: return null;
+    case 23: return undefined;
+    default:
+      throw new Error(`Unsupported CBOR simple value ${value}`);
+  }
+}
+
+function readHalfFloat(half) {
+  const exponent = (half >> 10) & 0x1F;
+  const mantissa = half & 0x3FF;
+  const sign = half & 0x8000 ? -1 : 1;
+
+  if (exponent === 0) return sign * mantissa * 2 ** -24;
+  if (exponent === 31) return mantissa ? NaN : sign * Infinity;
+  return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+function readChunks(state, majorType) {
+  const chunks = [];
+  while (!readBreak(state)) {
+    const { majorType: chunkType, length } = readHead(state);
+    if (chunkType !== majorType || length === null) {
+      throw new Error('Invalid CBOR data: bad chunk in indefinite-length string');
+    }
+    chunks.push(readBytes(state, length));
+  }
+  return Buffer.concat(chunks);
+}
+
+function readBreak(state) {
+  if (state.buffer[state.offset] === BREAK) {
+    state.offset++;
+    return true;
+  }
+  return false;
+}
+
+function readBytes(state, length) {
+  if (typeof length !== 'number' || state.offset + length > state.buffer.length) {
+    throw new Error('Invalid CBOR data: unexpected end of data');
+  }
+  const bytes = state.buffer.slice(state.offset, state.offset + length);
+  state.offset += length;
+  return bytes;
+}
+
+module.exports = {
+  Tagged,
+  encode,
+  decode
+};
@@ -5,26 +5,86 @@
 
 const crypto = require('crypto');
 const fs = require('fs').promises;
+const zlib = require('zlib');
+const crc32 = require('buffer-crc32');
+const tiff = require('./tiff-ifd');
+const xmp = require('./xmp');
+const cryptoUtils = require('../core/crypto');
+const { canonicalize, stripUnsignedFields } = require('../core/canonical');
+const { normalizeMetadata, validateMetadata } = require('../core/metadata');
 
 // EXIF tag constants for AI metadata
-const EXIF_AI_METADATA_TAG = 0x9C9B; // UserComment field for AI metadata
+const EXIF_AI_METADATA_TAG = 0x9286; // UserComment field (Exif SubIFD) for AI metadata
 const EXIF_COPYRIGHT_TAG = 0x8298; // Copyright field
 const EXIF_ARTIST_TAG = 0x013B; // Artist field
 const EXIF_SOFTWARE_TAG = 0x0131; // Software field
-
-// XMP namespace for AI content metadata
-const AI_XMP_NAMESPACE = 'http://aicontenttagging.org/schemas/1.0/';
-const AI_XMP_PREFIX = 'aicontag';
+const EXIF_WRITTEN_TAGS_FIELD = '_exifTags'; // IFD0 tags we wrote, kept in the AI JSON
+
+// EXIF IFD pointers and thumbnail tags
+const EXIF_IFD_POINTER = 0x8769;
+const EXIF_GPS_IFD_POINTER = 0x8825;
+const EXIF_INTEROP_IFD_POINTER = 0xA005;
+const EXIF_THUMBNAIL_OFFSET = 0x0201;
+const EXIF_THUMBNAIL_LENGTH = 0x0202;
+const EXIF_UNICODE_PREFIX = Buffer.from('UNICODE\0', 'ascii');
+
+// XMP in JPEG APP1 segments (the aicontag packet itself is built in xmp.js)
+const XMP_IDENTIFIER = 'http://ns.adobe.com/xap/1.0/\0';
+const XMP_EXTENSION_IDENTIFIER = 'http://ns.adobe.com/xmp/extension/\0';
+const XMP_NOTE_NAMESPACE = 'http://ns.adobe.com/xmp/note/';
+const XMP_EXTENSION_CHUNK_SIZE = 65400; // Extended XMP bytes per APP1 segment
 
 // JPEG markers
 const JPEG_SOI = 0xFFD8; // Start of Image
 const JPEG_APP1 = 0xFFE1; // Application segment 1 (EXIF/XMP)
+const JPEG_APP11 = 0xFFEB; // Application segment 11 (JUMBF, e.g. C2PA manifests)
 const JPEG_SOS = 0xFFDA; // Start of Scan
+const JPEG_MAX_SEGMENT_DATA = 65533; // 16-bit segment length minus the length field
+
+// PNG constants
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp'; // Keyword for XMP in iTXt chunks
+const PNG_TEXT_CHUNKS = ['iTXt', 'tEXt', 'zTXt'];
+const PNG_METADATA_CHUNKS = [...PNG_TEXT_CHUNKS, 'eXIf']; // Excluded from the content checksum
+const PNG_C2PA_CHUNK = 'caBX'; // C2PA manifest store, also excluded from the content checksum
+
+// Magic bytes of the supported containers
+const IMAGE_SIGNATURES = {
+  jpeg: buffer => buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF,
+  png: buffer => buffer.length >= 4 && buffer.slice(0, 4).equals(PNG_SIGNATURE.slice(0, 4)),
+  tiff: buffer => buffer.length >= 4 && ['II', 'MM'].includes(buffer.slice(0, 2).toString('latin1')),
+  webp: buffer => buffer.length >= 12 &&
+    buffer.slice(0, 4).toString('latin1') === 'RIFF' &&
+    buffer.slice(8, 12).toString('latin1') === 'WEBP'
+};
+
+// TIFF tags
+const TIFF_XMP_TAG = 700; // XMLPacket
+const TIFF_AI_METADATA_TAG = 0xC9A1; // Private tag holding the JSON metadata
+const TIFF_STRIP_OFFSETS = 273;
+const TIFF_STRIP_BYTE_COUNTS = 279;
+const TIFF_TILE_OFFSETS = 324;
+const TIFF_TILE_BYTE_COUNTS = 325;
+
+// WebP (RIFF) chunks and VP8X flags
+const WEBP_XMP_CHUNK = 'XMP ';
+const WEBP_EXIF_CHUNK = 'EXIF';
+const WEBP_METADATA_CHUNKS = ['VP8X', WEBP_XMP_CHUNK, WEBP_EXIF_CHUNK]; // Excluded from the content checksum
+const WEBP_IMAGE_CHUNKS = ['VP8X', 'ICCP', 'ANIM', 'ANMF', 'ALPH', 'VP8 ', 'VP8L'];
+const VP8X_FLAG_ALPHA = 0x10;
+const VP8X_FLAG_EXIF = 0x08;
+const VP8X_FLAG_XMP = 0x04;
 
 /**
  * EXIF/XMP Image Metadata Handler
  */
 class EXIFImageHandler {
+  /**
+   * @param {Object} options - Handler options
+   * @param {string|Object|KeyObject} [options.publicKey] - Public key (PEM, JWK or KeyObject) used to verify signatures
+   * @param {Array|Object} [options.publicKeys] - Key set (array or keyId -> key map)
+   * @param {Function} [options.keyResolver] - Resolves key(s) for a metadata object, may be async
+   */
   constructor(options = {}) {
     this.options = {
       preferredFormat: 'xmp', // 'exif' or 'xmp' or 'both'
@@ -48,11 +108,25 @@ class EXIFImageHandler {
         ? await fs.readFile(imageData)
         : imageData;
 
-      // Validate metadata structure
+      // Convert legacy field names to the 1.1 schema and validate
+      // (a signature from a previous embedding is dropped, it no longer applies)
+      metadata = stripUnsignedFields(normalizeMetadata(metadata), ['signature']);
       this._validateMetadata(metadata);
 
       // Detect image format
       const format = this._detectImageFormat(imageBuffer);
+
+      // Checksum covers the image data, so it is part of the signed metadata
+      if (options.includeChecksum !== false) {
+        metadata.checksum = this._calculateContentChecksum(imageBuffer, format);
+      } else {
+        delete metadata.checksum;
+      }
+
+      // Sign metadata if private key provided
+      if (options.privateKey) {
+        options = { ...options, signature: await this._createSignature(metadata, options.privateKey) };
+      }
       
       if (format === 'jpeg') {
         return await this._embedJPEGMetadata(imageBuffer, metadata, options);
@@ -60,6 +134,8 @@ class EXIFImageHandler {
         return await this._embedTIFFMetadata(imageBuffer, metadata, options);
       } else if (format === 'png') {
         return await this._embedPNGMetadata(imageBuffer, metadata, options);
+      } else if (format === 'webp') {
+        return await this._embedWebPMetadata(imageBuffer, metadata, options);
       } else {
         throw new Error(`Unsupported image format: ${format}`);
       }
@@ -71,9 +147,10 @@ class EXIFImageHandler {
   /**
    * Extract AI content metadata from image file
    * @param {Buffer|string} imageData - Image file data or path
+   * @param {Object} options - Extraction options (publicKey, publicKeys, keyResolver)
    * @returns {Promise<Object|null>} Extracted metadata object or null if not found
    */
-  async extractMetadata(imageData) {
+  async extractMetadata(imageData, options = {}) {
     try {
       // Read image file if path provided
       const imageBuffer = typeof imageData === 'string' 
@@ -91,6 +168,15 @@ class EXIFImageHandler {
         metadata = await this._extractTIFFMetadata(imageBuffer);
       } else if (format === 'png') {
         metadata = await this._extractPNGMetadata(imageBuffer);
+      } else if (format === 'webp') {
+        metadata = await this._extractWebPMetadata(imageBuffer);
+      }
+
+      // Fall back to the IPTC and Dublin Core fields written by other tools
+      if (!metadata) {
+        metadata = this._getXMPPackets(imageBuffer, format)
+          .map(xmpData => xmp.parseStandardData(xmpData))
+          .find(Boolean) || null;
       }
 
       if (metadata) {
@@ -102,12 +188,15 @@ class EXIFImageHandler {
 
         // Verify signature if present
         if (metadata.signature) {
-          const signatureValid = await this._verifySignature(metadata);
-          metadata._signatureValid = signatureValid;
+          const result = await this._verifySignature(metadata, options);
+          metadata._signatureValid = result.valid;
+          metadata._signatureReason = result.reason;
+          if (result.keyId) metadata._signatureKeyId = result.keyId;
         }
       }
 
-      return metadata;
+      // Verification runs on the stored fields; callers get the 1.1 field names
+      return metadata ? normalizeMetadata(metadata) : null;
     } catch (error) {
       throw new Error(`Failed to extract image metadata: ${error.message}`);
     }
@@ -146,6 +235,8 @@ class EXIFImageHandler {
         return await this._removeTIFFMetadata(imageBuffer);
       } else if (format === 'png') {
         return await this._removePNGMetadata(imageBuffer);
+      } else if (format === 'webp') {
+        return await this._removeWebPMetadata(imageBuffer);
       } else {
         return imageBuffer; // Return unchanged for unsupported formats
       }
@@ -157,29 +248,22 @@ class EXIFImageHandler {
   /**
    * Detect image format from buffer
    * @param {Buffer} imageBuffer - Image data buffer
-   * @returns {string} Image format ('jpeg', 'png', 'tiff', 'unknown')
+   * @returns {string} Image format ('jpeg', 'png', 'tiff', 'webp', 'unknown')
    */
   _detectImageFormat(imageBuffer) {
-    if (imageBuffer.length < 4) return 'unknown';
-
-    // JPEG: FF D8 FF
-    if (imageBuffer[0] === 0xFF && imageBuffer[1] === 0xD8 && imageBuffer[2] === 0xFF) {
-      return 'jpeg';
-    }
-
-    // PNG: 89 50 4E 47
-    if (imageBuffer[0] === 0x89 && imageBuffer[1] === 0x50 && 
-        imageBuffer[2] === 0x4E && imageBuffer[3] === 0x47) {
-      return 'png';
-    }
-
-    // TIFF: 49 49 (II) or 4D 4D (MM)
-    if ((imageBuffer[0] === 0x49 && imageBuffer[1] === 0x49) ||
-        (imageBuffer[0] === 0x4D && imageBuffer[1] === 0x4D)) {
-      return 'tiff';
-    }
+    return EXIFImageHandler.detectImageFormat(imageBuffer);
+  }
 
-    return 'unknown';
+  /**
+   * Detect the image container this handler supports from magic bytes
+   * The format registry (registry.js) declares one format per container
+   * with these checks.
+   * @param {Buffer} imageBuffer - Image data (at least the first bytes)
+   * @returns {string} Image format ('jpeg', 'png', 'tiff', 'webp', 'unknown')
+   */
+  static detectImageFormat(imageBuffer) {
+    const container = Object.keys(IMAGE_SIGNATURES).find(format => IMAGE_SIGNATURES[format](imageBuffer));
+    return container || 'unknown';
   }
 
   /**
@@ -191,16 +275,24 @@ class EXIFImageHandler {
    */
   async _embedJPEGMetadata(imageBuffer, metadata, options = {}) {
     const segments = this._parseJPEGSegments(imageBuffer);
+
+    // Create XMP segments, merged with existing XMP packets
+    const xmpSegments = this._createJPEGXMPSegments(segments, metadata, options);
     
-    // Create XMP segment
-    const xmpData = this._createXMPData(metadata, options);
-    const xmpSegment = this._createAPP1Segment(xmpData, 'XMP');
-    
-    // Create EXIF segment if requested
+    // Create EXIF segment if requested, merged with the existing EXIF block
     let exifSegment = null;
+    let existingExifSegment = null;
     if (this.options.preferredFormat === 'exif' || this.options.preferredFormat === 'both') {
-      const exifData = this._createEXIFData(metadata, options);
-      exifSegment = this._createAPP1Segment(exifData, 'EXIF');
+      existingExifSegment = segments.find(segment => this._isAPP1Segment(segment) && this._extractEXIFFromSegment(segment));
+      const existingExif = existingExifSegment && this.options.preserveExisting
+        ? this._extractEXIFFromSegment(existingExifSegment)
+        : null;
+      const exifData = this._createEXIFData(metadata, options, existingExif);
+      if (exifData) {
+        exifSegment = this._createAPP1Segment(exifData, 'EXIF');
+      } else {
+        existingExifSegment = null; // Unreadable EXIF is kept as it is
+      }
     }
 
     // Rebuild JPEG with new metadata
@@ -211,12 +303,16 @@ class EXIFImageHandler {
       newSegments.push(exifSegment);
     }
 
-    // Add XMP segment
-    newSegments.push(xmpSegment);
+    // Add XMP segment (and Extended XMP segments)
+    newSegments.push(...xmpSegments);
 
     // Add remaining segments (skip existing EXIF/XMP if not preserving)
     for (let i = 1; i < segments.length; i++) {
       const segment = segments[i];
+
+      if (segment === existingExifSegment || this._extractXMPFromSegment(segment) || this._extractExtendedXMPFromSegment(segment)) {
+        continue; // Replaced by the merged EXIF and XMP segments
+      }
       
       if (!this.options.preserveExisting && this._isMetadataSegment(segment)) {
         continue; // Skip existing metadata
@@ -238,10 +334,11 @@ class EXIFImageHandler {
     
     for (const segment of segments) {
       if (this._isAPP1Segment(segment)) {
-        // Check for XMP data
+        // Check for XMP data, with the Extended XMP packet it references
         const xmpData = this._extractXMPFromSegment(segment);
         if (xmpData) {
-          const metadata = this._parseXMPData(xmpData);
+          const extendedXmp = this._readExtendedXMP(segments, [xmpData]);
+          const metadata = xmp.parseAIData(extendedXmp ? Buffer.concat([xmpData, extendedXmp]) : xmpData);
           if (metadata) return metadata;
         }
 
@@ -266,7 +363,39 @@ class EXIFImageHandler {
     const segments = this._parseJPEGSegments(imageBuffer);
     const filteredSegments = [];
 
+    const xmpPackets = segments.map(segment => this._extractXMPFromSegment(segment)).filter(Boolean);
+    const extendedXmp = this._readExtendedXMP(segments, xmpPackets);
+    const extendedHasAI = xmp.containsAIData(extendedXmp);
+
     for (const segment of segments) {
+      const exifData = this._isAPP1Segment(segment) ? this._extractEXIFFromSegment(segment) : null;
+
+      if (exifData && this._parseEXIFData(exifData)) {
+        // Keep camera tags, drop only the AI metadata
+        const cleaned = this._removeEXIFAIData(exifData);
+        if (cleaned) filteredSegments.push(this._createAPP1Segment(cleaned, 'EXIF'));
+        continue;
+      }
+
+      const xmpData = this._extractXMPFromSegment(segment);
+
+      if (xmpData) {
+        // Keep other XMP namespaces, drop only the aicontag properties
+        const cleaned = xmp.removeAIData(xmpData);
+        if (extendedHasAI) {
+          if (cleaned) filteredSegments.push(...this._createXMPSegments(cleaned, xmp.removeAIData(extendedXmp)));
+        } else if (cleaned === xmpData) {
+          filteredSegments.push(segment);
+        } else if (cleaned) {
+          filteredSegments.push(this._createAPP1Segment(cleaned, 'XMP'));
+        }
+        continue;
+      }
+
+      if (extendedHasAI && this._extractExtendedXMPFromSegment(segment)) {
+        continue; // Rewritten along with the standard XMP segment
+      }
+
       if (this._isMetadataSegment(segment) && this._containsAIMetadata(segment)) {
         continue; // Skip AI metadata segments
       }
@@ -325,14 +454,23 @@ class EXIFImageHandler {
   /**
    * Create APP1 segment for EXIF or XMP data
    * @param {Buffer} data - Metadata data
-   * @param {string} type - 'EXIF' or 'XMP'
+   * @param {string} type - 'EXIF', 'XMP' or 'XMP_EXTENSION'
    * @returns {Buffer} APP1 segment
+   * @throws {Error} If the data does not fit in a single segment
    */
   _createAPP1Segment(data, type) {
-    const identifier = type === 'XMP' 
-      ? Buffer.from('http://ns.adobe.com/xap/1.0/\0')
-      : Buffer.from('Exif\0\0');
-    
+    const identifiers = {
+      EXIF: 'Exif\0\0',
+      XMP: XMP_IDENTIFIER,
+      XMP_EXTENSION: XMP_EXTENSION_IDENTIFIER
+    };
+    const identifier = Buffer.from(identifiers[type], 'latin1');
+
+    if (identifier.length + data.length > JPEG_MAX_SEGMENT_DATA) {
+      throw new Error(`${type} data is too large for a JPEG APP1 segment: ` +
+        `${data.length} bytes (maximum ${JPEG_MAX_SEGMENT_DATA - identifier.length})`);
+    }
+
     const totalLength = 2 + 2 + identifier.length + data.length; // marker + length + identifier + data
     const segment = Buffer.alloc(totalLength);
     
@@ -349,70 +487,443 @@ class EXIFImageHandler {
   }
 
   /**
-   * Create XMP data for AI metadata
+   * Create XMP segments for a JPEG file
+   * The JSON metadata moves to an Extended XMP packet when the standard
+   * packet would not fit in one APP1 segment (long prompts or processing
+   * histories). An existing Extended XMP packet from other tools is kept.
+   * @param {Array<Buffer>} segments - Existing JPEG segments
    * @param {Object} metadata - AI metadata
    * @param {Object} options - Creation options
-   * @returns {Buffer} XMP data buffer
-   */
-  _createXMPData(metadata, options = {}) {
-    const xmpTemplate = `<?xml version="1.0" encoding="UTF-8"?>
-<x:xmpmeta xmlns:x="adobe:ns:meta/" x:xmptk="AI Content Tagging Tools 1.0">
-  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
-    <rdf:Description rdf:about="" xmlns:${AI_XMP_PREFIX}="${AI_XMP_NAMESPACE}">
-      <${AI_XMP_PREFIX}:contentType>${this._escapeXML(metadata.contentType)}</${AI_XMP_PREFIX}:contentType>
-      <${AI_XMP_PREFIX}:origin>${this._escapeXML(metadata.origin)}</${AI_XMP_PREFIX}:origin>
-      <${AI_XMP_PREFIX}:created>${this._escapeXML(metadata.created)}</${AI_XMP_PREFIX}:created>
-      ${metadata.author ? `<${AI_XMP_PREFIX}:author>${this._escapeXML(metadata.author)}</${AI_XMP_PREFIX}:author>` : ''}
-      ${metadata.description ? `<${AI_XMP_PREFIX}:description>${this._escapeXML(metadata.description)}</${AI_XMP_PREFIX}:description>` : ''}
-      ${metadata.license ? `<${AI_XMP_PREFIX}:license>${this._escapeXML(metadata.license)}</${AI_XMP_PREFIX}:license>` : ''}
-      <${AI_XMP_PREFIX}:metadata>${this._escapeXML(JSON.stringify(metadata))}</${AI_XMP_PREFIX}:metadata>
-      ${options.includeChecksum !== false ? `<${AI_XMP_PREFIX}:checksum>${this._createChecksum(metadata)}</${AI_XMP_PREFIX}:checksum>` : ''}
-    </rdf:Description>
-  </rdf:RDF>
-</x:xmpmeta>`;
-
-    return Buffer.from(xmpTemplate, 'utf8');
-  }
-
-  /**
-   * Create EXIF data for AI metadata
+   * @returns {Array<Buffer>} Standard XMP segment followed by any Extended XMP segments
+   */
+  _createJPEGXMPSegments(segments, metadata, options = {}) {
+    const existingXmp = this.options.preserveExisting
+      ? segments.map(segment => this._extractXMPFromSegment(segment)).filter(Boolean)
+      : [];
+    const existingExtended = this._readExtendedXMP(segments, existingXmp);
+
+    let xmpData = xmp.merge(existingXmp, metadata, options);
+    let extendedData = existingExtended ? xmp.removeAIData(existingExtended) : null;
+
+    if (XMP_IDENTIFIER.length + xmpData.length > JPEG_MAX_SEGMENT_DATA) {
+      xmpData = xmp.merge(existingXmp, metadata, { ...options, xmpPart: 'standard' });
+      extendedData = xmp.merge(extendedData ? [extendedData] : [], metadata, { ...options, xmpPart: 'extended' });
+    }
+
+    return this._createXMPSegments(xmpData, extendedData);
+  }
+
+  /**
+   * Create the standard XMP segment and the Extended XMP segments
+   * The extended packet is identified by the uppercase MD5 of its bytes,
+   * recorded as xmpNote:HasExtendedXMP in the standard packet. No segments
+   * are created when neither packet has a description left (after removal).
+   * @param {Buffer} xmpData - Standard XMP packet
+   * @param {Buffer|null} extendedData - Extended XMP packet
+   * @returns {Array<Buffer>} APP1 segments
+   */
+  _createXMPSegments(xmpData, extendedData) {
+    const guid = extendedData
+      ? crypto.createHash('md5').update(extendedData).digest('hex').toUpperCase()
+      : null;
+
+    let xmpString = xmp.removeProperties(xmpData.toString('utf8'), XMP_NOTE_NAMESPACE, 'HasExtendedXMP');
+    if (guid) {
+      xmpString = xmpString.replace(xmp.RDF_CLOSE_PATTERN, (match, indent) =>
+        `${indent}<rdf:Description rdf:about="" xmlns:xmpNote="${XMP_NOTE_NAMESPACE}" xmpNote:HasExtendedXMP="${guid}"/>${indent}</rdf:RDF>`);
+    } else if (!/<rdf:Description\b/.test(xmpString)) {
+      return [];
+    }
+
+    const segments = [this._createAPP1Segment(Buffer.from(xmpString, 'utf8'), 'XMP')];
+
+    for (let offset = 0; extendedData && offset < extendedData.length; offset += XMP_EXTENSION_CHUNK_SIZE) {
+      // GUID, full length and offset of this chunk precede the chunk data
+      const header = Buffer.alloc(40);
+      header.write(guid, 0, 'ascii');
+      header.writeUInt32BE(extendedData.length, 32);
+      header.writeUInt32BE(offset, 36);
+
+      const chunk = extendedData.slice(offset, offset + XMP_EXTENSION_CHUNK_SIZE);
+      segments.push(this._createAPP1Segment(Buffer.concat([header, chunk]), 'XMP_EXTENSION'));
+    }
+
+    return segments;
+  }
+
+  /**
+   * Reassemble the Extended XMP packet referenced by standard XMP packets
+   * @param {Array<Buffer>} segments - JPEG segments
+   * @param {Array<Buffer>} xmpPackets - Standard XMP packets
+   * @returns {Buffer|null} Extended XMP packet, or null when absent, incomplete or corrupt
+   */
+  _readExtendedXMP(segments, xmpPackets) {
+    const guid = xmpPackets
+      .map(packet => packet.toString('utf8').match(/HasExtendedXMP(?:\s*=\s*["']|>)([0-9A-Fa-f]{32})/))
+      .filter(Boolean)
+      .map(match => match[1].toUpperCase())[0];
+
+    if (!guid) return null;
+
+    let extended = null;
+    let received = 0;
+
+    for (const segment of segments) {
+      const chunk = this._extractExtendedXMPFromSegment(segment);
+      if (!chunk || chunk.guid !== guid) continue;
+
+      if (!extended) extended = Buffer.alloc(chunk.fullLength);
+      if (chunk.fullLength !== extended.length || chunk.offset + chunk.data.length > extended.length) {
+        return null;
+      }
+
+      chunk.data.copy(extended, chunk.offset);
+      received += chunk.data.length;
+    }
+
+    if (!extended || received !== extended.length) return null;
+
+    const digest = crypto.createHash('md5').update(extended).digest('hex').toUpperCase();
+    return digest === guid ? extended : null;
+  }
+
+  /**
+   * Create EXIF data (TIFF structure) for AI metadata
+   * The JSON metadata goes in UserComment in the Exif SubIFD; author, license
+   * and toolchain go in Artist, Copyright and Software in IFD0 unless the
+   * camera already set them. The tags we wrote are listed in the JSON so that
+   * removal drops exactly those. An existing EXIF block (camera settings,
+   * MakerNote, GPS, thumbnail) is kept in place and extended.
    * @param {Object} metadata - AI metadata
-   * @param {Object} options - Creation options
-   * @returns {Buffer} EXIF data buffer
+   * @param {Object} options - Creation options (signature)
+   * @param {Buffer|null} existingExif - Existing EXIF TIFF data to merge with
+   * @returns {Buffer|null} EXIF data buffer (without the Exif\0\0 identifier), or null
+   *   when the existing EXIF data cannot be read and has to be left as it is
    */
-  _createEXIFData(metadata, options = {}) {
-    // Simplified EXIF creation - store AI metadata in UserComment field
-    const metadataJson = JSON.stringify(metadata);
-    const encodingType = Buffer.from('UNICODE\0', 'ascii');
-    const metadataBuffer = Buffer.from(metadataJson, 'utf16le');
-    
-    // Create minimal EXIF structure
-    const exifData = Buffer.concat([encodingType, metadataBuffer]);
-    
-    return exifData;
+  _createEXIFData(metadata, options = {}, existingExif = null) {
+    // Raw UserComment blobs written by earlier versions are ours to replace
+    const mergeWith = existingExif && !existingExif.slice(0, 8).equals(EXIF_UNICODE_PREFIX) ? existingExif : null;
+    const directories = mergeWith ? this._readEXIFDirectories(mergeWith) : {
+      littleEndian: true, ifd0: [], exif: [], gps: [], interop: [], ifd1: [], thumbnail: null
+    };
+    if (!directories) return null;
+
+    const { littleEndian } = directories;
+    const { TIFF_TYPES } = tiff;
+
+    const setEntry = (entries, tag, type, value) => {
+      const filtered = entries.filter(entry => entry.tag !== tag);
+      return value ? [...filtered, tiff.encodeEntry(tag, type, value, littleEndian)] : entries;
+    };
+
+    // Tags written by a previous embedding are ours to replace; any other
+    // existing attribution tag belongs to the camera or editor and is kept
+    const previousTags = this._getWrittenTags(directories);
+    directories.ifd0 = directories.ifd0.filter(entry => !previousTags.includes(entry.tag));
+
+    const writtenTags = [];
+    const attribution = [
+      [EXIF_ARTIST_TAG, metadata.author],
+      [EXIF_COPYRIGHT_TAG, metadata.license],
+      [EXIF_SOFTWARE_TAG, metadata.toolchain || metadata.model_identifier]
+    ];
+    for (const [tag, value] of attribution) {
+      if (!value || directories.ifd0.some(entry => entry.tag === tag)) continue;
+      directories.ifd0 = setEntry(directories.ifd0, tag, TIFF_TYPES.ASCII, value);
+      writtenTags.push(tag);
+    }
+
+    const jsonMetadata = options.signature ? { ...metadata, signature: options.signature } : { ...metadata };
+    if (writtenTags.length > 0) jsonMetadata[EXIF_WRITTEN_TAGS_FIELD] = writtenTags;
+    directories.exif = setEntry(directories.exif, EXIF_AI_METADATA_TAG, TIFF_TYPES.UNDEFINED,
+      this._encodeUserComment(JSON.stringify(jsonMetadata), littleEndian));
+
+    return mergeWith ? this._appendEXIFDirectories(mergeWith, directories) : this._buildEXIF(directories);
   }
 
   /**
-   * Parse XMP data for AI metadata
-   * @param {Buffer} xmpData - XMP data buffer
-   * @returns {Object|null} Parsed AI metadata
+   * Read the directories of an EXIF block with their values copied out
+   * @param {Buffer} exifData - EXIF TIFF data
+   * @returns {Object|null} Directories (ifd0, exif, gps, interop, ifd1) and thumbnail, or null if unreadable
    */
-  _parseXMPData(xmpData) {
+  _readEXIFDirectories(exifData) {
     try {
-      const xmpString = xmpData.toString('utf8');
-      
-      // Extract AI metadata using regex (simple approach)
-      const metadataMatch = xmpString.match(new RegExp(`<${AI_XMP_PREFIX}:metadata>(.*?)</${AI_XMP_PREFIX}:metadata>`, 's'));
-      
-      if (metadataMatch) {
-        const metadataJson = this._unescapeXML(metadataMatch[1]);
-        return JSON.parse(metadataJson);
+      const { littleEndian, ifdOffset } = tiff.parseHeader(exifData);
+      const pointerTags = [EXIF_IFD_POINTER, EXIF_GPS_IFD_POINTER, EXIF_INTEROP_IFD_POINTER];
+
+      const readDirectory = offset => {
+        if (!offset || offset >= exifData.length) return { entries: [], pointers: {}, next: 0 };
+
+        const ifd = tiff.readIFD(exifData, offset, littleEndian);
+        const entries = [];
+        const pointers = {};
+
+        for (const entry of ifd.entries) {
+          if (entry.valueOffset + entry.size > exifData.length) continue; // Skip corrupt entries
+
+          if (pointerTags.includes(entry.tag)) {
+            pointers[entry.tag] = tiff.readEntryNumbers(exifData, entry, littleEndian)[0];
+            continue;
+          }
+
+          entries.push({
+            tag: entry.tag,
+            type: entry.type,
+            count: entry.count,
+            data: Buffer.from(tiff.getEntryData(exifData, entry)),
+            ifdEntry: entry // Where the value was read from, see _appendEXIFDirectories
+          });
+        }
+
+        return { entries, pointers, next: ifd.nextIFDOffset };
+      };
+
+      const ifd0 = readDirectory(ifdOffset);
+      const exif = readDirectory(ifd0.pointers[EXIF_IFD_POINTER]);
+      const gps = readDirectory(ifd0.pointers[EXIF_GPS_IFD_POINTER]);
+      const interop = readDirectory(exif.pointers[EXIF_INTEROP_IFD_POINTER]);
+      const ifd1 = readDirectory(ifd0.next);
+
+      // Thumbnail JPEG referenced from IFD1
+      let thumbnail = null;
+      const thumbnailOffset = ifd1.entries.find(entry => entry.tag === EXIF_THUMBNAIL_OFFSET);
+      const thumbnailLength = ifd1.entries.find(entry => entry.tag === EXIF_THUMBNAIL_LENGTH);
+      if (thumbnailOffset && thumbnailLength) {
+        const start = tiff.readUInt32(thumbnailOffset.data, 0, littleEndian);
+        const length = tiff.readUInt32(thumbnailLength.data, 0, littleEndian);
+        if (start + length <= exifData.length) {
+          thumbnail = exifData.slice(start, start + length);
+        }
       }
+
+      return {
+        littleEndian,
+        ifd0: ifd0.entries,
+        exif: exif.entries,
+        gps: gps.entries,
+        interop: interop.entries,
+        ifd1: thumbnail ? ifd1.entries : ifd1.entries.filter(entry =>
+          entry.tag !== EXIF_THUMBNAIL_OFFSET && entry.tag !== EXIF_THUMBNAIL_LENGTH),
+        thumbnail
+      };
     } catch (error) {
-      // Failed to parse XMP
+      return null; // Unreadable EXIF
     }
-    
-    return null;
+  }
+
+  /**
+   * Build EXIF TIFF data from directories
+   * Layout: header, IFD0, Exif SubIFD, GPS IFD, Interop IFD, IFD1, thumbnail.
+   * Pointer values do not change block sizes, so a first pass with zero
+   * pointers gives the offsets used by the second pass.
+   * @param {Object} directories - Directories from _readEXIFDirectories
+   * @returns {Buffer} EXIF TIFF data
+   */
+  _buildEXIF(directories) {
+    const { littleEndian } = directories;
+    const pointer = (tag, offset) => tiff.encodeEntry(tag, tiff.TIFF_TYPES.LONG, [offset], littleEndian);
+
+    const layout = offsets => {
+      const blocks = [];
+      const positions = {};
+      let position = 8; // After the TIFF header
+
+      const addBlock = (name, buffer) => {
+        positions[name] = position;
+        const padding = Buffer.alloc(buffer.length % 2); // Keep IFDs on word boundaries
+        blocks.push(buffer, padding);
+        position += buffer.length + padding.length;
+      };
+
+      const hasExif = directories.exif.length > 0 || directories.interop.length > 0;
+      const hasIFD1 = directories.ifd1.length > 0;
+
+      const ifd0Entries = [...directories.ifd0];
+      if (hasExif) ifd0Entries.push(pointer(EXIF_IFD_POINTER, offsets.exif || 0));
+      if (directories.gps.length) ifd0Entries.push(pointer(EXIF_GPS_IFD_POINTER, offsets.gps || 0));
+      addBlock('ifd0', tiff.buildIFD(ifd0Entries, position, hasIFD1 ? offsets.ifd1 || 0 : 0, littleEndian));
+
+      if (hasExif) {
+        const exifEntries = [...directories.exif];
+        if (directories.interop.length) exifEntries.push(pointer(EXIF_INTEROP_IFD_POINTER, offsets.interop || 0));
+        addBlock('exif', tiff.buildIFD(exifEntries, position, 0, littleEndian));
+      }
+      if (directories.gps.length) {
+        addBlock('gps', tiff.buildIFD(directories.gps, position, 0, littleEndian));
+      }
+      if (directories.interop.length) {
+        addBlock('interop', tiff.buildIFD(directories.interop, position, 0, littleEndian));
+      }
+      if (hasIFD1) {
+        const ifd1Entries = directories.thumbnail
+          ? [
+            ...directories.ifd1.filter(entry => entry.tag !== EXIF_THUMBNAIL_OFFSET),
+            pointer(EXIF_THUMBNAIL_OFFSET, offsets.thumbnail || 0)
+          ]
+          : directories.ifd1;
+        addBlock('ifd1', tiff.buildIFD(ifd1Entries, position, 0, littleEndian));
+      }
+      if (directories.thumbnail) {
+        addBlock('thumbnail', directories.thumbnail);
+      }
+
+      return { buffer: Buffer.concat([tiff.createHeader(littleEndian, 8), ...blocks]), positions };
+    };
+
+    return layout(layout({}).positions).buffer;
+  }
+
+  /**
+   * Remove the AI UserComment, and the IFD0 tags written with it, from EXIF data
+   * @param {Buffer} exifData - EXIF TIFF data
+   * @returns {Buffer|null} EXIF data without AI metadata, or null if nothing else remains
+   */
+  _removeEXIFAIData(exifData) {
+    const directories = this._readEXIFDirectories(exifData);
+    if (!directories) return null;
+
+    const writtenTags = this._getWrittenTags(directories);
+    directories.ifd0 = directories.ifd0.filter(entry => !writtenTags.includes(entry.tag));
+    directories.exif = directories.exif.filter(entry => entry.tag !== EXIF_AI_METADATA_TAG);
+
+    // Blocks from earlier versions do not list their tags; when only the
+    // attribution tags those versions wrote are left, drop the block
+    const attributionTags = writtenTags.length > 0 ? [] : [EXIF_ARTIST_TAG, EXIF_COPYRIGHT_TAG, EXIF_SOFTWARE_TAG];
+    const hasOtherTags = directories.ifd0.some(entry => !attributionTags.includes(entry.tag)) ||
+      directories.exif.length > 0 || directories.gps.length > 0 || directories.ifd1.length > 0;
+
+    return hasOtherTags ? this._appendEXIFDirectories(exifData, directories) : null;
+  }
+
+  /**
+   * Write the IFD0 and Exif SubIFD of directories into the EXIF block they were read from
+   * The original bytes stay where they are and the two directories are
+   * appended, because values such as the MakerNote hold absolute offsets and
+   * break when moved. Entries carried over from the block keep pointing at
+   * their original value; the GPS IFD, Interop IFD, IFD1 and thumbnail are not touched.
+   * Directories and values left over from an earlier rewrite are dropped when
+   * they form the tail of the block, and zeroed otherwise.
+   * @param {Buffer} exifData - EXIF TIFF data the directories were read from
+   * @param {Object} directories - Directories from _readEXIFDirectories, with ifd0 and exif updated
+   * @returns {Buffer} EXIF TIFF data
+   */
+  _appendEXIFDirectories(exifData, directories) {
+    const { littleEndian, ifdOffset } = tiff.parseHeader(exifData);
+    const ifd0 = tiff.readIFD(exifData, ifdOffset, littleEndian);
+    const findEntry = (ifd, tag) => (ifd ? ifd.entries.find(entry => entry.tag === tag) : undefined);
+    const pointer = (tag, offset) => tiff.encodeEntry(tag, tiff.TIFF_TYPES.LONG, [offset], littleEndian);
+
+    const exifPointer = findEntry(ifd0, EXIF_IFD_POINTER);
+    const exifOffset = exifPointer ? tiff.readEntryNumbers(exifData, exifPointer, littleEndian)[0] : 0;
+    const exifIFD = exifOffset && exifOffset < exifData.length ? tiff.readIFD(exifData, exifOffset, littleEndian) : null;
+
+    // Carried-over entries keep their value field, and so the value it points to
+    const reused = new Set();
+    const reuse = entries => entries.map(({ ifdEntry, ...entry }) => {
+      if (!ifdEntry) return entry;
+      reused.add(ifdEntry.valueOffset);
+      return { tag: entry.tag, type: entry.type, count: entry.count, valueField: ifdEntry.valueField };
+    });
+    const ifd0Entries = reuse(directories.ifd0);
+    const exifEntries = reuse(directories.exif);
+    const gpsPointer = findEntry(ifd0, EXIF_GPS_IFD_POINTER);
+    const interopPointer = findEntry(exifIFD, EXIF_INTEROP_IFD_POINTER);
+
+    const pointerTags = [EXIF_IFD_POINTER, EXIF_GPS_IFD_POINTER, EXIF_INTEROP_IFD_POINTER];
+    const discarded = [...ifd0.entries, ...(exifIFD ? exifIFD.entries : [])]
+      .filter(entry => !entry.inline && !reused.has(entry.valueOffset) && !pointerTags.includes(entry.tag))
+      .filter(entry => entry.valueOffset + entry.size <= exifData.length);
+    const exifRegion = exifIFD ? [{ inline: false, valueOffset: exifIFD.offset, size: exifIFD.size }] : [];
+
+    let head;
+    const tailOffset = this._getTIFFTailOffset(exifData, ifd0, [...discarded, ...exifRegion]);
+    if (tailOffset !== -1) {
+      head = exifData.slice(0, tailOffset);
+    } else {
+      head = Buffer.from(exifData);
+      for (const entry of discarded) {
+        head.fill(0, entry.valueOffset, entry.valueOffset + entry.size);
+      }
+    }
+    head = Buffer.concat([head, Buffer.alloc(head.length % 2)]);
+
+    // The Exif SubIFD follows IFD0; pointer values do not change the size of IFD0
+    const hasExif = exifEntries.length > 0 || Boolean(interopPointer);
+    const buildIFD0 = subIFDOffset => {
+      const entries = [...ifd0Entries, ...(gpsPointer ? [gpsPointer] : [])];
+      if (hasExif) entries.push(pointer(EXIF_IFD_POINTER, subIFDOffset));
+      const block = tiff.buildIFD(entries, head.length, ifd0.nextIFDOffset, littleEndian);
+      return Buffer.concat([block, Buffer.alloc(block.length % 2)]);
+    };
+    const subIFDOffset = head.length + buildIFD0(0).length;
+    const blocks = [head, buildIFD0(subIFDOffset)];
+    if (hasExif) {
+      const entries = [...exifEntries, ...(interopPointer ? [interopPointer] : [])];
+      blocks.push(tiff.buildIFD(entries, subIFDOffset, exifIFD ? exifIFD.nextIFDOffset : 0, littleEndian));
+    }
+
+    const result = Buffer.concat(blocks);
+    tiff.writeUInt32(result, 4, head.length, littleEndian);
+    return result;
+  }
+
+  /**
+   * Read the JSON stored in the AI UserComment of EXIF directories
+   * @param {Object} directories - Directories from _readEXIFDirectories
+   * @returns {Object|null} Stored JSON, or null if there is no AI UserComment
+   */
+  _readAIUserComment(directories) {
+    const userComment = directories.exif.find(entry => entry.tag === EXIF_AI_METADATA_TAG);
+    if (!userComment) return null;
+
+    try {
+      const stored = JSON.parse(this._decodeUserComment(userComment.data, directories.littleEndian));
+      return stored && typeof stored === 'object' && stored.origin ? stored : null;
+    } catch (error) {
+      return null; // UserComment is not our metadata
+    }
+  }
+
+  /**
+   * Get the IFD0 tags written together with the AI UserComment
+   * @param {Object} directories - Directories from _readEXIFDirectories
+   * @returns {Array<number>} Tag numbers
+   */
+  _getWrittenTags(directories) {
+    const stored = this._readAIUserComment(directories);
+    const tags = stored && stored[EXIF_WRITTEN_TAGS_FIELD];
+    return Array.isArray(tags) ? tags.filter(tag => Number.isInteger(tag)) : [];
+  }
+
+  /**
+   * Encode UserComment value with the UNICODE character code
+   * (UTF-16 in the byte order of the EXIF block)
+   * @param {string} text - Comment text
+   * @param {boolean} littleEndian - Byte order
+   * @returns {Buffer} UserComment value
+   */
+  _encodeUserComment(text, littleEndian) {
+    const encoded = Buffer.from(text, 'utf16le');
+    if (!littleEndian) encoded.swap16();
+    return Buffer.concat([EXIF_UNICODE_PREFIX, encoded]);
+  }
+
+  /**
+   * Decode UserComment value (UNICODE, ASCII or undefined character code)
+   * @param {Buffer} value - UserComment value
+   * @param {boolean} littleEndian - Byte order
+   * @returns {string} Comment text
+   */
+  _decodeUserComment(value, littleEndian) {
+    const characterCode = value.slice(0, 8);
+    const text = Buffer.from(value.slice(8));
+
+    if (characterCode.equals(EXIF_UNICODE_PREFIX)) {
+      if (!littleEndian) text.swap16();
+      return text.toString('utf16le');
+    }
+
+    return text.toString('utf8').replace(/\0+$/, '');
   }
 
   /**
@@ -422,13 +933,21 @@ class EXIFImageHandler {
    */
   _parseEXIFData(exifData) {
     try {
-      // Look for UNICODE encoding marker
-      if (exifData.slice(0, 8).toString('ascii') === 'UNICODE\0') {
-        const metadataJson = exifData.slice(8).toString('utf16le');
-        return JSON.parse(metadataJson);
+      // Raw UserComment blob written by earlier versions
+      if (exifData.slice(0, 8).equals(EXIF_UNICODE_PREFIX)) {
+        return JSON.parse(exifData.slice(8).toString('utf16le'));
+      }
+
+      const directories = this._readEXIFDirectories(exifData);
+      const stored = directories && this._readAIUserComment(directories);
+
+      if (stored) {
+        const metadata = { ...stored };
+        delete metadata[EXIF_WRITTEN_TAGS_FIELD];
+        return metadata;
       }
     } catch (error) {
-      // Failed to parse EXIF
+      // Failed to parse EXIF, or UserComment is not our metadata
     }
     
     return null;
@@ -443,6 +962,17 @@ class EXIFImageHandler {
     return segment.length >= 2 && segment.readUInt16BE(0) === JPEG_APP1;
   }
 
+  /**
+   * Check if segment is an APP11 JUMBF segment (JPEG XT box, used for C2PA manifests)
+   * @param {Buffer} segment - JPEG segment
+   * @returns {boolean} True if JUMBF segment
+   */
+  _isJUMBFSegment(segment) {
+    return segment.length >= 8 &&
+           segment.readUInt16BE(0) === JPEG_APP11 &&
+           segment.slice(4, 6).toString('latin1') === 'JP';
+  }
+
   /**
    * Check if segment contains metadata
    * @param {Buffer} segment - JPEG segment
@@ -451,8 +981,9 @@ class EXIFImageHandler {
   _isMetadataSegment(segment) {
     if (!this._isAPP1Segment(segment)) return false;
     
-    const identifier = segment.slice(4, 20).toString('ascii');
-    return identifier.startsWith('Exif') || identifier.startsWith('http://ns.adobe.com/xap/1.0/');
+    return this._extractEXIFFromSegment(segment) !== null ||
+           this._extractXMPFromSegment(segment) !== null ||
+           this._extractExtendedXMPFromSegment(segment) !== null;
   }
 
   /**
@@ -464,9 +995,10 @@ class EXIFImageHandler {
     if (!this._isMetadataSegment(segment)) return false;
     
     const segmentString = segment.toString('utf8');
-    return segmentString.includes(AI_XMP_NAMESPACE) || 
+    return xmp.containsAIData(segmentString) || 
            segmentString.includes('AI_METADATA') ||
-           segmentString.includes('"contentType"');
+           segmentString.includes('"content_type"') ||
+           segmentString.includes('"contentType"'); // Pre-1.1 metadata
   }
 
   /**
@@ -475,16 +1007,37 @@ class EXIFImageHandler {
    * @returns {Buffer|null} XMP data or null
    */
   _extractXMPFromSegment(segment) {
-    const xmpIdentifier = 'http://ns.adobe.com/xap/1.0/\0';
     const identifierStart = 4; // Skip marker and length
     
-    if (segment.slice(identifierStart, identifierStart + xmpIdentifier.length).toString('ascii') === xmpIdentifier) {
-      return segment.slice(identifierStart + xmpIdentifier.length);
+    if (this._isAPP1Segment(segment) &&
+        segment.slice(identifierStart, identifierStart + XMP_IDENTIFIER.length).toString('latin1') === XMP_IDENTIFIER) {
+      return segment.slice(identifierStart + XMP_IDENTIFIER.length);
     }
     
     return null;
   }
 
+  /**
+   * Extract an Extended XMP chunk from APP1 segment
+   * @param {Buffer} segment - APP1 segment
+   * @returns {Object|null} Chunk with guid, fullLength, offset and data, or null
+   */
+  _extractExtendedXMPFromSegment(segment) {
+    const headerStart = 4 + XMP_EXTENSION_IDENTIFIER.length; // Skip marker, length and identifier
+
+    if (!this._isAPP1Segment(segment) || segment.length < headerStart + 40 ||
+        segment.slice(4, headerStart).toString('latin1') !== XMP_EXTENSION_IDENTIFIER) {
+      return null;
+    }
+
+    return {
+      guid: segment.slice(headerStart, headerStart + 32).toString('ascii').toUpperCase(),
+      fullLength: segment.readUInt32BE(headerStart + 32),
+      offset: segment.readUInt32BE(headerStart + 36),
+      data: segment.slice(headerStart + 40)
+    };
+  }
+
   /**
    * Extract EXIF data from APP1 segment
    * @param {Buffer} segment - APP1 segment
@@ -502,166 +1055,758 @@ class EXIFImageHandler {
   }
 
   /**
-   * Embed metadata in TIFF file (placeholder)
+   * Embed metadata in TIFF file
+   * XMP goes in tag 700 and the JSON metadata in a private tag. The new IFD0
+   * and its values are written at the end of the file, so strip, tile and
+   * other offsets in the original data stay valid.
    * @param {Buffer} imageBuffer - TIFF image buffer
    * @param {Object} metadata - AI metadata
    * @param {Object} options - Embedding options
    * @returns {Promise<Buffer>} Modified TIFF buffer
    */
   async _embedTIFFMetadata(imageBuffer, metadata, options = {}) {
-    // TIFF metadata embedding implementation
-    // This is a complex format that would require full TIFF parsing
-    throw new Error('TIFF metadata embedding not yet implemented');
+    // Start from a file without previous AI metadata so re-tagging does not grow it
+    const baseBuffer = await this._removeTIFFMetadata(imageBuffer);
+    const { littleEndian, ifdOffset } = tiff.parseHeader(baseBuffer);
+    const ifd0 = tiff.readIFD(baseBuffer, ifdOffset, littleEndian);
+
+    const xmpEntry = ifd0.entries.find(entry => entry.tag === TIFF_XMP_TAG);
+    const existingXmp = xmpEntry && this.options.preserveExisting ? [tiff.getEntryData(baseBuffer, xmpEntry)] : [];
+    const xmpData = xmp.merge(existingXmp, metadata, options);
+    const jsonMetadata = options.signature ? { ...metadata, signature: options.signature } : metadata;
+
+    const entries = ifd0.entries.filter(entry => entry.tag !== TIFF_XMP_TAG);
+    entries.push(
+      tiff.encodeEntry(TIFF_XMP_TAG, tiff.TIFF_TYPES.BYTE, xmpData, littleEndian),
+      tiff.encodeEntry(TIFF_AI_METADATA_TAG, tiff.TIFF_TYPES.UNDEFINED, Buffer.from(JSON.stringify(jsonMetadata), 'utf8'), littleEndian)
+    );
+
+    // Replace IFD0 (and the XMP packet it replaces) when it is the last thing
+    // in the file, otherwise append (IFDs start on a word boundary)
+    const tailOffset = this._getTIFFTailOffset(baseBuffer, ifd0, xmpEntry ? [xmpEntry] : []);
+    const head = tailOffset !== -1
+      ? baseBuffer.slice(0, tailOffset)
+      : Buffer.concat([baseBuffer, Buffer.alloc(baseBuffer.length % 2)]);
+    const newIFDOffset = head.length;
+    const newIFD = tiff.buildIFD(entries, newIFDOffset, ifd0.nextIFDOffset, littleEndian);
+
+    const result = Buffer.concat([head, newIFD]);
+    tiff.writeUInt32(result, 4, newIFDOffset, littleEndian);
+
+    return result;
   }
 
   /**
-   * Extract metadata from TIFF file (placeholder)
+   * Extract metadata from TIFF IFD0 (XMP tag, falling back to the private JSON tag)
    * @param {Buffer} imageBuffer - TIFF image buffer
    * @returns {Promise<Object|null>} Extracted metadata
    */
   async _extractTIFFMetadata(imageBuffer) {
-    // TIFF metadata extraction implementation
-    throw new Error('TIFF metadata extraction not yet implemented');
+    const { littleEndian, ifdOffset } = tiff.parseHeader(imageBuffer);
+    const ifd0 = tiff.readIFD(imageBuffer, ifdOffset, littleEndian);
+
+    const xmpEntry = ifd0.entries.find(entry => entry.tag === TIFF_XMP_TAG);
+    if (xmpEntry) {
+      const metadata = xmp.parseAIData(tiff.getEntryData(imageBuffer, xmpEntry));
+      if (metadata) return metadata;
+    }
+
+    const jsonEntry = ifd0.entries.find(entry => entry.tag === TIFF_AI_METADATA_TAG);
+    if (jsonEntry) {
+      try {
+        return JSON.parse(tiff.getEntryData(imageBuffer, jsonEntry).toString('utf8'));
+      } catch (error) {
+        // Invalid JSON, ignore
+      }
+    }
+
+    return null;
   }
 
   /**
-   * Remove metadata from TIFF file (placeholder)
+   * Remove AI metadata from TIFF IFD0
+   * When the IFD and our values form the tail of the file (as written by
+   * _embedTIFFMetadata) the tail is truncated; otherwise IFD0 is rewritten
+   * in place and our values are zeroed. Image data is never moved.
+   * An XMP packet with other namespaces is kept without the aicontag properties.
    * @param {Buffer} imageBuffer - TIFF image buffer
    * @returns {Promise<Buffer>} TIFF without AI metadata
    */
   async _removeTIFFMetadata(imageBuffer) {
-    return imageBuffer; // Return unchanged for now
+    const { littleEndian, ifdOffset } = tiff.parseHeader(imageBuffer);
+    const ifd0 = tiff.readIFD(imageBuffer, ifdOffset, littleEndian);
+
+    const aiEntries = ifd0.entries.filter(entry => this._isTIFFAIEntry(imageBuffer, entry));
+    if (aiEntries.length === 0) {
+      return imageBuffer;
+    }
+
+    const xmpEntry = aiEntries.find(entry => entry.tag === TIFF_XMP_TAG);
+    const cleanedXmp = xmpEntry ? xmp.removeAIData(tiff.getEntryData(imageBuffer, xmpEntry)) : null;
+    const keptEntries = ifd0.entries.filter(entry => !aiEntries.includes(entry));
+    if (cleanedXmp) {
+      keptEntries.push(tiff.encodeEntry(TIFF_XMP_TAG, xmpEntry.type, cleanedXmp, littleEndian));
+    }
+    const aiRanges = aiEntries
+      .filter(entry => !entry.inline)
+      .map(entry => [entry.valueOffset, entry.valueOffset + entry.size]);
+
+    const tailOffset = this._getTIFFTailOffset(imageBuffer, ifd0, aiEntries);
+    if (tailOffset !== -1) {
+      const newIFD = tiff.buildIFD(keptEntries, tailOffset, ifd0.nextIFDOffset, littleEndian);
+      const result = Buffer.concat([imageBuffer.slice(0, tailOffset), newIFD]);
+      tiff.writeUInt32(result, 4, tailOffset, littleEndian);
+      return result;
+    }
+
+    const result = Buffer.from(imageBuffer);
+    for (const [start, stop] of aiRanges) {
+      result.fill(0, start, stop);
+    }
+
+    // The cleaned packet is shorter, so it goes back where the old one was,
+    // padded with whitespace as XMP allows
+    if (cleanedXmp) {
+      const xmpIndex = keptEntries.findIndex(entry => entry.tag === TIFF_XMP_TAG);
+      result.fill(0x20, xmpEntry.valueOffset, xmpEntry.valueOffset + xmpEntry.size);
+      cleanedXmp.copy(result, xmpEntry.valueOffset);
+      keptEntries[xmpIndex] = xmpEntry;
+    }
+
+    result.fill(0, ifd0.offset, ifd0.offset + ifd0.size);
+    tiff.buildIFD(keptEntries, ifd0.offset, ifd0.nextIFDOffset, littleEndian).copy(result, ifd0.offset);
+
+    return result;
+  }
+
+  /**
+   * Find where IFD0 and the given entries' values start when they form the tail of the file
+   * @param {Buffer} imageBuffer - TIFF image buffer
+   * @param {Object} ifd0 - IFD0 from readIFD
+   * @param {Array<Object>} entries - IFD0 entries whose values may be discarded
+   * @returns {number} Offset of the tail, or -1 when other data follows
+   */
+  _getTIFFTailOffset(imageBuffer, ifd0, entries) {
+    const regions = [
+      [ifd0.offset, ifd0.offset + ifd0.size],
+      ...entries.filter(entry => !entry.inline).map(entry => [entry.valueOffset, entry.valueOffset + entry.size])
+    ].sort((a, b) => a[0] - b[0]);
+
+    // Nothing but the regions (plus alignment bytes) may follow the first region
+    let end = regions[0][0];
+    const contiguous = regions.every(([start, stop]) => {
+      const adjacent = start >= end && start - end <= 1;
+      end = Math.max(end, stop);
+      return adjacent;
+    });
+
+    return contiguous && imageBuffer.length - end <= 1 ? regions[0][0] : -1;
+  }
+
+  /**
+   * Check if TIFF entry holds AI metadata (private tag, or XMP with our namespace)
+   * @param {Buffer} imageBuffer - TIFF image buffer
+   * @param {Object} entry - IFD entry
+   * @returns {boolean} True if entry contains AI metadata
+   */
+  _isTIFFAIEntry(imageBuffer, entry) {
+    if (entry.tag === TIFF_AI_METADATA_TAG) return true;
+    if (entry.tag !== TIFF_XMP_TAG) return false;
+
+    return xmp.containsAIData(tiff.getEntryData(imageBuffer, entry));
+  }
+
+  /**
+   * Embed metadata in WebP file as XMP (and optionally EXIF) chunks
+   * Simple VP8/VP8L files are promoted to the extended (VP8X) format,
+   * which is required for metadata chunks.
+   * @param {Buffer} imageBuffer - WebP image buffer
+   * @param {Object} metadata - AI metadata
+   * @param {Object} options - Embedding options
+   * @returns {Promise<Buffer>} Modified WebP buffer
+   */
+  async _embedWebPMetadata(imageBuffer, metadata, options = {}) {
+    const chunks = this._parseWebPChunks(imageBuffer);
+    const writeExif = this.options.preferredFormat === 'exif' || this.options.preferredFormat === 'both';
+
+    // WebP allows a single XMP and a single EXIF chunk, so existing ones are
+    // merged into ours (or dropped when not preserving); unreadable EXIF is kept as it is
+    const existingExif = chunks.find(chunk => chunk.type === WEBP_EXIF_CHUNK);
+    const exifData = writeExif
+      ? this._createEXIFData(metadata, options, existingExif && this.options.preserveExisting ? existingExif.data : null)
+      : null;
+    const keptChunks = chunks.filter(chunk => {
+      if (chunk.type === WEBP_XMP_CHUNK) return false;
+      if (chunk.type === WEBP_EXIF_CHUNK) return this.options.preserveExisting && !exifData;
+      return true;
+    });
+
+    const metadataChunks = [];
+    if (exifData) {
+      metadataChunks.push({ type: WEBP_EXIF_CHUNK, data: exifData });
+    }
+    const existingXmp = this.options.preserveExisting
+      ? chunks.filter(chunk => chunk.type === WEBP_XMP_CHUNK).map(chunk => chunk.data)
+      : [];
+    metadataChunks.push({ type: WEBP_XMP_CHUNK, data: xmp.merge(existingXmp, metadata, options) });
+
+    let vp8x = keptChunks.find(chunk => chunk.type === 'VP8X');
+    if (!vp8x) {
+      vp8x = this._createVP8XChunk(keptChunks);
+      keptChunks.unshift(vp8x);
+    }
+
+    // Metadata follows the image data; unknown chunks stay at the end
+    let insertAt = 0;
+    keptChunks.forEach((chunk, index) => {
+      if (WEBP_IMAGE_CHUNKS.includes(chunk.type) || chunk.type === WEBP_EXIF_CHUNK) insertAt = index + 1;
+    });
+    keptChunks.splice(insertAt, 0, ...metadataChunks);
+
+    return this._buildWebP(keptChunks);
+  }
+
+  /**
+   * Extract metadata from WebP XMP chunk, falling back to the EXIF chunk
+   * @param {Buffer} imageBuffer - WebP image buffer
+   * @returns {Promise<Object|null>} Extracted metadata
+   */
+  async _extractWebPMetadata(imageBuffer) {
+    const chunks = this._parseWebPChunks(imageBuffer);
+
+    const xmpChunk = chunks.find(chunk => chunk.type === WEBP_XMP_CHUNK);
+    if (xmpChunk) {
+      const metadata = xmp.parseAIData(xmpChunk.data);
+      if (metadata) return metadata;
+    }
+
+    const exifChunk = chunks.find(chunk => chunk.type === WEBP_EXIF_CHUNK);
+    if (exifChunk) {
+      return this._parseEXIFData(exifChunk.data);
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove AI metadata chunks from WebP file
+   * @param {Buffer} imageBuffer - WebP image buffer
+   * @returns {Promise<Buffer>} WebP without AI metadata
+   */
+  async _removeWebPMetadata(imageBuffer) {
+    const chunks = this._parseWebPChunks(imageBuffer);
+
+    if (!chunks.some(chunk => this._isWebPAIChunk(chunk))) {
+      return imageBuffer;
+    }
+
+    const filteredChunks = [];
+    for (const chunk of chunks) {
+      if (chunk.type === WEBP_EXIF_CHUNK && this._isWebPAIChunk(chunk)) {
+        // Keep camera tags, drop only the AI metadata
+        const cleaned = this._removeEXIFAIData(chunk.data);
+        if (cleaned) filteredChunks.push({ type: WEBP_EXIF_CHUNK, data: cleaned });
+      } else if (chunk.type === WEBP_XMP_CHUNK && this._isWebPAIChunk(chunk)) {
+        // Keep other XMP namespaces, drop only the aicontag properties
+        const cleaned = xmp.removeAIData(chunk.data);
+        if (cleaned) filteredChunks.push({ type: WEBP_XMP_CHUNK, data: cleaned });
+      } else if (!this._isWebPAIChunk(chunk)) {
+        filteredChunks.push(chunk);
+      }
+    }
+
+    return this._buildWebP(filteredChunks);
+  }
+
+  /**
+   * Parse WebP RIFF container into chunks
+   * @param {Buffer} imageBuffer - WebP image buffer
+   * @returns {Array<Object>} Chunks with type and data
+   */
+  _parseWebPChunks(imageBuffer) {
+    const riffEnd = Math.min(imageBuffer.length, 8 + imageBuffer.readUInt32LE(4));
+    const chunks = [];
+    let offset = 12;
+
+    while (offset + 8 <= riffEnd) {
+      const type = imageBuffer.slice(offset, offset + 4).toString('latin1');
+      const size = imageBuffer.readUInt32LE(offset + 4);
+
+      if (offset + 8 + size > riffEnd) {
+        throw new Error(`Invalid WebP file: truncated ${type} chunk`);
+      }
+
+      chunks.push({ type, data: imageBuffer.slice(offset + 8, offset + 8 + size) });
+      offset += 8 + size + (size % 2); // Chunks are padded to an even size
+    }
+
+    return chunks;
   }
 
   /**
-   * Embed metadata in PNG file (placeholder)
+   * Build WebP RIFF container, updating VP8X metadata flags
+   * @param {Array<Object>} chunks - Chunks with type and data
+   * @returns {Buffer} WebP file
+   */
+  _buildWebP(chunks) {
+    const vp8x = chunks.find(chunk => chunk.type === 'VP8X');
+    if (vp8x) {
+      const data = Buffer.from(vp8x.data);
+      const setFlag = (flag, present) => {
+        data[0] = present ? data[0] | flag : data[0] & ~flag;
+      };
+      setFlag(VP8X_FLAG_XMP, chunks.some(chunk => chunk.type === WEBP_XMP_CHUNK));
+      setFlag(VP8X_FLAG_EXIF, chunks.some(chunk => chunk.type === WEBP_EXIF_CHUNK));
+      vp8x.data = data;
+    }
+
+    const body = [Buffer.from('WEBP', 'latin1')];
+    for (const chunk of chunks) {
+      const header = Buffer.alloc(8);
+      header.write(chunk.type, 0, 4, 'latin1');
+      header.writeUInt32LE(chunk.data.length, 4);
+      body.push(header, chunk.data);
+      if (chunk.data.length % 2) body.push(Buffer.alloc(1));
+    }
+
+    const riffHeader = Buffer.alloc(8);
+    riffHeader.write('RIFF', 0, 4, 'latin1');
+    riffHeader.writeUInt32LE(body.reduce((sum, part) => sum + part.length, 0), 4);
+
+    return Buffer.concat([riffHeader, ...body]);
+  }
+
+  /**
+   * Create VP8X chunk for a simple (VP8/VP8L) WebP file
+   * @param {Array<Object>} chunks - Existing chunks
+   * @returns {Object} VP8X chunk with canvas size and alpha flag
+   */
+  _createVP8XChunk(chunks) {
+    const image = chunks.find(chunk => chunk.type === 'VP8 ' || chunk.type === 'VP8L');
+    if (!image) {
+      throw new Error('Invalid WebP file: no VP8 or VP8L image data');
+    }
+
+    let width;
+    let height;
+    let alpha = false;
+
+    if (image.type === 'VP8 ') {
+      // Frame tag (3 bytes), start code 9D 01 2A, then 14-bit width and height
+      if (image.data.length < 10 || image.data[3] !== 0x9D || image.data[4] !== 0x01 || image.data[5] !== 0x2A) {
+        throw new Error('Invalid WebP file: bad VP8 start code');
+      }
+      width = image.data.readUInt16LE(6) & 0x3FFF;
+      height = image.data.readUInt16LE(8) & 0x3FFF;
+    } else {
+      // Signature 0x2F, then width-1 (14 bits), height-1 (14 bits), alpha_is_used (1 bit)
+      if (image.data.length < 5 || image.data[0] !== 0x2F) {
+        throw new Error('Invalid WebP file: bad VP8L signature');
+      }
+      const bits = image.data.readUInt32LE(1);
+      width = (bits & 0x3FFF) + 1;
+      height = ((bits >>> 14) & 0x3FFF) + 1;
+      alpha = Boolean((bits >>> 28) & 1);
+    }
+
+    const data = Buffer.alloc(10);
+    data[0] = alpha ? VP8X_FLAG_ALPHA : 0;
+    data.writeUIntLE(width - 1, 4, 3); // Canvas width minus one (24 bits)
+    data.writeUIntLE(height - 1, 7, 3); // Canvas height minus one (24 bits)
+
+    return { type: 'VP8X', data };
+  }
+
+  /**
+   * Check if WebP chunk carries AI metadata
+   * @param {Object} chunk - WebP chunk
+   * @returns {boolean} True if chunk contains AI metadata
+   */
+  _isWebPAIChunk(chunk) {
+    if (chunk.type === WEBP_XMP_CHUNK) {
+      return xmp.containsAIData(chunk.data);
+    }
+    if (chunk.type === WEBP_EXIF_CHUNK) {
+      return this._parseEXIFData(chunk.data) !== null;
+    }
+    return false;
+  }
+
+  /**
+   * Get TIFF image data (strips or tiles of IFD0)
+   * @param {Buffer} imageBuffer - TIFF image buffer
+   * @returns {Buffer} Concatenated image data
+   */
+  _getTIFFImageData(imageBuffer) {
+    const { littleEndian, ifdOffset } = tiff.parseHeader(imageBuffer);
+    const ifd0 = tiff.readIFD(imageBuffer, ifdOffset, littleEndian);
+    const findEntry = tag => ifd0.entries.find(entry => entry.tag === tag);
+
+    const offsetsEntry = findEntry(TIFF_STRIP_OFFSETS) || findEntry(TIFF_TILE_OFFSETS);
+    const countsEntry = findEntry(TIFF_STRIP_BYTE_COUNTS) || findEntry(TIFF_TILE_BYTE_COUNTS);
+
+    if (!offsetsEntry || !countsEntry) {
+      throw new Error('Invalid TIFF file: IFD0 has no strip or tile data');
+    }
+
+    const offsets = tiff.readEntryNumbers(imageBuffer, offsetsEntry, littleEndian);
+    const counts = tiff.readEntryNumbers(imageBuffer, countsEntry, littleEndian);
+
+    return Buffer.concat(offsets.map((offset, index) => {
+      if (offset + counts[index] > imageBuffer.length) {
+        throw new Error('Invalid TIFF file: image data out of range');
+      }
+      return imageBuffer.slice(offset, offset + counts[index]);
+    }));
+  }
+
+  /**
+   * Embed metadata in PNG file as an XMP iTXt chunk
    * @param {Buffer} imageBuffer - PNG image buffer
    * @param {Object} metadata - AI metadata
    * @param {Object} options - Embedding options
    * @returns {Promise<Buffer>} Modified PNG buffer
    */
   async _embedPNGMetadata(imageBuffer, metadata, options = {}) {
-    // PNG metadata embedding using tEXt or iTXt chunks
-    // This would require PNG chunk parsing and reconstruction
-    throw new Error('PNG metadata embedding not yet implemented');
+    const chunks = this._parsePNGChunks(imageBuffer);
+    const existingXmp = this.options.preserveExisting
+      ? chunks.map(chunk => this._getPNGXMPData(chunk)).filter(Boolean)
+      : [];
+    const xmpChunk = this._createPNGXMPChunk(xmp.merge(existingXmp, metadata, options));
+
+    const newChunks = [PNG_SIGNATURE];
+    let inserted = false;
+
+    for (const chunk of chunks) {
+      // Existing XMP is replaced by the merged packet
+      if (this._getPNGXMPData(chunk)) continue;
+
+      if (!this.options.preserveExisting && PNG_METADATA_CHUNKS.includes(chunk.type)) {
+        continue; // Skip existing metadata
+      }
+
+      // XMP must precede the image data
+      if (!inserted && (chunk.type === 'IDAT' || chunk.type === 'IEND')) {
+        newChunks.push(xmpChunk);
+        inserted = true;
+      }
+
+      newChunks.push(chunk.raw);
+    }
+
+    if (!inserted) {
+      throw new Error('Invalid PNG file: missing IDAT and IEND chunks');
+    }
+
+    return Buffer.concat(newChunks);
   }
 
   /**
-   * Extract metadata from PNG file (placeholder)
+   * Extract metadata from PNG XMP text chunks
    * @param {Buffer} imageBuffer - PNG image buffer
    * @returns {Promise<Object|null>} Extracted metadata
    */
   async _extractPNGMetadata(imageBuffer) {
-    // PNG metadata extraction implementation
-    throw new Error('PNG metadata extraction not yet implemented');
+    const chunks = this._parsePNGChunks(imageBuffer);
+
+    for (const chunk of chunks) {
+      const xmpData = this._getPNGXMPData(chunk);
+      if (xmpData) {
+        const metadata = xmp.parseAIData(xmpData);
+        if (metadata) return metadata;
+      }
+    }
+
+    return null;
   }
 
   /**
-   * Remove metadata from PNG file (placeholder)
+   * Remove AI metadata chunks from PNG file
    * @param {Buffer} imageBuffer - PNG image buffer
    * @returns {Promise<Buffer>} PNG without AI metadata
    */
   async _removePNGMetadata(imageBuffer) {
-    return imageBuffer; // Return unchanged for now
+    const chunks = this._parsePNGChunks(imageBuffer);
+    const filteredChunks = [];
+
+    for (const chunk of chunks) {
+      if (!this._isPNGAIChunk(chunk)) {
+        filteredChunks.push(chunk.raw);
+        continue;
+      }
+
+      // Keep other XMP namespaces, drop only the aicontag properties
+      const cleaned = xmp.removeAIData(this._getPNGXMPData(chunk));
+      if (cleaned) filteredChunks.push(this._createPNGXMPChunk(cleaned));
+    }
+
+    return Buffer.concat([PNG_SIGNATURE, ...filteredChunks]);
+  }
+
+  /**
+   * Parse PNG into chunks, checking each chunk CRC
+   * @param {Buffer} imageBuffer - PNG image buffer
+   * @returns {Array<Object>} Chunks with type, data and raw bytes
+   */
+  _parsePNGChunks(imageBuffer) {
+    if (imageBuffer.length < PNG_SIGNATURE.length || !imageBuffer.slice(0, 8).equals(PNG_SIGNATURE)) {
+      throw new Error('Invalid PNG file: missing PNG signature');
+    }
+
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + 12 <= imageBuffer.length) {
+      const length = imageBuffer.readUInt32BE(offset);
+      const chunkEnd = offset + 12 + length;
+
+      if (chunkEnd > imageBuffer.length) {
+        throw new Error(`Invalid PNG file: truncated chunk at offset ${offset}`);
+      }
+
+      const typeAndData = imageBuffer.slice(offset + 4, offset + 8 + length);
+      const type = typeAndData.slice(0, 4).toString('latin1');
+      const crc = imageBuffer.readUInt32BE(offset + 8 + length);
+
+      if (crc32.unsigned(typeAndData) !== crc) {
+        throw new Error(`Invalid PNG file: CRC mismatch in ${type} chunk`);
+      }
+
+      chunks.push({
+        type,
+        data: typeAndData.slice(4),
+        raw: imageBuffer.slice(offset, chunkEnd)
+      });
+
+      offset = chunkEnd;
+      if (type === 'IEND') break;
+    }
+
+    return chunks;
   }
 
   /**
-   * Escape XML special characters
-   * @param {string} text - Text to escape
-   * @returns {string} Escaped text
+   * Create PNG chunk with length and CRC
+   * @param {string} type - Four-character chunk type
+   * @param {Buffer} data - Chunk data
+   * @returns {Buffer} Complete chunk
    */
-  _escapeXML(text) {
-    return text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
+  _createPNGChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+
+    const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    return Buffer.concat([length, typeAndData, crc32(typeAndData)]);
   }
 
   /**
-   * Unescape XML special characters
-   * @param {string} text - Text to unescape
-   * @returns {string} Unescaped text
+   * Create uncompressed iTXt chunk carrying an XMP packet
+   * @param {Buffer} xmpData - XMP data buffer
+   * @returns {Buffer} iTXt chunk
    */
-  _unescapeXML(text) {
-    return text
-      .replace(/&amp;/g, '&')
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&quot;/g, '"')
-      .replace(/&apos;/g, "'");
+  _createPNGXMPChunk(xmpData) {
+    const data = Buffer.concat([
+      Buffer.from(PNG_XMP_KEYWORD, 'latin1'),
+      Buffer.from([0]), // Keyword terminator
+      Buffer.from([0, 0]), // Compression flag and method (uncompressed)
+      Buffer.from([0]), // Empty language tag
+      Buffer.from([0]), // Empty translated keyword
+      xmpData
+    ]);
+
+    return this._createPNGChunk('iTXt', data);
   }
 
   /**
-   * Create checksum for metadata
-   * @param {Object} metadata - Metadata to checksum
+   * Parse iTXt, tEXt or zTXt chunk
+   * @param {Object} chunk - Parsed PNG chunk
+   * @returns {Object|null} Keyword and text, or null for other chunk types
+   */
+  _parsePNGTextChunk(chunk) {
+    if (!PNG_TEXT_CHUNKS.includes(chunk.type)) return null;
+
+    const data = chunk.data;
+    const keywordEnd = data.indexOf(0);
+    if (keywordEnd === -1) return null;
+
+    const keyword = data.slice(0, keywordEnd).toString('latin1');
+
+    try {
+      if (chunk.type === 'tEXt') {
+        return { keyword, text: data.slice(keywordEnd + 1).toString('latin1') };
+      }
+
+      if (chunk.type === 'zTXt') {
+        return { keyword, text: zlib.inflateSync(data.slice(keywordEnd + 2)).toString('latin1') };
+      }
+
+      // iTXt: compression flag, method, language tag\0, translated keyword\0, text
+      const compressed = data[keywordEnd + 1] === 1;
+      const languageEnd = data.indexOf(0, keywordEnd + 3);
+      const translatedEnd = languageEnd === -1 ? -1 : data.indexOf(0, languageEnd + 1);
+      if (translatedEnd === -1) return null;
+
+      const text = data.slice(translatedEnd + 1);
+      return { keyword, text: (compressed ? zlib.inflateSync(text) : text).toString('utf8') };
+    } catch (error) {
+      return null; // Corrupt compressed text
+    }
+  }
+
+  /**
+   * Check if PNG chunk is an XMP packet carrying AI metadata
+   * @param {Object} chunk - Parsed PNG chunk
+   * @returns {boolean} True if chunk contains AI metadata
+   */
+  _isPNGAIChunk(chunk) {
+    const xmpData = this._getPNGXMPData(chunk);
+    return xmp.containsAIData(xmpData);
+  }
+
+  /**
+   * Get the XMP packet of a PNG text chunk
+   * @param {Object} chunk - Parsed PNG chunk
+   * @returns {Buffer|null} XMP data, or null for other chunks
+   */
+  _getPNGXMPData(chunk) {
+    const text = this._parsePNGTextChunk(chunk);
+    return text && text.keyword === PNG_XMP_KEYWORD ? Buffer.from(text.text, 'utf8') : null;
+  }
+
+  /**
+   * Get the standard XMP packets of an image
+   * @param {Buffer} imageBuffer - Image buffer
+   * @param {string} format - Image format
+   * @returns {Array<Buffer>} XMP packets
+   */
+  _getXMPPackets(imageBuffer, format) {
+    if (format === 'jpeg') {
+      return this._parseJPEGSegments(imageBuffer)
+        .map(segment => this._extractXMPFromSegment(segment))
+        .filter(Boolean);
+    }
+
+    if (format === 'png') {
+      return this._parsePNGChunks(imageBuffer)
+        .map(chunk => this._getPNGXMPData(chunk))
+        .filter(Boolean);
+    }
+
+    if (format === 'tiff') {
+      const { littleEndian, ifdOffset } = tiff.parseHeader(imageBuffer);
+      const xmpEntry = tiff.readIFD(imageBuffer, ifdOffset, littleEndian).entries
+        .find(entry => entry.tag === TIFF_XMP_TAG);
+      return xmpEntry ? [tiff.getEntryData(imageBuffer, xmpEntry)] : [];
+    }
+
+    if (format === 'webp') {
+      return this._parseWebPChunks(imageBuffer)
+        .filter(chunk => chunk.type === WEBP_XMP_CHUNK)
+        .map(chunk => chunk.data);
+    }
+
+    return [];
+  }
+
+  /**
+   * Get the image payload covered by the content checksum
+   * JPEG: all segments and scan data except APP1 EXIF/XMP (and Extended XMP) and APP11 JUMBF segments
+   * PNG: all chunks except text, eXIf and caBX metadata chunks
+   * TIFF: strip or tile data of IFD0
+   * WebP: all chunks except VP8X, EXIF and XMP
+   * @param {Buffer} imageBuffer - Image data buffer
+   * @param {string} format - Image format
+   * @returns {Buffer} Image data without metadata containers
+   */
+  _getImagePayload(imageBuffer, format) {
+    if (format === 'jpeg') {
+      const segments = this._parseJPEGSegments(imageBuffer);
+      return Buffer.concat(segments.filter(segment =>
+        !this._isMetadataSegment(segment) && !this._isJUMBFSegment(segment)));
+    }
+
+    if (format === 'png') {
+      const chunks = this._parsePNGChunks(imageBuffer);
+      return Buffer.concat(chunks
+        .filter(chunk => !PNG_METADATA_CHUNKS.includes(chunk.type) && chunk.type !== PNG_C2PA_CHUNK)
+        .map(chunk => chunk.raw));
+    }
+
+    if (format === 'tiff') {
+      return this._getTIFFImageData(imageBuffer);
+    }
+
+    if (format === 'webp') {
+      return Buffer.concat(this._parseWebPChunks(imageBuffer)
+        .filter(chunk => !WEBP_METADATA_CHUNKS.includes(chunk.type))
+        .map(chunk => Buffer.concat([Buffer.from(chunk.type, 'latin1'), chunk.data])));
+    }
+
+    return imageBuffer;
+  }
+
+  /**
+   * Calculate SHA-256 checksum of the image payload
+   * @param {Buffer} imageBuffer - Image data buffer
+   * @param {string} format - Image format (detected if omitted)
    * @returns {string} Hex checksum
    */
-  _createChecksum(metadata) {
-    return crypto.createHash('sha256').update(JSON.stringify(metadata)).digest('hex');
+  _calculateContentChecksum(imageBuffer, format = this._detectImageFormat(imageBuffer)) {
+    return cryptoUtils.checksum(this._getImagePayload(imageBuffer, format));
   }
 
   /**
    * Validate metadata structure
-   * @param {Object} metadata - Metadata to validate
+   * @param {Object} metadata - Metadata to validate (version 1.1 schema)
    * @throws {Error} If metadata is invalid
    */
   _validateMetadata(metadata) {
-    if (!metadata || typeof metadata !== 'object') {
-      throw new Error('Metadata must be a valid object');
-    }
-
-    // Basic RFC compliance checks
-    const requiredFields = ['contentType', 'origin', 'created'];
-    for (const field of requiredFields) {
-      if (!metadata[field]) {
-        throw new Error(`Missing required field: ${field}`);
-      }
+    const result = validateMetadata(metadata);
+    if (!result.isValid) {
+      throw new Error(`Invalid metadata: ${result.error}`);
     }
   }
 
   /**
    * Create cryptographic signature
    * @param {Object} metadata - Metadata to sign
-   * @param {string} privateKey - Private key for signing
-   * @returns {Promise<string>} Base64-encoded signature
+   * @param {KeyObject|string|Object} privateKey - Private key (PEM, JWK or KeyObject)
+   * @returns {Promise<string>} Signature as "algorithm:keyId:base64"
    */
   async _createSignature(metadata, privateKey) {
-    const dataToSign = JSON.stringify(metadata);
-    const sign = crypto.createSign('SHA256');
-    sign.update(dataToSign);
-    return sign.sign(privateKey, 'base64');
+    return cryptoUtils.createSignature(this._getSignedData(metadata), privateKey);
   }
 
   /**
-   * Verify cryptographic signature
+   * Verify cryptographic signature against the configured public key(s)
    * @param {Object} metadata - Metadata with signature
-   * @returns {Promise<boolean>} True if signature is valid
+   * @param {Object} options - Per-call key options, override constructor options
+   * @returns {Promise<Object>} Result with valid flag, reason and matching keyId
    */
-  async _verifySignature(metadata) {
-    // Implementation would depend on public key availability
-    // This is a placeholder for signature verification logic
-    return true;
+  async _verifySignature(metadata, options = {}) {
+    return cryptoUtils.verifyWithPublicKeys(
+      this._getSignedData(metadata), metadata.signature, [options, this.options], metadata
+    );
   }
 
   /**
-   * Verify content checksum
+   * Get the data covered by the signature (canonical metadata without the
+   * signature and verification fields; the content checksum is included)
+   * @param {Object} metadata - Metadata object
+   * @returns {string} Canonical JSON (RFC 8785)
+   */
+  _getSignedData(metadata) {
+    return canonicalize(stripUnsignedFields(metadata, ['signature']));
+  }
+
+  /**
+   * Verify content checksum against the image payload
    * @param {Object} metadata - Metadata with checksum
    * @param {Buffer} imageBuffer - Original image data
    * @returns {Promise<boolean>} True if checksum is valid
    */
   async _verifyChecksum(metadata, imageBuffer) {
-    const metadataCopy = { ...metadata };
-    delete metadataCopy.checksum;
-    delete metadataCopy._verified;
-    delete metadataCopy._signatureValid;
-    
-    const calculatedChecksum = crypto.createHash('sha256')
-      .update(JSON.stringify(metadataCopy))
-      .digest('hex');
-    
-    return calculatedChecksum === metadata.checksum;
+    return this._calculateContentChecksum(imageBuffer) === metadata.checksum;
   }
 }
 
@@ -0,0 +1,459 @@
+/**
+ * FLAC Audio Handler for AI Content Tagging Tools
+ * Handles embedding and extraction of RFC-compliant metadata in FLAC
+ * VORBIS_COMMENT blocks
+ */
+
+const fs = require('fs').promises;
+const cryptoUtils = require('../core/crypto');
+const { canonicalize, stripUnsignedFields } = require('../core/canonical');
+const { normalizeMetadata, validateMetadata } = require('../core/metadata');
+const vorbisComment = require('./vorbis-comment');
+const { version: PACKAGE_VERSION } = require('../../package.json');
+
+// Stream structure
+const FLAC_MAGIC = 'fLaC';
+const BLOCK_HEADER_SIZE = 4;
+const MAX_BLOCK_SIZE = 0xFFFFFF; // 24-bit block length
+const LAST_BLOCK_FLAG = 0x80;
+const BLOCK_TYPES = {
+  STREAMINFO: 0,
+  PADDING: 1,
+  APPLICATION: 2,
+  SEEKTABLE: 3,
+  VORBIS_COMMENT: 4,
+  CUESHEET: 5,
+  PICTURE: 6
+};
+const DEFAULT_PADDING = 4096; // Room for later edits without moving the audio frames
+
+/**
+ * FLAC Audio Metadata Handler
+ */
+class FLACHandler {
+  /**
+   * @param {Object} options - Handler options
+   * @param {number} [options.padding] - Padding added when the metadata no longer fits the existing space
+   * @param {string|Object|KeyObject} [options.publicKey] - Public key (PEM, JWK or KeyObject) used to verify signatures
+   * @param {Array|Object} [options.publicKeys] - Key set (array or keyId -> key map)
+   * @param {Function} [options.keyResolver] - Resolves key(s) for a metadata object, may be async
+   */
+  constructor(options = {}) {
+    this.options = {
+      padding: DEFAULT_PADDING,
+      preserveExisting: true,
+      ...options
+    };
+  }
+
+  /**
+   * Check whether data is a FLAC stream (optionally preceded by an ID3v2 tag)
+   * @param {Buffer} buffer - File data (at least the first bytes)
+   * @returns {boolean} True if FLAC
+   */
+  static isFLAC(buffer) {
+    const offset = FLACHandler._getID3v2Size(buffer);
+    return buffer.length >= offset + 4 && buffer.slice(offset, offset + 4).toString('latin1') === FLAC_MAGIC;
+  }
+
+  /**
+   * Embed AI content metadata into a FLAC file's VORBIS_COMMENT block
+   * Padding absorbs the size change where possible, so the audio frames keep
+   * their position.
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @param {Object} metadata - RFC-compliant metadata object
+   * @param {Object} options - Embedding options
+   * @returns {Promise<Buffer>} Modified audio file data
+   */
+  async embedMetadata(audioData, metadata, options = {}) {
+    try {
+      const audioBuffer = await this._readAudio(audioData);
+
+      // Convert legacy field names to the 1.1 schema and validate
+      // (a signature from a previous embedding is dropped, it no longer applies)
+      metadata = stripUnsignedFields(normalizeMetadata(metadata), ['signature']);
+      this._validateMetadata(metadata);
+
+      const stream = this._parseFLAC(audioBuffer);
+
+      // Checksum covers STREAMINFO and the audio frames, so it is part of the signed metadata
+      if (options.includeChecksum !== false) {
+        metadata.checksum = this._calculateContentChecksum(audioBuffer);
+      } else {
+        delete metadata.checksum;
+      }
+
+      const signature = options.privateKey
+        ? await this._createSignature(metadata, options.privateKey)
+        : undefined;
+
+      return this._writeComments(audioBuffer, stream, comments => [
+        ...(this.options.preserveExisting ? comments.filter(comment => !vorbisComment.isAIComment(comment)) : []),
+        ...vorbisComment.createAIComments(metadata, signature)
+      ]);
+    } catch (error) {
+      throw new Error(`Failed to embed FLAC metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Embed AI content metadata into a FLAC file on disk
+   * Only the metadata blocks are written when they fit the existing space,
+   * otherwise the whole file is rewritten.
+   * @param {string} filePath - FLAC file path
+   * @param {Object} metadata - RFC-compliant metadata object
+   * @param {Object} options - Embedding options (see embedMetadata)
+   * @returns {Promise<Object>} Result with inPlace flag
+   */
+  async writeMetadata(filePath, metadata, options = {}) {
+    const original = await fs.readFile(filePath);
+    const tagged = await this.embedMetadata(original, metadata, options);
+    const audioOffset = this._parseFLAC(original).audioOffset;
+
+    if (tagged.length === original.length && this._parseFLAC(tagged).audioOffset === audioOffset) {
+      const file = await fs.open(filePath, 'r+');
+      try {
+        await file.write(tagged, 0, audioOffset, 0);
+      } finally {
+        await file.close();
+      }
+      return { inPlace: true };
+    }
+
+    await fs.writeFile(filePath, tagged);
+    return { inPlace: false };
+  }
+
+  /**
+   * Extract AI content metadata from a FLAC file
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @param {Object} options - Extraction options (publicKey, publicKeys, keyResolver)
+   * @returns {Promise<Object|null>} Extracted metadata object or null if not found
+   */
+  async extractMetadata(audioData, options = {}) {
+    try {
+      const audioBuffer = await this._readAudio(audioData);
+      const stream = this._parseFLAC(audioBuffer);
+      const block = stream.blocks.find(item => item.type === BLOCK_TYPES.VORBIS_COMMENT);
+
+      if (!block) {
+        return null;
+      }
+
+      const aiMetadata = vorbisComment.extractAIMetadata(vorbisComment.parse(block.data).comments);
+      if (!aiMetadata) {
+        return null;
+      }
+
+      // Verify integrity if checksum present
+      if (aiMetadata.checksum) {
+        aiMetadata._verified = await this._verifyChecksum(aiMetadata, audioBuffer);
+      }
+
+      // Verify signature if present
+      if (aiMetadata.signature) {
+        const result = await this._verifySignature(aiMetadata, options);
+        aiMetadata._signatureValid = result.valid;
+        aiMetadata._signatureReason = result.reason;
+        if (result.keyId) aiMetadata._signatureKeyId = result.keyId;
+      }
+
+      // Verification runs on the stored fields; callers get the 1.1 field names
+      return normalizeMetadata(aiMetadata);
+    } catch (error) {
+      throw new Error(`Failed to extract FLAC metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if a FLAC file has AI metadata
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @returns {Promise<boolean>} True if AI metadata is present
+   */
+  async hasMetadata(audioData) {
+    try {
+      return (await this.extractMetadata(audioData)) !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove AI metadata from a FLAC file
+   * Other Vorbis comments and blocks are kept.
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @returns {Promise<Buffer>} Audio file without AI metadata
+   */
+  async removeMetadata(audioData) {
+    try {
+      const audioBuffer = await this._readAudio(audioData);
+      const stream = this._parseFLAC(audioBuffer);
+
+      if (!stream.blocks.some(block => block.type === BLOCK_TYPES.VORBIS_COMMENT)) {
+        return audioBuffer; // No comments to remove
+      }
+
+      return this._writeComments(audioBuffer, stream, comments =>
+        comments.filter(comment => !vorbisComment.isAIComment(comment)));
+    } catch (error) {
+      throw new Error(`Failed to remove FLAC metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the PICTURE blocks of a FLAC file
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @returns {Promise<Array<Object>>} Pictures with type, mimeType, description, dimensions and data
+   */
+  async getPictures(audioData) {
+    try {
+      const audioBuffer = await this._readAudio(audioData);
+      return this._parseFLAC(audioBuffer).blocks
+        .filter(block => block.type === BLOCK_TYPES.PICTURE)
+        .map(block => this._parsePictureBlock(block.data));
+    } catch (error) {
+      throw new Error(`Failed to read FLAC pictures: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read audio from buffer or path
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @returns {Promise<Buffer>} Audio buffer
+   */
+  async _readAudio(audioData) {
+    return typeof audioData === 'string' ? fs.readFile(audioData) : audioData;
+  }
+
+  /**
+   * Get the size of an ID3v2 tag some encoders put before the FLAC stream
+   * @param {Buffer} buffer - File data
+   * @returns {number} Tag size including header and footer, 0 if none
+   */
+  static _getID3v2Size(buffer) {
+    if (buffer.length < 10 || buffer.slice(0, 3).toString('latin1') !== 'ID3') {
+      return 0;
+    }
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    const footer = buffer[3] >= 4 && (buffer[5] & 0x10) !== 0;
+    return size + 10 + (footer ? 10 : 0);
+  }
+
+  /**
+   * Parse the FLAC metadata blocks
+   * @param {Buffer} audioBuffer - FLAC file data
+   * @returns {Object} Stream with streamOffset ('fLaC' position), blocks and audioOffset
+   */
+  _parseFLAC(audioBuffer) {
+    const streamOffset = FLACHandler._getID3v2Size(audioBuffer);
+
+    if (!FLACHandler.isFLAC(audioBuffer)) {
+      throw new Error('Invalid FLAC file: missing fLaC marker');
+    }
+
+    const blocks = [];
+    let offset = streamOffset + FLAC_MAGIC.length;
+    let last = false;
+
+    while (!last) {
+      if (offset + BLOCK_HEADER_SIZE > audioBuffer.length) {
+        throw new Error('Invalid FLAC file: truncated metadata block header');
+      }
+
+      const header = audioBuffer[offset];
+      const length = audioBuffer.readUIntBE(offset + 1, 3);
+      const end = offset + BLOCK_HEADER_SIZE + length;
+
+      if (end > audioBuffer.length) {
+        throw new Error('Invalid FLAC file: truncated metadata block');
+      }
+
+      last = (header & LAST_BLOCK_FLAG) !== 0;
+      blocks.push({
+        type: header & ~LAST_BLOCK_FLAG,
+        offset,
+        data: audioBuffer.slice(offset + BLOCK_HEADER_SIZE, end)
+      });
+      offset = end;
+    }
+
+    if (blocks.length === 0 || blocks[0].type !== BLOCK_TYPES.STREAMINFO) {
+      throw new Error('Invalid FLAC file: STREAMINFO must be the first metadata block');
+    }
+
+    return { streamOffset, blocks, audioOffset: offset };
+  }
+
+  /**
+   * Rewrite the VORBIS_COMMENT block with updated comments
+   * The metadata area keeps its size when the padding can absorb the change;
+   * otherwise the configured padding is added.
+   * @param {Buffer} audioBuffer - FLAC file data
+   * @param {Object} stream - Parsed stream from _parseFLAC
+   * @param {Function} updateComments - Maps the existing comments to the new list
+   * @returns {Buffer} FLAC file data
+   */
+  _writeComments(audioBuffer, stream, updateComments) {
+    const existing = stream.blocks.find(block => block.type === BLOCK_TYPES.VORBIS_COMMENT);
+    const { vendor, comments } = existing
+      ? vorbisComment.parse(existing.data)
+      : { vendor: `ai-content-tagging-tools ${PACKAGE_VERSION}`, comments: [] };
+
+    const commentBlock = { type: BLOCK_TYPES.VORBIS_COMMENT, data: vorbisComment.create(vendor, updateComments(comments)) };
+
+    // Keep block order, put a new comment block after STREAMINFO, drop padding
+    const blocks = stream.blocks
+      .filter(block => block.type !== BLOCK_TYPES.PADDING)
+      .map(block => block.type === BLOCK_TYPES.VORBIS_COMMENT ? commentBlock : block);
+    if (!existing) {
+      blocks.splice(1, 0, commentBlock);
+    }
+
+    const metadataSize = stream.audioOffset - stream.streamOffset - FLAC_MAGIC.length;
+    const blocksSize = blocks.reduce((sum, block) => sum + BLOCK_HEADER_SIZE + block.data.length, 0);
+    const available = metadataSize - blocksSize;
+
+    if (available >= BLOCK_HEADER_SIZE) {
+      blocks.push({ type: BLOCK_TYPES.PADDING, data: Buffer.alloc(available - BLOCK_HEADER_SIZE) });
+    } else if (available !== 0 && this.options.padding > 0) {
+      blocks.push({ type: BLOCK_TYPES.PADDING, data: Buffer.alloc(this.options.padding) });
+    }
+
+    return Buffer.concat([
+      audioBuffer.slice(0, stream.streamOffset + FLAC_MAGIC.length),
+      ...blocks.map((block, index) => this._createBlock(block.type, block.data, index === blocks.length - 1)),
+      audioBuffer.slice(stream.audioOffset)
+    ]);
+  }
+
+  /**
+   * Create a metadata block
+   * @param {number} type - Block type
+   * @param {Buffer} data - Block data
+   * @param {boolean} last - Whether this is the last metadata block
+   * @returns {Buffer} Block with header
+   */
+  _createBlock(type, data, last) {
+    if (data.length > MAX_BLOCK_SIZE) {
+      throw new Error(`Metadata block of ${data.length} bytes exceeds the FLAC limit of ${MAX_BLOCK_SIZE} bytes`);
+    }
+
+    const header = Buffer.alloc(BLOCK_HEADER_SIZE);
+    header[0] = type | (last ? LAST_BLOCK_FLAG : 0);
+    header.writeUIntBE(data.length, 1, 3);
+    return Buffer.concat([header, data]);
+  }
+
+  /**
+   * Parse PICTURE block data
+   * @param {Buffer} data - Block data
+   * @returns {Object} Picture type, MIME type, description, dimensions and image data
+   */
+  _parsePictureBlock(data) {
+    let offset = 0;
+    const readUInt32 = () => {
+      if (offset + 4 > data.length) {
+        throw new Error('Invalid PICTURE block: truncated');
+      }
+      const value = data.readUInt32BE(offset);
+      offset += 4;
+      return value;
+    };
+    const readBytes = () => {
+      const length = readUInt32();
+      if (offset + length > data.length) {
+        throw new Error('Invalid PICTURE block: truncated');
+      }
+      const bytes = data.slice(offset, offset + length);
+      offset += length;
+      return bytes;
+    };
+
+    return {
+      type: readUInt32(),
+      mimeType: readBytes().toString('latin1'),
+      description: readBytes().toString('utf8'),
+      width: readUInt32(),
+      height: readUInt32(),
+      depth: readUInt32(),
+      colors: readUInt32(),
+      data: readBytes()
+    };
+  }
+
+  /**
+   * Validate metadata structure
+   * @param {Object} metadata - Metadata to validate (version 1.1 schema)
+   * @throws {Error} If metadata is invalid
+   */
+  _validateMetadata(metadata) {
+    const result = validateMetadata(metadata);
+    if (!result.isValid) {
+      throw new Error(`Invalid metadata: ${result.error}`);
+    }
+  }
+
+  /**
+   * Create cryptographic signature
+   * @param {Object} metadata - Metadata to sign
+   * @param {KeyObject|string|Object} privateKey - Private key (PEM, JWK or KeyObject)
+   * @returns {Promise<string>} Signature as "algorithm:keyId:base64"
+   */
+  async _createSignature(metadata, privateKey) {
+    return cryptoUtils.createSignature(this._getSignedData(metadata), privateKey);
+  }
+
+  /**
+   * Verify cryptographic signature against the configured public key(s)
+   * @param {Object} metadata - Metadata with signature
+   * @param {Object} options - Per-call key options, override constructor options
+   * @returns {Promise<Object>} Result with valid flag, reason and matching keyId
+   */
+  async _verifySignature(metadata, options = {}) {
+    return cryptoUtils.verifyWithPublicKeys(
+      this._getSignedData(metadata), metadata.signature, [options, this.options], metadata
+    );
+  }
+
+  /**
+   * Get the data covered by the signature (canonical metadata without the
+   * signature and verification fields; the content checksum is included)
+   * @param {Object} metadata - Metadata object
+   * @returns {string} Canonical JSON (RFC 8785)
+   */
+  _getSignedData(metadata) {
+    return canonicalize(stripUnsignedFields(metadata, ['signature']));
+  }
+
+  /**
+   * Get the audio payload covered by the content checksum
+   * (STREAMINFO, which describes the audio, and the audio frames)
+   * @param {Buffer} audioBuffer - FLAC file data
+   * @returns {Buffer} Payload
+   */
+  _getAudioPayload(audioBuffer) {
+    const stream = this._parseFLAC(audioBuffer);
+    return Buffer.concat([stream.blocks[0].data, audioBuffer.slice(stream.audioOffset)]);
+  }
+
+  /**
+   * Calculate SHA-256 checksum of the audio payload
+   * @param {Buffer} audioBuffer - FLAC file data
+   * @returns {string} Hex checksum
+   */
+  _calculateContentChecksum(audioBuffer) {
+    return cryptoUtils.checksum(this._getAudioPayload(audioBuffer));
+  }
+
+  /**
+   * Verify content checksum against the audio payload
+   * @param {Object} metadata - Metadata with checksum
+   * @param {Buffer} audioBuffer - FLAC file data
+   * @returns {Promise<boolean>} True if checksum is valid
+   */
+  async _verifyChecksum(metadata, audioBuffer) {
+    return this._calculateContentChecksum(audioBuffer) === metadata.checksum;
+  }
+}
+
+module.exports = FLACHandler;
@@ -1,4 +1,10 @@
-const { ContentMetadata } = require('../core/metadata');
+const { ContentMetadata, serializeFieldValue, parseFieldValue } = require('../core/metadata');
+
+// Meta tag names that differ from the metadata field names
+const META_TAG_FIELDS = {
+  timestamp: 'creation_timestamp',
+  model: 'model_identifier'
+};
 
 /**
  * Inject metadata as HTML meta tags into HTML content
@@ -63,8 +69,8 @@ function extractMetaTags(htmlContent, options = {}) {
 
   while ((match = metaRegex.exec(htmlContent)) !== null) {
     const key = match[1].toLowerCase().replace(/-/g, '_');
-    const value = unescapeHtml(match[2]);
-    metadata[key] = value;
+    const field = META_TAG_FIELDS[key] || key;
+    metadata[field] = parseFieldValue(field, unescapeHtml(match[2]));
     foundAny = true;
   }
 
@@ -111,6 +117,27 @@ function generateMetaTags(metadata, config) {
   if (metadataObj.model_identifier) {
     tags.push(createMetaTag('Model', metadataObj.model_identifier, config));
   }
+  if (metadataObj.content_type) {
+    tags.push(createMetaTag('Content-Type', metadataObj.content_type, config));
+  }
+  if (metadataObj.description) {
+    tags.push(createMetaTag('Description', metadataObj.description, config));
+  }
+  if (metadataObj.prompt) {
+    tags.push(createMetaTag('Prompt', metadataObj.prompt, config));
+  }
+  if (metadataObj.processing_steps) {
+    tags.push(createMetaTag('Processing-Steps', JSON.stringify(metadataObj.processing_steps), config));
+  }
+  if (metadataObj.signature) {
+    tags.push(createMetaTag('Signature', metadataObj.signature, config));
+  }
+
+  // Extension fields (outside the schema)
+  for (const [key, value] of Object.entries(metadata.extensions || {})) {
+    const name = key.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('-');
+    tags.push(createMetaTag(name, serializeFieldValue(key, value), config));
+  }
 
   return tags.join('\n');
 }
@@ -189,6 +216,28 @@ function removeExistingMetaTags(html, prefix) {
   return html.replace(regex, '');
 }
 
+/**
+ * Remove meta tags added by injectMetaTags
+ * Handles the three layouts injectIntoHead writes (end of the head section,
+ * a new head section, commented tags before a non-HTML document), which
+ * restores the content the checksum was calculated over.
+ * @param {string} htmlContent - HTML content with injected meta tags
+ * @param {Object} options - Options (prefix)
+ * @returns {string} HTML content without the injected meta tags
+ */
+function stripMetaTags(htmlContent, options = {}) {
+  const prefix = escapeRegex(options.prefix || 'X-Content-');
+  const tag = `<meta\\s+name=["']${prefix}[^"']*["']\\s+content=["'][^"']*["'][^>]*>`;
+  const layouts = [
+    new RegExp(`\\n<head>\\n(?:[ \\t]*${tag}\\n)+<\\/head>`, 'i'),
+    new RegExp(`\\n(?:[ \\t]*${tag}\\n)+[ \\t]*(?=<\\/head>)`, 'i'),
+    new RegExp(`^(?:[ \\t]*<!-- ${tag} -->\\n)+`, 'i')
+  ];
+
+  const layout = layouts.find(pattern => pattern.test(htmlContent));
+  return layout ? htmlContent.replace(layout, '') : htmlContent;
+}
+
 /**
  * Check if HTML content contains metadata meta tags
  * @param {string} htmlContent - HTML content to check
@@ -296,6 +345,7 @@ module.exports = {
   extractMetaTags,
   generateMetaTags,
   hasMetaTags,
+  stripMetaTags,
   updateMetaTags,
   batchProcess
 };
\ No newline at end of file
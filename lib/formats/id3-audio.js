@@ -3,8 +3,11 @@
  * Handles embedding and extraction of RFC-compliant metadata in audio files
  */
 
-const crypto = require('crypto');
+const zlib = require('zlib');
 const fs = require('fs').promises;
+const cryptoUtils = require('../core/crypto');
+const { canonicalize, stripUnsignedFields } = require('../core/canonical');
+const { normalizeMetadata, validateMetadata } = require('../core/metadata');
 
 // ID3v2.4 Frame identifiers for custom metadata
 const AI_METADATA_FRAME = 'TXXX'; // User-defined text information frame
@@ -21,13 +24,76 @@ const STANDARD_FRAMES = {
   comment: 'COMM'
 };
 
+// Tag structure
+const ID3_HEADER_SIZE = 10; // Also the footer size
+const ID3_FOOTER_IDENTIFIER = '3DI';
+const ID3V1_SIZE = 128; // 'TAG' block at the end of the file
+const ID3V1_EXTENDED_SIZE = 227; // Optional 'TAG+' block before it
+const SUPPORTED_VERSIONS = [2, 3, 4]; // ID3v2.2, ID3v2.3, ID3v2.4
+const TAG_FLAGS = {
+  UNSYNCHRONISATION: 0x80,
+  EXTENDED_HEADER: 0x40, // ID3v2.3 and ID3v2.4
+  COMPRESSION: 0x40, // ID3v2.2 only, never defined
+  FOOTER: 0x10 // ID3v2.4 only
+};
+const FRAME_FORMAT_FLAGS = {
+  3: { COMPRESSION: 0x80, ENCRYPTION: 0x40, GROUPING: 0x20 },
+  4: { GROUPING: 0x40, COMPRESSION: 0x08, ENCRYPTION: 0x04, UNSYNCHRONISATION: 0x02, DATA_LENGTH: 0x01 }
+};
+const FRAME_ID_PATTERN = /^[A-Z0-9]+$/;
+
+// Text encodings (ID3v2.2 and ID3v2.3 only have ISO-8859-1 and UTF-16 with BOM)
+const TEXT_ENCODINGS = {
+  LATIN1: 0,
+  UTF16: 1,
+  UTF16BE: 2,
+  UTF8: 3
+};
+
+// ID3v2.2 three-character frame IDs and their ID3v2.3 equivalents
+const FRAME_IDS_V22 = {
+  BUF: 'RBUF', CNT: 'PCNT', COM: 'COMM', CRA: 'AENC', ETC: 'ETCO', GEO: 'GEOB',
+  IPL: 'IPLS', LNK: 'LINK', MCI: 'MCDI', MLL: 'MLLT', PIC: 'APIC', POP: 'POPM',
+  REV: 'RVRB', SLT: 'SYLT', STC: 'SYTC', TAL: 'TALB', TBP: 'TBPM', TCM: 'TCOM',
+  TCO: 'TCON', TCP: 'TCMP', TCR: 'TCOP', TDA: 'TDAT', TDY: 'TDLY', TEN: 'TENC',
+  TFT: 'TFLT', TIM: 'TIME', TKE: 'TKEY', TLA: 'TLAN', TLE: 'TLEN', TMT: 'TMED',
+  TOA: 'TOPE', TOF: 'TOFN', TOL: 'TOLY', TOR: 'TORY', TOT: 'TOAL', TP1: 'TPE1',
+  TP2: 'TPE2', TP3: 'TPE3', TP4: 'TPE4', TPA: 'TPOS', TPB: 'TPUB', TRC: 'TSRC',
+  TRD: 'TRDA', TRK: 'TRCK', TS2: 'TSO2', TSA: 'TSOA', TSC: 'TSOC', TSI: 'TSIZ',
+  TSP: 'TSOP', TSS: 'TSSE', TST: 'TSOT', TT1: 'TIT1', TT2: 'TIT2', TT3: 'TIT3',
+  TXT: 'TEXT', TXX: 'TXXX', TYE: 'TYER', UFI: 'UFID', ULT: 'USLT', WAF: 'WOAF',
+  WAR: 'WOAR', WAS: 'WOAS', WCM: 'WCOM', WCP: 'WCOP', WPB: 'WPUB', WXX: 'WXXX'
+};
+
+// ID3v2.3 frames renamed in ID3v2.4 (frames are held in their ID3v2.4 form)
+const FRAME_IDS_V24 = {
+  TYER: 'TDRC',
+  TORY: 'TDOR',
+  IPLS: 'TIPL'
+};
+
+// ID3v2.2 PIC image formats and the MIME types used by APIC
+const PICTURE_FORMATS = {
+  JPG: 'image/jpeg',
+  PNG: 'image/png',
+  GIF: 'image/gif',
+  BMP: 'image/bmp'
+};
+
 /**
  * ID3v2 Audio Metadata Handler
  */
 class ID3AudioHandler {
+  /**
+   * @param {Object} options - Handler options
+   * @param {string} [options.version] - ID3 version written by embedMetadata ('2.2', '2.3' or '2.4')
+   * @param {string|Object|KeyObject} [options.publicKey] - Public key (PEM, JWK or KeyObject) used to verify signatures
+   * @param {Array|Object} [options.publicKeys] - Key set (array or keyId -> key map)
+   * @param {Function} [options.keyResolver] - Resolves key(s) for a metadata object, may be async
+   */
   constructor(options = {}) {
     this.options = {
-      version: '2.4', // ID3v2.4 is most widely supported
+      version: '2.4', // Use '2.3' for players without ID3v2.4 support
       encoding: 'UTF-8',
       preserveExisting: true,
       ...options
@@ -36,9 +102,13 @@ class ID3AudioHandler {
 
   /**
    * Embed AI content metadata into an audio file's ID3v2 tags
+   * Existing frames are read from ID3v2.2, ID3v2.3 or ID3v2.4 tags and written
+   * back in the configured version. AI frames in an appended ID3v2.4 tag are
+   * removed, so the file holds a single copy.
    * @param {Buffer|string} audioData - Audio file data or path
    * @param {Object} metadata - RFC-compliant metadata object
    * @param {Object} options - Embedding options
+   * @param {string} [options.version] - ID3 version to write, overrides the handler option
    * @returns {Promise<Buffer>} Modified audio file data
    */
   async embedMetadata(audioData, metadata, options = {}) {
@@ -48,17 +118,27 @@ class ID3AudioHandler {
         ? await fs.readFile(audioData)
         : audioData;
 
-      // Validate metadata structure
+      // Convert legacy field names to the 1.1 schema and validate
+      // (a signature from a previous embedding is dropped, it no longer applies)
+      metadata = stripUnsignedFields(normalizeMetadata(metadata), ['signature']);
       this._validateMetadata(metadata);
 
-      // Parse existing ID3v2 header if present
-      const id3Info = this._parseID3Header(audioBuffer);
+      // Parse existing ID3v2 tags if present
+      const layout = this._getTagLayout(audioBuffer);
+      const existingFrames = this._parseID3Frames(audioBuffer, layout.prepended);
+      const audioWithoutID3 = this._removeAppendedAIFrames(audioBuffer, layout);
+
+      // Checksum covers the audio frames, so it is part of the signed metadata
+      if (options.includeChecksum !== false) {
+        metadata.checksum = this._calculateContentChecksum(audioBuffer);
+      } else {
+        delete metadata.checksum;
+      }
       
       // Create new ID3v2 tag with AI metadata
-      const newID3Tag = await this._createID3Tag(metadata, id3Info.existingFrames, options);
+      const newID3Tag = await this._createID3Tag(metadata, existingFrames, options);
       
       // Combine new ID3 tag with audio data (minus old tag)
-      const audioWithoutID3 = audioBuffer.slice(id3Info.tagSize);
       const result = Buffer.concat([newID3Tag, audioWithoutID3]);
 
       return result;
@@ -70,25 +150,26 @@ class ID3AudioHandler {
   /**
    * Extract AI content metadata from audio file ID3v2 tags
    * @param {Buffer|string} audioData - Audio file data or path
+   * @param {Object} options - Extraction options (publicKey, publicKeys, keyResolver)
    * @returns {Promise<Object|null>} Extracted metadata object or null if not found
    */
-  async extractMetadata(audioData) {
+  async extractMetadata(audioData, options = {}) {
     try {
       // Read audio file if path provided
       const audioBuffer = typeof audioData === 'string' 
         ? await fs.readFile(audioData)
         : audioData;
 
-      // Parse ID3v2 header
-      const id3Info = this._parseID3Header(audioBuffer);
+      // Parse ID3v2 tags, the tag at the start of the file takes precedence
+      const layout = this._getTagLayout(audioBuffer);
       
-      if (!id3Info.hasID3) {
+      if (!layout.prepended.hasID3 && !layout.appended) {
         return null;
       }
 
       // Extract AI metadata frames
-      const frames = this._parseID3Frames(audioBuffer, id3Info);
-      const aiMetadata = this._extractAIFrames(frames);
+      const aiMetadata = this._extractAIFrames(this._parseID3Frames(audioBuffer, layout.prepended)) ||
+        (layout.appended && this._extractAIFrames(this._parseID3Frames(audioBuffer, layout.appended)));
 
       if (!aiMetadata) {
         return null;
@@ -102,11 +183,14 @@ class ID3AudioHandler {
 
       // Verify signature if present
       if (aiMetadata.signature) {
-        const signatureValid = await this._verifySignature(aiMetadata);
-        aiMetadata._signatureValid = signatureValid;
+        const result = await this._verifySignature(aiMetadata, options);
+        aiMetadata._signatureValid = result.valid;
+        aiMetadata._signatureReason = result.reason;
+        if (result.keyId) aiMetadata._signatureKeyId = result.keyId;
       }
 
-      return aiMetadata;
+      // Verification runs on the stored fields; callers get the 1.1 field names
+      return normalizeMetadata(aiMetadata);
     } catch (error) {
       throw new Error(`Failed to extract ID3 metadata: ${error.message}`);
     }
@@ -123,8 +207,8 @@ class ID3AudioHandler {
         ? await fs.readFile(audioData)
         : audioData;
       
-      const id3Info = this._parseID3Header(audioBuffer);
-      return id3Info.hasID3;
+      const layout = this._getTagLayout(audioBuffer);
+      return layout.prepended.hasID3 || layout.appended !== null;
     } catch (error) {
       return false;
     }
@@ -132,6 +216,8 @@ class ID3AudioHandler {
 
   /**
    * Remove AI metadata from audio file
+   * AI frames are removed from the ID3v2 tag at the start of the file and from
+   * an appended ID3v2.4 tag; tags left without frames are dropped.
    * @param {Buffer|string} audioData - Audio file data or path
    * @returns {Promise<Buffer>} Audio file without AI metadata
    */
@@ -141,12 +227,15 @@ class ID3AudioHandler {
         ? await fs.readFile(audioData)
         : audioData;
 
-      const id3Info = this._parseID3Header(audioBuffer);
+      const layout = this._getTagLayout(audioBuffer);
+      const id3Info = layout.prepended;
       
-      if (!id3Info.hasID3) {
+      if (!id3Info.hasID3 && !layout.appended) {
         return audioBuffer; // No ID3 tags to remove
       }
 
+      const audioWithoutID3 = this._removeAppendedAIFrames(audioBuffer, layout);
+
       // Parse existing frames
       const frames = this._parseID3Frames(audioBuffer, id3Info);
       
@@ -157,12 +246,11 @@ class ID3AudioHandler {
 
       if (filteredFrames.length === 0) {
         // Remove entire ID3 tag if only AI metadata existed
-        return audioBuffer.slice(id3Info.tagSize);
+        return audioWithoutID3;
       }
 
-      // Rebuild ID3 tag without AI frames
-      const newID3Tag = this._buildID3Tag(filteredFrames);
-      const audioWithoutID3 = audioBuffer.slice(id3Info.tagSize);
+      // Rebuild ID3 tag without AI frames, keeping the file's ID3 version
+      const newID3Tag = this._buildID3Tag(filteredFrames, id3Info.majorVersion);
       
       return Buffer.concat([newID3Tag, audioWithoutID3]);
     } catch (error) {
@@ -173,80 +261,314 @@ class ID3AudioHandler {
   /**
    * Parse ID3v2 header information
    * @param {Buffer} audioBuffer - Audio file buffer
-   * @returns {Object} ID3 header information
+   * @param {number} offset - Offset of the tag header
+   * @returns {Object} ID3 header information (tagSize includes header and footer)
    */
-  _parseID3Header(audioBuffer) {
-    if (audioBuffer.length < 10) {
-      return { hasID3: false, tagSize: 0, version: null, existingFrames: [] };
+  _parseID3Header(audioBuffer, offset = 0) {
+    if (audioBuffer.length < offset + ID3_HEADER_SIZE) {
+      return { hasID3: false, offset, tagSize: 0, version: null };
     }
 
     // Check for ID3v2 identifier
-    const id3Identifier = audioBuffer.slice(0, 3).toString();
+    const id3Identifier = audioBuffer.slice(offset, offset + 3).toString();
     if (id3Identifier !== 'ID3') {
-      return { hasID3: false, tagSize: 0, version: null, existingFrames: [] };
+      return { hasID3: false, offset, tagSize: 0, version: null };
     }
 
     // Parse version and flags
-    const majorVersion = audioBuffer[3];
-    const minorVersion = audioBuffer[4];
-    const flags = audioBuffer[5];
+    const majorVersion = audioBuffer[offset + 3];
+    const minorVersion = audioBuffer[offset + 4];
+    const flags = audioBuffer[offset + 5];
+    const footer = majorVersion >= 4 && (flags & TAG_FLAGS.FOOTER) !== 0;
 
-    // Calculate tag size (synchsafe integer)
-    const size = this._readSynchsafeInt(audioBuffer.slice(6, 10));
+    // Calculate tag size (synchsafe integer, excludes header and footer)
+    const size = this._readSynchsafeInt(audioBuffer.slice(offset + 6, offset + 10));
 
     return {
       hasID3: true,
-      tagSize: size + 10, // Include header size
+      offset,
+      size,
+      tagSize: size + ID3_HEADER_SIZE + (footer ? ID3_HEADER_SIZE : 0),
       version: `2.${majorVersion}.${minorVersion}`,
       flags,
       majorVersion,
       minorVersion,
-      existingFrames: []
+      unsynchronisation: (flags & TAG_FLAGS.UNSYNCHRONISATION) !== 0,
+      extendedHeader: majorVersion >= 3 && (flags & TAG_FLAGS.EXTENDED_HEADER) !== 0,
+      footer
+    };
+  }
+
+  /**
+   * Locate the tags of an audio file
+   * A file can start with an ID3v2 tag and end with an appended ID3v2.4 tag
+   * (found through its footer) followed by an ID3v1 block.
+   * @param {Buffer} audioBuffer - Audio file buffer
+   * @returns {Object} Layout with prepended and appended ID3v2 info, id3v1 position and the audio range
+   */
+  _getTagLayout(audioBuffer) {
+    const prepended = this._parseID3Header(audioBuffer);
+    const audioStart = Math.min(prepended.tagSize, audioBuffer.length);
+    const id3v1 = this._findID3v1(audioBuffer, audioStart);
+    const tagsEnd = id3v1 ? id3v1.offset : audioBuffer.length;
+    const appended = this._findAppendedTag(audioBuffer, audioStart, tagsEnd);
+
+    return {
+      prepended,
+      appended,
+      id3v1,
+      audioStart,
+      audioEnd: appended ? appended.offset : tagsEnd
     };
   }
 
+  /**
+   * Find an ID3v1 block (with optional extended 'TAG+' block) at the end of the file
+   * @param {Buffer} audioBuffer - Audio file buffer
+   * @param {number} audioStart - End of the prepended ID3v2 tag
+   * @returns {Object|null} Offset and size, or null
+   */
+  _findID3v1(audioBuffer, audioStart) {
+    let offset = audioBuffer.length - ID3V1_SIZE;
+    if (offset < audioStart || audioBuffer.slice(offset, offset + 3).toString('latin1') !== 'TAG') {
+      return null;
+    }
+
+    const extendedOffset = offset - ID3V1_EXTENDED_SIZE;
+    if (extendedOffset >= audioStart && audioBuffer.slice(extendedOffset, extendedOffset + 4).toString('latin1') === 'TAG+') {
+      offset = extendedOffset;
+    }
+
+    return { offset, size: audioBuffer.length - offset };
+  }
+
+  /**
+   * Find an ID3v2.4 tag appended before the given end offset
+   * @param {Buffer} audioBuffer - Audio file buffer
+   * @param {number} audioStart - End of the prepended ID3v2 tag
+   * @param {number} end - End of the appended tag (start of ID3v1, or end of file)
+   * @returns {Object|null} ID3 header information, or null
+   */
+  _findAppendedTag(audioBuffer, audioStart, end) {
+    const footerOffset = end - ID3_HEADER_SIZE;
+    if (footerOffset < audioStart ||
+        audioBuffer.slice(footerOffset, footerOffset + 3).toString('latin1') !== ID3_FOOTER_IDENTIFIER) {
+      return null;
+    }
+
+    const size = this._readSynchsafeInt(audioBuffer.slice(footerOffset + 6, footerOffset + 10));
+    const offset = footerOffset - size - ID3_HEADER_SIZE;
+    if (offset < audioStart) {
+      return null;
+    }
+
+    const id3Info = this._parseID3Header(audioBuffer, offset);
+    return id3Info.hasID3 && id3Info.footer && offset + id3Info.tagSize === end ? id3Info : null;
+  }
+
+  /**
+   * Get the data after the prepended ID3v2 tag with AI frames removed from an appended tag
+   * @param {Buffer} audioBuffer - Audio file buffer
+   * @param {Object} layout - Tag layout from _getTagLayout
+   * @returns {Buffer} Audio data, appended ID3v2 tag and ID3v1 block
+   */
+  _removeAppendedAIFrames(audioBuffer, layout) {
+    const { appended } = layout;
+    if (!appended) {
+      return audioBuffer.slice(layout.audioStart);
+    }
+
+    const frames = this._parseID3Frames(audioBuffer, appended);
+    const filteredFrames = frames.filter(frame => !this._isAIMetadataFrame(frame));
+    if (filteredFrames.length === frames.length) {
+      return audioBuffer.slice(layout.audioStart);
+    }
+
+    // Appended tags need a footer to be found, which requires ID3v2.4
+    const appendedTag = filteredFrames.length > 0
+      ? this._buildID3Tag(filteredFrames, 4, { footer: true })
+      : Buffer.alloc(0);
+
+    return Buffer.concat([
+      audioBuffer.slice(layout.audioStart, layout.audioEnd),
+      appendedTag,
+      audioBuffer.slice(appended.offset + appended.tagSize)
+    ]);
+  }
+
   /**
    * Parse ID3v2 frames from audio buffer
+   * Reads ID3v2.2 (6-byte frame headers), ID3v2.3 and ID3v2.4 tags, undoing
+   * unsynchronisation and compression. Frames are returned in their ID3v2.4
+   * form (four-character IDs, ID3v2.4 names and status flags); encrypted
+   * frames and ID3v2.2 frames without an equivalent are skipped.
    * @param {Buffer} audioBuffer - Audio file buffer
    * @param {Object} id3Info - ID3 header information
    * @returns {Array} Array of frame objects
    */
   _parseID3Frames(audioBuffer, id3Info) {
+    if (!id3Info.hasID3) {
+      return [];
+    }
+
+    const { majorVersion } = id3Info;
+    if (!SUPPORTED_VERSIONS.includes(majorVersion)) {
+      throw new Error(`Unsupported ID3 version 2.${majorVersion}`);
+    }
+    if (majorVersion === 2 && (id3Info.flags & TAG_FLAGS.COMPRESSION)) {
+      throw new Error('Compressed ID3v2.2 tags are not supported');
+    }
+
+    const dataStart = id3Info.offset + ID3_HEADER_SIZE;
+    let tagData = audioBuffer.slice(dataStart, dataStart + id3Info.size);
+
+    // Before ID3v2.4 unsynchronisation applies to the whole tag, in ID3v2.4 to each frame
+    if (majorVersion < 4 && id3Info.unsynchronisation) {
+      tagData = this._removeUnsynchronisation(tagData);
+    }
+
     const frames = [];
-    let offset = 10; // Skip ID3 header
-    const tagEnd = id3Info.tagSize;
+    const idLength = majorVersion === 2 ? 3 : 4;
+    const headerSize = majorVersion === 2 ? 6 : 10;
+    let offset = id3Info.extendedHeader ? this._getExtendedHeaderSize(tagData, majorVersion) : 0;
 
-    while (offset < tagEnd - 4) {
-      // Read frame header
-      const frameId = audioBuffer.slice(offset, offset + 4).toString();
-      
-      if (frameId === '\x00\x00\x00\x00') {
+    while (offset + headerSize <= tagData.length) {
+      const frameId = tagData.slice(offset, offset + idLength).toString('latin1');
+
+      if (!FRAME_ID_PATTERN.test(frameId)) {
         break; // End of frames (padding)
       }
 
-      const frameSize = this._readFrameSize(audioBuffer.slice(offset + 4, offset + 8), id3Info.majorVersion);
-      const frameFlags = audioBuffer.slice(offset + 8, offset + 10);
+      const frameSize = this._readFrameSize(tagData.slice(offset + idLength, offset + idLength + (majorVersion === 2 ? 3 : 4)), majorVersion);
+      const frameFlags = majorVersion === 2 ? Buffer.alloc(2) : tagData.slice(offset + 8, offset + 10);
 
-      if (frameSize === 0 || offset + 10 + frameSize > tagEnd) {
+      if (frameSize === 0 || offset + headerSize + frameSize > tagData.length) {
         break; // Invalid frame
       }
 
       // Read frame data
-      const frameData = audioBuffer.slice(offset + 10, offset + 10 + frameSize);
+      const frameData = tagData.slice(offset + headerSize, offset + headerSize + frameSize);
+      const frame = this._decodeFrame(frameId, frameFlags, frameData, id3Info);
 
-      frames.push({
-        id: frameId,
-        size: frameSize,
-        flags: frameFlags,
-        data: frameData
-      });
+      if (frame) {
+        frames.push(frame);
+      }
 
-      offset += 10 + frameSize;
+      offset += headerSize + frameSize;
     }
 
     return frames;
   }
 
+  /**
+   * Decode a frame into its ID3v2.4 form
+   * @param {string} frameId - Frame identifier as stored
+   * @param {Buffer} frameFlags - 2-byte frame flags (zero for ID3v2.2)
+   * @param {Buffer} frameData - Frame data as stored
+   * @param {Object} id3Info - ID3 header information
+   * @returns {Object|null} Frame object, or null if the frame cannot be decoded
+   */
+  _decodeFrame(frameId, frameFlags, frameData, id3Info) {
+    const { majorVersion } = id3Info;
+    let data = frameData;
+    let statusFlags = 0;
+    let compressed = false;
+
+    if (majorVersion === 3) {
+      const format = FRAME_FORMAT_FLAGS[3];
+      // Status flags move one bit to the right in ID3v2.4
+      statusFlags = (frameFlags[0] >> 1) & 0x70;
+
+      if (frameFlags[1] & format.ENCRYPTION) return null;
+      compressed = (frameFlags[1] & format.COMPRESSION) !== 0;
+
+      // Decompressed size, then group identifier
+      const extraBytes = (compressed ? 4 : 0) + (frameFlags[1] & format.GROUPING ? 1 : 0);
+      data = data.slice(extraBytes);
+    } else if (majorVersion === 4) {
+      const format = FRAME_FORMAT_FLAGS[4];
+      statusFlags = frameFlags[0] & 0x70;
+
+      if (frameFlags[1] & format.ENCRYPTION) return null;
+      compressed = (frameFlags[1] & format.COMPRESSION) !== 0;
+
+      // Group identifier, then data length indicator
+      const extraBytes = (frameFlags[1] & format.GROUPING ? 1 : 0) + (frameFlags[1] & format.DATA_LENGTH ? 4 : 0);
+      data = data.slice(extraBytes);
+
+      if ((frameFlags[1] & format.UNSYNCHRONISATION) || id3Info.unsynchronisation) {
+        data = this._removeUnsynchronisation(data);
+      }
+    }
+
+    if (compressed) {
+      try {
+        data = zlib.inflateSync(data);
+      } catch (error) {
+        return null; // Corrupt compressed frame
+      }
+    }
+
+    let id = frameId;
+    if (majorVersion === 2) {
+      id = FRAME_IDS_V22[frameId];
+      if (!id) return null;
+      if (id === 'APIC') data = this._convertPictureFrame(data, majorVersion, 4);
+    }
+    if (majorVersion < 4 && FRAME_IDS_V24[id]) {
+      id = FRAME_IDS_V24[id];
+    }
+
+    return {
+      id,
+      statusFlags,
+      data,
+      size: data.length
+    };
+  }
+
+  /**
+   * Get the size of the extended header (ID3v2.3 and ID3v2.4)
+   * @param {Buffer} tagData - Tag data after the 10-byte header
+   * @param {number} majorVersion - ID3 major version
+   * @returns {number} Extended header size in bytes
+   */
+  _getExtendedHeaderSize(tagData, majorVersion) {
+    if (tagData.length < 4) {
+      throw new Error('Invalid ID3 tag: truncated extended header');
+    }
+
+    // ID3v2.3 stores the size without the size field, ID3v2.4 as a synchsafe integer including it
+    const size = majorVersion === 3
+      ? tagData.readUInt32BE(0) + 4
+      : this._readSynchsafeInt(tagData.slice(0, 4));
+
+    if (size > tagData.length) {
+      throw new Error('Invalid ID3 tag: extended header exceeds tag size');
+    }
+
+    return size;
+  }
+
+  /**
+   * Undo unsynchronisation (0xFF 0x00 -> 0xFF)
+   * @param {Buffer} data - Unsynchronised data
+   * @returns {Buffer} Original data
+   */
+  _removeUnsynchronisation(data) {
+    const result = Buffer.alloc(data.length);
+    let length = 0;
+
+    for (let i = 0; i < data.length; i++) {
+      result[length++] = data[i];
+      if (data[i] === 0xFF && data[i + 1] === 0x00) {
+        i++;
+      }
+    }
+
+    return result.slice(0, length);
+  }
+
   /**
    * Create new ID3v2 tag with AI metadata
    * @param {Object} metadata - AI content metadata
@@ -255,6 +577,7 @@ class ID3AudioHandler {
    * @returns {Promise<Buffer>} ID3v2 tag buffer
    */
   async _createID3Tag(metadata, existingFrames = [], options = {}) {
+    const majorVersion = this._getMajorVersion(options.version || this.options.version);
     const frames = [];
 
     // Preserve existing non-AI frames if requested
@@ -267,69 +590,199 @@ class ID3AudioHandler {
     frames.push(metadataFrame);
 
     // Add checksum frame if requested
-    if (options.includeChecksum !== false) {
-      const checksum = crypto.createHash('sha256').update(JSON.stringify(metadata)).digest('hex');
-      const checksumFrame = this._createTextFrame(AI_CHECKSUM_FRAME, 'AI_CHECKSUM', checksum);
+    if (metadata.checksum) {
+      const checksumFrame = this._createTextFrame(AI_CHECKSUM_FRAME, 'AI_CHECKSUM', metadata.checksum);
       frames.push(checksumFrame);
     }
 
-    // Add signature frame if private key provided
+    // Add signature frame if private key provided (ID3v2.2 has no PRIV frame)
     if (options.privateKey) {
       const signature = await this._createSignature(metadata, options.privateKey);
-      const signatureFrame = this._createPrivateFrame(AI_SIGNATURE_FRAME, 'AI_SIGNATURE', signature);
+      const signatureFrame = majorVersion === 2
+        ? this._createTextFrame(AI_METADATA_FRAME, 'AI_SIGNATURE', signature)
+        : this._createPrivateFrame(AI_SIGNATURE_FRAME, 'AI_SIGNATURE', signature);
       frames.push(signatureFrame);
     }
 
-    return this._buildID3Tag(frames);
+    return this._buildID3Tag(frames, majorVersion);
   }
 
   /**
    * Build complete ID3v2 tag from frames
-   * @param {Array} frames - Array of frame objects
+   * @param {Array} frames - Array of frame objects (ID3v2.4 form)
+   * @param {number} majorVersion - ID3 major version to write (2, 3 or 4)
+   * @param {Object} options - Build options
+   * @param {boolean} [options.footer] - Add a footer instead of padding (ID3v2.4 only)
    * @returns {Buffer} Complete ID3v2 tag
    */
-  _buildID3Tag(frames) {
-    // Calculate total frames size
-    const framesData = frames.map(frame => this._buildFrame(frame));
+  _buildID3Tag(frames, majorVersion = this._getMajorVersion(this.options.version), options = {}) {
+    const footer = options.footer === true && majorVersion >= 4;
+
+    // Calculate total frames size (frames the version cannot represent are dropped)
+    const framesData = frames.map(frame => this._buildFrame(frame, majorVersion)).filter(Boolean);
     const totalFramesSize = framesData.reduce((sum, data) => sum + data.length, 0);
 
-    // Add padding (typically 1024 bytes)
-    const padding = Buffer.alloc(1024, 0);
+    // Add padding (typically 1024 bytes); a tag with a footer must not be padded
+    const padding = Buffer.alloc(footer ? 0 : 1024, 0);
     const totalSize = totalFramesSize + padding.length;
 
-    // Create ID3v2.4 header
-    const header = Buffer.alloc(10);
+    // Create ID3v2 header
+    const header = Buffer.alloc(ID3_HEADER_SIZE);
     header.write('ID3', 0); // Identifier
-    header[3] = 4; // Major version
+    header[3] = majorVersion; // Major version
     header[4] = 0; // Minor version  
-    header[5] = 0; // Flags
+    header[5] = footer ? TAG_FLAGS.FOOTER : 0; // Flags
     
     // Write size as synchsafe integer
     this._writeSynchsafeInt(header, 6, totalSize);
 
+    // The footer repeats the header with a reversed identifier
+    const tagFooter = Buffer.from(header);
+    tagFooter.write(ID3_FOOTER_IDENTIFIER, 0);
+
     // Combine header, frames, and padding
-    return Buffer.concat([header, ...framesData, padding]);
+    return Buffer.concat([header, ...framesData, padding, ...(footer ? [tagFooter] : [])]);
   }
 
   /**
    * Build individual frame
-   * @param {Object} frame - Frame object
-   * @returns {Buffer} Frame buffer
+   * @param {Object} frame - Frame object (ID3v2.4 form)
+   * @param {number} majorVersion - ID3 major version to write
+   * @returns {Buffer|null} Frame buffer, or null if the version has no such frame
    */
-  _buildFrame(frame) {
+  _buildFrame(frame, majorVersion) {
+    const converted = this._convertFrame(frame, majorVersion);
+    if (!converted) {
+      return null;
+    }
+
+    const { id, data } = converted;
+
+    // ID3v2.2: 3-character ID and 3-byte size, no flags
+    if (majorVersion === 2) {
+      const header = Buffer.alloc(6);
+      header.write(id, 0, 3, 'latin1');
+      header.writeUIntBE(data.length, 3, 3);
+      return Buffer.concat([header, data]);
+    }
+
     const header = Buffer.alloc(10);
     
     // Frame ID
-    header.write(frame.id, 0, 4);
+    header.write(id, 0, 4, 'latin1');
     
     // Frame size
-    this._writeFrameSize(header, 4, frame.data.length);
+    this._writeFrameSize(header, 4, data.length, majorVersion);
     
-    // Frame flags (default to 0)
-    header[8] = 0;
+    // Status flags (format flags are 0, data is written uncompressed)
+    const statusFlags = frame.statusFlags || 0;
+    header[8] = majorVersion === 3 ? (statusFlags << 1) & 0xE0 : statusFlags;
     header[9] = 0;
 
-    return Buffer.concat([header, frame.data]);
+    return Buffer.concat([header, data]);
+  }
+
+  /**
+   * Convert a frame from its ID3v2.4 form to another version
+   * Renames frames, re-encodes UTF-8/UTF-16BE text for ID3v2.2 and ID3v2.3,
+   * and turns APIC into PIC for ID3v2.2.
+   * @param {Object} frame - Frame object (ID3v2.4 form)
+   * @param {number} majorVersion - Target ID3 major version
+   * @returns {Object|null} Frame ID and data, or null if the version has no such frame
+   */
+  _convertFrame(frame, majorVersion) {
+    let { id, data } = frame;
+
+    if (majorVersion >= 4) {
+      return { id, data };
+    }
+
+    const renamed = Object.keys(FRAME_IDS_V24).find(key => FRAME_IDS_V24[key] === id);
+    if (renamed) {
+      id = renamed;
+      // TYER and TORY hold only the year of the ID3v2.4 timestamp
+      if (id !== 'IPLS' && data.length > 1) {
+        const [timestamp = ''] = this._splitText(data.slice(1), data[0]).strings;
+        data = Buffer.concat([Buffer.from([TEXT_ENCODINGS.LATIN1]), Buffer.from(timestamp.slice(0, 4), 'latin1')]);
+      }
+    }
+
+    if (data.length > 0 && (data[0] === TEXT_ENCODINGS.UTF16BE || data[0] === TEXT_ENCODINGS.UTF8)) {
+      data = this._reencodeFrameText(id, data);
+    }
+
+    if (majorVersion === 2) {
+      const shortId = Object.keys(FRAME_IDS_V22).find(key => FRAME_IDS_V22[key] === id);
+      if (!shortId) return null;
+      if (id === 'APIC') data = this._convertPictureFrame(data, 4, 2);
+      id = shortId;
+    }
+
+    return { id, data };
+  }
+
+  /**
+   * Re-encode the text of a frame as ISO-8859-1, or UTF-16 with BOM when needed
+   * Frames without a known text layout are returned unchanged.
+   * @param {string} id - Frame ID (four characters)
+   * @param {Buffer} data - Frame data starting with the encoding byte
+   * @returns {Buffer} Frame data
+   */
+  _reencodeFrameText(id, data) {
+    let prefixLength = 0; // Bytes between the encoding byte and the text
+    let count = Infinity; // Number of encoded strings (Infinity: all remaining data)
+
+    if (id === 'COMM' || id === 'USLT') {
+      prefixLength = 3; // Language
+    } else if (id === 'APIC') {
+      prefixLength = data.indexOf(0, 1) + 1; // MIME type and picture type
+      count = 1; // Description, followed by the image
+    } else if (id === 'WXXX') {
+      count = 1; // Description, followed by the URL
+    } else if (id[0] !== 'T') {
+      return data;
+    }
+
+    const encoding = data[0];
+    const prefix = data.slice(1, 1 + prefixLength);
+    const { strings, rest } = this._splitText(data.slice(1 + prefixLength), encoding, count);
+    const target = strings.every(string => /^[\u0000-\u00FF]*$/.test(string))
+      ? TEXT_ENCODINGS.LATIN1
+      : TEXT_ENCODINGS.UTF16;
+
+    const encoded = strings.map(string => this._encodeText(string, target));
+    const terminator = this._getTextTerminator(target);
+    const text = count === Infinity
+      ? Buffer.concat(encoded.flatMap((string, index) => index ? [terminator, string] : [string]))
+      : Buffer.concat(encoded.flatMap(string => [string, terminator]));
+
+    return Buffer.concat([Buffer.from([target]), prefix, text, rest]);
+  }
+
+  /**
+   * Convert picture frame data between ID3v2.2 PIC and APIC
+   * PIC has a 3-character image format where APIC has a MIME type.
+   * @param {Buffer} data - Frame data
+   * @param {number} fromVersion - Major version of the data
+   * @param {number} toVersion - Target major version
+   * @returns {Buffer} Converted frame data
+   */
+  _convertPictureFrame(data, fromVersion, toVersion) {
+    if ((fromVersion === 2) === (toVersion === 2) || data.length < 2) {
+      return data;
+    }
+
+    if (fromVersion === 2) {
+      const format = data.slice(1, 4).toString('latin1').toUpperCase();
+      const mimeType = PICTURE_FORMATS[format] || `image/${format.toLowerCase()}`;
+      return Buffer.concat([data.slice(0, 1), Buffer.from(`${mimeType}\0`, 'latin1'), data.slice(4)]);
+    }
+
+    const mimeEnd = data.indexOf(0, 1);
+    const mimeType = data.slice(1, mimeEnd).toString('latin1').toLowerCase();
+    const format = Object.keys(PICTURE_FORMATS).find(key => PICTURE_FORMATS[key] === mimeType) ||
+      mimeType.replace(/^image\//, '').slice(0, 3).toUpperCase().padEnd(3, ' ');
+    return Buffer.concat([data.slice(0, 1), Buffer.from(format, 'latin1'), data.slice(mimeEnd + 1)]);
   }
 
   /**
@@ -403,11 +856,13 @@ class ID3AudioHandler {
           }
         } else if (textData.description === 'AI_CHECKSUM') {
           checksum = textData.value;
+        } else if (textData.description === 'AI_SIGNATURE') {
+          signature = textData.value; // ID3v2.2 tags
         }
       } else if (frame.id === AI_SIGNATURE_FRAME) {
         const privateData = this._parsePrivateFrame(frame.data);
         if (privateData.identifier === 'AI_SIGNATURE') {
-          signature = privateData.data;
+          signature = privateData.data.toString('utf8');
         }
       }
     }
@@ -428,25 +883,91 @@ class ID3AudioHandler {
    */
   _parseTextFrame(data) {
     const encoding = data[0];
-    let textData = data.slice(1);
-    
-    // Find null terminator between description and value
-    let nullIndex = -1;
-    for (let i = 0; i < textData.length; i++) {
-      if (textData[i] === 0) {
-        nullIndex = i;
-        break;
+    const { strings: [description = ''], rest } = this._splitText(data.slice(1), encoding, 1);
+
+    // ID3v2.4 separates multiple values with terminators
+    const value = this._splitText(rest, encoding).strings.join('\0');
+
+    return { description, value, encoding };
+  }
+
+  /**
+   * Split encoded text into null-terminated strings
+   * @param {Buffer} data - Encoded text
+   * @param {number} encoding - Text encoding byte
+   * @param {number} count - Maximum number of strings to read
+   * @returns {Object} Decoded strings and the bytes after the last string read
+   */
+  _splitText(data, encoding, count = Infinity) {
+    const width = encoding === TEXT_ENCODINGS.UTF16 || encoding === TEXT_ENCODINGS.UTF16BE ? 2 : 1;
+    const strings = [];
+    let offset = 0;
+
+    while (strings.length < count && offset < data.length) {
+      let end = data.length;
+      for (let i = offset; i + width <= data.length; i += width) {
+        if (data[i] === 0 && (width === 1 || data[i + 1] === 0)) {
+          end = i;
+          break;
+        }
       }
+
+      strings.push(this._decodeText(data.slice(offset, end), encoding));
+      offset = Math.min(end + width, data.length);
     }
 
-    if (nullIndex === -1) {
-      return { description: '', value: textData.toString('utf8') };
+    return { strings, rest: data.slice(offset) };
+  }
+
+  /**
+   * Decode text in an ID3 text encoding
+   * @param {Buffer} data - Encoded text without terminator
+   * @param {number} encoding - Text encoding byte
+   * @returns {string} Decoded text
+   */
+  _decodeText(data, encoding) {
+    switch (encoding) {
+      case TEXT_ENCODINGS.LATIN1:
+        return data.toString('latin1');
+      case TEXT_ENCODINGS.UTF16:
+        // Byte order mark; little-endian if missing
+        if (data[0] === 0xFE && data[1] === 0xFF) {
+          return Buffer.from(data.slice(2)).swap16().toString('utf16le');
+        }
+        return data.slice(data[0] === 0xFF && data[1] === 0xFE ? 2 : 0).toString('utf16le');
+      case TEXT_ENCODINGS.UTF16BE:
+        return Buffer.from(data.slice(0, data.length & ~1)).swap16().toString('utf16le');
+      default:
+        return data.toString('utf8');
     }
+  }
 
-    const description = textData.slice(0, nullIndex).toString('utf8');
-    const value = textData.slice(nullIndex + 1).toString('utf8');
+  /**
+   * Encode text in an ID3 text encoding
+   * @param {string} text - Text
+   * @param {number} encoding - Text encoding byte
+   * @returns {Buffer} Encoded text without terminator
+   */
+  _encodeText(text, encoding) {
+    switch (encoding) {
+      case TEXT_ENCODINGS.LATIN1:
+        return Buffer.from(text, 'latin1');
+      case TEXT_ENCODINGS.UTF16:
+        return Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le')]);
+      case TEXT_ENCODINGS.UTF16BE:
+        return Buffer.from(text, 'utf16le').swap16();
+      default:
+        return Buffer.from(text, 'utf8');
+    }
+  }
 
-    return { description, value, encoding };
+  /**
+   * Get the string terminator of an ID3 text encoding
+   * @param {number} encoding - Text encoding byte
+   * @returns {Buffer} One or two zero bytes
+   */
+  _getTextTerminator(encoding) {
+    return Buffer.alloc(encoding === TEXT_ENCODINGS.UTF16 || encoding === TEXT_ENCODINGS.UTF16BE ? 2 : 1);
   }
 
   /**
@@ -482,7 +1003,7 @@ class ID3AudioHandler {
   _isAIMetadataFrame(frame) {
     if (frame.id === AI_METADATA_FRAME) {
       const textData = this._parseTextFrame(frame.data);
-      return textData.description === 'AI_METADATA' || textData.description === 'AI_CHECKSUM';
+      return ['AI_METADATA', 'AI_CHECKSUM', 'AI_SIGNATURE'].includes(textData.description);
     }
     
     if (frame.id === AI_SIGNATURE_FRAME) {
@@ -517,12 +1038,14 @@ class ID3AudioHandler {
 
   /**
    * Read frame size based on ID3 version
-   * @param {Buffer} buffer - 4-byte buffer
+   * @param {Buffer} buffer - 3-byte (ID3v2.2) or 4-byte buffer
    * @param {number} majorVersion - ID3 major version
    * @returns {number} Frame size
    */
   _readFrameSize(buffer, majorVersion) {
-    if (majorVersion >= 4) {
+    if (majorVersion === 2) {
+      return buffer.readUIntBE(0, 3);
+    } else if (majorVersion >= 4) {
       return this._readSynchsafeInt(buffer);
     } else {
       return buffer.readUInt32BE(0);
@@ -530,79 +1053,106 @@ class ID3AudioHandler {
   }
 
   /**
-   * Write frame size based on ID3 version
+   * Write frame size based on ID3 version (ID3v2.3 and ID3v2.4)
    * @param {Buffer} buffer - Target buffer
    * @param {number} offset - Write offset
    * @param {number} size - Frame size
+   * @param {number} majorVersion - ID3 major version
    */
-  _writeFrameSize(buffer, offset, size) {
-    if (this.options.version === '2.4') {
+  _writeFrameSize(buffer, offset, size, majorVersion) {
+    if (majorVersion >= 4) {
       this._writeSynchsafeInt(buffer, offset, size);
     } else {
       buffer.writeUInt32BE(size, offset);
     }
   }
 
+  /**
+   * Get the major version number from a version option
+   * @param {string|number} version - '2.2', '2.3', '2.4' (or 2, 3, 4)
+   * @returns {number} Major version
+   * @throws {Error} If the version is not supported
+   */
+  _getMajorVersion(version) {
+    const match = String(version).match(/^(?:2\.)?([234])(?:\.0)?$/);
+    if (!match) {
+      throw new Error(`Unsupported ID3 version: ${version} (use 2.2, 2.3 or 2.4)`);
+    }
+    return Number(match[1]);
+  }
+
   /**
    * Validate metadata structure
-   * @param {Object} metadata - Metadata to validate
+   * @param {Object} metadata - Metadata to validate (version 1.1 schema)
    * @throws {Error} If metadata is invalid
    */
   _validateMetadata(metadata) {
-    if (!metadata || typeof metadata !== 'object') {
-      throw new Error('Metadata must be a valid object');
-    }
-
-    // Basic RFC compliance checks
-    const requiredFields = ['contentType', 'origin', 'created'];
-    for (const field of requiredFields) {
-      if (!metadata[field]) {
-        throw new Error(`Missing required field: ${field}`);
-      }
+    const result = validateMetadata(metadata);
+    if (!result.isValid) {
+      throw new Error(`Invalid metadata: ${result.error}`);
     }
   }
 
   /**
    * Create cryptographic signature
    * @param {Object} metadata - Metadata to sign
-   * @param {string} privateKey - Private key for signing
-   * @returns {Promise<string>} Base64-encoded signature
+   * @param {KeyObject|string|Object} privateKey - Private key (PEM, JWK or KeyObject)
+   * @returns {Promise<string>} Signature as "algorithm:keyId:base64"
    */
   async _createSignature(metadata, privateKey) {
-    const dataToSign = JSON.stringify(metadata);
-    const sign = crypto.createSign('SHA256');
-    sign.update(dataToSign);
-    return sign.sign(privateKey, 'base64');
+    return cryptoUtils.createSignature(this._getSignedData(metadata), privateKey);
   }
 
   /**
-   * Verify cryptographic signature
+   * Verify cryptographic signature against the configured public key(s)
    * @param {Object} metadata - Metadata with signature
-   * @returns {Promise<boolean>} True if signature is valid
+   * @param {Object} options - Per-call key options, override constructor options
+   * @returns {Promise<Object>} Result with valid flag, reason and matching keyId
+   */
+  async _verifySignature(metadata, options = {}) {
+    return cryptoUtils.verifyWithPublicKeys(
+      this._getSignedData(metadata), metadata.signature, [options, this.options], metadata
+    );
+  }
+
+  /**
+   * Get the data covered by the signature (canonical metadata without the
+   * signature and verification fields; the content checksum is included)
+   * @param {Object} metadata - Metadata object
+   * @returns {string} Canonical JSON (RFC 8785)
    */
-  async _verifySignature(metadata) {
-    // Implementation would depend on public key availability
-    // This is a placeholder for signature verification logic
-    return true;
+  _getSignedData(metadata) {
+    return canonicalize(stripUnsignedFields(metadata, ['signature']));
   }
 
   /**
-   * Verify content checksum
+   * Get the audio payload covered by the content checksum (everything between
+   * the leading ID3v2 tag and an appended ID3v2 tag or ID3v1 block)
+   * @param {Buffer} audioBuffer - Audio file buffer
+   * @returns {Buffer} Audio data without ID3 tags
+   */
+  _getAudioPayload(audioBuffer) {
+    const layout = this._getTagLayout(audioBuffer);
+    return audioBuffer.slice(layout.audioStart, layout.audioEnd);
+  }
+
+  /**
+   * Calculate SHA-256 checksum of the audio payload
+   * @param {Buffer} audioBuffer - Audio file buffer
+   * @returns {string} Hex checksum
+   */
+  _calculateContentChecksum(audioBuffer) {
+    return cryptoUtils.checksum(this._getAudioPayload(audioBuffer));
+  }
+
+  /**
+   * Verify content checksum against the audio payload
    * @param {Object} metadata - Metadata with checksum
    * @param {Buffer} audioBuffer - Original audio data
    * @returns {Promise<boolean>} True if checksum is valid
    */
   async _verifyChecksum(metadata, audioBuffer) {
-    const metadataCopy = { ...metadata };
-    delete metadataCopy.checksum;
-    delete metadataCopy._verified;
-    delete metadataCopy._signatureValid;
-    
-    const calculatedChecksum = crypto.createHash('sha256')
-      .update(JSON.stringify(metadataCopy))
-      .digest('hex');
-    
-    return calculatedChecksum === metadata.checksum;
+    return this._calculateContentChecksum(audioBuffer) === metadata.checksum;
   }
 }
 
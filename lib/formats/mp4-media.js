@@ -0,0 +1,746 @@
+/**
+ * MP4 Media Handler for AI Content Tagging Tools
+ * Handles embedding and extraction of RFC-compliant metadata in ISO BMFF files
+ * (MP4/M4A/M4V/MOV): a freeform iTunes item under moov/udta/meta/ilst and an
+ * XMP uuid box
+ */
+
+const fs = require('fs').promises;
+const xmp = require('./xmp');
+const cryptoUtils = require('../core/crypto');
+const { canonicalize, stripUnsignedFields } = require('../core/canonical');
+const { normalizeMetadata, validateMetadata } = require('../core/metadata');
+
+// Box structure
+const BOX_HEADER_SIZE = 8;
+const LARGE_BOX_HEADER_SIZE = 16; // size = 1, 64-bit size follows the type
+const FULL_BOX_HEADER_SIZE = 4; // Version and flags
+const MAX_BOX_SIZE = 0xFFFFFFFF;
+
+// Boxes holding only child boxes, on the paths to ilst and to the chunk offset tables
+const CONTAINER_BOXES = ['moov', 'trak', 'mdia', 'minf', 'stbl', 'udta', 'edts', 'dinf', 'mvex', 'ilst'];
+const PADDING_BOXES = ['free', 'skip'];
+
+// iTunes metadata: meta handler type and freeform items ('----' with mean, name and data)
+const ITUNES_HANDLER_TYPE = 'mdir';
+const ITUNES_HANDLER_RESERVED = 'appl';
+const FREEFORM_ITEM = '----';
+const DATA_TYPE_UTF8 = 1;
+const AI_FREEFORM_MEAN = 'com.aicontenttagging';
+const AI_FREEFORM_NAMES = {
+  METADATA: 'AI_METADATA',
+  CHECKSUM: 'AI_CHECKSUM',
+  SIGNATURE: 'AI_SIGNATURE'
+};
+
+// XMP uuid box (Adobe XMP Specification Part 3)
+const XMP_UUID = Buffer.from('BE7ACFCB97A942E89C71999491E3AFAC', 'hex');
+
+/**
+ * MP4/M4A Media Metadata Handler
+ */
+class MP4Handler {
+  /**
+   * @param {Object} options - Handler options
+   * @param {boolean} [options.xmp=true] - Also write the metadata to the XMP uuid box
+   * @param {string|Object|KeyObject} [options.publicKey] - Public key (PEM, JWK or KeyObject) used to verify signatures
+   * @param {Array|Object} [options.publicKeys] - Key set (array or keyId -> key map)
+   * @param {Function} [options.keyResolver] - Resolves key(s) for a metadata object, may be async
+   */
+  constructor(options = {}) {
+    this.options = {
+      xmp: true,
+      preserveExisting: true,
+      ...options
+    };
+  }
+
+  /**
+   * Check whether data is an ISO BMFF file (starts with an ftyp box)
+   * @param {Buffer} buffer - File data (at least the first bytes)
+   * @returns {boolean} True if MP4
+   */
+  static isMP4(buffer) {
+    return buffer.length >= 12 && buffer.slice(4, 8).toString('latin1') === 'ftyp';
+  }
+
+  /**
+   * Embed AI content metadata into an MP4 file
+   * moov is rebuilt with the freeform items and the XMP uuid box follows it;
+   * chunk offsets (stco/co64) are updated when media data moves.
+   * @param {Buffer|string} mediaData - Media file data or path
+   * @param {Object} metadata - RFC-compliant metadata object
+   * @param {Object} options - Embedding options
+   * @returns {Promise<Buffer>} Modified media file data
+   */
+  async embedMetadata(mediaData, metadata, options = {}) {
+    try {
+      const mediaBuffer = await this._readMedia(mediaData);
+
+      // Convert legacy field names to the 1.1 schema and validate
+      // (a signature from a previous embedding is dropped, it no longer applies)
+      metadata = stripUnsignedFields(normalizeMetadata(metadata), ['signature']);
+      this._validateMetadata(metadata);
+
+      const boxes = this._parseFile(mediaBuffer);
+
+      // Checksum covers the media boxes and moov without udta, so it is part of the signed metadata
+      if (options.includeChecksum !== false) {
+        metadata.checksum = this._calculateContentChecksum(mediaBuffer, boxes);
+      } else {
+        delete metadata.checksum;
+      }
+
+      const signature = options.privateKey
+        ? await this._createSignature(metadata, options.privateKey)
+        : undefined;
+
+      const items = [
+        [AI_FREEFORM_NAMES.METADATA, JSON.stringify(metadata)],
+        metadata.checksum ? [AI_FREEFORM_NAMES.CHECKSUM, metadata.checksum] : null,
+        signature ? [AI_FREEFORM_NAMES.SIGNATURE, signature] : null
+      ].filter(Boolean).map(([name, value]) => this._createFreeformItem(name, value));
+
+      return this._rewrite(mediaBuffer, boxes, {
+        updateItems: existing => [
+          ...(this.options.preserveExisting ? existing.filter(item => !this._isAIItem(item)) : []),
+          ...items
+        ],
+        updateXMP: this.options.xmp
+          ? existingXmp => xmp.merge(existingXmp ? [existingXmp] : [], metadata, { signature })
+          : existingXmp => (existingXmp ? xmp.removeAIData(existingXmp) : null)
+      });
+    } catch (error) {
+      throw new Error(`Failed to embed MP4 metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract AI content metadata from an MP4 file
+   * The freeform items are read first, the XMP uuid box is the fallback.
+   * @param {Buffer|string} mediaData - Media file data or path
+   * @param {Object} options - Extraction options (publicKey, publicKeys, keyResolver)
+   * @returns {Promise<Object|null>} Extracted metadata object or null if not found
+   */
+  async extractMetadata(mediaData, options = {}) {
+    try {
+      const mediaBuffer = await this._readMedia(mediaData);
+      const boxes = this._parseFile(mediaBuffer);
+
+      let aiMetadata = this._extractFromItems(boxes);
+      if (!aiMetadata) {
+        const xmpBox = this._findXMPBox(boxes);
+        aiMetadata = xmpBox ? xmp.parseAIData(this._getXMPData(xmpBox)) : null;
+      }
+      if (!aiMetadata) {
+        return null;
+      }
+
+      // Verify integrity if checksum present
+      if (aiMetadata.checksum) {
+        aiMetadata._verified = await this._verifyChecksum(aiMetadata, mediaBuffer, boxes);
+      }
+
+      // Verify signature if present
+      if (aiMetadata.signature) {
+        const result = await this._verifySignature(aiMetadata, options);
+        aiMetadata._signatureValid = result.valid;
+        aiMetadata._signatureReason = result.reason;
+        if (result.keyId) aiMetadata._signatureKeyId = result.keyId;
+      }
+
+      // Verification runs on the stored fields; callers get the 1.1 field names
+      return normalizeMetadata(aiMetadata);
+    } catch (error) {
+      throw new Error(`Failed to extract MP4 metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if an MP4 file has AI metadata
+   * @param {Buffer|string} mediaData - Media file data or path
+   * @returns {Promise<boolean>} True if AI metadata is present
+   */
+  async hasMetadata(mediaData) {
+    try {
+      return (await this.extractMetadata(mediaData)) !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove AI metadata from an MP4 file
+   * Other ilst items and XMP properties are kept; udta, meta, ilst and the
+   * XMP uuid box are dropped when nothing else is left in them.
+   * @param {Buffer|string} mediaData - Media file data or path
+   * @returns {Promise<Buffer>} Media file without AI metadata
+   */
+  async removeMetadata(mediaData) {
+    try {
+      const mediaBuffer = await this._readMedia(mediaData);
+      const boxes = this._parseFile(mediaBuffer);
+      const xmpBox = this._findXMPBox(boxes);
+      const ilst = this._findItemList(boxes);
+
+      const hasItems = Boolean(ilst) && ilst.children.some(item => this._isAIItem(item));
+      const hasXMP = Boolean(xmpBox) && xmp.containsAIData(this._getXMPData(xmpBox));
+      if (!hasItems && !hasXMP) {
+        return mediaBuffer;
+      }
+
+      return this._rewrite(mediaBuffer, boxes, {
+        updateItems: existing => existing.filter(item => !this._isAIItem(item)),
+        updateXMP: existingXmp => (existingXmp ? xmp.removeAIData(existingXmp) : null)
+      });
+    } catch (error) {
+      throw new Error(`Failed to remove MP4 metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read media from buffer or path
+   * @param {Buffer|string} mediaData - Media file data or path
+   * @returns {Promise<Buffer>} Media buffer
+   */
+  async _readMedia(mediaData) {
+    return typeof mediaData === 'string' ? fs.readFile(mediaData) : mediaData;
+  }
+
+  /**
+   * Parse the top-level boxes of an MP4 file (moov is parsed down to its leaves)
+   * @param {Buffer} mediaBuffer - MP4 file data
+   * @returns {Array<Object>} Top-level boxes with type, offset, size and data
+   */
+  _parseFile(mediaBuffer) {
+    if (!MP4Handler.isMP4(mediaBuffer)) {
+      throw new Error('Invalid MP4 file: missing ftyp box');
+    }
+
+    const boxes = this._parseBoxes(mediaBuffer, 0, mediaBuffer.length, false);
+    const moovCount = boxes.filter(box => box.type === 'moov').length;
+    if (moovCount !== 1) {
+      throw new Error(moovCount === 0 ? 'Invalid MP4 file: no moov box' : 'Invalid MP4 file: multiple moov boxes');
+    }
+
+    const moov = boxes.find(box => box.type === 'moov');
+    moov.children = this._parseBoxes(moov.data, 0, moov.data.length, true);
+    return boxes;
+  }
+
+  /**
+   * Parse a sequence of boxes
+   * @param {Buffer} buffer - Data holding the boxes
+   * @param {number} start - Offset of the first box
+   * @param {number} end - End offset
+   * @param {boolean} recursive - Parse container boxes into children
+   * @returns {Array<Object>} Boxes with type, offset, size, data and (for containers) children
+   */
+  _parseBoxes(buffer, start, end, recursive) {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + BOX_HEADER_SIZE <= end) {
+      let size = buffer.readUInt32BE(offset);
+      const type = buffer.slice(offset + 4, offset + 8).toString('latin1');
+      let headerSize = BOX_HEADER_SIZE;
+
+      if (size === 1) {
+        if (offset + LARGE_BOX_HEADER_SIZE > end) {
+          throw new Error(`Invalid MP4 file: truncated ${type} box header`);
+        }
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = LARGE_BOX_HEADER_SIZE;
+      } else if (size === 0) {
+        size = end - offset; // Box extends to the end of the file
+      }
+
+      if (size < headerSize || offset + size > end) {
+        throw new Error(`Invalid MP4 file: bad size for ${type} box at offset ${offset}`);
+      }
+
+      const box = { type, offset, size, data: buffer.slice(offset + headerSize, offset + size) };
+      if (recursive) {
+        this._parseChildren(box);
+      }
+      boxes.push(box);
+      offset += size;
+    }
+
+    // QuickTime ends some containers (udta) with a 32-bit zero terminator
+    if (buffer.slice(offset, end).some(byte => byte !== 0)) {
+      throw new Error(`Invalid MP4 file: ${end - offset} trailing byte(s) after offset ${offset}`);
+    }
+
+    return boxes;
+  }
+
+  /**
+   * Parse the children of a container box
+   * meta is a full box in ISO files but a plain container in QuickTime files;
+   * the version and flags are kept as prefix, a zero terminator as suffix.
+   * @param {Object} box - Box to parse (children, prefix and suffix are added)
+   */
+  _parseChildren(box) {
+    if (CONTAINER_BOXES.includes(box.type)) {
+      box.prefix = Buffer.alloc(0);
+    } else if (box.type === 'meta') {
+      const quickTime = box.data.length >= 8 && box.data.slice(4, 8).toString('latin1') === 'hdlr';
+      box.prefix = box.data.slice(0, quickTime ? 0 : FULL_BOX_HEADER_SIZE);
+    } else {
+      return;
+    }
+
+    box.children = this._parseBoxes(box.data, box.prefix.length, box.data.length, true);
+    box.suffix = box.data.slice(box.children.reduce((end, child) => end + child.size, box.prefix.length));
+  }
+
+  /**
+   * Serialize a box (children are serialized, leaves keep their data)
+   * @param {Object} box - Box with type and data or children
+   * @returns {Buffer} Box bytes
+   */
+  _serializeBox(box) {
+    const payload = box.children
+      ? Buffer.concat([
+        box.prefix || Buffer.alloc(0),
+        ...box.children.map(child => this._serializeBox(child)),
+        box.suffix || Buffer.alloc(0)
+      ])
+      : box.data;
+
+    const large = payload.length + BOX_HEADER_SIZE > MAX_BOX_SIZE;
+    const header = Buffer.alloc(large ? LARGE_BOX_HEADER_SIZE : BOX_HEADER_SIZE);
+    header.write(box.type, 4, 'latin1');
+    if (large) {
+      header.writeUInt32BE(1, 0);
+      header.writeBigUInt64BE(BigInt(payload.length + LARGE_BOX_HEADER_SIZE), 8);
+    } else {
+      header.writeUInt32BE(payload.length + BOX_HEADER_SIZE, 0);
+    }
+
+    return Buffer.concat([header, payload]);
+  }
+
+  /**
+   * Create a box from a type and payload
+   * @param {string} type - Four-character box type
+   * @param {Buffer} data - Payload
+   * @returns {Object} Box
+   */
+  _createBox(type, data) {
+    return { type, data };
+  }
+
+  /**
+   * Create a full box payload (version 0, no flags)
+   * @param {Buffer} data - Payload after version and flags
+   * @returns {Buffer} Payload
+   */
+  _fullBoxData(data) {
+    return Buffer.concat([Buffer.alloc(FULL_BOX_HEADER_SIZE), data]);
+  }
+
+  /**
+   * Find the ilst box of moov/udta/meta
+   * @param {Array<Object>} boxes - Top-level boxes
+   * @returns {Object|null} ilst box
+   */
+  _findItemList(boxes) {
+    const moov = boxes.find(box => box.type === 'moov');
+    const udta = moov.children.find(box => box.type === 'udta');
+    const meta = udta && this._findItunesMeta(udta);
+    return (meta && meta.children.find(box => box.type === 'ilst')) || null;
+  }
+
+  /**
+   * Find the iTunes meta box (handler type mdir) in udta
+   * @param {Object} udta - udta box
+   * @returns {Object|null} meta box
+   */
+  _findItunesMeta(udta) {
+    return udta.children.find(box => box.type === 'meta' &&
+      box.children.some(child => child.type === 'hdlr' && this._getHandlerType(child) === ITUNES_HANDLER_TYPE)) || null;
+  }
+
+  /**
+   * Read the handler type of an hdlr box
+   * @param {Object} hdlr - hdlr box
+   * @returns {string} Handler type
+   */
+  _getHandlerType(hdlr) {
+    // Version and flags, pre_defined, handler_type
+    return hdlr.data.length >= 12 ? hdlr.data.slice(8, 12).toString('latin1') : '';
+  }
+
+  /**
+   * Create the hdlr box of an iTunes meta box
+   * @returns {Object} hdlr box
+   */
+  _createItunesHandler() {
+    const data = Buffer.alloc(21); // pre_defined, handler_type, 3 reserved words, empty name
+    data.write(ITUNES_HANDLER_TYPE, 4, 'latin1');
+    data.write(ITUNES_HANDLER_RESERVED, 8, 'latin1');
+    return this._createBox('hdlr', this._fullBoxData(data));
+  }
+
+  /**
+   * Create a freeform ('----') item with a UTF-8 value
+   * @param {string} name - Item name
+   * @param {string} value - Item value
+   * @returns {Object} Item box
+   */
+  _createFreeformItem(name, value) {
+    const typeAndLocale = Buffer.alloc(8);
+    typeAndLocale.writeUInt32BE(DATA_TYPE_UTF8, 0);
+
+    const children = [
+      this._createBox('mean', this._fullBoxData(Buffer.from(AI_FREEFORM_MEAN, 'utf8'))),
+      this._createBox('name', this._fullBoxData(Buffer.from(name, 'utf8'))),
+      this._createBox('data', Buffer.concat([typeAndLocale, Buffer.from(value, 'utf8')]))
+    ];
+    return { type: FREEFORM_ITEM, prefix: Buffer.alloc(0), children };
+  }
+
+  /**
+   * Read a freeform item
+   * @param {Object} item - ilst item box
+   * @returns {Object|null} Mean, name and value, or null for other items
+   */
+  _parseFreeformItem(item) {
+    if (item.type !== FREEFORM_ITEM) return null;
+
+    const children = item.children || this._parseBoxes(item.data, 0, item.data.length, false);
+    const field = type => children.find(child => child.type === type);
+    const mean = field('mean');
+    const name = field('name');
+    const data = field('data');
+    if (!mean || !name || !data) return null;
+
+    return {
+      mean: mean.data.slice(FULL_BOX_HEADER_SIZE).toString('utf8'),
+      name: name.data.slice(FULL_BOX_HEADER_SIZE).toString('utf8'),
+      value: data.data.slice(8).toString('utf8') // Type indicator and locale precede the value
+    };
+  }
+
+  /**
+   * Check if an ilst item holds AI metadata
+   * @param {Object} item - ilst item box
+   * @returns {boolean} True if AI metadata item
+   */
+  _isAIItem(item) {
+    const field = this._parseFreeformItem(item);
+    return Boolean(field) && field.mean === AI_FREEFORM_MEAN && Object.values(AI_FREEFORM_NAMES).includes(field.name);
+  }
+
+  /**
+   * Extract AI metadata from the freeform items
+   * @param {Array<Object>} boxes - Top-level boxes
+   * @returns {Object|null} Metadata with checksum and signature, or null
+   */
+  _extractFromItems(boxes) {
+    const ilst = this._findItemList(boxes);
+    if (!ilst) return null;
+
+    const fields = {};
+    for (const item of ilst.children) {
+      const field = this._isAIItem(item) ? this._parseFreeformItem(item) : null;
+      if (field && !(field.name in fields)) {
+        fields[field.name] = field.value;
+      }
+    }
+
+    if (!fields[AI_FREEFORM_NAMES.METADATA]) {
+      return null;
+    }
+
+    let metadata;
+    try {
+      metadata = JSON.parse(fields[AI_FREEFORM_NAMES.METADATA]);
+    } catch (error) {
+      return null; // Invalid JSON
+    }
+
+    if (fields[AI_FREEFORM_NAMES.CHECKSUM]) metadata.checksum = fields[AI_FREEFORM_NAMES.CHECKSUM];
+    if (fields[AI_FREEFORM_NAMES.SIGNATURE]) metadata.signature = fields[AI_FREEFORM_NAMES.SIGNATURE];
+    return metadata;
+  }
+
+  /**
+   * Find the top-level XMP uuid box
+   * @param {Array<Object>} boxes - Top-level boxes
+   * @returns {Object|null} uuid box
+   */
+  _findXMPBox(boxes) {
+    return boxes.find(box => box.type === 'uuid' && box.data.slice(0, 16).equals(XMP_UUID)) || null;
+  }
+
+  /**
+   * Get the XMP packet of a uuid box
+   * @param {Object} box - XMP uuid box
+   * @returns {Buffer} XMP packet
+   */
+  _getXMPData(box) {
+    return box.data.slice(XMP_UUID.length);
+  }
+
+  /**
+   * Rewrite moov/udta/meta/ilst and the XMP uuid box
+   * Other top-level boxes are copied; chunk offsets are moved along with the
+   * boxes they point into.
+   * @param {Buffer} mediaBuffer - MP4 file data
+   * @param {Array<Object>} boxes - Top-level boxes from _parseFile
+   * @param {Object} updates - Update functions
+   * @param {Function} updates.updateItems - Maps the existing ilst items to the new list
+   * @param {Function} updates.updateXMP - Maps the existing XMP packet (or null) to the new one (or null)
+   * @returns {Buffer} MP4 file data
+   */
+  _rewrite(mediaBuffer, boxes, { updateItems, updateXMP }) {
+    const moov = boxes.find(box => box.type === 'moov');
+    const newMoov = { ...moov, children: this._updateUserData(moov.children, updateItems) };
+
+    const xmpBox = this._findXMPBox(boxes);
+    const xmpData = updateXMP(xmpBox ? this._getXMPData(xmpBox) : null);
+    const newXMPBox = xmpData ? this._createBox('uuid', Buffer.concat([XMP_UUID, xmpData])) : null;
+
+    // New top-level layout: the XMP box stays in place or follows moov
+    const layout = [];
+    for (const box of boxes) {
+      if (box === moov) {
+        layout.push({ box: newMoov });
+        if (newXMPBox && !xmpBox) layout.push({ box: newXMPBox });
+      } else if (box === xmpBox) {
+        if (newXMPBox) layout.push({ box: newXMPBox });
+      } else {
+        layout.push({ box, bytes: mediaBuffer.slice(box.offset, box.offset + box.size), copied: true });
+      }
+    }
+
+    // Sizes do not change when offsets are patched, so the layout is final once moov is serialized
+    let offset = 0;
+    for (const entry of layout) {
+      entry.bytes = entry.bytes || this._serializeBox(entry.box);
+      entry.offset = offset;
+      offset += entry.bytes.length;
+    }
+
+    const moved = layout.filter(entry => entry.copied);
+    if (moved.some(entry => entry.offset !== entry.box.offset)) {
+      const relocate = chunkOffset => {
+        const entry = moved.find(({ box }) => chunkOffset >= box.offset && chunkOffset < box.offset + box.size);
+        return entry ? chunkOffset - entry.box.offset + entry.offset : chunkOffset;
+      };
+      this._updateChunkOffsets(newMoov, relocate);
+
+      const moovEntry = layout.find(entry => entry.box === newMoov);
+      moovEntry.bytes = this._serializeBox(newMoov);
+    }
+
+    return Buffer.concat(layout.map(entry => entry.bytes));
+  }
+
+  /**
+   * Update the ilst items under udta/meta, creating or dropping the boxes on the way
+   * @param {Array<Object>} moovChildren - Children of moov
+   * @param {Function} updateItems - Maps the existing ilst items to the new list
+   * @returns {Array<Object>} New children of moov
+   */
+  _updateUserData(moovChildren, updateItems) {
+    const udta = moovChildren.find(box => box.type === 'udta');
+    const meta = udta ? this._findItunesMeta(udta) : null;
+    const ilst = meta ? meta.children.find(box => box.type === 'ilst') : null;
+
+    const items = updateItems(ilst ? ilst.children : []);
+
+    let metaChildren = meta ? meta.children.filter(box => box !== ilst) : [this._createItunesHandler()];
+    if (items.length > 0) {
+      const newIlst = { type: 'ilst', prefix: Buffer.alloc(0), children: items };
+      metaChildren = ilst
+        ? meta.children.map(box => (box === ilst ? newIlst : box))
+        : [...metaChildren, newIlst];
+    }
+
+    // A meta box with nothing but its handler (and padding) carries no metadata
+    const metaUsed = metaChildren.some(box => box.type !== 'hdlr' && !PADDING_BOXES.includes(box.type));
+    const newMeta = metaUsed
+      ? { ...meta, type: 'meta', prefix: meta ? meta.prefix : Buffer.alloc(FULL_BOX_HEADER_SIZE), children: metaChildren }
+      : null;
+
+    let udtaChildren = udta ? udta.children.filter(box => box !== meta) : [];
+    if (newMeta) {
+      udtaChildren = meta
+        ? udta.children.map(box => (box === meta ? newMeta : box))
+        : [...udtaChildren, newMeta];
+    }
+    const newUdta = udtaChildren.length > 0 ? { ...udta, type: 'udta', prefix: Buffer.alloc(0), children: udtaChildren } : null;
+
+    if (udta) {
+      return moovChildren.map(box => (box === udta ? newUdta : box)).filter(Boolean);
+    }
+    return newUdta ? [...moovChildren, newUdta] : moovChildren;
+  }
+
+  /**
+   * Update the chunk offsets (stco/co64) of all tracks
+   * @param {Object} box - Box to search (moov)
+   * @param {Function} relocate - Maps an old file offset to the new one
+   */
+  _updateChunkOffsets(box, relocate) {
+    for (const child of box.children || []) {
+      if (child.type === 'stco' || child.type === 'co64') {
+        child.data = this._relocateChunkOffsets(child, relocate);
+      } else if (child.children) {
+        this._updateChunkOffsets(child, relocate);
+      }
+    }
+  }
+
+  /**
+   * Relocate the entries of a chunk offset box
+   * @param {Object} box - stco (32-bit offsets) or co64 (64-bit offsets) box
+   * @param {Function} relocate - Maps an old file offset to the new one
+   * @returns {Buffer} New payload
+   */
+  _relocateChunkOffsets(box, relocate) {
+    const data = Buffer.from(box.data);
+    const entrySize = box.type === 'co64' ? 8 : 4;
+    const count = data.readUInt32BE(FULL_BOX_HEADER_SIZE);
+    const start = FULL_BOX_HEADER_SIZE + 4;
+
+    if (start + count * entrySize > data.length) {
+      throw new Error(`Invalid MP4 file: truncated ${box.type} box`);
+    }
+
+    for (let i = 0; i < count; i++) {
+      const position = start + i * entrySize;
+      if (entrySize === 8) {
+        data.writeBigUInt64BE(BigInt(relocate(Number(data.readBigUInt64BE(position)))), position);
+      } else {
+        const chunkOffset = relocate(data.readUInt32BE(position));
+        if (chunkOffset > MAX_BOX_SIZE) {
+          throw new Error('Chunk offset exceeds 32 bits, stco cannot hold it');
+        }
+        data.writeUInt32BE(chunkOffset, position);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Validate metadata structure
+   * @param {Object} metadata - Metadata to validate (version 1.1 schema)
+   * @throws {Error} If metadata is invalid
+   */
+  _validateMetadata(metadata) {
+    const result = validateMetadata(metadata);
+    if (!result.isValid) {
+      throw new Error(`Invalid metadata: ${result.error}`);
+    }
+  }
+
+  /**
+   * Create cryptographic signature
+   * @param {Object} metadata - Metadata to sign
+   * @param {KeyObject|string|Object} privateKey - Private key (PEM, JWK or KeyObject)
+   * @returns {Promise<string>} Signature as "algorithm:keyId:base64"
+   */
+  async _createSignature(metadata, privateKey) {
+    return cryptoUtils.createSignature(this._getSignedData(metadata), privateKey);
+  }
+
+  /**
+   * Verify cryptographic signature against the configured public key(s)
+   * @param {Object} metadata - Metadata with signature
+   * @param {Object} options - Per-call key options, override constructor options
+   * @returns {Promise<Object>} Result with valid flag, reason and matching keyId
+   */
+  async _verifySignature(metadata, options = {}) {
+    return cryptoUtils.verifyWithPublicKeys(
+      this._getSignedData(metadata), metadata.signature, [options, this.options], metadata
+    );
+  }
+
+  /**
+   * Get the data covered by the signature (canonical metadata without the
+   * signature and verification fields; the content checksum is included)
+   * @param {Object} metadata - Metadata object
+   * @returns {string} Canonical JSON (RFC 8785)
+   */
+  _getSignedData(metadata) {
+    return canonicalize(stripUnsignedFields(metadata, ['signature']));
+  }
+
+  /**
+   * Get the payload covered by the content checksum: all top-level boxes
+   * except the XMP uuid box and free/skip padding, with moov hashed without
+   * udta (where the metadata items live). Tagging moves the media data, so
+   * the stco/co64 chunk offsets are hashed as positions in the covered media
+   * boxes rather than in the file.
+   * @param {Buffer} mediaBuffer - MP4 file data
+   * @param {Array<Object>} boxes - Top-level boxes from _parseFile
+   * @returns {Buffer} Payload
+   */
+  _getMediaPayload(mediaBuffer, boxes = this._parseFile(mediaBuffer)) {
+    const xmpBox = this._findXMPBox(boxes);
+    const covered = boxes.filter(box => box !== xmpBox && !PADDING_BOXES.includes(box.type));
+
+    // Position of each media box (mdat and the like) in the covered data
+    let position = 0;
+    const mediaBoxes = covered.filter(box => box.type !== 'moov').map(box => {
+      const entry = { box, position };
+      position += box.size;
+      return entry;
+    });
+    const relocate = chunkOffset => {
+      const entry = mediaBoxes.find(({ box }) => chunkOffset >= box.offset && chunkOffset < box.offset + box.size);
+      return entry ? chunkOffset - entry.box.offset + entry.position : chunkOffset;
+    };
+
+    return Buffer.concat(covered.map(box => {
+      if (box.type !== 'moov') {
+        return mediaBuffer.slice(box.offset, box.offset + box.size);
+      }
+
+      const moov = this._copyBox(box);
+      moov.children = moov.children.filter(child => child.type !== 'udta');
+      this._updateChunkOffsets(moov, relocate);
+      return this._serializeBox(moov);
+    }));
+  }
+
+  /**
+   * Copy a box tree so that it can be changed without touching the parsed file
+   * @param {Object} box - Box to copy
+   * @returns {Object} Copy (leaf data is shared, it is replaced rather than modified)
+   */
+  _copyBox(box) {
+    return box.children
+      ? { ...box, children: box.children.map(child => this._copyBox(child)) }
+      : { ...box };
+  }
+
+  /**
+   * Calculate SHA-256 checksum of the media payload
+   * @param {Buffer} mediaBuffer - MP4 file data
+   * @param {Array<Object>} boxes - Top-level boxes from _parseFile
+   * @returns {string} Hex checksum
+   */
+  _calculateContentChecksum(mediaBuffer, boxes) {
+    return cryptoUtils.checksum(this._getMediaPayload(mediaBuffer, boxes));
+  }
+
+  /**
+   * Verify content checksum against the media payload
+   * @param {Object} metadata - Metadata with checksum
+   * @param {Buffer} mediaBuffer - MP4 file data
+   * @param {Array<Object>} boxes - Top-level boxes from _parseFile
+   * @returns {Promise<boolean>} True if checksum is valid
+   */
+  async _verifyChecksum(metadata, mediaBuffer, boxes) {
+    return this._calculateContentChecksum(mediaBuffer, boxes) === metadata.checksum;
+  }
+}
+
+module.exports = MP4Handler;
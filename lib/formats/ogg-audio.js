@@ -0,0 +1,521 @@
+/**
+ * Ogg Audio Handler for AI Content Tagging Tools
+ * Handles embedding and extraction of RFC-compliant metadata in the comment
+ * header of Ogg Vorbis and Ogg Opus streams
+ */
+
+const fs = require('fs').promises;
+const cryptoUtils = require('../core/crypto');
+const { canonicalize, stripUnsignedFields } = require('../core/canonical');
+const { normalizeMetadata, validateMetadata } = require('../core/metadata');
+const vorbisComment = require('./vorbis-comment');
+
+// Page structure
+const OGG_CAPTURE_PATTERN = 'OggS';
+const PAGE_HEADER_SIZE = 27; // Without the segment table
+const MAX_SEGMENTS = 255;
+const MAX_LACING_VALUE = 255;
+const PAGE_FLAGS = {
+  CONTINUED: 0x01,
+  BOS: 0x02, // Beginning of stream
+  EOS: 0x04 // End of stream
+};
+const NO_GRANULE = Buffer.alloc(8, 0xFF); // -1: no packet finishes on the page
+
+// Codecs: identification header signature, comment header signature and header packet count
+const CODECS = {
+  vorbis: {
+    identification: Buffer.from('\x01vorbis', 'latin1'),
+    comment: Buffer.from('\x03vorbis', 'latin1'),
+    headerPackets: 3, // Identification, comment, setup
+    framingBit: true
+  },
+  opus: {
+    identification: Buffer.from('OpusHead', 'latin1'),
+    comment: Buffer.from('OpusTags', 'latin1'),
+    headerPackets: 2, // Identification, comment
+    framingBit: false
+  }
+};
+
+// CRC-32 with polynomial 0x04C11DB7, no reflection, initial value 0
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Ogg Vorbis/Opus Audio Metadata Handler
+ */
+class OggHandler {
+  /**
+   * @param {Object} options - Handler options
+   * @param {string|Object|KeyObject} [options.publicKey] - Public key (PEM, JWK or KeyObject) used to verify signatures
+   * @param {Array|Object} [options.publicKeys] - Key set (array or keyId -> key map)
+   * @param {Function} [options.keyResolver] - Resolves key(s) for a metadata object, may be async
+   */
+  constructor(options = {}) {
+    this.options = {
+      preserveExisting: true,
+      ...options
+    };
+  }
+
+  /**
+   * Check whether data is an Ogg stream
+   * @param {Buffer} buffer - File data (at least the first bytes)
+   * @returns {boolean} True if Ogg
+   */
+  static isOgg(buffer) {
+    return buffer.length >= 4 && buffer.slice(0, 4).toString('latin1') === OGG_CAPTURE_PATTERN;
+  }
+
+  /**
+   * Embed AI content metadata into the comment header of the first Vorbis or Opus stream
+   * The header pages are rebuilt and the following pages of the stream renumbered.
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @param {Object} metadata - RFC-compliant metadata object
+   * @param {Object} options - Embedding options
+   * @returns {Promise<Buffer>} Modified audio file data
+   */
+  async embedMetadata(audioData, metadata, options = {}) {
+    try {
+      const audioBuffer = await this._readAudio(audioData);
+
+      // Convert legacy field names to the 1.1 schema and validate
+      // (a signature from a previous embedding is dropped, it no longer applies)
+      metadata = stripUnsignedFields(normalizeMetadata(metadata), ['signature']);
+      this._validateMetadata(metadata);
+
+      const stream = this._parseStream(audioBuffer);
+
+      // Checksum covers the other header packets and the audio pages, so it is part of the signed metadata
+      if (options.includeChecksum !== false) {
+        metadata.checksum = this._calculateContentChecksum(audioBuffer, stream);
+      } else {
+        delete metadata.checksum;
+      }
+
+      const signature = options.privateKey
+        ? await this._createSignature(metadata, options.privateKey)
+        : undefined;
+
+      return this._writeComments(audioBuffer, stream, comments => [
+        ...(this.options.preserveExisting ? comments.filter(comment => !vorbisComment.isAIComment(comment)) : []),
+        ...vorbisComment.createAIComments(metadata, signature)
+      ]);
+    } catch (error) {
+      throw new Error(`Failed to embed Ogg metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract AI content metadata from an Ogg Vorbis or Opus file
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @param {Object} options - Extraction options (publicKey, publicKeys, keyResolver)
+   * @returns {Promise<Object|null>} Extracted metadata object or null if not found
+   */
+  async extractMetadata(audioData, options = {}) {
+    try {
+      const audioBuffer = await this._readAudio(audioData);
+      const stream = this._parseStream(audioBuffer);
+
+      const aiMetadata = vorbisComment.extractAIMetadata(this._parseCommentPacket(stream).comments);
+      if (!aiMetadata) {
+        return null;
+      }
+
+      // Verify integrity if checksum present
+      if (aiMetadata.checksum) {
+        aiMetadata._verified = await this._verifyChecksum(aiMetadata, audioBuffer, stream);
+      }
+
+      // Verify signature if present
+      if (aiMetadata.signature) {
+        const result = await this._verifySignature(aiMetadata, options);
+        aiMetadata._signatureValid = result.valid;
+        aiMetadata._signatureReason = result.reason;
+        if (result.keyId) aiMetadata._signatureKeyId = result.keyId;
+      }
+
+      // Verification runs on the stored fields; callers get the 1.1 field names
+      return normalizeMetadata(aiMetadata);
+    } catch (error) {
+      throw new Error(`Failed to extract Ogg metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if an Ogg file has AI metadata
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @returns {Promise<boolean>} True if AI metadata is present
+   */
+  async hasMetadata(audioData) {
+    try {
+      return (await this.extractMetadata(audioData)) !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove AI metadata from an Ogg file
+   * Other comments are kept.
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @returns {Promise<Buffer>} Audio file without AI metadata
+   */
+  async removeMetadata(audioData) {
+    try {
+      const audioBuffer = await this._readAudio(audioData);
+      const stream = this._parseStream(audioBuffer);
+
+      if (!this._parseCommentPacket(stream).comments.some(comment => vorbisComment.isAIComment(comment))) {
+        return audioBuffer;
+      }
+
+      return this._writeComments(audioBuffer, stream, comments =>
+        comments.filter(comment => !vorbisComment.isAIComment(comment)));
+    } catch (error) {
+      throw new Error(`Failed to remove Ogg metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read audio from buffer or path
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @returns {Promise<Buffer>} Audio buffer
+   */
+  async _readAudio(audioData) {
+    return typeof audioData === 'string' ? fs.readFile(audioData) : audioData;
+  }
+
+  /**
+   * Parse all pages of an Ogg file
+   * @param {Buffer} audioBuffer - Ogg file data
+   * @returns {Array<Object>} Pages with offset, flags, granule, serial, sequence, segments, body and raw bytes
+   */
+  _parsePages(audioBuffer) {
+    const pages = [];
+    let offset = 0;
+
+    while (offset < audioBuffer.length) {
+      if (offset + PAGE_HEADER_SIZE > audioBuffer.length ||
+          audioBuffer.slice(offset, offset + 4).toString('latin1') !== OGG_CAPTURE_PATTERN) {
+        throw new Error(`Invalid Ogg file: no page at offset ${offset}`);
+      }
+      if (audioBuffer[offset + 4] !== 0) {
+        throw new Error(`Unsupported Ogg page version ${audioBuffer[offset + 4]}`);
+      }
+
+      const segmentCount = audioBuffer[offset + 26];
+      const bodyOffset = offset + PAGE_HEADER_SIZE + segmentCount;
+      const segments = [...audioBuffer.slice(offset + PAGE_HEADER_SIZE, bodyOffset)];
+      const end = bodyOffset + segments.reduce((sum, value) => sum + value, 0);
+
+      if (end > audioBuffer.length) {
+        throw new Error(`Invalid Ogg file: truncated page at offset ${offset}`);
+      }
+
+      pages.push({
+        offset,
+        flags: audioBuffer[offset + 5],
+        granule: audioBuffer.slice(offset + 6, offset + 14),
+        serial: audioBuffer.readUInt32LE(offset + 14),
+        sequence: audioBuffer.readUInt32LE(offset + 18),
+        segments,
+        body: audioBuffer.slice(bodyOffset, end),
+        raw: audioBuffer.slice(offset, end)
+      });
+      offset = end;
+    }
+
+    return pages;
+  }
+
+  /**
+   * Find the first Vorbis or Opus stream and read its header packets
+   * @param {Buffer} audioBuffer - Ogg file data
+   * @returns {Object} Stream with pages, serial, codec, header packets and the indexes of its header pages
+   */
+  _parseStream(audioBuffer) {
+    const pages = this._parsePages(audioBuffer);
+
+    let codec = null;
+    const bos = pages.find(page => {
+      if (!(page.flags & PAGE_FLAGS.BOS)) return false;
+      codec = Object.keys(CODECS).find(name => page.body.slice(0, CODECS[name].identification.length)
+        .equals(CODECS[name].identification));
+      return Boolean(codec);
+    });
+
+    if (!bos) {
+      throw new Error('No Ogg Vorbis or Opus stream found');
+    }
+
+    // Assemble header packets from the stream's pages
+    const { headerPackets } = CODECS[codec];
+    const headerPages = [];
+    const packets = [];
+    let current = [];
+
+    for (let index = pages.indexOf(bos); index < pages.length && packets.length < headerPackets; index++) {
+      const page = pages[index];
+      if (page.serial !== bos.serial) continue;
+
+      headerPages.push(index);
+      let position = 0;
+      page.segments.forEach(lacing => {
+        if (packets.length >= headerPackets) {
+          throw new Error('Invalid Ogg stream: audio data shares a page with the header packets');
+        }
+        current.push(page.body.slice(position, position + lacing));
+        position += lacing;
+        if (lacing < MAX_LACING_VALUE) {
+          packets.push(Buffer.concat(current));
+          current = [];
+        }
+      });
+
+      if (page === bos && packets.length !== 1) {
+        throw new Error('Invalid Ogg stream: identification header must be alone on the first page');
+      }
+    }
+
+    if (packets.length < headerPackets) {
+      throw new Error('Invalid Ogg stream: missing header packets');
+    }
+    if (!packets[1].slice(0, CODECS[codec].comment.length).equals(CODECS[codec].comment)) {
+      throw new Error(`Invalid Ogg ${codec} stream: second header packet is not a comment header`);
+    }
+
+    return { pages, serial: bos.serial, codec, packets, headerPages };
+  }
+
+  /**
+   * Parse the comment header packet
+   * @param {Object} stream - Stream from _parseStream
+   * @returns {Object} Vendor, comments and the bytes after the comment list
+   */
+  _parseCommentPacket(stream) {
+    const packet = stream.packets[1];
+    const { vendor, comments, end } = vorbisComment.parse(packet, CODECS[stream.codec].comment.length);
+    return { vendor, comments, trailing: packet.slice(end) };
+  }
+
+  /**
+   * Rewrite the comment header with updated comments
+   * The comment header pages are rebuilt (the Vorbis setup header shares them),
+   * later pages of the stream get new sequence numbers and all changed pages new CRCs.
+   * @param {Buffer} audioBuffer - Ogg file data
+   * @param {Object} stream - Stream from _parseStream
+   * @param {Function} updateComments - Maps the existing comments to the new list
+   * @returns {Buffer} Ogg file data
+   */
+  _writeComments(audioBuffer, stream, updateComments) {
+    const codec = CODECS[stream.codec];
+    const { vendor, comments, trailing } = this._parseCommentPacket(stream);
+
+    // Vorbis ends the comment header with a framing bit, Opus may keep binary data after the comments
+    const commentPacket = Buffer.concat([
+      codec.comment,
+      vorbisComment.create(vendor, updateComments(comments)),
+      codec.framingBit ? Buffer.from([0x01]) : trailing
+    ]);
+
+    // The identification header has a page of its own, the other header packets follow
+    const [bosIndex, ...oldHeaderPages] = stream.headerPages;
+    const bos = stream.pages[bosIndex];
+    const newPages = this._createPages([commentPacket, ...stream.packets.slice(2)], bos.serial, bos.sequence + 1);
+    const sequenceShift = newPages.length - oldHeaderPages.length;
+
+    const output = [];
+    stream.pages.forEach((page, index) => {
+      if (index === oldHeaderPages[0]) {
+        output.push(...newPages);
+      } else if (oldHeaderPages.includes(index)) {
+        // Replaced by the new header pages
+      } else if (page.serial === stream.serial && index > bosIndex && sequenceShift !== 0) {
+        output.push(this._renumberPage(page, page.sequence + sequenceShift));
+      } else {
+        output.push(page.raw);
+      }
+    });
+
+    return Buffer.concat(output);
+  }
+
+  /**
+   * Lay out packets in pages
+   * Each packet is split into 255-byte lacing values (a packet with a length
+   * divisible by 255 ends with a 0); pages hold up to 255 of them.
+   * @param {Array<Buffer>} packets - Packets
+   * @param {number} serial - Stream serial number
+   * @param {number} sequence - Sequence number of the first page
+   * @returns {Array<Buffer>} Pages
+   */
+  _createPages(packets, serial, sequence) {
+    const segments = [];
+    for (const packet of packets) {
+      for (let offset = 0; offset <= packet.length; offset += MAX_LACING_VALUE) {
+        const length = Math.min(MAX_LACING_VALUE, packet.length - offset);
+        segments.push({ data: packet.slice(offset, offset + length), continued: offset > 0 });
+        if (length < MAX_LACING_VALUE) break;
+      }
+    }
+
+    const pages = [];
+    for (let start = 0; start < segments.length; start += MAX_SEGMENTS) {
+      const pageSegments = segments.slice(start, start + MAX_SEGMENTS);
+      const packetEnds = pageSegments.some(segment => segment.data.length < MAX_LACING_VALUE);
+
+      pages.push(this._createPage({
+        flags: pageSegments[0].continued ? PAGE_FLAGS.CONTINUED : 0,
+        // Header pages have granule position 0
+        granule: packetEnds ? Buffer.alloc(8) : NO_GRANULE,
+        serial,
+        sequence: sequence + pages.length,
+        segments: pageSegments.map(segment => segment.data.length),
+        body: Buffer.concat(pageSegments.map(segment => segment.data))
+      }));
+    }
+
+    return pages;
+  }
+
+  /**
+   * Create a page with its CRC
+   * @param {Object} page - Flags, granule, serial, sequence, segments (lacing values) and body
+   * @returns {Buffer} Page bytes
+   */
+  _createPage(page) {
+    const header = Buffer.alloc(PAGE_HEADER_SIZE);
+    header.write(OGG_CAPTURE_PATTERN, 0, 'latin1');
+    header[4] = 0; // Version
+    header[5] = page.flags;
+    page.granule.copy(header, 6);
+    header.writeUInt32LE(page.serial, 14);
+    header.writeUInt32LE(page.sequence, 18);
+    header[26] = page.segments.length;
+
+    const bytes = Buffer.concat([header, Buffer.from(page.segments), page.body]);
+    bytes.writeUInt32LE(this._calculateCRC(bytes), 22);
+    return bytes;
+  }
+
+  /**
+   * Copy a page with a new sequence number and CRC
+   * @param {Object} page - Parsed page
+   * @param {number} sequence - New sequence number
+   * @returns {Buffer} Page bytes
+   */
+  _renumberPage(page, sequence) {
+    return this._createPage({ ...page, sequence });
+  }
+
+  /**
+   * Calculate the page CRC (computed with the CRC field set to zero)
+   * @param {Buffer} page - Page bytes
+   * @returns {number} CRC
+   */
+  _calculateCRC(page) {
+    let crc = 0;
+    for (let i = 0; i < page.length; i++) {
+      const byte = i >= 22 && i < 26 ? 0 : page[i];
+      crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xFF]) >>> 0;
+    }
+    return crc;
+  }
+
+  /**
+   * Validate metadata structure
+   * @param {Object} metadata - Metadata to validate (version 1.1 schema)
+   * @throws {Error} If metadata is invalid
+   */
+  _validateMetadata(metadata) {
+    const result = validateMetadata(metadata);
+    if (!result.isValid) {
+      throw new Error(`Invalid metadata: ${result.error}`);
+    }
+  }
+
+  /**
+   * Create cryptographic signature
+   * @param {Object} metadata - Metadata to sign
+   * @param {KeyObject|string|Object} privateKey - Private key (PEM, JWK or KeyObject)
+   * @returns {Promise<string>} Signature as "algorithm:keyId:base64"
+   */
+  async _createSignature(metadata, privateKey) {
+    return cryptoUtils.createSignature(this._getSignedData(metadata), privateKey);
+  }
+
+  /**
+   * Verify cryptographic signature against the configured public key(s)
+   * @param {Object} metadata - Metadata with signature
+   * @param {Object} options - Per-call key options, override constructor options
+   * @returns {Promise<Object>} Result with valid flag, reason and matching keyId
+   */
+  async _verifySignature(metadata, options = {}) {
+    return cryptoUtils.verifyWithPublicKeys(
+      this._getSignedData(metadata), metadata.signature, [options, this.options], metadata
+    );
+  }
+
+  /**
+   * Get the data covered by the signature (canonical metadata without the
+   * signature and verification fields; the content checksum is included)
+   * @param {Object} metadata - Metadata object
+   * @returns {string} Canonical JSON (RFC 8785)
+   */
+  _getSignedData(metadata) {
+    return canonicalize(stripUnsignedFields(metadata, ['signature']));
+  }
+
+  /**
+   * Get the payload covered by the content checksum: the header packets other
+   * than the comment header and the bodies of all other pages (sequence numbers
+   * and CRCs change when the comment header is rewritten)
+   * @param {Buffer} audioBuffer - Ogg file data
+   * @param {Object} stream - Stream from _parseStream
+   * @returns {Buffer} Payload
+   */
+  _getAudioPayload(audioBuffer, stream = this._parseStream(audioBuffer)) {
+    const commentPages = stream.headerPages.slice(1);
+    return Buffer.concat([
+      stream.packets[0],
+      ...stream.packets.slice(2),
+      ...stream.pages
+        .filter((page, index) => index !== stream.headerPages[0] && !commentPages.includes(index))
+        .map(page => page.body)
+    ]);
+  }
+
+  /**
+   * Calculate SHA-256 checksum of the audio payload
+   * @param {Buffer} audioBuffer - Ogg file data
+   * @param {Object} stream - Stream from _parseStream
+   * @returns {string} Hex checksum
+   */
+  _calculateContentChecksum(audioBuffer, stream) {
+    return cryptoUtils.checksum(this._getAudioPayload(audioBuffer, stream));
+  }
+
+  /**
+   * Verify content checksum against the audio payload
+   * @param {Object} metadata - Metadata with checksum
+   * @param {Buffer} audioBuffer - Ogg file data
+   * @param {Object} stream - Stream from _parseStream
+   * @returns {Promise<boolean>} True if checksum is valid
+   */
+  async _verifyChecksum(metadata, audioBuffer, stream) {
+    return this._calculateContentChecksum(audioBuffer, stream) === metadata.checksum;
+  }
+}
+
+module.exports = OggHandler;
@@ -0,0 +1,800 @@
+/**
+ * Format Handler Registry for AI Content Tagging Tools
+ * Each container format declares how it is detected and which of embed,
+ * extract, remove and verify it supports. The CLIs, the demo server and
+ * lib/index.js find formats here, so a new container only needs to be
+ * registered, also from a third-party package:
+ *
+ *   const { registry, handlerFormat } = require('ai-content-tagging-tools');
+ *
+ *   // ftyp-based, so it is checked before the built-in MP4 format
+ *   registry.register(handlerFormat(HEICHandler, {
+ *     name: 'heic',
+ *     description: 'HEIC image',
+ *     category: 'image',
+ *     extensions: ['.heic'],
+ *     detect: buffer => buffer.slice(4, 12).toString('latin1') === 'ftypheic'
+ *   }), { priority: 10 });
+ *
+ * Capabilities (all optional, at least one required):
+ *   detect(buffer) -> boolean
+ *   embed(content, metadata, options) -> Promise<{content, sidecar?}>
+ *   extract(content, options) -> Promise<{metadata, signatures?, source?}|null>
+ *   remove(content, options) -> Promise<{content, sidecar?}>
+ *   verify(content, options) -> Promise<{metadata, signatures?, source?, checksum, signature}|null>
+ *   write(filePath, metadata, options) -> Promise<string> (sidecar formats)
+ * metadata is a plain object of metadata fields and signatures the signature
+ * strings stored with it (default none). A format with extract but no verify
+ * is verified from extract: signatures are checked against the trusted keys,
+ * the content checksum is reported as not checked.
+ * Formats backed by a handler class also declare createHandler(options),
+ * for tools that need handler-specific options (list with
+ * { capability: 'createHandler' }).
+ * Sidecar formats (sidecar: true) store the metadata next to the content;
+ * they read options.sidecar (document or path) or discover the sidecar of
+ * options.path.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { ContentMetadata } = require('../core/metadata');
+const cryptoUtils = require('../core/crypto');
+const { canonicalize, stripUnsignedFields } = require('../core/canonical');
+const EXIFImageHandler = require('./exif-image');
+const ID3AudioHandler = require('./id3-audio');
+const FLACHandler = require('./flac-audio');
+const OggHandler = require('./ogg-audio');
+const MP4Handler = require('./mp4-media');
+const RIFFAudioHandler = require('./riff-audio');
+const XMPSidecarHandler = require('./xmp-sidecar');
+const htmlMeta = require('./html-meta');
+const sidecarXml = require('./sidecar-xml');
+
+const CAPABILITIES = ['detect', 'embed', 'extract', 'remove', 'verify', 'write'];
+
+// MPEG audio (after an optional ID3v2 tag)
+const ID3_SIGNATURE = 'ID3';
+const ID3_HEADER_SIZE = 10;
+const ID3_FOOTER_FLAG = 0x10;
+
+// Text containers are recognised from the start of the document
+const TEXT_SNIFF_LENGTH = 4096;
+const XML_PROLOG = /^(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*)*/;
+const XML_SIDECAR_ROOT = /^<(?:[\w-]+:)?(?:metadata|directory)\b/;
+const XMP_SIDECAR_ROOT = /^(?:<\?xpacket[^>]*\?>\s*)?<x:xmpmeta\b/;
+const HTML_ROOT = /^(?:<!doctype\s+html|<html|<head)\b/i;
+const HEADER_COMMENT = /^\/\/ X-Content-Metadata:[ \t]*(.*)\r?\n?/;
+
+/**
+ * Registry of container formats
+ */
+class FormatRegistry {
+  constructor() {
+    this.formats = [];
+  }
+
+  /**
+   * Register a format
+   * @param {Object} declaration - Format declaration
+   * @param {string} declaration.name - Unique name, used by --format
+   * @param {string} [declaration.description] - Human-readable description
+   * @param {string} [declaration.category] - 'image', 'audio', 'text' or 'sidecar'
+   * @param {Array<string>} [declaration.extensions] - File extensions ('.jpg')
+   * @param {boolean} [declaration.sidecar] - Metadata is stored next to the content
+   * @param {boolean} [declaration.multipleSignatures] - Co-signatures are supported
+   * @param {Function} [declaration.detect] - (buffer) -> true if the content is in this format
+   * @param {Function} [declaration.embed] - (content, metadata, options) -> Promise<{content, sidecar?}>
+   * @param {Function} [declaration.extract] - (content, options) -> Promise<{metadata, signatures?, source?}|null>
+   * @param {Function} [declaration.remove] - (content, options) -> Promise<{content, sidecar?}>
+   * @param {Function} [declaration.verify] - (content, options) -> Promise<{metadata, signatures?, source?, checksum, signature}|null>;
+   *   derived from extract when missing, without a checksum check (checksum.valid is null)
+   * @param {Function} [declaration.write] - (filePath, metadata, options) -> Promise<string>, sidecar formats
+   * @param {Object} options - Registration options
+   * @param {number} [options.priority=0] - Detection order, higher first
+   * @param {boolean} [options.replace=false] - Replace a format with the same name
+   * @returns {Object} Registered format
+   */
+  register(declaration, options = {}) {
+    if (!declaration || typeof declaration.name !== 'string' || !declaration.name) {
+      throw new Error('Format name is required');
+    }
+
+    const format = {
+      description: declaration.name,
+      category: 'other',
+      extensions: [],
+      sidecar: false,
+      multipleSignatures: false,
+      priority: 0,
+      ...declaration,
+      name: declaration.name.toLowerCase()
+    };
+    if (options.priority !== undefined) format.priority = options.priority;
+    format.extensions = format.extensions.map(extension => extension.toLowerCase());
+
+    for (const capability of CAPABILITIES) {
+      if (format[capability] !== undefined && typeof format[capability] !== 'function') {
+        throw new Error(`Format ${format.name}: ${capability} must be a function`);
+      }
+    }
+    if (this.capabilities(format).length === 0) {
+      throw new Error(`Format ${format.name} declares no capabilities`);
+    }
+    if (format.extract && !format.verify) {
+      format.verify = verifyFromExtract(format.extract);
+    }
+
+    const index = this.formats.findIndex(existing => existing.name === format.name);
+    if (index !== -1) {
+      if (!options.replace) {
+        throw new Error(`Format already registered: ${format.name}`);
+      }
+      this.formats.splice(index, 1);
+    }
+
+    this.formats.push(format);
+    return format;
+  }
+
+  /**
+   * Remove a format
+   * @param {string} name - Format name
+   * @returns {boolean} True if the format was registered
+   */
+  unregister(name) {
+    const index = this.formats.findIndex(format => format.name === String(name).toLowerCase());
+    if (index === -1) return false;
+    this.formats.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Get a format by name
+   * @param {string} name - Format name
+   * @returns {Object|null} Format, or null if not registered
+   */
+  get(name) {
+    return this.formats.find(format => format.name === String(name).toLowerCase()) || null;
+  }
+
+  /**
+   * List formats in detection order
+   * @param {Object} filter - Filter
+   * @param {string} [filter.capability] - Only formats with this capability
+   * @param {string|Array<string>} [filter.category] - Only formats in these categories
+   * @param {boolean} [filter.sidecar] - Only sidecar (true) or embedded (false) formats
+   * @returns {Array<Object>} Formats
+   */
+  list(filter = {}) {
+    const categories = filter.category === undefined ? null : [].concat(filter.category);
+    return this.formats
+      .filter(format => !filter.capability || typeof format[filter.capability] === 'function')
+      .filter(format => !categories || categories.includes(format.category))
+      .filter(format => filter.sidecar === undefined || format.sidecar === filter.sidecar)
+      .map((format, index) => ({ format, index }))
+      .sort((a, b) => b.format.priority - a.format.priority || a.index - b.index)
+      .map(({ format }) => format);
+  }
+
+  /**
+   * List format names
+   * @param {Object} filter - Filter (see list)
+   * @returns {Array<string>} Format names
+   */
+  names(filter = {}) {
+    return this.list(filter).map(format => format.name);
+  }
+
+  /**
+   * Get the capabilities a format declares
+   * @param {string|Object} format - Format or format name
+   * @returns {Array<string>} Capabilities
+   */
+  capabilities(format) {
+    const entry = typeof format === 'string' ? this.get(format) : format;
+    return entry ? CAPABILITIES.filter(capability => typeof entry[capability] === 'function') : [];
+  }
+
+  /**
+   * Check whether a format supports a capability
+   * @param {string} name - Format name
+   * @param {string} capability - Capability
+   * @returns {boolean} True if supported
+   */
+  supports(name, capability) {
+    return this.capabilities(name).includes(capability);
+  }
+
+  /**
+   * Detect the format of some content from its first bytes
+   * @param {Buffer} content - Content
+   * @param {Object} filter - Filter (see list)
+   * @returns {Object|null} First matching format, or null
+   */
+  detect(content, filter = {}) {
+    return this.detectAll(content, filter)[0] || null;
+  }
+
+  /**
+   * Detect every format matching some content
+   * @param {Buffer} content - Content
+   * @param {Object} filter - Filter (see list)
+   * @returns {Array<Object>} Matching formats in detection order
+   */
+  detectAll(content, filter = {}) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    return this.list(filter).filter(format => typeof format.detect === 'function' && format.detect(buffer));
+  }
+
+  /**
+   * Find the format for a file name by extension
+   * @param {string} filePath - File path
+   * @param {Object} filter - Filter (see list)
+   * @returns {Object|null} Format, or null
+   */
+  fromPath(filePath, filter = {}) {
+    const name = String(filePath).toLowerCase();
+    return this.list(filter).find(format => format.extensions.some(extension => name.endsWith(extension))) || null;
+  }
+
+  /**
+   * List the file extensions of formats
+   * @param {Object} filter - Filter (see list)
+   * @returns {Array<string>} Extensions
+   */
+  extensions(filter = {}) {
+    return [...new Set(this.list(filter).flatMap(format => format.extensions))];
+  }
+
+  /**
+   * Extract metadata, trying the detected formats and then the sidecars
+   * @param {Buffer} content - Content
+   * @param {Object} options - Options passed to the formats
+   * @param {string} [options.format] - Only try this format
+   * @param {string} [options.path] - Content file path (sidecar discovery)
+   * @param {Buffer|string} [options.sidecar] - Sidecar document or path (only sidecar formats are tried)
+   * @returns {Promise<Object|null>} Result with format, metadata, signatures and source, or null
+   */
+  async extract(content, options = {}) {
+    return this._locate('extract', content, options);
+  }
+
+  /**
+   * Verify metadata: content checksum and signature against trusted keys
+   * @param {Buffer} content - Content (null when only a sidecar is available)
+   * @param {Object} options - Options (see extract)
+   * @param {Map|Array|Object} [options.trustedKeys] - Trusted public keys
+   * @param {*} [options.publicKey] - Single public key to trust
+   * @returns {Promise<Object|null>} Result with format, metadata, signatures, source, checksum and signature, or null
+   */
+  async verify(content, options = {}) {
+    return this._locate('verify', content, { ...options, trustedKeys: addTrustedKey(options.trustedKeys, options.publicKey) });
+  }
+
+  /**
+   * Run a capability on the candidate formats until one finds metadata
+   * Errors are only reported when no format finds anything.
+   * @param {string} capability - 'extract' or 'verify'
+   * @param {Buffer} content - Content
+   * @param {Object} options - Options
+   * @returns {Promise<Object|null>} Result, or null
+   */
+  async _locate(capability, content, options) {
+    let candidates;
+    if (options.format) {
+      const format = this.get(options.format);
+      if (!format || typeof format[capability] !== 'function') {
+        throw new Error(`Format ${options.format} does not support ${capability}`);
+      }
+      candidates = [format];
+    } else if (options.sidecar || !content) {
+      candidates = this.list({ capability, sidecar: true });
+    } else {
+      candidates = [
+        ...this.detectAll(content, { capability, sidecar: false }),
+        ...this.list({ capability, sidecar: true })
+      ];
+    }
+
+    const errors = [];
+    for (const format of candidates) {
+      try {
+        const result = await format[capability](content, options);
+        if (result) {
+          const source = format.sidecar ? format.description : `embedded: ${format.description}`;
+          return { format: format.name, source, ...result, signatures: result.signatures || [] };
+        }
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+
+    if (errors.length > 0) throw errors[0];
+    return null;
+  }
+}
+
+/**
+ * Declare a format backed by a handler class with the embedMetadata,
+ * extractMetadata and removeMetadata methods of the built-in handlers
+ * @param {Function} HandlerClass - Handler class
+ * @param {Object} declaration - Format declaration (name, detect, ...); overrides the generated capabilities
+ * @returns {Object} Format declaration
+ */
+function handlerFormat(HandlerClass, declaration) {
+  return {
+    createHandler: options => new HandlerClass(options),
+
+    async embed(content, metadata, options = {}) {
+      return { content: await new HandlerClass(options).embedMetadata(content, metadata, options) };
+    },
+
+    async extract(content, options = {}) {
+      const metadata = await new HandlerClass(options).extractMetadata(content, options);
+      if (!metadata) return null;
+
+      const fields = withoutVerificationFields(metadata);
+      return { metadata: fields, signatures: fields.signature ? [fields.signature] : [] };
+    },
+
+    async remove(content, options = {}) {
+      return { content: await new HandlerClass(options).removeMetadata(content) };
+    },
+
+    async verify(content, options = {}) {
+      const metadata = await new HandlerClass().extractMetadata(content, { publicKeys: options.trustedKeys || {} });
+      return metadata ? fromHandlerResult(metadata) : null;
+    },
+
+    ...declaration
+  };
+}
+
+// Built-in formats
+
+/**
+ * Declare a text format whose metadata is a block in the document; the
+ * checksum covers the document without the block
+ * @param {Object} declaration - Name, detection and the read ({metadata, signatures}), strip and insert functions
+ * @returns {Object} Format declaration
+ */
+function textFormat(declaration) {
+  const { read, strip, insert, ...format } = declaration;
+
+  const result = {
+    category: 'text',
+    ...format,
+
+    async extract(content) {
+      const entry = await read(content.toString('utf8'));
+      return entry ? extractEntry(entry) : null;
+    },
+
+    async verify(content, options = {}) {
+      const text = content.toString('utf8');
+      const entry = await read(text);
+      return entry ? verifyEntry(entry, strip(text), options.trustedKeys) : null;
+    }
+  };
+
+  if (insert) {
+    // Tagging again replaces the previous block, so the checksum covers the bare document
+    result.embed = async (content, metadata, options = {}) => {
+      const text = strip(content.toString('utf8'), options);
+      const { contentMetadata } = prepareContentMetadata(text, metadata, options);
+      return { content: Buffer.from(insert(text, contentMetadata, options), 'utf8') };
+    };
+    result.remove = async content => ({ content: Buffer.from(strip(content.toString('utf8')), 'utf8') });
+  }
+
+  return result;
+}
+
+const BUILTIN_FORMATS = [
+  // Images (EXIF/XMP)
+  handlerFormat(EXIFImageHandler, {
+    name: 'jpeg',
+    description: 'JPEG image (XMP/EXIF)',
+    category: 'image',
+    extensions: ['.jpg', '.jpeg'],
+    detect: buffer => EXIFImageHandler.detectImageFormat(buffer) === 'jpeg'
+  }),
+  handlerFormat(EXIFImageHandler, {
+    name: 'png',
+    description: 'PNG image (iTXt XMP)',
+    category: 'image',
+    extensions: ['.png'],
+    detect: buffer => EXIFImageHandler.detectImageFormat(buffer) === 'png'
+  }),
+  handlerFormat(EXIFImageHandler, {
+    name: 'tiff',
+    description: 'TIFF image (XMP tag)',
+    category: 'image',
+    extensions: ['.tif', '.tiff'],
+    detect: buffer => EXIFImageHandler.detectImageFormat(buffer) === 'tiff'
+  }),
+  handlerFormat(EXIFImageHandler, {
+    name: 'webp',
+    description: 'WebP image (XMP chunk)',
+    category: 'image',
+    extensions: ['.webp'],
+    detect: buffer => EXIFImageHandler.detectImageFormat(buffer) === 'webp'
+  }),
+
+  // Audio and video
+  handlerFormat(FLACHandler, {
+    name: 'flac',
+    description: 'FLAC audio (Vorbis comments)',
+    category: 'audio',
+    extensions: ['.flac'],
+    detect: buffer => FLACHandler.isFLAC(buffer)
+  }),
+  handlerFormat(OggHandler, {
+    name: 'ogg',
+    description: 'Ogg Vorbis/Opus audio (comment header)',
+    category: 'audio',
+    extensions: ['.ogg', '.opus', '.oga'],
+    detect: buffer => OggHandler.isOgg(buffer)
+  }),
+  handlerFormat(MP4Handler, {
+    name: 'mp4',
+    description: 'MP4/M4A media (iTunes items and XMP)',
+    category: 'audio',
+    extensions: ['.m4a', '.m4b', '.mp4', '.m4v', '.mov'],
+    detect: buffer => MP4Handler.isMP4(buffer)
+  }),
+  handlerFormat(RIFFAudioHandler, {
+    name: 'riff',
+    description: 'WAV/BWF and AIFF audio (iXML, bext, INFO)',
+    category: 'audio',
+    extensions: ['.wav', '.aiff', '.aif', '.aifc'],
+    detect: buffer => RIFFAudioHandler.isRIFF(buffer)
+  }),
+  // Frame sync also matches other MPEG streams, so it is checked last
+  handlerFormat(ID3AudioHandler, {
+    name: 'mp3',
+    description: 'MP3 audio (ID3v2 tag)',
+    category: 'audio',
+    extensions: ['.mp3', '.aac'],
+    priority: -10,
+    detect: isMPEGAudio
+  }),
+
+  // Text
+  textFormat({
+    name: 'html',
+    description: 'HTML meta tags',
+    extensions: ['.html', '.htm'],
+    // Tags written into non-HTML text are commented out, so they are looked for before stripping comments
+    detect: buffer => HTML_ROOT.test(sniffRoot(buffer)) || htmlMeta.hasMetaTags(sniffText(buffer)),
+    read: text => toEntry(htmlMeta.extractMetaTags(text, { strict: false })),
+    strip: (text, options) => htmlMeta.stripMetaTags(text, options),
+    insert: (text, metadata, options) => htmlMeta.injectMetaTags(text, metadata, options)
+  }),
+  textFormat({
+    name: 'header',
+    description: 'HTTP header comment (X-Content-Metadata)',
+    detect: buffer => HEADER_COMMENT.test(sniffText(buffer)),
+    read: text => {
+      const match = text.match(HEADER_COMMENT);
+      return match ? toEntry(ContentMetadata.parseHTTPHeader(match[1])) : null;
+    },
+    strip: text => text.replace(HEADER_COMMENT, ''),
+    insert: (text, metadata) => `// X-Content-Metadata: ${metadata.toHTTPHeader()}\n${text}`
+  }),
+  // Read-only: <metadata> blocks pasted into other documents
+  textFormat({
+    name: 'xml-block',
+    description: 'XML block (<metadata>...</metadata>)',
+    priority: -20,
+    detect: buffer => isText(buffer) && !XML_SIDECAR_ROOT.test(sniffRoot(buffer)) &&
+      Boolean(sidecarXml.findEmbedded(buffer.toString('utf8'))),
+    read: async text => {
+      const xml = sidecarXml.findEmbedded(text);
+      return xml ? sidecarXml.parse(xml) : null;
+    },
+    strip: text => {
+      const xml = sidecarXml.findEmbedded(text);
+      return xml ? text.replace(xml, '') : text;
+    }
+  }),
+
+  // Sidecars
+  {
+    name: 'sidecar',
+    description: 'XML sidecar (.meta.xml)',
+    category: 'sidecar',
+    extensions: ['.meta.xml'],
+    sidecar: true,
+    multipleSignatures: true,
+    detect: buffer => XML_SIDECAR_ROOT.test(sniffRoot(buffer)),
+
+    async embed(content, metadata, options = {}) {
+      const { contentMetadata, signatures } = prepareContentMetadata(content, metadata, options);
+      return { content, sidecar: sidecarXml.create(contentMetadata, { signatures }) };
+    },
+
+    async write(filePath, metadata, options = {}) {
+      const content = await fs.readFile(filePath);
+      const { contentMetadata, signatures } = prepareContentMetadata(content, metadata, options);
+      return sidecarXml.write(filePath, contentMetadata, {
+        signatures,
+        directory: options.directory,
+        sidecarPath: options.sidecarPath
+      });
+    },
+
+    async extract(content, options = {}) {
+      const entry = await findSidecarEntry(options);
+      return entry ? extractEntry(entry) : null;
+    },
+
+    async verify(content, options = {}) {
+      const entry = await findSidecarEntry(options);
+      return entry ? verifyEntry(entry, content, options.trustedKeys) : null;
+    }
+  },
+  {
+    name: 'xmp-sidecar',
+    description: 'XMP sidecar (.xmp)',
+    category: 'sidecar',
+    extensions: ['.xmp'],
+    sidecar: true,
+    detect: buffer => XMP_SIDECAR_ROOT.test(sniffRoot(buffer)),
+    createHandler: options => new XMPSidecarHandler(options),
+
+    // A content path lets the handler merge into an existing photo.xmp
+    async embed(content, metadata, options = {}) {
+      const sidecar = await new XMPSidecarHandler(options).embedMetadata(options.path || content, metadata, options);
+      return { content, sidecar };
+    },
+
+    async write(filePath, metadata, options = {}) {
+      return new XMPSidecarHandler(options).writeSidecar(filePath, metadata, options);
+    },
+
+    async extract(content, options = {}) {
+      const entry = await findXMPSidecarEntry(options);
+      return entry ? extractEntry(entry) : null;
+    },
+
+    async remove(content, options = {}) {
+      const xmpData = await readSidecarData(options);
+      if (!xmpData) return { content, sidecar: null };
+      return { content, sidecar: await new XMPSidecarHandler(options).removeMetadata(xmpData) };
+    },
+
+    // The checksum covers the whole file, like a .meta.xml sidecar
+    async verify(content, options = {}) {
+      const entry = await findXMPSidecarEntry(options);
+      return entry ? verifyEntry(entry, content, options.trustedKeys) : null;
+    }
+  }
+];
+
+const registry = new FormatRegistry();
+for (const format of BUILTIN_FORMATS) {
+  registry.register(format);
+}
+
+// Helper functions
+
+/**
+ * Create ContentMetadata for some content, with checksum and signatures
+ * @param {Buffer|string} content - Content covered by the checksum
+ * @param {Object} metadata - Metadata fields
+ * @param {Object} options - Options (includeChecksum, privateKey: key or array of keys)
+ * @returns {{contentMetadata: ContentMetadata, signatures: Array<string>}} Metadata and signatures
+ */
+function prepareContentMetadata(content, metadata, options = {}) {
+  const fields = metadata instanceof ContentMetadata ? metadata.toObject() : { ...metadata };
+  delete fields.signature;
+
+  const contentMetadata = new ContentMetadata(fields);
+  if (options.includeChecksum !== false) {
+    contentMetadata.checksum = cryptoUtils.checksum(content);
+  } else {
+    delete contentMetadata.checksum;
+  }
+
+  // Further keys add co-signatures over the same data
+  const [privateKey, ...coSigningKeys] = [].concat(options.privateKey || []);
+  const signatures = [];
+  if (privateKey) {
+    contentMetadata.sign(privateKey);
+    signatures.push(contentMetadata.signature);
+    for (const key of coSigningKeys) {
+      signatures.push(cryptoUtils.createSignature(contentMetadata.getSignedData(), key));
+    }
+  }
+
+  return { contentMetadata, signatures };
+}
+
+/**
+ * Add a single public key to a set of trusted keys
+ * @param {Map|Array|Object} trustedKeys - Trusted public keys
+ * @param {*} [publicKey] - Additional public key
+ * @returns {Map|Array|Object} Trusted keys
+ */
+function addTrustedKey(trustedKeys, publicKey) {
+  if (!publicKey) return trustedKeys || {};
+  const keys = trustedKeys instanceof Map ? [...trustedKeys.values()]
+    : Array.isArray(trustedKeys) ? trustedKeys
+      : Object.values(trustedKeys || {});
+  return [...keys, publicKey];
+}
+
+function fromHandlerResult(metadata) {
+  const fields = withoutVerificationFields(metadata);
+  let signature = unsigned();
+
+  if (metadata.signature) {
+    const { keyId, algorithm } = cryptoUtils.parseSignature(metadata.signature);
+    const valid = Boolean(metadata._signatureValid);
+    signature = {
+      present: true,
+      valid,
+      trusted: valid,
+      keyId: keyId || metadata._signatureKeyId || null,
+      algorithm,
+      reason: metadata._signatureReason || null
+    };
+    signature.signatures = [{ ...signature }];
+  }
+
+  return {
+    metadata: fields,
+    signatures: fields.signature ? [fields.signature] : [],
+    checksum: { present: Boolean(fields.checksum), valid: fields.checksum ? Boolean(metadata._verified) : false },
+    signature
+  };
+}
+
+/**
+ * Derive verify from the extract capability of a format
+ * The format does not say what its checksum covers, so the checksum is not
+ * checked (valid: null); signatures are checked over the canonical metadata.
+ * @param {Function} extract - extract capability
+ * @returns {Function} verify capability
+ */
+function verifyFromExtract(extract) {
+  return async (content, options = {}) => {
+    const result = await extract(content, options);
+    if (!result) return null;
+
+    const metadata = withoutVerificationFields(
+      result.metadata instanceof ContentMetadata ? result.metadata.toObject() : result.metadata
+    );
+    const signatures = result.signatures || (metadata.signature ? [metadata.signature] : []);
+
+    let signature = unsigned();
+    if (signatures.length > 0) {
+      const signedData = canonicalize(stripUnsignedFields(metadata, ['signature']));
+      const results = signatures.map(entry => cryptoUtils.verifyWithTrustedKeys(signedData, entry, options.trustedKeys || {}));
+      const { valid, trusted, keyId, algorithm, reason } = results.find(candidate => candidate.valid) || results[0];
+      signature = { present: true, valid, trusted, keyId, algorithm, reason: reason || null, signatures: results };
+    }
+
+    const verified = {
+      metadata,
+      signatures,
+      checksum: { present: Boolean(metadata.checksum), valid: metadata.checksum ? null : false },
+      signature
+    };
+    if (result.source !== undefined) verified.source = result.source;
+    return verified;
+  };
+}
+
+function extractEntry(entry) {
+  const result = { metadata: entry.metadata.toObject(), signatures: entry.signatures };
+  if (entry.path !== undefined) result.source = describeSidecar(entry);
+  return result;
+}
+
+function verifyEntry(entry, content, trustedKeys) {
+  const { metadata, signatures } = entry;
+  const fields = metadata.toObject();
+  const checksum = {
+    present: Boolean(fields.checksum),
+    valid: !fields.checksum ? false : content ? metadata.verifyIntegrity(content) : null
+  };
+
+  let signature = unsigned();
+  if (signatures.length > 0) {
+    const result = sidecarXml.verifySignatures(metadata, signatures, trustedKeys || {});
+    signature = {
+      present: true,
+      valid: result.valid,
+      trusted: result.trusted,
+      keyId: result.keyId,
+      algorithm: result.algorithm,
+      reason: result.reason || null,
+      signatures: result.signatures
+    };
+  }
+
+  const result = { metadata: fields, signatures, checksum, signature };
+  if (entry.path !== undefined) result.source = describeSidecar(entry);
+  return result;
+}
+
+async function findSidecarEntry(options) {
+  if (options.sidecar) {
+    if (typeof options.sidecar === 'string' && !options.sidecar.trimStart().startsWith('<')) {
+      return sidecarXml.read(options.sidecar, { file: options.path });
+    }
+    const data = Buffer.from(options.sidecar);
+    return XMP_SIDECAR_ROOT.test(sniffRoot(data))
+      ? sidecarXml.parseXMP(data)
+      : sidecarXml.parse(data, { file: options.path });
+  }
+  return options.path ? sidecarXml.discover(options.path) : null;
+}
+
+async function readSidecarData(options) {
+  if (!options.sidecar) return null;
+  if (typeof options.sidecar === 'string' && !options.sidecar.trimStart().startsWith('<')) {
+    return fs.readFile(options.sidecar);
+  }
+  return Buffer.from(options.sidecar);
+}
+
+async function findXMPSidecarEntry(options) {
+  if (options.sidecar) {
+    return sidecarXml.parseXMP(await readSidecarData(options));
+  }
+  const candidate = options.path && sidecarXml.findSidecars(options.path).find(sidecar => sidecar.type === 'xmp');
+  return candidate ? sidecarXml.read(candidate.path) : null;
+}
+
+function describeSidecar(entry) {
+  const kind = entry.scope === 'directory' ? 'directory sidecar' : entry.type === 'xmp' ? 'XMP sidecar' : 'sidecar';
+  return entry.path ? `${kind}: ${path.basename(entry.path)}` : kind;
+}
+
+function toEntry(metadata) {
+  return metadata ? { metadata, signatures: metadata.signature ? [metadata.signature] : [] } : null;
+}
+
+function withoutVerificationFields(metadata) {
+  const fields = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    if (!key.startsWith('_')) fields[key] = value;
+  }
+  return fields;
+}
+
+function unsigned() {
+  return { present: false, valid: false, trusted: false, keyId: null, algorithm: null, reason: 'Metadata is not signed', signatures: [] };
+}
+
+function isMPEGAudio(buffer) {
+  let offset = 0;
+  if (buffer.length >= ID3_HEADER_SIZE && buffer.slice(0, 3).toString('latin1') === ID3_SIGNATURE) {
+    const size = ((buffer[6] & 0x7F) << 21) | ((buffer[7] & 0x7F) << 14) | ((buffer[8] & 0x7F) << 7) | (buffer[9] & 0x7F);
+    offset = ID3_HEADER_SIZE + size + (buffer[5] & ID3_FOOTER_FLAG ? ID3_HEADER_SIZE : 0);
+    // A tag without audio after it (FLAC and WAV files are detected first)
+    if (offset >= buffer.length) return true;
+  }
+  return buffer.length >= offset + 2 && buffer[offset] === 0xFF && (buffer[offset + 1] & 0xE0) === 0xE0;
+}
+
+function isText(buffer) {
+  return !buffer.slice(0, TEXT_SNIFF_LENGTH).includes(0);
+}
+
+function sniffText(buffer) {
+  return buffer.slice(0, TEXT_SNIFF_LENGTH).toString('utf8').replace(/^\uFEFF/, '');
+}
+
+function sniffRoot(buffer) {
+  return sniffText(buffer).trimStart().replace(XML_PROLOG, '');
+}
+
+module.exports = {
+  FormatRegistry,
+  registry,
+  handlerFormat
+};
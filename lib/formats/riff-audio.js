@@ -0,0 +1,680 @@
+/**
+ * RIFF Audio Handler for AI Content Tagging Tools
+ * Handles embedding and extraction of RFC-compliant metadata in WAV/BWF
+ * (LIST/INFO, bext and iXML chunks) and AIFF files (ANNO and iXML chunks)
+ */
+
+const fs = require('fs').promises;
+const xmp = require('./xmp');
+const ID3AudioHandler = require('./id3-audio');
+const cryptoUtils = require('../core/crypto');
+const { canonicalize, stripUnsignedFields } = require('../core/canonical');
+const { normalizeMetadata, validateMetadata } = require('../core/metadata');
+
+// Container structure: RIFF is little-endian, IFF (AIFF) big-endian
+const CHUNK_HEADER_SIZE = 8;
+const FORM_HEADER_SIZE = 12; // Container ID, size and form type
+const CONTAINERS = {
+  RIFF: { forms: ['WAVE'], littleEndian: true },
+  FORM: { forms: ['AIFF', 'AIFC'], littleEndian: false }
+};
+
+// Chunks covered by the content checksum (format and audio data)
+const AUDIO_CHUNKS = {
+  WAVE: ['fmt ', 'data'],
+  AIFF: ['COMM', 'SSND'],
+  AIFC: ['COMM', 'SSND']
+};
+
+// Metadata chunks
+const IXML_CHUNK = 'iXML';
+const BEXT_CHUNK = 'bext';
+const LIST_CHUNK = 'LIST';
+const INFO_LIST_TYPE = 'INFO';
+const INFO_COMMENT = 'ICMT';
+const AIFF_ANNOTATION_CHUNK = 'ANNO';
+const ID3_CHUNKS = { WAVE: 'id3 ', AIFF: 'ID3 ', AIFC: 'ID3 ' }; // Chunk for ID3 tags prepended by earlier versions
+
+// bext chunk (EBU Tech 3285): Description is the first field
+const BEXT_DESCRIPTION_SIZE = 256;
+const BEXT_FIXED_SIZE = 602; // Fields before CodingHistory
+const BEXT_VERSION_OFFSET = 346;
+const BEXT_VERSION = 1;
+
+// iXML elements for AI metadata
+const IXML_ROOT = 'BWFXML';
+const IXML_VERSION = '1.61';
+const AI_IXML_ELEMENTS = {
+  METADATA: 'AI_METADATA',
+  CHECKSUM: 'AI_CHECKSUM',
+  SIGNATURE: 'AI_SIGNATURE'
+};
+const IXML_CLOSE_PATTERN = new RegExp(`(\\s*)</${IXML_ROOT}>`);
+
+// Summary written to the text fields (bext Description, INFO ICMT, ANNO); the prefix marks it as ours
+const SUMMARY_PREFIX = 'aicontag: ';
+
+/**
+ * WAV/BWF and AIFF Audio Metadata Handler
+ */
+class RIFFAudioHandler {
+  /**
+   * @param {Object} options - Handler options
+   * @param {boolean} [options.preserveExisting=true] - Keep a bext description or comment written by other tools
+   * @param {string|Object|KeyObject} [options.publicKey] - Public key (PEM, JWK or KeyObject) used to verify signatures
+   * @param {Array|Object} [options.publicKeys] - Key set (array or keyId -> key map)
+   * @param {Function} [options.keyResolver] - Resolves key(s) for a metadata object, may be async
+   */
+  constructor(options = {}) {
+    this.options = {
+      preserveExisting: true,
+      ...options
+    };
+  }
+
+  /**
+   * Check whether data is a RIFF WAVE or AIFF file (optionally preceded by an ID3v2 tag)
+   * @param {Buffer} buffer - File data (at least the first bytes)
+   * @returns {boolean} True if WAV or AIFF
+   */
+  static isRIFF(buffer) {
+    const offset = RIFFAudioHandler._getID3v2Size(buffer);
+    if (buffer.length < offset + FORM_HEADER_SIZE) return false;
+
+    const container = CONTAINERS[buffer.slice(offset, offset + 4).toString('latin1')];
+    return Boolean(container) && container.forms.includes(buffer.slice(offset + 8, offset + 12).toString('latin1'));
+  }
+
+  /**
+   * Get the size of an ID3v2 tag before the RIFF form (written by earlier
+   * versions, which tagged WAV files like MP3)
+   * @param {Buffer} buffer - File data
+   * @returns {number} Tag size including header and footer, 0 without tag
+   */
+  static _getID3v2Size(buffer) {
+    if (buffer.length < 10 || buffer.slice(0, 3).toString('latin1') !== 'ID3') {
+      return 0;
+    }
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    const footer = buffer[3] >= 4 && (buffer[5] & 0x10) !== 0;
+    return size + 10 + (footer ? 10 : 0);
+  }
+
+  /**
+   * Embed AI content metadata into a WAV or AIFF file
+   * The full metadata goes to the iXML chunk, a summary to the bext
+   * description and LIST/INFO comment (WAV) or an ANNO chunk (AIFF).
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @param {Object} metadata - RFC-compliant metadata object
+   * @param {Object} options - Embedding options
+   * @returns {Promise<Buffer>} Modified audio file data
+   */
+  async embedMetadata(audioData, metadata, options = {}) {
+    try {
+      const audioBuffer = await this._readAudio(audioData);
+
+      // Convert legacy field names to the 1.1 schema and validate
+      // (a signature from a previous embedding is dropped, it no longer applies)
+      metadata = stripUnsignedFields(normalizeMetadata(metadata), ['signature']);
+      this._validateMetadata(metadata);
+
+      const file = this._parseFile(audioBuffer);
+
+      // Checksum covers the format and audio data chunks, so it is part of the signed metadata
+      if (options.includeChecksum !== false) {
+        metadata.checksum = this._calculateContentChecksum(audioBuffer, file);
+      } else {
+        delete metadata.checksum;
+      }
+
+      const signature = options.privateKey
+        ? await this._createSignature(metadata, options.privateKey)
+        : undefined;
+
+      await this._moveLegacyID3Tag(file);
+      this._updateIXML(file, ixml => this._addIXMLElements(ixml, metadata, signature));
+      this._updateSummary(file, this._createSummary(metadata));
+
+      return this._serializeFile(file);
+    } catch (error) {
+      throw new Error(`Failed to embed RIFF metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract AI content metadata from a WAV or AIFF file
+   * An ID3 tag prepended by earlier versions is read when there is no iXML metadata.
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @param {Object} options - Extraction options (publicKey, publicKeys, keyResolver)
+   * @returns {Promise<Object|null>} Extracted metadata object or null if not found
+   */
+  async extractMetadata(audioData, options = {}) {
+    try {
+      const audioBuffer = await this._readAudio(audioData);
+      const file = this._parseFile(audioBuffer);
+
+      const ixmlChunk = file.chunks.find(chunk => chunk.id === IXML_CHUNK);
+      const aiMetadata = ixmlChunk ? this._parseIXMLData(ixmlChunk.data) : null;
+      if (!aiMetadata) {
+        return file.prefix.length > 0
+          ? new ID3AudioHandler(this.options).extractMetadata(audioBuffer, options)
+          : null;
+      }
+
+      // Verify integrity if checksum present
+      if (aiMetadata.checksum) {
+        aiMetadata._verified = await this._verifyChecksum(aiMetadata, audioBuffer, file);
+      }
+
+      // Verify signature if present
+      if (aiMetadata.signature) {
+        const result = await this._verifySignature(aiMetadata, options);
+        aiMetadata._signatureValid = result.valid;
+        aiMetadata._signatureReason = result.reason;
+        if (result.keyId) aiMetadata._signatureKeyId = result.keyId;
+      }
+
+      // Verification runs on the stored fields; callers get the 1.1 field names
+      return normalizeMetadata(aiMetadata);
+    } catch (error) {
+      throw new Error(`Failed to extract RIFF metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if a WAV or AIFF file has AI metadata
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @returns {Promise<boolean>} True if AI metadata is present
+   */
+  async hasMetadata(audioData) {
+    try {
+      return (await this.extractMetadata(audioData)) !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove AI metadata from a WAV or AIFF file
+   * Our iXML elements and summaries are removed; chunks left empty are dropped.
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @returns {Promise<Buffer>} Audio file without AI metadata
+   */
+  async removeMetadata(audioData) {
+    try {
+      const audioBuffer = await this._readAudio(audioData);
+      const file = this._parseFile(audioBuffer);
+
+      await this._moveLegacyID3Tag(file);
+      this._updateIXML(file, ixml => (ixml ? this._removeIXMLElements(ixml) : null));
+      this._updateSummary(file, null);
+
+      const cleaned = this._serializeFile(file);
+      return cleaned.equals(audioBuffer) ? audioBuffer : cleaned;
+    } catch (error) {
+      throw new Error(`Failed to remove RIFF metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read audio from buffer or path
+   * @param {Buffer|string} audioData - Audio file data or path
+   * @returns {Promise<Buffer>} Audio buffer
+   */
+  async _readAudio(audioData) {
+    return typeof audioData === 'string' ? fs.readFile(audioData) : audioData;
+  }
+
+  /**
+   * Parse a RIFF WAVE or AIFF file into chunks
+   * @param {Buffer} audioBuffer - File data
+   * @returns {Object} Prefix (ID3 tag), container, form type, byte order, chunks and trailing data
+   */
+  _parseFile(audioBuffer) {
+    if (!RIFFAudioHandler.isRIFF(audioBuffer)) {
+      throw new Error('Invalid file: not a RIFF WAVE or AIFF file');
+    }
+
+    const start = RIFFAudioHandler._getID3v2Size(audioBuffer);
+    const container = audioBuffer.slice(start, start + 4).toString('latin1');
+    const form = audioBuffer.slice(start + 8, start + 12).toString('latin1');
+    const { littleEndian } = CONTAINERS[container];
+
+    if (container === 'RIFF' && audioBuffer.readUInt32LE(start + 4) === 0xFFFFFFFF) {
+      throw new Error('RF64 files are not supported');
+    }
+
+    const readSize = offset => (littleEndian ? audioBuffer.readUInt32LE(offset) : audioBuffer.readUInt32BE(offset));
+    const end = Math.min(start + CHUNK_HEADER_SIZE + readSize(start + 4), audioBuffer.length);
+
+    const chunks = [];
+    let offset = start + FORM_HEADER_SIZE;
+    while (offset + CHUNK_HEADER_SIZE <= end) {
+      const id = audioBuffer.slice(offset, offset + 4).toString('latin1');
+      const size = readSize(offset + 4);
+      const dataStart = offset + CHUNK_HEADER_SIZE;
+
+      if (dataStart + size > audioBuffer.length) {
+        throw new Error(`Invalid file: truncated ${id} chunk at offset ${offset}`);
+      }
+
+      chunks.push({ id, data: audioBuffer.slice(dataStart, dataStart + size) });
+      offset = dataStart + size + (size % 2); // Chunks are padded to an even size
+    }
+
+    return {
+      prefix: audioBuffer.slice(0, start),
+      container,
+      form,
+      littleEndian,
+      chunks,
+      trailing: audioBuffer.slice(Math.min(Math.max(offset, end), audioBuffer.length))
+    };
+  }
+
+  /**
+   * Serialize a parsed file, updating the container size
+   * @param {Object} file - Parsed file
+   * @returns {Buffer} File data
+   */
+  _serializeFile(file) {
+    const chunks = file.chunks.map(chunk => this._createChunk(chunk.id, chunk.data, file.littleEndian));
+    const header = Buffer.alloc(FORM_HEADER_SIZE);
+    const size = 4 + chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+
+    header.write(file.container, 0, 'latin1');
+    if (file.littleEndian) {
+      header.writeUInt32LE(size, 4);
+    } else {
+      header.writeUInt32BE(size, 4);
+    }
+    header.write(file.form, 8, 'latin1');
+
+    return Buffer.concat([file.prefix, header, ...chunks, file.trailing]);
+  }
+
+  /**
+   * Create a chunk with its header and pad byte
+   * @param {string} id - Chunk ID
+   * @param {Buffer} data - Chunk data
+   * @param {boolean} littleEndian - Byte order of the size field
+   * @returns {Buffer} Chunk
+   */
+  _createChunk(id, data, littleEndian) {
+    const header = Buffer.alloc(CHUNK_HEADER_SIZE);
+    header.write(id, 0, 'latin1');
+    if (littleEndian) {
+      header.writeUInt32LE(data.length, 4);
+    } else {
+      header.writeUInt32BE(data.length, 4);
+    }
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+  }
+
+  /**
+   * Move an ID3 tag prepended by earlier versions into an ID3 chunk
+   * AI frames are dropped; the chunk is only written when other frames remain.
+   * @param {Object} file - Parsed file (updated)
+   * @returns {Promise<void>}
+   */
+  async _moveLegacyID3Tag(file) {
+    if (file.prefix.length === 0) return;
+
+    const tag = await new ID3AudioHandler().removeMetadata(file.prefix);
+    file.prefix = Buffer.alloc(0);
+    if (tag.length > 0) {
+      file.chunks.push({ id: ID3_CHUNKS[file.form], data: tag });
+    }
+  }
+
+  /**
+   * Update the iXML chunk
+   * @param {Object} file - Parsed file (updated)
+   * @param {Function} update - Maps the existing iXML document (or null) to the new one (or null)
+   */
+  _updateIXML(file, update) {
+    const index = file.chunks.findIndex(chunk => chunk.id === IXML_CHUNK);
+    const existing = index === -1 ? null : file.chunks[index].data.toString('utf8');
+    const ixml = update(existing);
+
+    if (ixml === existing) return;
+
+    if (ixml === null) {
+      file.chunks.splice(index, 1);
+    } else if (index === -1) {
+      file.chunks.push({ id: IXML_CHUNK, data: Buffer.from(ixml, 'utf8') });
+    } else {
+      file.chunks[index] = { id: IXML_CHUNK, data: Buffer.from(ixml, 'utf8') };
+    }
+  }
+
+  /**
+   * Add the AI metadata elements to an iXML document
+   * Previous AI elements are replaced; the elements are inserted before
+   * </BWFXML>, after the whitespace preceding it, so removing them restores
+   * the document.
+   * @param {string|null} ixml - Existing iXML document
+   * @param {Object} metadata - Metadata (with checksum when present)
+   * @param {string} [signature] - Signature string
+   * @returns {string} iXML document
+   */
+  _addIXMLElements(ixml, metadata, signature) {
+    const existing = ixml !== null ? this._removeIXMLElements(ixml) : null;
+    const document = existing !== null && IXML_CLOSE_PATTERN.test(existing)
+      ? existing
+      : `<?xml version="1.0" encoding="UTF-8"?>\n<${IXML_ROOT}>\n  <IXML_VERSION>${IXML_VERSION}</IXML_VERSION>\n</${IXML_ROOT}>\n`;
+
+    const elements = [
+      [AI_IXML_ELEMENTS.METADATA, JSON.stringify(metadata)],
+      metadata.checksum ? [AI_IXML_ELEMENTS.CHECKSUM, metadata.checksum] : null,
+      signature ? [AI_IXML_ELEMENTS.SIGNATURE, signature] : null
+    ].filter(Boolean).map(([name, value]) => `<${name}>${xmp.escapeXML(value)}</${name}>`);
+
+    // Indent like the existing child elements
+    const childIndent = (document.match(/\n([ \t]+)</) || [null, '  '])[1];
+    return document.replace(IXML_CLOSE_PATTERN, (match, indent) =>
+      `${indent}${childIndent}${elements.join(`${indent}${childIndent}`)}${indent}</${IXML_ROOT}>`);
+  }
+
+  /**
+   * Remove the AI metadata elements from an iXML document
+   * @param {string} ixml - iXML document
+   * @returns {string|null} iXML document, or null when only the version is left
+   */
+  _removeIXMLElements(ixml) {
+    const names = Object.values(AI_IXML_ELEMENTS).join('|');
+    const cleaned = ixml.replace(new RegExp(`\\s*<(${names})>[\\s\\S]*?</\\1>`, 'g'), '');
+
+    if (cleaned === ixml) return ixml;
+
+    // The document we created holds nothing but IXML_VERSION
+    const body = cleaned.match(new RegExp(`<${IXML_ROOT}>([\\s\\S]*)</${IXML_ROOT}>`));
+    const remaining = body ? body[1].replace(/<IXML_VERSION>[^<]*<\/IXML_VERSION>/, '').trim() : '';
+    return remaining ? cleaned : null;
+  }
+
+  /**
+   * Parse the AI metadata elements of an iXML chunk
+   * @param {Buffer} data - iXML chunk data
+   * @returns {Object|null} Metadata with checksum and signature, or null
+   */
+  _parseIXMLData(data) {
+    const ixml = data.toString('utf8');
+    const element = name => {
+      const match = ixml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+      return match ? xmp.unescapeXML(match[1]) : null;
+    };
+
+    const json = element(AI_IXML_ELEMENTS.METADATA);
+    if (!json) return null;
+
+    let metadata;
+    try {
+      metadata = JSON.parse(json);
+    } catch (error) {
+      return null; // Invalid JSON
+    }
+
+    const checksum = element(AI_IXML_ELEMENTS.CHECKSUM);
+    const signature = element(AI_IXML_ELEMENTS.SIGNATURE);
+    if (checksum) metadata.checksum = checksum;
+    if (signature) metadata.signature = signature;
+    return metadata;
+  }
+
+  /**
+   * Create the summary for the text fields
+   * @param {Object} metadata - Metadata
+   * @returns {string} Summary, e.g. "aicontag: origin=ai; model=VoiceClone"
+   */
+  _createSummary(metadata) {
+    const fields = [
+      ['origin', metadata.origin],
+      ['model', metadata.model_identifier],
+      ['author', metadata.author],
+      ['created', metadata.creation_timestamp]
+    ].filter(([, value]) => value).map(([name, value]) => `${name}=${value}`);
+
+    return `${SUMMARY_PREFIX}${fields.join('; ')}`;
+  }
+
+  /**
+   * Check if a text field holds our summary
+   * @param {string} text - Text field value
+   * @returns {boolean} True if written by this handler
+   */
+  _isSummary(text) {
+    return text.startsWith(SUMMARY_PREFIX);
+  }
+
+  /**
+   * Write or remove the summary in the bext description and LIST/INFO
+   * comment (WAV) or ANNO chunk (AIFF)
+   * Text written by other tools is kept unless preserveExisting is false.
+   * @param {Object} file - Parsed file (updated)
+   * @param {string|null} summary - Summary, or null to remove ours
+   */
+  _updateSummary(file, summary) {
+    if (file.form === 'WAVE') {
+      this._updateBextDescription(file, summary);
+      this._updateInfoComment(file, summary);
+    } else {
+      this._updateAnnotation(file, summary);
+    }
+  }
+
+  /**
+   * Write or remove the summary in the bext description
+   * A bext chunk is created when missing and dropped when it was ours and is empty again.
+   * @param {Object} file - Parsed file (updated)
+   * @param {string|null} summary - Summary, or null to remove ours
+   */
+  _updateBextDescription(file, summary) {
+    const index = file.chunks.findIndex(chunk => chunk.id === BEXT_CHUNK);
+    if (index !== -1 && file.chunks[index].data.length < BEXT_FIXED_SIZE) {
+      throw new Error('Invalid bext chunk: too short');
+    }
+
+    const data = index === -1 ? this._createBextData() : Buffer.from(file.chunks[index].data);
+    const description = data.slice(0, BEXT_DESCRIPTION_SIZE).toString('latin1').replace(/\0[\s\S]*$/, '');
+
+    if (summary === null) {
+      if (index === -1 || !this._isSummary(description)) return;
+      data.fill(0, 0, BEXT_DESCRIPTION_SIZE);
+      if (data.equals(this._createBextData())) {
+        file.chunks.splice(index, 1);
+        return;
+      }
+    } else {
+      if (description && !this._isSummary(description) && this.options.preserveExisting) return;
+      data.fill(0, 0, BEXT_DESCRIPTION_SIZE);
+      // Description is ASCII, truncated to the field size
+      data.write(summary.replace(/[^\x20-\x7E]/g, '?').slice(0, BEXT_DESCRIPTION_SIZE), 0, 'latin1');
+    }
+
+    if (index === -1) {
+      file.chunks.push({ id: BEXT_CHUNK, data });
+    } else {
+      file.chunks[index] = { id: BEXT_CHUNK, data };
+    }
+  }
+
+  /**
+   * Create an empty bext chunk (version 1, no coding history)
+   * @returns {Buffer} bext data
+   */
+  _createBextData() {
+    const data = Buffer.alloc(BEXT_FIXED_SIZE);
+    data.writeUInt16LE(BEXT_VERSION, BEXT_VERSION_OFFSET);
+    return data;
+  }
+
+  /**
+   * Write or remove the summary in the LIST/INFO comment (ICMT)
+   * @param {Object} file - Parsed file (updated)
+   * @param {string|null} summary - Summary, or null to remove ours
+   */
+  _updateInfoComment(file, summary) {
+    const index = file.chunks.findIndex(chunk => chunk.id === LIST_CHUNK &&
+      chunk.data.slice(0, 4).toString('latin1') === INFO_LIST_TYPE);
+    const entries = index === -1 ? [] : this._parseInfoList(file.chunks[index].data);
+    const comment = entries.find(entry => entry.id === INFO_COMMENT);
+    const ours = Boolean(comment) && this._isSummary(comment.value.toString('utf8').replace(/\0+$/, ''));
+
+    let updated;
+    if (summary === null) {
+      if (!ours) return;
+      updated = entries.filter(entry => entry !== comment);
+    } else {
+      if (comment && !ours && this.options.preserveExisting) return;
+      const value = Buffer.from(`${summary}\0`, 'utf8');
+      updated = comment
+        ? entries.map(entry => (entry === comment ? { id: INFO_COMMENT, value } : entry))
+        : [...entries, { id: INFO_COMMENT, value }];
+    }
+
+    if (updated.length === 0) {
+      file.chunks.splice(index, 1);
+      return;
+    }
+
+    const data = Buffer.concat([
+      Buffer.from(INFO_LIST_TYPE, 'latin1'),
+      ...updated.map(entry => this._createChunk(entry.id, entry.value, true))
+    ]);
+    if (index === -1) {
+      file.chunks.push({ id: LIST_CHUNK, data });
+    } else {
+      file.chunks[index] = { id: LIST_CHUNK, data };
+    }
+  }
+
+  /**
+   * Parse the entries of a LIST/INFO chunk
+   * @param {Buffer} data - LIST chunk data (starting with the list type)
+   * @returns {Array<{id: string, value: Buffer}>} Entries
+   */
+  _parseInfoList(data) {
+    const entries = [];
+    let offset = 4;
+    while (offset + CHUNK_HEADER_SIZE <= data.length) {
+      const id = data.slice(offset, offset + 4).toString('latin1');
+      const size = data.readUInt32LE(offset + 4);
+      if (offset + CHUNK_HEADER_SIZE + size > data.length) {
+        throw new Error(`Invalid LIST/INFO chunk: truncated ${id} entry`);
+      }
+      entries.push({ id, value: data.slice(offset + CHUNK_HEADER_SIZE, offset + CHUNK_HEADER_SIZE + size) });
+      offset += CHUNK_HEADER_SIZE + size + (size % 2);
+    }
+    return entries;
+  }
+
+  /**
+   * Write or remove the summary in an AIFF annotation (ANNO) chunk
+   * AIFF allows several annotations, so ours is added next to existing ones.
+   * @param {Object} file - Parsed file (updated)
+   * @param {string|null} summary - Summary, or null to remove ours
+   */
+  _updateAnnotation(file, summary) {
+    const index = file.chunks.findIndex(chunk => chunk.id === AIFF_ANNOTATION_CHUNK &&
+      this._isSummary(chunk.data.toString('latin1')));
+
+    if (summary === null) {
+      if (index !== -1) file.chunks.splice(index, 1);
+      return;
+    }
+
+    // AIFF text chunks are ASCII
+    const chunk = { id: AIFF_ANNOTATION_CHUNK, data: Buffer.from(summary.replace(/[^\x20-\x7E]/g, '?'), 'latin1') };
+    if (index === -1) {
+      file.chunks.push(chunk);
+    } else {
+      file.chunks[index] = chunk;
+    }
+  }
+
+  /**
+   * Validate metadata structure
+   * @param {Object} metadata - Metadata to validate (version 1.1 schema)
+   * @throws {Error} If metadata is invalid
+   */
+  _validateMetadata(metadata) {
+    const result = validateMetadata(metadata);
+    if (!result.isValid) {
+      throw new Error(`Invalid metadata: ${result.error}`);
+    }
+  }
+
+  /**
+   * Create cryptographic signature
+   * @param {Object} metadata - Metadata to sign
+   * @param {KeyObject|string|Object} privateKey - Private key (PEM, JWK or KeyObject)
+   * @returns {Promise<string>} Signature as "algorithm:keyId:base64"
+   */
+  async _createSignature(metadata, privateKey) {
+    return cryptoUtils.createSignature(this._getSignedData(metadata), privateKey);
+  }
+
+  /**
+   * Verify cryptographic signature against the configured public key(s)
+   * @param {Object} metadata - Metadata with signature
+   * @param {Object} options - Per-call key options, override constructor options
+   * @returns {Promise<Object>} Result with valid flag, reason and matching keyId
+   */
+  async _verifySignature(metadata, options = {}) {
+    return cryptoUtils.verifyWithPublicKeys(
+      this._getSignedData(metadata), metadata.signature, [options, this.options], metadata
+    );
+  }
+
+  /**
+   * Get the data covered by the signature (canonical metadata without the
+   * signature and verification fields; the content checksum is included)
+   * @param {Object} metadata - Metadata object
+   * @returns {string} Canonical JSON (RFC 8785)
+   */
+  _getSignedData(metadata) {
+    return canonicalize(stripUnsignedFields(metadata, ['signature']));
+  }
+
+  /**
+   * Get the audio payload covered by the content checksum
+   * (the format chunk, which describes the audio, and the sound data chunk)
+   * @param {Buffer} audioBuffer - File data
+   * @param {Object} file - Parsed file
+   * @returns {Buffer} Payload
+   */
+  _getAudioPayload(audioBuffer, file = this._parseFile(audioBuffer)) {
+    const payload = AUDIO_CHUNKS[file.form].map(id => {
+      const chunk = file.chunks.find(candidate => candidate.id === id);
+      if (!chunk) {
+        throw new Error(`Invalid ${file.form} file: missing ${id.trim()} chunk`);
+      }
+      return chunk.data;
+    });
+    return Buffer.concat(payload);
+  }
+
+  /**
+   * Calculate SHA-256 checksum of the audio payload
+   * @param {Buffer} audioBuffer - File data
+   * @param {Object} file - Parsed file
+   * @returns {string} Hex checksum
+   */
+  _calculateContentChecksum(audioBuffer, file) {
+    return cryptoUtils.checksum(this._getAudioPayload(audioBuffer, file));
+  }
+
+  /**
+   * Verify content checksum against the audio payload
+   * @param {Object} metadata - Metadata with checksum
+   * @param {Buffer} audioBuffer - File data
+   * @param {Object} file - Parsed file
+   * @returns {Promise<boolean>} True if checksum is valid
+   */
+  async _verifyChecksum(metadata, audioBuffer, file) {
+    return this._calculateContentChecksum(audioBuffer, file) === metadata.checksum;
+  }
+}
+
+module.exports = RIFFAudioHandler;
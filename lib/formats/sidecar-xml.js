@@ -0,0 +1,532 @@
+/**
+ * XML sidecar files
+ * A sidecar is a namespaced <metadata> document stored next to the file it
+ * describes. Processing steps and signatures are nested elements; the flat,
+ * namespace-less <metadata> written by earlier versions is still read.
+ * A directory sidecar (.meta.xml) holds one <metadata file="..."> entry per
+ * file. Schema: examples/schemas/sidecar-metadata.xsd
+ *
+ * Discovery order for photo.jpg:
+ *   photo.jpg.meta.xml, photo.jpg.tagged.meta.xml, photo.meta.xml,
+ *   photo.xmp, photo.jpg.xmp, .meta.xml (directory)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const xml2js = require('xml2js');
+const cryptoUtils = require('../core/crypto');
+const { ContentMetadata, SCHEMA_VERSION } = require('../core/metadata');
+const xmp = require('./xmp');
+const XMPSidecarHandler = require('./xmp-sidecar');
+
+const SIDECAR_NAMESPACE = 'http://aicontenttagging.org/schemas/sidecar/';
+const SIDECAR_EXTENSION = '.meta.xml';
+const DIRECTORY_SIDECAR = '.meta.xml';
+const XMP_EXTENSION = '.xmp';
+
+// Fields written as elements of their own rather than as plain text
+const STRUCTURED_FIELDS = ['version', 'signature', 'processing_steps'];
+// Processing step fields with elements of their own, in schema order
+const STEP_FIELDS = ['step', 'tool', 'parameters', 'timestamp'];
+const EMBEDDED_PATTERN = /<metadata(?:\s[^>]*)?>[\s\S]*?<\/metadata>/;
+
+/**
+ * Create a sidecar document
+ * @param {ContentMetadata|Object} metadata - Metadata to write
+ * @param {Object} options - Creation options
+ * @param {Array<string>} [options.signatures] - Additional signatures over the same metadata
+ * @param {string} [options.indent] - Indentation (default two spaces)
+ * @returns {string} Sidecar XML
+ */
+function create(metadata, options = {}) {
+  const indent = options.indent || '  ';
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${createEntry(metadata, options, indent, '', ` xmlns="${SIDECAR_NAMESPACE}"`)}\n`;
+}
+
+/**
+ * Create a directory sidecar document
+ * @param {Array<Object>} entries - Entries with file, metadata and signatures
+ * @param {Object} options - Creation options
+ * @param {string} [options.indent] - Indentation (default two spaces)
+ * @returns {string} Directory sidecar XML
+ */
+function createDirectory(entries, options = {}) {
+  const indent = options.indent || '  ';
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<directory xmlns="${SIDECAR_NAMESPACE}" version="${SCHEMA_VERSION}">`
+  ];
+
+  for (const entry of entries) {
+    const fileAttribute = entry.file ? ` file="${escapeXML(entry.file)}"` : '';
+    lines.push(createEntry(entry.metadata, { signatures: entry.signatures }, indent, indent, fileAttribute));
+  }
+
+  lines.push('</directory>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Create one <metadata> element
+ * @param {ContentMetadata|Object} metadata - Metadata to write
+ * @param {Object} options - Creation options
+ * @param {string} indent - Indentation unit
+ * @param {string} base - Indentation of the element itself
+ * @param {string} attributes - Extra attributes for the element
+ * @returns {string} Metadata element
+ */
+function createEntry(metadata, options, indent, base, attributes) {
+  const fields = toContentMetadata(metadata).toObject();
+  const inner = base + indent;
+  const lines = [`${base}<metadata${attributes} version="${escapeXML(fields.version)}">`];
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (STRUCTURED_FIELDS.includes(key)) continue;
+    lines.push(createTypedElement(key, value, inner));
+  }
+
+  if (fields.processing_steps && fields.processing_steps.length > 0) {
+    lines.push(`${inner}<processing_steps>`);
+    for (const step of fields.processing_steps) {
+      lines.push(...createProcessingStep(step, inner + indent, indent));
+    }
+    lines.push(`${inner}</processing_steps>`);
+  }
+
+  const signatures = collectSignatures(fields.signature, options.signatures);
+  if (signatures.length > 0) {
+    lines.push(`${inner}<signatures>`);
+    for (const signature of signatures) {
+      lines.push(createSignatureElement(signature, inner + indent));
+    }
+    lines.push(`${inner}</signatures>`);
+  }
+
+  lines.push(`${base}</metadata>`);
+  return lines.join('\n');
+}
+
+/**
+ * Create a <processing_step> element
+ * Plain-object parameters become <parameter name="..."> children and fields
+ * outside the schema become <field name="..."> children. Non-string values
+ * carry a type attribute so they read back unchanged.
+ * @param {Object} step - Processing step
+ * @param {string} base - Indentation of the element
+ * @param {string} indent - Indentation unit
+ * @returns {Array<string>} Lines of the element
+ */
+function createProcessingStep(step, base, indent) {
+  const inner = base + indent;
+  const lines = [`${base}<processing_step>`];
+
+  for (const key of STEP_FIELDS) {
+    const value = step[key];
+    if (value === undefined) continue;
+
+    if (key === 'parameters' && isPlainObject(value)) {
+      lines.push(...createParameters(value, inner, indent));
+    } else {
+      lines.push(createTypedElement(key, value, inner));
+    }
+  }
+
+  for (const [key, value] of Object.entries(step)) {
+    if (value === undefined || STEP_FIELDS.includes(key)) continue;
+    lines.push(createTypedElement('field', value, inner, ` name="${escapeXML(key)}"`));
+  }
+
+  lines.push(`${base}</processing_step>`);
+  return lines;
+}
+
+/**
+ * Create a <parameters> element
+ * @param {Object} parameters - Step parameters
+ * @param {string} base - Indentation of the element
+ * @param {string} indent - Indentation unit
+ * @returns {Array<string>} Lines of the element
+ */
+function createParameters(parameters, base, indent) {
+  const entries = Object.entries(parameters).filter(([, value]) => value !== undefined);
+  if (entries.length === 0) {
+    return [`${base}<parameters/>`];
+  }
+
+  return [
+    `${base}<parameters>`,
+    ...entries.map(([name, value]) => createTypedElement('parameter', value, base + indent, ` name="${escapeXML(name)}"`)),
+    `${base}</parameters>`
+  ];
+}
+
+/**
+ * Create an element for a value, marking non-string values with their type
+ * @param {string} name - Element name
+ * @param {*} value - Value
+ * @param {string} indent - Indentation
+ * @param {string} [attributes] - Extra attributes
+ * @returns {string} Element
+ */
+function createTypedElement(name, value, indent, attributes = '') {
+  const type = getValueType(value);
+  const text = type === 'string' ? value : JSON.stringify(value);
+  const typeAttribute = type === 'string' ? '' : ` type="${type}"`;
+  return `${indent}<${name}${attributes}${typeAttribute}>${escapeXML(text)}</${name}>`;
+}
+
+/**
+ * Create a <signature> element; algorithm and key id are informational
+ * @param {string} signature - Signature string
+ * @param {string} indent - Indentation
+ * @returns {string} Signature element
+ */
+function createSignatureElement(signature, indent) {
+  const { algorithm, keyId } = cryptoUtils.parseSignature(signature);
+  const attributes = algorithm ? ` algorithm="${escapeXML(algorithm)}" key_id="${escapeXML(keyId)}"` : '';
+  return `${indent}<signature${attributes}>${escapeXML(signature)}</signature>`;
+}
+
+/**
+ * Parse a sidecar document
+ * For directory sidecars the entry for options.file is returned, falling
+ * back to an entry without a file attribute.
+ * @param {string|Buffer} xml - Sidecar XML
+ * @param {Object} options - Parse options
+ * @param {string} [options.file] - Described file (directory sidecars)
+ * @returns {Promise<Object|null>} Entry with metadata, signatures and version, or null
+ */
+async function parse(xml, options = {}) {
+  const entries = await parseEntries(xml);
+  if (entries.length === 1 && !entries[0].directory) {
+    return entries[0];
+  }
+
+  const name = options.file ? path.basename(options.file) : null;
+  return entries.find(entry => name && entry.file === name) ||
+    entries.find(entry => !entry.file) ||
+    null;
+}
+
+/**
+ * Parse all entries of a sidecar document
+ * @param {string|Buffer} xml - Sidecar or directory sidecar XML
+ * @returns {Promise<Array<Object>>} Entries with file, metadata, signatures and version
+ */
+async function parseEntries(xml) {
+  const parser = new xml2js.Parser({
+    explicitArray: false,
+    tagNameProcessors: [xml2js.processors.stripPrefix]
+  });
+
+  let result;
+  try {
+    result = await parser.parseStringPromise(xml.toString());
+  } catch (error) {
+    throw new Error(`XML parsing error: ${error.message}`);
+  }
+
+  if (result && result.directory !== undefined) {
+    return toArray(result.directory.metadata).map(node => ({ ...parseEntry(node), directory: true }));
+  }
+
+  if (!result || result.metadata === undefined) {
+    throw new Error('Invalid sidecar: missing metadata element');
+  }
+
+  return [parseEntry(result.metadata)];
+}
+
+/**
+ * Parse one <metadata> element (namespaced or legacy flat)
+ * @param {Object} node - Element parsed by xml2js
+ * @returns {Object} Entry with file, metadata, signatures and version
+ */
+function parseEntry(node) {
+  const attributes = (node && node.$) || {};
+  const fields = {};
+  const signatures = [];
+
+  for (const [key, value] of Object.entries(node || {})) {
+    if (key === '$' || key === '_') continue;
+
+    if (key === 'signatures') {
+      signatures.push(...toArray(value.signature).map(getText));
+    } else if (key === 'signature') {
+      signatures.push(...toArray(value).map(getText)); // Legacy flat sidecar
+    } else if (key === 'processing_steps') {
+      fields.processing_steps = typeof value === 'string'
+        ? value // Legacy JSON text, parsed by normalizeMetadata
+        : toArray(value.processing_step).map(parseProcessingStep);
+    } else {
+      fields[key] = readTypedValue(toArray(value)[0]);
+    }
+  }
+
+  if (attributes.version) fields.version = attributes.version;
+  const uniqueSignatures = collectSignatures(...signatures);
+  if (uniqueSignatures.length > 0) fields.signature = uniqueSignatures[0];
+
+  return {
+    file: attributes.file || null,
+    version: fields.version || null,
+    metadata: new ContentMetadata(fields),
+    signatures: uniqueSignatures
+  };
+}
+
+/**
+ * Parse a <processing_step> element
+ * @param {Object|string} node - Element parsed by xml2js
+ * @returns {Object} Processing step
+ */
+function parseProcessingStep(node) {
+  if (typeof node === 'string') {
+    return { step: node };
+  }
+
+  const step = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key === '$' || key === '_') continue;
+    const child = toArray(value)[0];
+
+    if (key === 'field') {
+      for (const field of toArray(value)) {
+        step[field.$.name] = readTypedValue(field);
+      }
+    } else if (key === 'parameters' && !(child && child.$ && child.$.type)) {
+      step.parameters = {};
+      for (const parameter of toArray(child && child.parameter)) {
+        step.parameters[parameter.$.name] = readTypedValue(parameter);
+      }
+    } else {
+      step[key] = readTypedValue(child);
+    }
+  }
+  return step;
+}
+
+/**
+ * Read a sidecar file (XML or XMP)
+ * @param {string} sidecarPath - Sidecar path
+ * @param {Object} options - Read options
+ * @param {string} [options.file] - Described file (directory sidecars)
+ * @returns {Promise<Object|null>} Entry with path and type, or null
+ */
+async function read(sidecarPath, options = {}) {
+  let entry;
+  try {
+    const data = fs.readFileSync(sidecarPath);
+    entry = sidecarPath.toLowerCase().endsWith(XMP_EXTENSION)
+      ? parseXMP(data)
+      : await parse(data, options);
+  } catch (error) {
+    throw new Error(`Failed to read sidecar ${sidecarPath}: ${error.message}`);
+  }
+
+  if (!entry) return null;
+  return { ...entry, path: sidecarPath, type: sidecarPath.toLowerCase().endsWith(XMP_EXTENSION) ? 'xmp' : 'xml' };
+}
+
+/**
+ * Read aicontag metadata from an XMP sidecar
+ * @param {Buffer} data - XMP data
+ * @returns {Object|null} Entry with metadata and signatures, or null
+ */
+function parseXMP(data) {
+  const fields = new XMPSidecarHandler().parseSidecar(data);
+  if (!fields) return null;
+
+  return {
+    file: null,
+    version: fields.version || null,
+    metadata: new ContentMetadata(fields),
+    signatures: fields.signature ? [fields.signature] : []
+  };
+}
+
+/**
+ * List the existing sidecar files for a file, in discovery order
+ * @param {string} filePath - Described file
+ * @returns {Array<Object>} Candidates with path, type ('xml' or 'xmp') and scope ('file' or 'directory')
+ */
+function findSidecars(filePath) {
+  const directory = path.dirname(filePath);
+  const base = path.basename(filePath, path.extname(filePath));
+  const candidates = [
+    { path: `${filePath}${SIDECAR_EXTENSION}`, type: 'xml', scope: 'file' },
+    { path: `${filePath}.tagged${SIDECAR_EXTENSION}`, type: 'xml', scope: 'file' },
+    { path: path.join(directory, `${base}${SIDECAR_EXTENSION}`), type: 'xml', scope: 'file' },
+    { path: path.join(directory, `${base}${XMP_EXTENSION}`), type: 'xmp', scope: 'file' },
+    { path: `${filePath}${XMP_EXTENSION}`, type: 'xmp', scope: 'file' },
+    { path: path.join(directory, DIRECTORY_SIDECAR), type: 'xml', scope: 'directory' }
+  ];
+
+  const seen = new Set([path.resolve(filePath)]);
+  return candidates.filter(candidate => {
+    const resolved = path.resolve(candidate.path);
+    if (seen.has(resolved)) return false;
+    seen.add(resolved);
+    return fs.existsSync(candidate.path) && fs.statSync(candidate.path).isFile();
+  });
+}
+
+/**
+ * Find and read the first usable sidecar for a file
+ * Sidecars that fail to parse, or directory sidecars without an entry for
+ * the file, are skipped.
+ * @param {string} filePath - Described file
+ * @returns {Promise<Object|null>} Entry with path, type and scope, or null
+ */
+async function discover(filePath) {
+  for (const candidate of findSidecars(filePath)) {
+    try {
+      const entry = await read(candidate.path, { file: filePath });
+      if (entry) {
+        return { ...entry, scope: candidate.scope };
+      }
+    } catch (error) {
+      continue;
+    }
+  }
+  return null;
+}
+
+/**
+ * Write a sidecar for a file
+ * @param {string} filePath - Described file
+ * @param {ContentMetadata|Object} metadata - Metadata to write
+ * @param {Object} options - Write options
+ * @param {Array<string>} [options.signatures] - Additional signatures
+ * @param {boolean} [options.directory] - Add the entry to the directory sidecar instead
+ * @param {string} [options.sidecarPath] - Explicit sidecar path
+ * @returns {Promise<string>} Path of the written sidecar
+ */
+async function write(filePath, metadata, options = {}) {
+  if (!options.directory) {
+    const sidecarPath = options.sidecarPath || `${filePath}${SIDECAR_EXTENSION}`;
+    fs.writeFileSync(sidecarPath, create(metadata, options));
+    return sidecarPath;
+  }
+
+  const sidecarPath = options.sidecarPath || path.join(path.dirname(filePath), DIRECTORY_SIDECAR);
+  const file = path.basename(filePath);
+  let entries = [];
+
+  if (fs.existsSync(sidecarPath)) {
+    try {
+      entries = await parseEntries(fs.readFileSync(sidecarPath));
+    } catch (error) {
+      throw new Error(`Failed to update directory sidecar ${sidecarPath}: ${error.message}`);
+    }
+  }
+
+  const entry = { file, metadata, signatures: options.signatures };
+  const index = entries.findIndex(existing => existing.file === file);
+  if (index === -1) {
+    entries.push(entry);
+  } else {
+    entries[index] = entry;
+  }
+
+  fs.writeFileSync(sidecarPath, createDirectory(entries, options));
+  return sidecarPath;
+}
+
+/**
+ * Find a sidecar <metadata> block embedded in a text document
+ * @param {string} text - Document text
+ * @returns {string|null} Metadata XML, or null
+ */
+function findEmbedded(text) {
+  const match = String(text).match(EMBEDDED_PATTERN);
+  return match ? match[0] : null;
+}
+
+/**
+ * Verify every signature of a sidecar against trusted keys
+ * All signatures cover the same data, so one trusted, valid signature is
+ * enough; the per-signature results are returned alongside it.
+ * @param {ContentMetadata} metadata - Parsed metadata
+ * @param {Array<string>} signatures - Signatures from the sidecar
+ * @param {Map|Array|Object} trustedKeys - Trusted public keys
+ * @returns {Object} Result with valid, trusted, keyId, algorithm, reason and signatures
+ */
+function verifySignatures(metadata, signatures, trustedKeys) {
+  if (!signatures || signatures.length === 0) {
+    return { valid: false, trusted: false, keyId: null, algorithm: null, reason: 'Metadata is not signed', signatures: [] };
+  }
+
+  const signedData = metadata.getSignedData();
+  const results = signatures.map(signature => cryptoUtils.verifyWithTrustedKeys(signedData, signature, trustedKeys));
+  const result = results.find(candidate => candidate.valid) || results[0];
+  return { ...result, signatures: results };
+}
+
+// Utility functions
+function toContentMetadata(metadata) {
+  return metadata instanceof ContentMetadata ? metadata : new ContentMetadata(metadata);
+}
+
+function collectSignatures(...lists) {
+  const signatures = [];
+  for (const signature of lists.flat()) {
+    if (signature && !signatures.includes(signature)) signatures.push(signature);
+  }
+  return signatures;
+}
+
+function getValueType(value) {
+  if (typeof value === 'string') return 'string';
+  if (typeof value === 'number' || typeof value === 'boolean') return typeof value;
+  return 'json';
+}
+
+function readTypedValue(node) {
+  const text = getText(node);
+  const type = node && node.$ && node.$.type;
+  if (!type || type === 'string') return text;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid ${type} value: ${text}`);
+  }
+}
+
+function getText(node) {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'string') return node;
+  return node._ !== undefined ? node._ : '';
+}
+
+function toArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function escapeXML(text) {
+  return xmp.escapeXML(String(text)).replace(/\r/g, '&#13;');
+}
+
+module.exports = {
+  SIDECAR_NAMESPACE,
+  SIDECAR_EXTENSION,
+  DIRECTORY_SIDECAR,
+  XMP_EXTENSION,
+  create,
+  createDirectory,
+  parse,
+  parseEntries,
+  read,
+  parseXMP,
+  findSidecars,
+  discover,
+  write,
+  findEmbedded,
+  verifySignatures
+};
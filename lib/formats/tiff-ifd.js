@@ -0,0 +1,277 @@
+/**
+ * TIFF Image File Directory (IFD) reader and writer
+ * Shared by TIFF image embedding and EXIF blocks (which use the TIFF structure)
+ */
+
+// Field types and their sizes in bytes
+const TIFF_TYPES = {
+  BYTE: 1,
+  ASCII: 2,
+  SHORT: 3,
+  LONG: 4,
+  RATIONAL: 5,
+  SBYTE: 6,
+  UNDEFINED: 7,
+  SSHORT: 8,
+  SLONG: 9,
+  SRATIONAL: 10,
+  FLOAT: 11,
+  DOUBLE: 12,
+  IFD: 13
+};
+
+const TYPE_SIZES = {
+  1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4
+};
+
+const IFD_ENTRY_SIZE = 12;
+
+/**
+ * Parse TIFF header
+ * @param {Buffer} buffer - TIFF data (file or EXIF block)
+ * @returns {Object} Byte order and offset of IFD0
+ */
+function parseHeader(buffer) {
+  if (buffer.length < 8) {
+    throw new Error('Invalid TIFF data: header too short');
+  }
+
+  const byteOrder = buffer.slice(0, 2).toString('latin1');
+  if (byteOrder !== 'II' && byteOrder !== 'MM') {
+    throw new Error('Invalid TIFF data: unknown byte order');
+  }
+
+  const littleEndian = byteOrder === 'II';
+  const magic = readUInt16(buffer, 2, littleEndian);
+
+  if (magic === 43) {
+    throw new Error('BigTIFF files are not supported');
+  }
+  if (magic !== 42) {
+    throw new Error(`Invalid TIFF data: bad magic number ${magic}`);
+  }
+
+  return {
+    littleEndian,
+    ifdOffset: readUInt32(buffer, 4, littleEndian)
+  };
+}
+
+/**
+ * Create TIFF header
+ * @param {boolean} littleEndian - Byte order (II when true, MM otherwise)
+ * @param {number} ifdOffset - Offset of IFD0
+ * @returns {Buffer} 8-byte header
+ */
+function createHeader(littleEndian, ifdOffset) {
+  const header = Buffer.alloc(8);
+  header.write(littleEndian ? 'II' : 'MM', 0, 'latin1');
+  writeUInt16(header, 2, 42, littleEndian);
+  writeUInt32(header, 4, ifdOffset, littleEndian);
+  return header;
+}
+
+/**
+ * Read an IFD
+ * Each entry keeps its raw 4-byte value field so it can be written back
+ * unchanged; valueOffset is the absolute position of the value bytes.
+ * @param {Buffer} buffer - TIFF data
+ * @param {number} offset - IFD offset
+ * @param {boolean} littleEndian - Byte order
+ * @returns {Object} IFD with offset, size, entries and nextIFDOffset
+ */
+function readIFD(buffer, offset, littleEndian) {
+  if (offset < 8 || offset + 2 > buffer.length) {
+    throw new Error(`Invalid TIFF data: IFD offset ${offset} out of range`);
+  }
+
+  const count = readUInt16(buffer, offset, littleEndian);
+  const size = 2 + count * IFD_ENTRY_SIZE + 4;
+
+  if (offset + size > buffer.length) {
+    throw new Error(`Invalid TIFF data: IFD at ${offset} is truncated`);
+  }
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const entryOffset = offset + 2 + i * IFD_ENTRY_SIZE;
+    const type = readUInt16(buffer, entryOffset + 2, littleEndian);
+    const entryCount = readUInt32(buffer, entryOffset + 4, littleEndian);
+    const valueSize = (TYPE_SIZES[type] || 1) * entryCount;
+    const inline = valueSize <= 4;
+
+    entries.push({
+      tag: readUInt16(buffer, entryOffset, littleEndian),
+      type,
+      count: entryCount,
+      size: valueSize,
+      inline,
+      valueOffset: inline ? entryOffset + 8 : readUInt32(buffer, entryOffset + 8, littleEndian),
+      valueField: buffer.slice(entryOffset + 8, entryOffset + 12)
+    });
+  }
+
+  return {
+    offset,
+    size,
+    entries,
+    nextIFDOffset: readUInt32(buffer, offset + 2 + count * IFD_ENTRY_SIZE, littleEndian)
+  };
+}
+
+/**
+ * Get the raw value bytes of an entry
+ * @param {Buffer} buffer - TIFF data
+ * @param {Object} entry - Entry from readIFD
+ * @returns {Buffer} Value bytes
+ */
+function getEntryData(buffer, entry) {
+  if (entry.valueOffset + entry.size > buffer.length) {
+    throw new Error(`Invalid TIFF data: value of tag ${entry.tag} out of range`);
+  }
+  return buffer.slice(entry.valueOffset, entry.valueOffset + entry.size);
+}
+
+/**
+ * Read numeric values of a BYTE, SHORT, LONG or IFD entry
+ * @param {Buffer} buffer - TIFF data
+ * @param {Object} entry - Entry from readIFD
+ * @param {boolean} littleEndian - Byte order
+ * @returns {Array<number>} Values
+ */
+function readEntryNumbers(buffer, entry, littleEndian) {
+  const data = getEntryData(buffer, entry);
+  const values = [];
+
+  for (let i = 0; i < entry.count; i++) {
+    switch (entry.type) {
+      case TIFF_TYPES.BYTE:
+      case TIFF_TYPES.UNDEFINED:
+        values.push(data[i]);
+        break;
+      case TIFF_TYPES.SHORT:
+        values.push(readUInt16(data, i * 2, littleEndian));
+        break;
+      case TIFF_TYPES.LONG:
+      case TIFF_TYPES.IFD:
+        values.push(readUInt32(data, i * 4, littleEndian));
+        break;
+      default:
+        throw new Error(`Unsupported numeric type ${entry.type} for tag ${entry.tag}`);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Encode values for a new entry
+ * @param {number} tag - Tag number
+ * @param {number} type - TIFF field type
+ * @param {string|Buffer|Array<number>} values - String (ASCII), bytes, or numbers
+ * @param {boolean} littleEndian - Byte order
+ * @returns {Object} Entry with type, count and data
+ */
+function encodeEntry(tag, type, values, littleEndian) {
+  let data;
+
+  if (type === TIFF_TYPES.ASCII) {
+    data = Buffer.concat([Buffer.from(String(values), 'utf8'), Buffer.from([0])]);
+  } else if (Buffer.isBuffer(values)) {
+    data = values;
+  } else {
+    const numbers = Array.isArray(values) ? values : [values];
+    data = Buffer.alloc(numbers.length * TYPE_SIZES[type]);
+    numbers.forEach((value, index) => {
+      if (type === TIFF_TYPES.SHORT) {
+        writeUInt16(data, index * 2, value, littleEndian);
+      } else if (type === TIFF_TYPES.LONG || type === TIFF_TYPES.IFD) {
+        writeUInt32(data, index * 4, value, littleEndian);
+      } else if (type === TIFF_TYPES.RATIONAL) {
+        const [numerator, denominator] = Array.isArray(value) ? value : [value, 1];
+        writeUInt32(data, index * 8, numerator, littleEndian);
+        writeUInt32(data, index * 8 + 4, denominator, littleEndian);
+      } else {
+        data[index] = value;
+      }
+    });
+  }
+
+  return { tag, type, count: data.length / TYPE_SIZES[type], data };
+}
+
+/**
+ * Build an IFD followed by the out-of-line values of its entries
+ * Entries either carry `data` (new value bytes) or a `valueField` copied from
+ * readIFD, which is written back verbatim so existing offsets stay valid.
+ * @param {Array<Object>} entries - IFD entries
+ * @param {number} offset - Absolute offset the IFD will be written at
+ * @param {number} nextIFDOffset - Offset of the next IFD (0 for none)
+ * @param {boolean} littleEndian - Byte order
+ * @returns {Buffer} IFD and its value data
+ */
+function buildIFD(entries, offset, nextIFDOffset, littleEndian) {
+  const sorted = [...entries].sort((a, b) => a.tag - b.tag);
+  const ifdSize = 2 + sorted.length * IFD_ENTRY_SIZE + 4;
+  const ifd = Buffer.alloc(ifdSize);
+  const values = [];
+  let dataOffset = offset + ifdSize;
+
+  writeUInt16(ifd, 0, sorted.length, littleEndian);
+
+  sorted.forEach((entry, index) => {
+    const entryOffset = 2 + index * IFD_ENTRY_SIZE;
+    writeUInt16(ifd, entryOffset, entry.tag, littleEndian);
+    writeUInt16(ifd, entryOffset + 2, entry.type, littleEndian);
+    writeUInt32(ifd, entryOffset + 4, entry.count, littleEndian);
+
+    if (!entry.data) {
+      entry.valueField.copy(ifd, entryOffset + 8);
+    } else if (entry.data.length <= 4) {
+      entry.data.copy(ifd, entryOffset + 8);
+    } else {
+      // Values start on a word boundary
+      if (dataOffset % 2) {
+        values.push(Buffer.alloc(1));
+        dataOffset++;
+      }
+      writeUInt32(ifd, entryOffset + 8, dataOffset, littleEndian);
+      values.push(entry.data);
+      dataOffset += entry.data.length;
+    }
+  });
+
+  writeUInt32(ifd, ifdSize - 4, nextIFDOffset, littleEndian);
+
+  return Buffer.concat([ifd, ...values]);
+}
+
+function readUInt16(buffer, offset, littleEndian) {
+  return littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+}
+
+function readUInt32(buffer, offset, littleEndian) {
+  return littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+}
+
+function writeUInt16(buffer, offset, value, littleEndian) {
+  return littleEndian ? buffer.writeUInt16LE(value, offset) : buffer.writeUInt16BE(value, offset);
+}
+
+function writeUInt32(buffer, offset, value, littleEndian) {
+  return littleEndian ? buffer.writeUInt32LE(value, offset) : buffer.writeUInt32BE(value, offset);
+}
+
+module.exports = {
+  TIFF_TYPES,
+  TYPE_SIZES,
+  parseHeader,
+  createHeader,
+  readIFD,
+  getEntryData,
+  readEntryNumbers,
+  encodeEntry,
+  buildIFD,
+  readUInt32,
+  writeUInt32
+};
@@ -0,0 +1,140 @@
+/**
+ * Vorbis comment reader and writer
+ * Shared by FLAC VORBIS_COMMENT blocks and Ogg Vorbis/Opus comment headers
+ */
+
+// Comment fields for AI metadata (field names are case-insensitive)
+const AI_FIELDS = {
+  METADATA: 'AI_METADATA',
+  CHECKSUM: 'AI_CHECKSUM',
+  SIGNATURE: 'AI_SIGNATURE'
+};
+
+/**
+ * Parse a comment list (little-endian lengths, UTF-8 strings)
+ * @param {Buffer} data - Comment data
+ * @param {number} offset - Offset of the vendor string length
+ * @returns {Object} Vendor string, comments ("NAME=value") and end offset
+ */
+function parse(data, offset = 0) {
+  const readString = () => {
+    if (offset + 4 > data.length) {
+      throw new Error('Invalid Vorbis comment: truncated length');
+    }
+    const length = data.readUInt32LE(offset);
+    if (offset + 4 + length > data.length) {
+      throw new Error('Invalid Vorbis comment: truncated string');
+    }
+    const value = data.slice(offset + 4, offset + 4 + length).toString('utf8');
+    offset += 4 + length;
+    return value;
+  };
+
+  const vendor = readString();
+  if (offset + 4 > data.length) {
+    throw new Error('Invalid Vorbis comment: missing comment count');
+  }
+  const count = data.readUInt32LE(offset);
+  offset += 4;
+
+  const comments = [];
+  for (let i = 0; i < count; i++) {
+    comments.push(readString());
+  }
+
+  return { vendor, comments, end: offset };
+}
+
+/**
+ * Create a comment list
+ * @param {string} vendor - Vendor string
+ * @param {Array<string>} comments - Comments ("NAME=value")
+ * @returns {Buffer} Comment data
+ */
+function create(vendor, comments) {
+  const encodeString = value => {
+    const text = Buffer.from(value, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(text.length, 0);
+    return Buffer.concat([length, text]);
+  };
+
+  const count = Buffer.alloc(4);
+  count.writeUInt32LE(comments.length, 0);
+
+  return Buffer.concat([encodeString(vendor), count, ...comments.map(encodeString)]);
+}
+
+/**
+ * Split a comment into field name (upper case) and value
+ * @param {string} comment - Comment ("NAME=value")
+ * @returns {Object} Name and value
+ */
+function splitComment(comment) {
+  const separator = comment.indexOf('=');
+  return separator === -1
+    ? { name: comment.toUpperCase(), value: '' }
+    : { name: comment.slice(0, separator).toUpperCase(), value: comment.slice(separator + 1) };
+}
+
+/**
+ * Check if a comment holds AI metadata
+ * @param {string} comment - Comment ("NAME=value")
+ * @returns {boolean} True if AI metadata field
+ */
+function isAIComment(comment) {
+  return Object.values(AI_FIELDS).includes(splitComment(comment).name);
+}
+
+/**
+ * Create the AI metadata comments
+ * @param {Object} metadata - Metadata (with checksum when present)
+ * @param {string} [signature] - Signature string
+ * @returns {Array<string>} Comments ("NAME=value")
+ */
+function createAIComments(metadata, signature) {
+  const comments = [`${AI_FIELDS.METADATA}=${JSON.stringify(metadata)}`];
+  if (metadata.checksum) comments.push(`${AI_FIELDS.CHECKSUM}=${metadata.checksum}`);
+  if (signature) comments.push(`${AI_FIELDS.SIGNATURE}=${signature}`);
+  return comments;
+}
+
+/**
+ * Extract AI metadata from comments (the first of each field wins)
+ * @param {Array<string>} comments - Comments ("NAME=value")
+ * @returns {Object|null} Metadata with checksum and signature, or null
+ */
+function extractAIMetadata(comments) {
+  const fields = {};
+  for (const comment of comments) {
+    const { name, value } = splitComment(comment);
+    if (Object.values(AI_FIELDS).includes(name) && !(name in fields)) {
+      fields[name] = value;
+    }
+  }
+
+  if (!fields[AI_FIELDS.METADATA]) {
+    return null;
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(fields[AI_FIELDS.METADATA]);
+  } catch (error) {
+    return null; // Invalid JSON
+  }
+
+  if (fields[AI_FIELDS.CHECKSUM]) metadata.checksum = fields[AI_FIELDS.CHECKSUM];
+  if (fields[AI_FIELDS.SIGNATURE]) metadata.signature = fields[AI_FIELDS.SIGNATURE];
+  return metadata;
+}
+
+module.exports = {
+  AI_FIELDS,
+  parse,
+  create,
+  splitComment,
+  isAIComment,
+  createAIComments,
+  extractAIMetadata
+};
@@ -0,0 +1,285 @@
+/**
+ * XMP Sidecar Handler for AI Content Tagging Tools
+ * Reads and writes Adobe-style .xmp sidecars (photo.CR2 -> photo.xmp) holding
+ * the aicontag namespace, for files that must not be modified such as RAW
+ * images. The content checksum covers the whole, untouched file.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const xmp = require('./xmp');
+const cryptoUtils = require('../core/crypto');
+const { canonicalize, stripUnsignedFields } = require('../core/canonical');
+const { normalizeMetadata, validateMetadata } = require('../core/metadata');
+
+const XMP_SIDECAR_EXTENSION = '.xmp';
+
+/**
+ * XMP Sidecar Metadata Handler
+ */
+class XMPSidecarHandler {
+  /**
+   * @param {Object} options - Handler options
+   * @param {boolean} [options.preserveExisting=true] - Merge into an existing sidecar (develop settings, keywords, ...)
+   * @param {string} [options.naming='basename'] - 'basename' (photo.xmp, Adobe) or 'filename' (photo.CR2.xmp)
+   * @param {string|Object|KeyObject} [options.publicKey] - Public key (PEM, JWK or KeyObject) used to verify signatures
+   * @param {Array|Object} [options.publicKeys] - Key set (array or keyId -> key map)
+   * @param {Function} [options.keyResolver] - Resolves key(s) for a metadata object, may be async
+   */
+  constructor(options = {}) {
+    this.options = {
+      preserveExisting: true,
+      naming: 'basename',
+      ...options
+    };
+  }
+
+  /**
+   * Get the sidecar path for a content file
+   * @param {string} contentPath - Content file path
+   * @param {string} naming - 'basename' or 'filename'
+   * @returns {string} Sidecar path
+   */
+  static getSidecarPath(contentPath, naming = 'basename') {
+    if (naming === 'filename') {
+      return `${contentPath}${XMP_SIDECAR_EXTENSION}`;
+    }
+    const base = path.basename(contentPath, path.extname(contentPath));
+    return path.join(path.dirname(contentPath), `${base}${XMP_SIDECAR_EXTENSION}`);
+  }
+
+  /**
+   * Create sidecar XMP for a content file
+   * @param {Buffer|string} contentData - Content file data or path
+   * @param {Object} metadata - RFC-compliant metadata object
+   * @param {Object} options - Embedding options
+   * @param {Buffer} [options.existingXmp] - Sidecar to merge into (read from disk for paths)
+   * @param {boolean} [options.includeChecksum=true] - Add the content checksum
+   * @param {KeyObject|string|Object} [options.privateKey] - Signing key
+   * @returns {Promise<Buffer>} Sidecar XMP data
+   */
+  async embedMetadata(contentData, metadata, options = {}) {
+    try {
+      const contentBuffer = typeof contentData === 'string'
+        ? await fs.readFile(contentData)
+        : contentData;
+
+      // Convert legacy field names to the 1.1 schema and validate
+      // (a signature from a previous run is dropped, it no longer applies)
+      metadata = stripUnsignedFields(normalizeMetadata(metadata), ['signature']);
+      this._validateMetadata(metadata);
+
+      // Checksum covers the whole file, so it is part of the signed metadata
+      if (options.includeChecksum !== false) {
+        metadata.checksum = this._calculateContentChecksum(contentBuffer);
+      } else {
+        delete metadata.checksum;
+      }
+
+      if (options.privateKey) {
+        options = { ...options, signature: await this._createSignature(metadata, options.privateKey) };
+      }
+
+      const existingXmp = options.existingXmp !== undefined
+        ? options.existingXmp
+        : await this._readSidecar(contentData, options);
+
+      if (existingXmp && this.options.preserveExisting) {
+        return xmp.merge([existingXmp], metadata, options);
+      }
+      return xmp.create(metadata, options);
+    } catch (error) {
+      throw new Error(`Failed to create XMP sidecar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the sidecar next to a content file
+   * @param {string} contentPath - Content file path (never modified)
+   * @param {Object} metadata - RFC-compliant metadata object
+   * @param {Object} options - Embedding options (see embedMetadata)
+   * @param {string} [options.sidecarPath] - Explicit sidecar path
+   * @returns {Promise<string>} Path of the written sidecar
+   */
+  async writeSidecar(contentPath, metadata, options = {}) {
+    const sidecarPath = options.sidecarPath || XMPSidecarHandler.getSidecarPath(contentPath, this.options.naming);
+    const xmpData = await this.embedMetadata(contentPath, metadata, { ...options, sidecarPath });
+
+    try {
+      await fs.writeFile(sidecarPath, xmpData);
+    } catch (error) {
+      throw new Error(`Failed to write XMP sidecar: ${error.message}`);
+    }
+    return sidecarPath;
+  }
+
+  /**
+   * Extract AI content metadata from the sidecar of a content file
+   * @param {Buffer|string} contentData - Content file data or path
+   * @param {Object} options - Extraction options (publicKey, publicKeys, keyResolver)
+   * @param {Buffer} [options.xmpData] - Sidecar data (found next to the file for paths)
+   * @param {string} [options.sidecarPath] - Explicit sidecar path
+   * @returns {Promise<Object|null>} Extracted metadata object or null if not found
+   */
+  async extractMetadata(contentData, options = {}) {
+    try {
+      const xmpData = options.xmpData || await this._readSidecar(contentData, options);
+      if (!xmpData) {
+        return null;
+      }
+
+      // Fall back to the IPTC and Dublin Core fields written by other tools
+      const metadata = this.parseSidecar(xmpData) || xmp.parseStandardData(xmpData);
+      if (!metadata) {
+        return null;
+      }
+
+      // Verify integrity if checksum present
+      if (metadata.checksum) {
+        const contentBuffer = typeof contentData === 'string'
+          ? await fs.readFile(contentData)
+          : contentData;
+        metadata._verified = await this._verifyChecksum(metadata, contentBuffer);
+      }
+
+      // Verify signature if present
+      if (metadata.signature) {
+        const result = await this._verifySignature(metadata, options);
+        metadata._signatureValid = result.valid;
+        metadata._signatureReason = result.reason;
+        if (result.keyId) metadata._signatureKeyId = result.keyId;
+      }
+
+      // Verification runs on the stored fields; callers get the 1.1 field names
+      return normalizeMetadata(metadata);
+    } catch (error) {
+      throw new Error(`Failed to extract XMP sidecar metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the aicontag metadata of sidecar XMP without verifying it
+   * @param {Buffer|string} xmpData - Sidecar XMP
+   * @returns {Object|null} Stored metadata with checksum and signature, or null
+   */
+  parseSidecar(xmpData) {
+    return xmp.parseAIData(Buffer.from(xmpData));
+  }
+
+  /**
+   * Check if a content file has a sidecar with AI metadata
+   * @param {Buffer|string} contentData - Content file data or path
+   * @param {Object} options - Options (xmpData, sidecarPath)
+   * @returns {Promise<boolean>} True if AI metadata found
+   */
+  async hasMetadata(contentData, options = {}) {
+    try {
+      const xmpData = options.xmpData || await this._readSidecar(contentData, options);
+      return Boolean(xmpData) && xmp.containsAIData(xmpData);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove AI metadata from sidecar XMP
+   * @param {Buffer} xmpData - Sidecar XMP
+   * @returns {Promise<Buffer|null>} Sidecar without AI metadata, or null when nothing else is left
+   */
+  async removeMetadata(xmpData) {
+    try {
+      return xmp.removeAIData(Buffer.from(xmpData));
+    } catch (error) {
+      throw new Error(`Failed to remove XMP sidecar metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the existing sidecar of a content file
+   * Tries options.sidecarPath, then photo.xmp and photo.CR2.xmp.
+   * @param {Buffer|string} contentData - Content file data or path
+   * @param {Object} options - Options (sidecarPath)
+   * @returns {Promise<Buffer|null>} Sidecar data, or null
+   */
+  async _readSidecar(contentData, options = {}) {
+    const candidates = options.sidecarPath
+      ? [options.sidecarPath]
+      : typeof contentData === 'string'
+        ? [XMPSidecarHandler.getSidecarPath(contentData, 'basename'), XMPSidecarHandler.getSidecarPath(contentData, 'filename')]
+        : [];
+
+    for (const candidate of candidates) {
+      try {
+        return await fs.readFile(candidate);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Validate metadata structure
+   * @param {Object} metadata - Metadata to validate (version 1.1 schema)
+   * @throws {Error} If metadata is invalid
+   */
+  _validateMetadata(metadata) {
+    const result = validateMetadata(metadata);
+    if (!result.isValid) {
+      throw new Error(`Invalid metadata: ${result.error}`);
+    }
+  }
+
+  /**
+   * Create cryptographic signature
+   * @param {Object} metadata - Metadata to sign
+   * @param {KeyObject|string|Object} privateKey - Private key (PEM, JWK or KeyObject)
+   * @returns {Promise<string>} Signature as "algorithm:keyId:base64"
+   */
+  async _createSignature(metadata, privateKey) {
+    return cryptoUtils.createSignature(this._getSignedData(metadata), privateKey);
+  }
+
+  /**
+   * Verify cryptographic signature against the configured public key(s)
+   * @param {Object} metadata - Metadata with signature
+   * @param {Object} options - Per-call key options, override constructor options
+   * @returns {Promise<Object>} Result with valid flag, reason and matching keyId
+   */
+  async _verifySignature(metadata, options = {}) {
+    return cryptoUtils.verifyWithPublicKeys(
+      this._getSignedData(metadata), metadata.signature, [options, this.options], metadata
+    );
+  }
+
+  /**
+   * Get the data covered by the signature (canonical metadata without the
+   * signature and verification fields; the content checksum is included)
+   * @param {Object} metadata - Metadata object
+   * @returns {string} Canonical JSON (RFC 8785)
+   */
+  _getSignedData(metadata) {
+    return canonicalize(stripUnsignedFields(metadata, ['signature']));
+  }
+
+  /**
+   * Calculate SHA-256 checksum of the whole content file
+   * @param {Buffer} contentBuffer - Content file data
+   * @returns {string} Hex checksum
+   */
+  _calculateContentChecksum(contentBuffer) {
+    return cryptoUtils.checksum(contentBuffer);
+  }
+
+  /**
+   * Verify content checksum against the content file
+   * @param {Object} metadata - Metadata with checksum
+   * @param {Buffer} contentBuffer - Content file data
+   * @returns {Promise<boolean>} True if checksum is valid
+   */
+  async _verifyChecksum(metadata, contentBuffer) {
+    return this._calculateContentChecksum(contentBuffer) === metadata.checksum;
+  }
+}
+
+module.exports = XMPSidecarHandler;
@@ -0,0 +1,331 @@
+/**
+ * XMP packet reader and writer for the aicontag namespace
+ * Shared by image embedding (JPEG, PNG, TIFF, WebP) and ISO BMFF uuid boxes
+ */
+
+const { toDigitalSourceType, originFromDigitalSourceType } = require('../core/metadata');
+
+// XMP namespace for AI metadata
+const AI_XMP_NAMESPACE = 'http://aicontenttagging.org/schemas/1.0/';
+const AI_XMP_PREFIX = 'aicontag';
+const RDF_CLOSE_PATTERN = /(\s*)<\/rdf:RDF>/;
+const XMP_BASIC_NAMESPACE = 'http://ns.adobe.com/xap/1.0/';
+const DC_NAMESPACE = 'http://purl.org/dc/elements/1.1/';
+const IPTC_EXT_NAMESPACE = 'http://iptc.org/std/Iptc4xmpExt/2008-02-29/';
+
+/**
+ * Escape XML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Unescape XML special characters
+ * @param {string} text - Text to unescape
+ * @returns {string} Unescaped text
+ */
+function unescapeXML(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'");
+}
+
+/**
+ * Create XMP data for AI metadata
+ * @param {Object} metadata - AI metadata
+ * @param {Object} options - Creation options
+ * @returns {Buffer} XMP data buffer
+ */
+function create(metadata, options = {}) {
+  const xmpTemplate = `<?xml version="1.0" encoding="UTF-8"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/" x:xmptk="AI Content Tagging Tools 1.0">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    ${createDescription(metadata, options)}
+  </rdf:RDF>
+</x:xmpmeta>`;
+
+  return Buffer.from(xmpTemplate, 'utf8');
+}
+
+/**
+ * Create the rdf:Description holding the aicontag properties
+ * The IPTC DigitalSourceType derived from origin, author and license are
+ * mirrored to Iptc4xmpExt:DigitalSourceType, dc:creator and dc:rights unless
+ * the existing XMP already has them (written by a camera or another tool).
+ * @param {Object} metadata - AI metadata
+ * @param {Object} options - Creation options
+ * @param {string} [options.xmpPart] - 'standard' leaves out the JSON metadata,
+ *   'extended' holds only the JSON metadata (for Extended XMP)
+ * @param {string} existingXmp - Existing XMP the description is merged into
+ * @returns {string} rdf:Description element
+ */
+function createDescription(metadata, options = {}, existingXmp = '') {
+  const metadataProperty = `<${AI_XMP_PREFIX}:metadata>${escapeXML(JSON.stringify(metadata))}</${AI_XMP_PREFIX}:metadata>`;
+
+  if (options.xmpPart === 'extended') {
+    return `<rdf:Description rdf:about="" xmlns:${AI_XMP_PREFIX}="${AI_XMP_NAMESPACE}">
+      ${metadataProperty}
+    </rdf:Description>`;
+  }
+
+  const sourceType = getPropertyValue(existingXmp, IPTC_EXT_NAMESPACE, 'DigitalSourceType') === null
+    ? toDigitalSourceType(metadata.origin)
+    : null;
+  const creator = metadata.author && metadata.author !== 'Unknown' &&
+    getPropertyValue(existingXmp, DC_NAMESPACE, 'creator') === null ? metadata.author : null;
+  const rights = metadata.license &&
+    getPropertyValue(existingXmp, DC_NAMESPACE, 'rights') === null ? metadata.license : null;
+
+  const namespaces = [
+    `xmlns:${AI_XMP_PREFIX}="${AI_XMP_NAMESPACE}"`,
+    sourceType ? `xmlns:Iptc4xmpExt="${IPTC_EXT_NAMESPACE}"` : '',
+    creator || rights ? `xmlns:dc="${DC_NAMESPACE}"` : ''
+  ].filter(Boolean).join(' ');
+
+  return `<rdf:Description rdf:about="" ${namespaces}>
+      ${sourceType ? `<Iptc4xmpExt:DigitalSourceType>${sourceType}</Iptc4xmpExt:DigitalSourceType>` : ''}
+      ${creator ? `<dc:creator><rdf:Seq><rdf:li>${escapeXML(creator)}</rdf:li></rdf:Seq></dc:creator>` : ''}
+      ${rights ? `<dc:rights><rdf:Alt><rdf:li xml:lang="x-default">${escapeXML(rights)}</rdf:li></rdf:Alt></dc:rights>` : ''}
+      <${AI_XMP_PREFIX}:version>${escapeXML(metadata.version)}</${AI_XMP_PREFIX}:version>
+      ${metadata.content_type ? `<${AI_XMP_PREFIX}:content_type>${escapeXML(metadata.content_type)}</${AI_XMP_PREFIX}:content_type>` : ''}
+      <${AI_XMP_PREFIX}:origin>${escapeXML(metadata.origin)}</${AI_XMP_PREFIX}:origin>
+      <${AI_XMP_PREFIX}:creation_timestamp>${escapeXML(metadata.creation_timestamp)}</${AI_XMP_PREFIX}:creation_timestamp>
+      ${metadata.author ? `<${AI_XMP_PREFIX}:author>${escapeXML(metadata.author)}</${AI_XMP_PREFIX}:author>` : ''}
+      ${metadata.description ? `<${AI_XMP_PREFIX}:description>${escapeXML(metadata.description)}</${AI_XMP_PREFIX}:description>` : ''}
+      ${metadata.license ? `<${AI_XMP_PREFIX}:license>${escapeXML(metadata.license)}</${AI_XMP_PREFIX}:license>` : ''}
+      ${options.xmpPart === 'standard' ? '' : metadataProperty}
+      ${metadata.checksum ? `<${AI_XMP_PREFIX}:checksum>${metadata.checksum}</${AI_XMP_PREFIX}:checksum>` : ''}
+      ${options.signature ? `<${AI_XMP_PREFIX}:signature>${escapeXML(options.signature)}</${AI_XMP_PREFIX}:signature>` : ''}
+    </rdf:Description>`;
+}
+
+/**
+ * Merge AI metadata into existing XMP packets
+ * Our properties from a previous run are stripped and a fresh aicontag
+ * rdf:Description is added to the first packet, so Dublin Core, photoshop
+ * and other namespaces survive. Descriptions of any further packets are
+ * folded into the same rdf:RDF so the result is a single packet.
+ * @param {Array<Buffer>} existingPackets - Existing XMP packets
+ * @param {Object} metadata - AI metadata
+ * @param {Object} options - Creation options
+ * @returns {Buffer} Merged XMP data buffer
+ */
+function merge(existingPackets, metadata, options = {}) {
+  const packets = existingPackets
+    .map(packet => removeAIData(packet))
+    .filter(packet => packet && RDF_CLOSE_PATTERN.test(packet.toString('utf8')))
+    .map(packet => packet.toString('utf8'));
+
+  if (packets.length === 0) {
+    return create(metadata, options);
+  }
+
+  const descriptions = packets.slice(1).map(packet => {
+    const match = packet.match(/<rdf:RDF\b[^>]*>([\s\S]*)<\/rdf:RDF>/);
+    return match ? match[1].trim() : '';
+  }).filter(Boolean);
+  descriptions.push(createDescription(metadata, options, packets.join('')));
+
+  // Reuse the indentation of </rdf:RDF> so removing our description restores the packet
+  const merged = packets[0].replace(RDF_CLOSE_PATTERN, (match, indent) =>
+    `${indent}${descriptions.join(indent)}${indent}</rdf:RDF>`);
+
+  return Buffer.from(merged, 'utf8');
+}
+
+/**
+ * Remove aicontag properties from an XMP packet
+ * Our own rdf:Description goes as a whole, including the IPTC and Dublin
+ * Core mirrors; aicontag properties other tools moved into their
+ * descriptions are stripped individually.
+ * @param {Buffer} xmpData - XMP data buffer
+ * @returns {Buffer|null} Cleaned XMP, or null when no description is left
+ */
+function removeAIData(xmpData) {
+  const xmpString = xmpData.toString('utf8');
+  if (!xmpString.includes(AI_XMP_NAMESPACE)) {
+    return xmpData;
+  }
+
+  let cleaned = xmpString.replace(/\s*<rdf:Description\b[^>]*?(?:\/>|>[\s\S]*?<\/rdf:Description>)/g, description => {
+    if (!description.includes(AI_XMP_NAMESPACE)) return description;
+
+    const remaining = [
+      [AI_XMP_NAMESPACE],
+      [IPTC_EXT_NAMESPACE, 'DigitalSourceType'],
+      [DC_NAMESPACE, 'creator'],
+      [DC_NAMESPACE, 'rights']
+    ].reduce((text, [namespace, property]) => removeProperties(text, namespace, property), description);
+
+    return remaining.trim() ? description : '';
+  });
+  cleaned = removeProperties(cleaned, AI_XMP_NAMESPACE);
+
+  return /<rdf:Description\b/.test(cleaned) ? Buffer.from(cleaned, 'utf8') : null;
+}
+
+/**
+ * Remove properties of a namespace from an XMP packet
+ * Property elements and attributes are dropped (along with the namespace
+ * declaration when removing the whole namespace); descriptions left empty
+ * are removed.
+ * @param {string} xmpString - XMP packet
+ * @param {string} namespace - Namespace URI
+ * @param {string} [property] - Single property to remove (default: all)
+ * @returns {string} Cleaned XMP packet
+ */
+function removeProperties(xmpString, namespace, property = null) {
+  const escaped = namespace.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  const declaration = new RegExp(`\\s+xmlns:([\\w.-]+)\\s*=\\s*(["'])${escaped}\\2`, 'g');
+  const prefixes = [...xmpString.matchAll(declaration)].map(match => match[1]);
+
+  if (prefixes.length === 0) {
+    return xmpString;
+  }
+
+  const name = property || '[\\w.-]+';
+  for (const prefix of new Set(prefixes)) {
+    xmpString = xmpString
+      .replace(new RegExp(`\\s*<${prefix}:(${name})\\b[^>]*?(?:/>|>[\\s\\S]*?</${prefix}:\\1>)`, 'g'), '')
+      .replace(new RegExp(`\\s+${prefix}:${name}\\s*=\\s*(?:"[^"]*"|'[^']*')`, 'g'), '');
+  }
+  if (!property) {
+    xmpString = xmpString.replace(declaration, '');
+  }
+
+  // Drop descriptions that only carry rdf:about and namespace declarations
+  return xmpString.replace(
+    /\s*<rdf:Description\b([^>]*?)\s*(?:\/>|>\s*<\/rdf:Description>)/g,
+    (match, attributes) => {
+      const remaining = attributes.replace(/\s+(?:rdf:about|xmlns:[\w.-]+)\s*=\s*(?:"[^"]*"|'[^']*')/g, '');
+      return remaining.trim() ? match : '';
+    }
+  );
+}
+
+/**
+ * Read a simple, array or language-alternative property from an XMP packet
+ * @param {string} xmpString - XMP packet
+ * @param {string} namespace - Namespace URI
+ * @param {string} property - Property name
+ * @returns {string|null} Value (first item of arrays), or null when absent
+ */
+function getPropertyValue(xmpString, namespace, property) {
+  const escaped = namespace.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  const declaration = new RegExp(`xmlns:([\\w.-]+)\\s*=\\s*["']${escaped}["']`, 'g');
+
+  for (const [, prefix] of xmpString.matchAll(declaration)) {
+    const attribute = xmpString.match(new RegExp(`\\s${prefix}:${property}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+    if (attribute) {
+      return unescapeXML(attribute[1] !== undefined ? attribute[1] : attribute[2]);
+    }
+
+    const element = xmpString.match(new RegExp(`<${prefix}:${property}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${prefix}:${property}>)`));
+    if (element) {
+      const resource = element[1].match(/rdf:resource\s*=\s*["']([^"']*)["']/);
+      if (resource) return unescapeXML(resource[1]);
+
+      const content = element[2] || '';
+      const item = content.match(/<rdf:li\b[^>]*>([\s\S]*?)<\/rdf:li>/);
+      return unescapeXML((item ? item[1] : content).trim());
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check if an XMP packet holds aicontag properties
+ * @param {Buffer|string} xmpData - XMP data
+ * @returns {boolean} True if the aicontag namespace is present
+ */
+function containsAIData(xmpData) {
+  return Boolean(xmpData) && xmpData.includes(AI_XMP_NAMESPACE);
+}
+
+/**
+ * Parse XMP data for AI metadata
+ * @param {Buffer} xmpData - XMP data buffer
+ * @returns {Object|null} Parsed AI metadata
+ */
+function parseAIData(xmpData) {
+  try {
+    const xmpString = xmpData.toString('utf8');
+    
+    // Extract AI metadata using regex (simple approach)
+    const metadataMatch = xmpString.match(new RegExp(`<${AI_XMP_PREFIX}:metadata>(.*?)</${AI_XMP_PREFIX}:metadata>`, 's'));
+    
+    if (metadataMatch) {
+      const metadataJson = unescapeXML(metadataMatch[1]);
+      const metadata = JSON.parse(metadataJson);
+
+      const signatureMatch = xmpString.match(new RegExp(`<${AI_XMP_PREFIX}:signature>(.*?)</${AI_XMP_PREFIX}:signature>`, 's'));
+      if (signatureMatch) {
+        metadata.signature = unescapeXML(signatureMatch[1]);
+      }
+
+      return metadata;
+    }
+  } catch (error) {
+    // Failed to parse XMP
+  }
+  
+  return null;
+}
+
+/**
+ * Build metadata from standard XMP fields
+ * Used when no aicontag data is present: origin comes from the IPTC
+ * DigitalSourceType, author and license from dc:creator and dc:rights.
+ * @param {Buffer} xmpData - XMP data buffer
+ * @returns {Object|null} Metadata, or null without a known DigitalSourceType
+ */
+function parseStandardData(xmpData) {
+  const xmpString = xmpData.toString('utf8');
+  const sourceType = getPropertyValue(xmpString, IPTC_EXT_NAMESPACE, 'DigitalSourceType');
+  const origin = originFromDigitalSourceType(sourceType);
+
+  if (!origin) return null;
+
+  const metadata = { origin, _source: 'iptc' };
+  const fields = {
+    author: [DC_NAMESPACE, 'creator'],
+    license: [DC_NAMESPACE, 'rights'],
+    creation_timestamp: [XMP_BASIC_NAMESPACE, 'CreateDate']
+  };
+
+  for (const [field, [namespace, property]] of Object.entries(fields)) {
+    const value = getPropertyValue(xmpString, namespace, property);
+    if (value) metadata[field] = value;
+  }
+
+  return metadata;
+}
+
+module.exports = {
+  AI_XMP_NAMESPACE,
+  AI_XMP_PREFIX,
+  RDF_CLOSE_PATTERN,
+  escapeXML,
+  unescapeXML,
+  create,
+  createDescription,
+  merge,
+  removeAIData,
+  removeProperties,
+  getPropertyValue,
+  containsAIData,
+  parseAIData,
+  parseStandardData
+};
@@ -0,0 +1,238 @@
+/**
+ * AI Content Tagging Tools
+ * Package entry point: core metadata and crypto utilities, the format
+ * handlers and registry, and tag/extract/verify functions that detect the
+ * container (HTML, JPEG, PNG, MP3, XML or XMP sidecar, ...) from its first
+ * bytes and dispatch to the registered format.
+ */
+
+const fs = require('fs').promises;
+const { ContentMetadata, createMetadata, validateMetadata, ...metadataUtils } = require('./core/metadata');
+const cryptoUtils = require('./core/crypto');
+const canonical = require('./core/canonical');
+const { KeyStore, loadTrustedKeys } = require('./core/keystore');
+const EXIFImageHandler = require('./formats/exif-image');
+const ID3AudioHandler = require('./formats/id3-audio');
+const FLACHandler = require('./formats/flac-audio');
+const OggHandler = require('./formats/ogg-audio');
+const MP4Handler = require('./formats/mp4-media');
+const RIFFAudioHandler = require('./formats/riff-audio');
+const C2PAHandler = require('./formats/c2pa');
+const XMPSidecarHandler = require('./formats/xmp-sidecar');
+const htmlMeta = require('./formats/html-meta');
+const httpHeaders = require('./formats/http-headers');
+const sidecarXml = require('./formats/sidecar-xml');
+const xmp = require('./formats/xmp');
+const { registry, FormatRegistry, handlerFormat } = require('./formats/registry');
+
+/**
+ * Detect the container of some content from its first bytes
+ * @param {Buffer|string} data - Content
+ * @returns {string} Registered format name (e.g. 'jpeg', 'mp3', 'html', 'sidecar', 'xmp-sidecar'), or 'unknown'
+ */
+function detectFormat(data) {
+  const format = registry.detect(data);
+  return format ? format.name : 'unknown';
+}
+
+/**
+ * Tag content with metadata
+ * Embedded formats return the tagged content; sidecar formats return the
+ * content unchanged and the sidecar document to store next to it (XML text
+ * for 'sidecar', a Buffer for 'xmp-sidecar'). Either can be passed back to
+ * extract() and verify() as is.
+ * @param {Buffer|string} input - Content, file path or XML/HTML text
+ * @param {Object|ContentMetadata} metadata - Metadata fields
+ * @param {Object} options - Tagging options, also passed to the format
+ * @param {string} [options.format] - Registered format name; detected by default, 'sidecar' for unknown content
+ * @param {*} [options.privateKey] - Key to sign the metadata with
+ * @param {boolean} [options.includeChecksum] - Include the content checksum (default true)
+ * @returns {Promise<Object>} Result with format, content and, for sidecar formats, sidecar
+ */
+async function tag(input, metadata, options = {}) {
+  const { buffer, path: filePath } = await readInput(input);
+
+  if (registry.detect(buffer, { sidecar: true })) {
+    throw new Error('Input is a sidecar document; tag the content it describes instead');
+  }
+
+  const detected = registry.detect(buffer, { capability: 'embed', sidecar: false });
+  const name = options.format || (detected ? detected.name : 'sidecar');
+  const format = registry.get(name);
+  if (!format || !format.embed) {
+    throw new Error(`Unsupported format: ${name}`);
+  }
+
+  const fields = createMetadata(canonical.stripUnsignedFields(toPlainObject(metadata)));
+
+  try {
+    const result = await format.embed(buffer, fields, { ...options, path: filePath || undefined });
+    return { format: format.name, ...result };
+  } catch (error) {
+    throw new Error(`Failed to tag content: ${error.message}`);
+  }
+}
+
+/**
+ * Extract metadata from content
+ * Embedded metadata is preferred; for file paths the sidecars next to the
+ * file are checked when nothing is embedded.
+ * @param {Buffer|string} input - Content, file path or sidecar (Buffer or XML text)
+ * @param {Object} options - Extraction options
+ * @param {string} [options.format] - Only try this format
+ * @param {Buffer|string} [options.sidecar] - Sidecar document (Buffer or XML text) or path to read instead
+ * @returns {Promise<Object|null>} Metadata fields, or null if none found
+ */
+async function extract(input, options = {}) {
+  const found = await locateMetadata('extract', await readInput(input), options);
+  return found ? found.metadata : null;
+}
+
+/**
+ * Verify the metadata of content: schema, content checksum and signature
+ * @param {Buffer|string} input - Content, file path or sidecar (Buffer or XML text)
+ * @param {Object} options - Verification options
+ * @param {Map|Array|Object} [options.trustedKeys] - Trusted public keys (e.g. KeyStore.getTrustedKeys())
+ * @param {*} [options.publicKey] - Single public key to trust
+ * @param {boolean} [options.requireSignature] - Treat unsigned metadata as invalid
+ * @param {string} [options.format] - Only try this format
+ * @param {Buffer|string} [options.sidecar] - Sidecar document (Buffer or XML text) or path to read instead
+ * @param {Buffer|string} [options.content] - Described content or its path, when input is a sidecar
+ * @returns {Promise<Object>} Result with valid, format, source, metadata, schema, checksum, signature and issues
+ */
+async function verify(input, options = {}) {
+  const source = await readInput(input);
+  const found = await locateMetadata('verify', source, options);
+
+  if (!found) {
+    return {
+      valid: false,
+      format: detectFormat(source.buffer),
+      source: null,
+      metadata: null,
+      schema: null,
+      checksum: null,
+      signature: null,
+      issues: ['No metadata found']
+    };
+  }
+
+  const issues = [];
+  const validation = validateMetadata(found.metadata);
+  const schema = { valid: validation.isValid, error: validation.error || null };
+  if (!schema.valid) issues.push(`Schema: ${schema.error}`);
+
+  const { checksum, signature } = found;
+  if (!checksum.present) {
+    issues.push('No content checksum');
+  } else if (checksum.valid === null) {
+    issues.push(registry.get(found.format).sidecar
+      ? 'Content checksum not checked (described content not available)'
+      : 'Content checksum not checked by this format');
+  } else if (!checksum.valid) {
+    issues.push('Content checksum does not match');
+  }
+
+  if (!signature.present) {
+    if (options.requireSignature) issues.push('Metadata is not signed');
+  } else if (!signature.valid) {
+    issues.push(`Signature: ${signature.reason}`);
+  }
+
+  return {
+    valid: issues.length === 0,
+    format: found.format,
+    source: found.source,
+    metadata: found.metadata,
+    schema,
+    checksum,
+    signature,
+    issues
+  };
+}
+
+// Internal helpers
+
+/**
+ * Run extract or verify through the registry
+ * A sidecar document given as input describes options.content.
+ * @param {string} capability - 'extract' or 'verify'
+ * @param {{buffer: Buffer, path: string|null}} source - Input read by readInput
+ * @param {Object} options - Options
+ * @returns {Promise<Object|null>} Registry result, or null
+ */
+async function locateMetadata(capability, { buffer, path: filePath }, options = {}) {
+  const sidecarFormat = options.sidecar ? null : registry.detect(buffer, { sidecar: true });
+
+  if (sidecarFormat) {
+    const described = options.content ? await readInput(options.content) : null;
+    return registry[capability](described && described.buffer, {
+      ...options,
+      format: sidecarFormat.name,
+      sidecar: buffer,
+      path: (described && described.path) || undefined
+    });
+  }
+
+  return registry[capability](buffer, { ...options, path: filePath || undefined });
+}
+
+/**
+ * Read content given as a Buffer, a file path or document text
+ * A string starting with '<' is XML or HTML text (such as the sidecar returned
+ * by tag()), as for options.sidecar in the registry; other strings are paths.
+ * @param {Buffer|string} input - Content, file path or XML/HTML text
+ * @returns {Promise<{buffer: Buffer, path: string|null}>} Content and its file path
+ */
+async function readInput(input) {
+  if (Buffer.isBuffer(input)) return { buffer: input, path: null };
+  if (typeof input !== 'string') throw new Error('Input must be a Buffer, a file path or XML text');
+  if (input.trimStart().startsWith('<')) return { buffer: Buffer.from(input, 'utf8'), path: null };
+
+  try {
+    return { buffer: await fs.readFile(input), path: input };
+  } catch (error) {
+    throw new Error(`Failed to read ${input}: ${error.message}`);
+  }
+}
+
+function toPlainObject(metadata) {
+  return metadata instanceof ContentMetadata ? metadata.toObject() : { ...metadata };
+}
+
+module.exports = {
+  // High-level API
+  tag,
+  extract,
+  verify,
+  detectFormat,
+
+  // Format registry
+  registry,
+  FormatRegistry,
+  handlerFormat,
+
+  // Core
+  ContentMetadata,
+  createMetadata,
+  validateMetadata,
+  ...metadataUtils,
+  cryptoUtils,
+  canonical,
+  KeyStore,
+  loadTrustedKeys,
+
+  // Format handlers
+  EXIFImageHandler,
+  ID3AudioHandler,
+  FLACHandler,
+  OggHandler,
+  MP4Handler,
+  RIFFAudioHandler,
+  C2PAHandler,
+  XMPSidecarHandler,
+  htmlMeta,
+  httpHeaders,
+  sidecarXml,
+  xmp
+};
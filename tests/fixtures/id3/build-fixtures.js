@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * Writes the ID3 fixture files in this directory
+ * Each tag is assembled byte by byte (independently of lib/formats/id3-audio.js)
+ * around a few silent MPEG-1 Layer III frames. Every file carries the AI
+ * metadata and checksum frames plus a TIT2 title that removal must keep.
+ * Run with: node tests/fixtures/id3/build-fixtures.js
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const METADATA = {
+  version: '1.1',
+  origin: 'ai',
+  author: 'Fixture Author',
+  creation_timestamp: '2025-01-01T00:00:00.000Z',
+  content_type: 'audio'
+};
+const TITLE = 'Fixture Title';
+
+// 128 kbps, 44.1 kHz frames: header and 413 bytes of silence each
+const AUDIO = Buffer.concat(Array.from({ length: 3 }, () =>
+  Buffer.concat([Buffer.from([0xFF, 0xFB, 0x90, 0x00]), Buffer.alloc(413)])));
+
+function synchsafe(value) {
+  return Buffer.from([(value >> 21) & 0x7F, (value >> 14) & 0x7F, (value >> 7) & 0x7F, value & 0x7F]);
+}
+
+function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+}
+
+function frame(id, data, majorVersion) {
+  const size = majorVersion === 4 ? synchsafe(data.length) : uint32(data.length);
+  return Buffer.concat([Buffer.from(id, 'latin1'), size, Buffer.alloc(2), data]);
+}
+
+// Encoding 0 is ISO-8859-1, 1 is UTF-16 with a byte order mark
+function encodeText(text, encoding) {
+  return encoding === 1
+    ? Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le')])
+    : Buffer.from(text, 'latin1');
+}
+
+function textFrames(majorVersion, encoding = 0) {
+  const terminator = Buffer.alloc(encoding === 1 ? 2 : 1);
+  const txxx = (description, value) => frame('TXXX', Buffer.concat([
+    Buffer.from([encoding]), encodeText(description, encoding), terminator, encodeText(value, encoding)
+  ]), majorVersion);
+
+  return Buffer.concat([
+    frame('TIT2', Buffer.concat([Buffer.from([encoding]), encodeText(TITLE, encoding)]), majorVersion),
+    txxx('AI_METADATA', JSON.stringify(METADATA)),
+    txxx('AI_CHECKSUM', crypto.createHash('sha256').update(AUDIO).digest('hex'))
+  ]);
+}
+
+function header(identifier, majorVersion, flags, size) {
+  return Buffer.concat([Buffer.from(identifier, 'latin1'), Buffer.from([majorVersion, 0, flags]), synchsafe(size)]);
+}
+
+function unsynchronise(data) {
+  const bytes = [];
+  for (let i = 0; i < data.length; i++) {
+    bytes.push(data[i]);
+    if (data[i] === 0xFF && (i + 1 === data.length || data[i + 1] === 0x00 || data[i + 1] >= 0xE0)) {
+      bytes.push(0x00);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function id3v1() {
+  const block = Buffer.alloc(128);
+  block.write('TAG', 0, 'latin1');
+  block.write('ID3v1 Title', 3, 'latin1');
+  block[127] = 12; // Genre
+  return block;
+}
+
+function id3v1Extended() {
+  const block = Buffer.alloc(227);
+  block.write('TAG+', 0, 'latin1');
+  block.write('Extended ID3v1 Title', 4, 'latin1');
+  return block;
+}
+
+// ID3v2.3 with an extended header: size 6 (excluding itself), flags, padding size
+function v23ExtendedHeader() {
+  const extended = Buffer.concat([uint32(6), Buffer.alloc(2), uint32(0)]);
+  const body = Buffer.concat([extended, textFrames(3)]);
+  return Buffer.concat([header('ID3', 3, 0x40, body.length), body, AUDIO]);
+}
+
+// ID3v2.4 with an extended header (synchsafe size including itself, one flag byte) and a footer
+function v24ExtendedHeaderFooter() {
+  const extended = Buffer.concat([synchsafe(6), Buffer.from([1, 0])]);
+  const body = Buffer.concat([extended, textFrames(4)]);
+  return Buffer.concat([
+    header('ID3', 4, 0x50, body.length), body, header('3DI', 4, 0x50, body.length), AUDIO
+  ]);
+}
+
+// ID3v2.4 tag after the audio, only found through its footer
+function appendedTag() {
+  const body = textFrames(4);
+  return Buffer.concat([header('ID3', 4, 0x10, body.length), body, header('3DI', 4, 0x10, body.length)]);
+}
+
+// ID3v2.3 whole-tag unsynchronisation; the UTF-16 byte order marks contain 0xFF 0xFE
+function v23Unsynchronised() {
+  const body = unsynchronise(textFrames(3, 1));
+  return Buffer.concat([header('ID3', 3, 0x80, body.length), body, AUDIO]);
+}
+
+const fixtures = {
+  'v23-extended-header.mp3': v23ExtendedHeader(),
+  'v24-extended-header-footer.mp3': v24ExtendedHeaderFooter(),
+  'v24-appended.mp3': Buffer.concat([AUDIO, appendedTag()]),
+  'v24-appended-id3v1.mp3': Buffer.concat([AUDIO, appendedTag(), id3v1()]),
+  'v23-id3v1-extended.mp3': Buffer.concat([
+    header('ID3', 3, 0, textFrames(3).length), textFrames(3), AUDIO, id3v1Extended(), id3v1()
+  ]),
+  'v23-unsynchronised.mp3': v23Unsynchronised()
+};
+
+for (const [name, data] of Object.entries(fixtures)) {
+  fs.writeFileSync(path.join(__dirname, name), data);
+}
@@ -0,0 +1,206 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crc32 = require('buffer-crc32');
+const C2PAHandler = require('../../lib/formats/c2pa');
+const cbor = require('../../lib/formats/cbor');
+const { createMetadata } = require('../../lib/core/metadata');
+
+const JPEG = Buffer.from([
+  0xFF, 0xD8,
+  0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00,
+  0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3F, 0x00, 0x12, 0x34, 0x56, 0x78,
+  0xFF, 0xD9
+]);
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  return Buffer.concat([length, body, crc32(body)]);
+}
+
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+  pngChunk('IHDR', Buffer.from([0, 0, 0, 1, 0, 0, 0, 1, 8, 0, 0, 0, 0])),
+  pngChunk('IDAT', zlib.deflateSync(Buffer.from([0, 0x80]))),
+  pngChunk('IEND', Buffer.alloc(0))
+]);
+
+// Throwaway test PKI: a CA with a leaf signing certificate, and an unrelated CA
+function createTestPKI(directory) {
+  const file = name => path.join(directory, name);
+  const openssl = (...args) => execFileSync('openssl', args, { stdio: 'pipe' });
+  const createKey = name => openssl('genpkey', '-algorithm', 'EC', '-pkeyopt', 'ec_paramgen_curve:P-256', '-out', file(name));
+  const createCA = (key, cert, name) => openssl('req', '-x509', '-new', '-key', file(key), '-subj', `/CN=${name}`,
+    '-days', '2', '-addext', 'basicConstraints=critical,CA:TRUE', '-addext', 'keyUsage=critical,keyCertSign',
+    '-out', file(cert));
+
+  createKey('ca.key');
+  createCA('ca.key', 'ca.pem', 'Test Root CA');
+  createKey('other-ca.key');
+  createCA('other-ca.key', 'other-ca.pem', 'Other Root CA');
+
+  createKey('signer.key');
+  openssl('req', '-new', '-key', file('signer.key'), '-subj', '/CN=Test Signer', '-out', file('signer.csr'));
+  fs.writeFileSync(file('signer.ext'), 'basicConstraints=CA:FALSE\nkeyUsage=critical,digitalSignature\n');
+  openssl('x509', '-req', '-in', file('signer.csr'), '-CA', file('ca.pem'), '-CAkey', file('ca.key'),
+    '-set_serial', '2', '-days', '1', '-extfile', file('signer.ext'), '-out', file('signer.pem'));
+
+  const read = name => fs.readFileSync(file(name), 'utf8');
+  return {
+    caCert: read('ca.pem'),
+    otherCaCert: read('other-ca.pem'),
+    signerKey: read('signer.key'),
+    signerCert: read('signer.pem')
+  };
+}
+
+function hasOpenSSL() {
+  try {
+    execFileSync('openssl', ['version'], { stdio: 'pipe' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const describeWithOpenSSL = hasOpenSSL() ? describe : describe.skip;
+
+describeWithOpenSSL('C2PAHandler', () => {
+  const handler = new C2PAHandler();
+  const metadata = createMetadata({ origin: 'ai', author: 'Jane', model_identifier: 'test-model' });
+  let directory;
+  let pki;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'c2pa-test-'));
+    pki = createTestPKI(directory);
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const sign = (image, chain = [pki.signerCert, pki.caCert]) =>
+    handler.embedManifest(image, metadata, { privateKey: pki.signerKey, certificateChain: chain });
+
+  describe.each([
+    ['JPEG', JPEG, store => store.readUInt16BE(0) === 0xFFEB],
+    ['PNG', PNG, store => store.slice(4, 8).toString('latin1') === 'caBX']
+  ])('%s', (name, image, isStoreContainer) => {
+    test('verifies a manifest signed by a trusted CA', async () => {
+      const signed = await sign(image);
+      const result = await handler.verifyManifest(signed, { trustAnchors: [pki.caCert] });
+
+      expect(result).toMatchObject({
+        present: true,
+        valid: true,
+        trusted: true,
+        reason: null,
+        algorithm: 'ES256',
+        signer: 'CN=Test Signer'
+      });
+      expect(result.metadata).toMatchObject({ origin: 'ai', author: 'Jane' });
+    });
+
+    test('signs the claim as a tagged COSE_Sign1 with the certificate chain', async () => {
+      const signed = await sign(image);
+      const manifestBox = handler._readStore(signed, handler._detectImageFormat(signed)).children[0];
+      const signatureBox = manifestBox.children.find(box => box.label === 'c2pa.signature');
+      const coseSign1 = cbor.decode(signatureBox.contents[0].data);
+
+      expect(coseSign1).toBeInstanceOf(cbor.Tagged);
+      expect(coseSign1.tag).toBe(18);
+
+      const [protectedHeader, , payload] = coseSign1.value;
+      const headers = cbor.decode(protectedHeader);
+      expect(payload).toBeNull(); // Detached: the payload is the claim box
+      expect(headers.get(1)).toBe(-7);
+      expect(headers.get(33)).toHaveLength(2);
+    });
+
+    test('excludes exactly the manifest store from the data hash', async () => {
+      const signed = await sign(image);
+      const manifest = (await handler.extractManifest(signed)).manifests[0];
+      const [exclusion] = manifest.assertions['c2pa.hash.data'].exclusions;
+      const store = signed.slice(exclusion.start, exclusion.start + exclusion.length);
+
+      expect(isStoreContainer(store)).toBe(true);
+      expect(Buffer.concat([signed.slice(0, exclusion.start), signed.slice(exclusion.start + exclusion.length)]))
+        .toEqual(image);
+      expect(await handler.removeManifest(signed)).toEqual(image);
+    });
+
+    test('rejects modified image data', async () => {
+      const signed = await sign(image);
+      const tampered = Buffer.from(signed);
+      tampered[tampered.length - 14] ^= 0x01;
+
+      const result = await handler.verifyManifest(tampered, { trustAnchors: [pki.caCert] });
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('Image data does not match c2pa.hash.data');
+    });
+
+    test('rejects a modified assertion', async () => {
+      const signed = await sign(image);
+      const offset = signed.indexOf('Jane');
+      const tampered = Buffer.from(signed);
+      tampered.write('Joan', offset, 'latin1');
+
+      const result = await handler.verifyManifest(tampered, { trustAnchors: [pki.caCert] });
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('Assertion org.aicontenttagging.metadata does not match its hash in the claim');
+    });
+
+    test('does not trust a chain that ends at another CA', async () => {
+      const signed = await sign(image);
+
+      const untrusted = await handler.verifyManifest(signed, { trustAnchors: [pki.otherCaCert] });
+      expect(untrusted).toMatchObject({
+        valid: true,
+        trusted: false,
+        reason: 'Certificate chain does not end at a trust anchor'
+      });
+
+      const noAnchors = await handler.verifyManifest(signed);
+      expect(noAnchors).toMatchObject({ valid: true, trusted: false, reason: 'No trust anchors configured' });
+    });
+
+    test('does not trust a chain with a certificate that did not issue the previous one', async () => {
+      const signed = await sign(image, [pki.signerCert, pki.otherCaCert]);
+      const result = await handler.verifyManifest(signed, { trustAnchors: [pki.otherCaCert] });
+
+      expect(result.valid).toBe(true);
+      expect(result.trusted).toBe(false);
+      expect(result.reason).toBe('Certificate chain is broken at CN=Test Signer');
+    });
+  });
+
+  test('refuses a certificate that does not match the signing key', async () => {
+    await expect(handler.embedManifest(JPEG, metadata, {
+      privateKey: pki.signerKey,
+      certificateChain: pki.caCert
+    })).rejects.toThrow('Signing certificate does not match the private key');
+  });
+
+  test('writes the IPTC digital source type of AI content only', async () => {
+    const manifestOf = async origin => {
+      const signed = await handler.embedManifest(JPEG, createMetadata({ origin, author: 'Jane' }),
+        { privateKey: pki.signerKey, certificateChain: [pki.signerCert, pki.caCert] });
+      return (await handler.extractManifest(signed)).manifests[0];
+    };
+
+    expect(await manifestOf('ai')).toMatchObject({
+      origin: 'ai',
+      actions: [{ digitalSourceType: 'http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia' }]
+    });
+    const human = await manifestOf('human');
+    expect(human.actions[0]).not.toHaveProperty('digitalSourceType');
+    expect(human.metadata).toMatchObject({ origin: 'human' });
+  });
+});
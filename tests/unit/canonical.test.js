@@ -0,0 +1,120 @@
+const { canonicalize, canonicalDigest, stripUnsignedFields } = require('../../lib/core/canonical');
+
+describe('canonicalize', () => {
+  test('produces the same text regardless of key order', () => {
+    const a = { origin: 'ai', author: 'Jane', processing_steps: [{ tool: 'x', step: 'upscale' }] };
+    const b = { processing_steps: [{ step: 'upscale', tool: 'x' }], author: 'Jane', origin: 'ai' };
+
+    expect(canonicalize(a)).toBe(canonicalize(b));
+    expect(canonicalize(a)).toBe('{"author":"Jane","origin":"ai","processing_steps":[{"step":"upscale","tool":"x"}]}');
+  });
+
+  test('keeps array order', () => {
+    expect(canonicalize([3, 1, 2])).toBe('[3,1,2]');
+  });
+
+  test('serializes the RFC 8785 sample object', () => {
+    const input = {
+      numbers: [333333333.33333329, 1E30, 4.50, 2e-3, 0.000000000000000000000000001],
+      string: '€$\u000F\u000aA\'B"\\\\"/',
+      literals: [null, true, false]
+    };
+
+    expect(canonicalize(input)).toBe(
+      '{"literals":[null,true,false],"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27],' +
+      '"string":"€$\\u000f\\nA\'B\\"\\\\\\\\\\"/"}'
+    );
+  });
+
+  test('serializes numbers as ECMAScript does', () => {
+    expect(canonicalize(-0)).toBe('0');
+    expect(canonicalize(1e21)).toBe('1e+21');
+    expect(canonicalize(1e-7)).toBe('1e-7');
+    expect(canonicalize(0.000001)).toBe('0.000001');
+    expect(canonicalize(9007199254740991)).toBe('9007199254740991');
+  });
+
+  test('escapes only what JSON requires', () => {
+    expect(canonicalize('\u0000\u001f\t"\\é😀')).toBe('"\\u0000\\u001f\\t\\"\\\\é😀"');
+  });
+
+  test('sorts keys by UTF-16 code units', () => {
+    const input = {
+      '€': 'Euro Sign',
+      '\r': 'Carriage Return',
+      'דּ': 'Hebrew Letter Dalet With Dagesh',
+      '1': 'One',
+      '😀': 'Emoji: Grinning Face',
+      '\u0080': 'Control',
+      'ö': 'Latin Small Letter O With Diaeresis'
+    };
+    // Object.keys would move integer-like names first, so read the text
+    const keys = [...canonicalize(input).matchAll(/"((?:[^"\\]|\\.)*)":/g)].map(match => JSON.parse(`"${match[1]}"`));
+
+    expect(keys).toEqual(['\r', '1', '\u0080', 'ö', '€', '😀', 'דּ']);
+  });
+
+  test('omits undefined members and nulls undefined array items', () => {
+    expect(canonicalize({ a: undefined, b: 1, c: () => {} })).toBe('{"b":1}');
+    expect(canonicalize([undefined, 1])).toBe('[null,1]');
+  });
+
+  test('rejects values JSON cannot represent', () => {
+    expect(() => canonicalize(NaN)).toThrow('non-finite');
+    expect(() => canonicalize(Infinity)).toThrow('non-finite');
+    expect(() => canonicalize(10n)).toThrow('BigInt');
+    expect(() => canonicalize(undefined)).toThrow('not representable');
+  });
+});
+
+describe('canonicalDigest', () => {
+  test('is identical for equivalent objects', () => {
+    const a = { version: '1.1', origin: 'human', creation_timestamp: '2025-01-01T00:00:00Z', license: 'CC-BY-4.0' };
+    const b = { license: 'CC-BY-4.0', creation_timestamp: '2025-01-01T00:00:00Z', origin: 'human', version: '1.1' };
+
+    expect(canonicalDigest(a)).toBe(canonicalDigest(b));
+    expect(canonicalDigest(a)).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  test('differs when a value changes', () => {
+    expect(canonicalDigest({ origin: 'ai' })).not.toBe(canonicalDigest({ origin: 'human' }));
+  });
+
+  test('supports other hash algorithms', () => {
+    expect(canonicalDigest({ a: 1 }, 'sha512')).toMatch(/^[a-f0-9]{128}$/);
+  });
+});
+
+describe('stripUnsignedFields', () => {
+  const extracted = {
+    origin: 'ai',
+    author: 'Jane',
+    checksum: 'a'.repeat(64),
+    signature: 'ed25519:abc:def',
+    _verified: true,
+    _signatureValid: false,
+    _signatureReason: 'untrusted key',
+    _signatureKeyId: 'abc'
+  };
+
+  test('drops checksum, signature and verification flags', () => {
+    expect(stripUnsignedFields(extracted)).toEqual({ origin: 'ai', author: 'Jane' });
+  });
+
+  test('accepts the list of excluded fields', () => {
+    expect(stripUnsignedFields(extracted, ['signature'])).toEqual({
+      origin: 'ai',
+      author: 'Jane',
+      checksum: 'a'.repeat(64)
+    });
+  });
+
+  test('gives extracted and freshly created metadata the same digest', () => {
+    expect(canonicalDigest(stripUnsignedFields(extracted))).toBe(canonicalDigest({ author: 'Jane', origin: 'ai' }));
+  });
+
+  test('does not modify its input', () => {
+    stripUnsignedFields(extracted);
+    expect(extracted._verified).toBe(true);
+  });
+});
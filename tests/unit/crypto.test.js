@@ -0,0 +1,69 @@
+const cryptoUtils = require('../../lib/core/crypto');
+
+describe('cryptoUtils.verifyWithPublicKeys', () => {
+  const signer = cryptoUtils.generateKeyPair('Ed25519');
+  const other = cryptoUtils.generateKeyPair('Ed25519');
+  const data = '{"origin":"ai"}';
+  const signature = cryptoUtils.sign(data, signer.privateKey);
+
+  test('tries every key given as an array or by key id', async () => {
+    await expect(cryptoUtils.verifyWithPublicKeys(data, signature, { publicKeys: [other.publicKey, signer.publicKey] }))
+      .resolves.toMatchObject({ valid: true, keyId: 'key-1' });
+    await expect(cryptoUtils.verifyWithPublicKeys(data, signature, { publicKeys: { alice: signer.publicKey } }))
+      .resolves.toMatchObject({ valid: true, keyId: 'alice' });
+  });
+
+  test('takes key sets keyed by key id as a Map', async () => {
+    const trustedKeys = new Map([[other.keyId, other.publicKey], [signer.keyId, signer.publicKey]]);
+
+    await expect(cryptoUtils.verifyWithPublicKeys(data, signature, { publicKeys: trustedKeys }))
+      .resolves.toMatchObject({ valid: true, keyId: signer.keyId });
+  });
+
+  test('uses the first options object that names a key', async () => {
+    const handlerOptions = { publicKey: signer.publicKey };
+
+    await expect(cryptoUtils.verifyWithPublicKeys(data, signature, [{}, handlerOptions]))
+      .resolves.toMatchObject({ valid: true, keyId: 'default' });
+    await expect(cryptoUtils.verifyWithPublicKeys(data, signature, [{ publicKey: other.publicKey }, handlerOptions]))
+      .resolves.toEqual({ valid: false, reason: 'Signature does not match metadata for any of 1 key(s)' });
+  });
+
+  test('passes the context to the key resolver', async () => {
+    const keyResolver = jest.fn(async context => context.author === 'Jane' ? signer.publicKey : null);
+
+    await expect(cryptoUtils.verifyWithPublicKeys(data, signature, { keyResolver }, { author: 'Jane' }))
+      .resolves.toMatchObject({ valid: true, keyId: 'resolved' });
+    expect(keyResolver).toHaveBeenCalledWith({ author: 'Jane' });
+  });
+
+  test('reports missing keys and resolver failures', async () => {
+    await expect(cryptoUtils.verifyWithPublicKeys(data, signature, [{}, {}]))
+      .resolves.toEqual({ valid: false, reason: 'No public key available to verify signature' });
+
+    const keyResolver = async () => { throw new Error('offline'); };
+    await expect(cryptoUtils.verifyWithPublicKeys(data, signature, { keyResolver }))
+      .resolves.toEqual({ valid: false, reason: 'Key resolution failed: offline' });
+  });
+});
+
+describe('cryptoUtils.verifyWithTrustedKeys', () => {
+  const signer = cryptoUtils.generateKeyPair('Ed25519');
+  const signature = cryptoUtils.createSignature('{"origin":"ai"}', signer.privateKey);
+  const trustedKeys = new Map([[signer.keyId, signer.publicKey]]);
+
+  test('trusts a signature verified by a trusted key', () => {
+    expect(cryptoUtils.verifyWithTrustedKeys('{"origin":"ai"}', signature, trustedKeys))
+      .toMatchObject({ valid: true, trusted: true, keyId: signer.keyId });
+  });
+
+  test('does not trust a signature that names a trusted key but does not verify', () => {
+    expect(cryptoUtils.verifyWithTrustedKeys('{"origin":"human"}', signature, trustedKeys)).toEqual({
+      valid: false,
+      trusted: false,
+      keyId: signer.keyId,
+      algorithm: 'ed25519',
+      reason: 'Signature does not match metadata'
+    });
+  });
+});
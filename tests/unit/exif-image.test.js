@@ -0,0 +1,369 @@
+const zlib = require('zlib');
+const crc32 = require('buffer-crc32');
+const EXIFImageHandler = require('../../lib/formats/exif-image');
+const tiff = require('../../lib/formats/tiff-ifd');
+const { createMetadata } = require('../../lib/core/metadata');
+
+const MAKE = 0x010F;
+const SOFTWARE = 0x0131;
+const ARTIST = 0x013B;
+const COPYRIGHT = 0x8298;
+const USER_COMMENT = 0x9286;
+
+// SOS segment and a few bytes of scan data, enough for the segment parser
+const SCAN = Buffer.from([0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3F, 0x00, 0x12, 0x34, 0xFF, 0xD9]);
+
+function buildJPEG(handler, ifd0Entries) {
+  const parts = [Buffer.from([0xFF, 0xD8])];
+  if (ifd0Entries) {
+    const exif = handler._buildEXIF({
+      littleEndian: false, ifd0: ifd0Entries, exif: [], gps: [], interop: [], ifd1: [], thumbnail: null
+    });
+    parts.push(handler._createAPP1Segment(exif, 'EXIF'));
+  }
+  return Buffer.concat([...parts, SCAN]);
+}
+
+function readIFD0(handler, jpeg) {
+  const exif = handler._parseJPEGSegments(jpeg)
+    .map(segment => handler._isAPP1Segment(segment) && handler._extractEXIFFromSegment(segment))
+    .find(Boolean);
+  if (!exif) return null;
+
+  const directories = handler._readEXIFDirectories(exif);
+  const text = tag => {
+    const entry = directories.ifd0.find(item => item.tag === tag);
+    return entry ? entry.data.toString('latin1').replace(/\0+$/, '') : undefined;
+  };
+  return {
+    make: text(MAKE),
+    software: text(SOFTWARE),
+    artist: text(ARTIST),
+    copyright: text(COPYRIGHT),
+    userComment: directories.exif.some(entry => entry.tag === USER_COMMENT)
+  };
+}
+
+describe('EXIFImageHandler EXIF attribution tags', () => {
+  const handler = new EXIFImageHandler({ preferredFormat: 'exif' });
+  const metadata = createMetadata({
+    origin: 'ai',
+    author: 'Jane',
+    license: 'CC-BY-4.0',
+    toolchain: 'Upscaler'
+  });
+  const camera = buildJPEG(handler, [
+    tiff.encodeEntry(MAKE, tiff.TIFF_TYPES.ASCII, 'Canon', false),
+    tiff.encodeEntry(SOFTWARE, tiff.TIFF_TYPES.ASCII, 'Firmware 1.2', false),
+    tiff.encodeEntry(ARTIST, tiff.TIFF_TYPES.ASCII, 'Photographer', false)
+  ]);
+
+  test('keeps the camera Artist and Software and fills in Copyright', async () => {
+    const tagged = await handler.embedMetadata(camera, metadata);
+
+    expect(readIFD0(handler, tagged)).toEqual({
+      make: 'Canon',
+      software: 'Firmware 1.2',
+      artist: 'Photographer',
+      copyright: 'CC-BY-4.0',
+      userComment: true
+    });
+  });
+
+  test('does not return the list of written tags as metadata', async () => {
+    const extracted = await handler.extractMetadata(await handler.embedMetadata(camera, metadata));
+
+    expect(extracted.author).toBe('Jane');
+    expect(extracted).not.toHaveProperty('_exifTags');
+    expect(extracted._verified).toBe(true);
+  });
+
+  test('removes only the tags it wrote', async () => {
+    const cleaned = await handler.removeMetadata(await handler.embedMetadata(camera, metadata));
+
+    expect(readIFD0(handler, cleaned)).toEqual({
+      make: 'Canon',
+      software: 'Firmware 1.2',
+      artist: 'Photographer',
+      copyright: undefined,
+      userComment: false
+    });
+  });
+
+  test('replaces its own tags when tagging again', async () => {
+    const first = await handler.embedMetadata(camera, metadata);
+    const second = await handler.embedMetadata(first, createMetadata({ origin: 'ai', author: 'Jane', license: 'CC0-1.0' }));
+
+    expect(readIFD0(handler, second).copyright).toBe('CC0-1.0');
+    expect(readIFD0(handler, second).artist).toBe('Photographer');
+    expect(readIFD0(handler, await handler.removeMetadata(second)).copyright).toBeUndefined();
+  });
+
+  test('drops the EXIF block it created when removing', async () => {
+    const plain = buildJPEG(handler, null);
+    const tagged = await handler.embedMetadata(plain, metadata);
+
+    expect(readIFD0(handler, tagged)).toMatchObject({ artist: 'Jane', software: 'Upscaler', copyright: 'CC-BY-4.0' });
+    expect(readIFD0(handler, await handler.removeMetadata(tagged))).toBeNull();
+  });
+});
+
+describe('EXIFImageHandler PNG iTXt chunks', () => {
+  const handler = new EXIFImageHandler();
+  const metadata = createMetadata({ origin: 'ai', author: 'Jane' });
+
+  function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    return Buffer.concat([length, typeAndData, crc32(typeAndData)]);
+  }
+
+  const SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+  const IHDR = pngChunk('IHDR', Buffer.from([0, 0, 0, 1, 0, 0, 0, 1, 8, 2, 0, 0, 0]));
+  const IDAT = pngChunk('IDAT', zlib.deflateSync(Buffer.from([0, 0xFF, 0x00, 0x00])));
+  const IEND = pngChunk('IEND', Buffer.alloc(0));
+  const TEXT = pngChunk('tEXt', Buffer.from('Software\0Paint', 'latin1'));
+  // Keyword, compression flag and method, empty language tag and translated keyword
+  const XMP_HEADER = Buffer.from('XML:com.adobe.xmp\0\0\0\0\0', 'latin1');
+
+  const buildPNG = (...chunks) => Buffer.concat([SIGNATURE, IHDR, ...chunks, IDAT, IEND]);
+
+  // Chunk types in order, checking the length and CRC of each
+  function readChunks(png) {
+    const chunks = [];
+    for (let offset = 8; offset < png.length;) {
+      const length = png.readUInt32BE(offset);
+      const typeAndData = png.slice(offset + 4, offset + 8 + length);
+      expect(png.readUInt32BE(offset + 8 + length)).toBe(crc32.unsigned(typeAndData));
+      chunks.push({ type: typeAndData.slice(0, 4).toString('latin1'), data: typeAndData.slice(4) });
+      offset += 12 + length;
+    }
+    return chunks;
+  }
+
+  const xmpChunk = png => readChunks(png).find(chunk => chunk.type === 'iTXt');
+
+  test('writes an uncompressed XMP iTXt chunk with a valid CRC before the image data', async () => {
+    const tagged = await handler.embedMetadata(buildPNG(TEXT), metadata);
+
+    expect(readChunks(tagged).map(chunk => chunk.type)).toEqual(['IHDR', 'tEXt', 'iTXt', 'IDAT', 'IEND']);
+    const { data } = xmpChunk(tagged);
+    expect(data.slice(0, XMP_HEADER.length)).toEqual(XMP_HEADER);
+    expect(data.slice(XMP_HEADER.length).toString('utf8')).toContain('<x:xmpmeta');
+    expect(await handler.extractMetadata(tagged)).toMatchObject({ author: 'Jane', _verified: true });
+  });
+
+  test('reads compressed iTXt chunks with a language tag', async () => {
+    const packet = xmpChunk(await handler.embedMetadata(buildPNG(), metadata)).data.slice(XMP_HEADER.length);
+    const compressed = pngChunk('iTXt', Buffer.concat([
+      Buffer.from('XML:com.adobe.xmp\0\x01\x00en\0XMP\0', 'latin1'),
+      zlib.deflateSync(packet)
+    ]));
+
+    expect(await handler.extractMetadata(buildPNG(compressed))).toMatchObject({ author: 'Jane', _verified: true });
+  });
+
+  test('rejects chunks whose CRC does not match', async () => {
+    const tagged = await handler.embedMetadata(buildPNG(), metadata);
+    tagged[tagged.indexOf('IDAT', 0, 'latin1') + 4] ^= 0x01;
+
+    await expect(handler.extractMetadata(tagged)).rejects.toThrow('CRC mismatch in IDAT chunk');
+  });
+
+  test('restores the original file on removal', async () => {
+    const original = buildPNG(TEXT);
+
+    expect(await handler.removeMetadata(await handler.embedMetadata(original, metadata))).toEqual(original);
+  });
+});
+
+describe('EXIFImageHandler WebP VP8X promotion', () => {
+  const metadata = createMetadata({ origin: 'ai', author: 'Jane' });
+
+  function buildWebP(type, data) {
+    const header = Buffer.alloc(8);
+    header.write(type, 0, 'latin1');
+    header.writeUInt32LE(data.length, 4);
+    const body = Buffer.concat([Buffer.from('WEBP', 'latin1'), header, data, Buffer.alloc(data.length % 2)]);
+    const riff = Buffer.alloc(8);
+    riff.write('RIFF', 0, 'latin1');
+    riff.writeUInt32LE(body.length, 4);
+    return Buffer.concat([riff, body]);
+  }
+
+  // Lossy: frame tag, start code, 14-bit width and height (odd size, so the chunk is padded)
+  const VP8 = Buffer.from([0x50, 0x01, 0x00, 0x9D, 0x01, 0x2A, 0x2C, 0x01, 0xC8, 0x00, 0x55]);
+  // Lossless: signature, then width-1 and height-1 (14 bits each) and the alpha bit
+  const vp8l = (width, height, alpha) => {
+    const data = Buffer.alloc(9);
+    data[0] = 0x2F;
+    data.writeUInt32LE(((width - 1) | ((height - 1) << 14) | (alpha ? 1 << 28 : 0)) >>> 0, 1);
+    return data;
+  };
+
+  function readWebP(webp) {
+    expect(webp.readUInt32LE(4)).toBe(webp.length - 8);
+    const chunks = [];
+    for (let offset = 12; offset < webp.length;) {
+      const size = webp.readUInt32LE(offset + 4);
+      chunks.push({ type: webp.slice(offset, offset + 4).toString('latin1'), data: webp.slice(offset + 8, offset + 8 + size) });
+      offset += 8 + size + (size % 2);
+    }
+    const vp8x = chunks.find(chunk => chunk.type === 'VP8X');
+    return {
+      types: chunks.map(chunk => chunk.type),
+      image: chunks.find(chunk => chunk.type === 'VP8 ' || chunk.type === 'VP8L').data,
+      vp8x: vp8x && {
+        flags: vp8x.data[0],
+        width: vp8x.data.readUIntLE(4, 3) + 1,
+        height: vp8x.data.readUIntLE(7, 3) + 1
+      }
+    };
+  }
+
+  test('promotes a lossy VP8 file with the canvas size of the frame', async () => {
+    const tagged = await new EXIFImageHandler().embedMetadata(buildWebP('VP8 ', VP8), metadata);
+
+    expect(readWebP(tagged)).toEqual({
+      types: ['VP8X', 'VP8 ', 'XMP '],
+      image: VP8,
+      vp8x: { flags: 0x04, width: 300, height: 200 }
+    });
+    expect(await new EXIFImageHandler().extractMetadata(tagged)).toMatchObject({ author: 'Jane', _verified: true });
+  });
+
+  test('promotes a lossless VP8L file and keeps its alpha flag', async () => {
+    const image = vp8l(17, 9, true);
+    const tagged = await new EXIFImageHandler({ preferredFormat: 'both' }).embedMetadata(buildWebP('VP8L', image), metadata);
+
+    expect(readWebP(tagged)).toEqual({
+      types: ['VP8X', 'VP8L', 'EXIF', 'XMP '],
+      image,
+      vp8x: { flags: 0x10 | 0x08 | 0x04, width: 17, height: 9 }
+    });
+  });
+
+  test('does not add a second VP8X chunk when tagging again', async () => {
+    const handler = new EXIFImageHandler();
+    const tagged = await handler.embedMetadata(await handler.embedMetadata(buildWebP('VP8L', vp8l(4, 4, false)), metadata), metadata);
+
+    expect(readWebP(tagged).types).toEqual(['VP8X', 'VP8L', 'XMP ']);
+  });
+
+  test('clears the metadata flags on removal', async () => {
+    const handler = new EXIFImageHandler({ preferredFormat: 'both' });
+    const image = vp8l(17, 9, true);
+    const cleaned = await handler.removeMetadata(await handler.embedMetadata(buildWebP('VP8L', image), metadata));
+
+    expect(readWebP(cleaned)).toEqual({ types: ['VP8X', 'VP8L'], image, vp8x: { flags: 0x10, width: 17, height: 9 } });
+  });
+
+  test('rejects image data without a valid VP8 start code', async () => {
+    const corrupt = Buffer.from(VP8);
+    corrupt[3] = 0;
+
+    await expect(new EXIFImageHandler().embedMetadata(buildWebP('VP8 ', corrupt), metadata))
+      .rejects.toThrow('bad VP8 start code');
+  });
+});
+
+describe('EXIFImageHandler camera EXIF blocks', () => {
+  const handler = new EXIFImageHandler({ preferredFormat: 'exif' });
+  const metadata = createMetadata({ origin: 'ai', author: 'Jane', license: 'CC-BY-4.0' });
+  const MAKER_NOTE = 0x927C;
+  const GPS_VERSION = 0x0000;
+
+  const exifBlock = jpeg => handler._parseJPEGSegments(jpeg)
+    .map(segment => handler._isAPP1Segment(segment) && handler._extractEXIFFromSegment(segment))
+    .find(Boolean);
+
+  // Position and bytes of the MakerNote value inside an EXIF block
+  function readMakerNote(exif) {
+    const { littleEndian, ifdOffset } = tiff.parseHeader(exif);
+    const ifd0 = tiff.readIFD(exif, ifdOffset, littleEndian);
+    const pointer = ifd0.entries.find(entry => entry.tag === 0x8769);
+    const subIFD = tiff.readIFD(exif, tiff.readEntryNumbers(exif, pointer, littleEndian)[0], littleEndian);
+    const entry = subIFD.entries.find(item => item.tag === MAKER_NOTE);
+    return { offset: entry.valueOffset, data: tiff.getEntryData(exif, entry) };
+  }
+
+  function buildCameraJPEG(littleEndian) {
+    // MakerNote IFDs hold offsets from the start of the EXIF block, so they break when moved
+    const makerNote = Buffer.alloc(32, 0xAB);
+    const exif = handler._buildEXIF({
+      littleEndian,
+      ifd0: [tiff.encodeEntry(MAKE, tiff.TIFF_TYPES.ASCII, 'Canon', littleEndian)],
+      exif: [tiff.encodeEntry(MAKER_NOTE, tiff.TIFF_TYPES.UNDEFINED, makerNote, littleEndian)],
+      gps: [tiff.encodeEntry(GPS_VERSION, tiff.TIFF_TYPES.BYTE, [2, 3, 0, 0], littleEndian)],
+      interop: [],
+      ifd1: [],
+      thumbnail: null
+    });
+    const { offset } = readMakerNote(exif);
+    exif.writeUInt32BE(offset, offset); // Self-reference, as a maker IFD would have
+    return Buffer.concat([Buffer.from([0xFF, 0xD8]), handler._createAPP1Segment(exif, 'EXIF'), SCAN]);
+  }
+
+  test.each([
+    ['II', true],
+    ['MM', false]
+  ])('keeps the MakerNote at its offset when tagging and removing (%s)', async (byteOrder, littleEndian) => {
+    const camera = buildCameraJPEG(littleEndian);
+    const makerNote = readMakerNote(exifBlock(camera));
+
+    const tagged = await handler.embedMetadata(camera, metadata);
+    expect(readMakerNote(exifBlock(tagged))).toEqual(makerNote);
+    expect(readIFD0(handler, tagged)).toMatchObject({ make: 'Canon', artist: 'Jane', userComment: true });
+    expect(await handler.extractMetadata(tagged)).toMatchObject({ author: 'Jane', _verified: true });
+
+    const cleaned = await handler.removeMetadata(tagged);
+    expect(readMakerNote(exifBlock(cleaned))).toEqual(makerNote);
+    expect(readIFD0(handler, cleaned)).toMatchObject({ make: 'Canon', artist: undefined, userComment: false });
+    expect(handler._readEXIFDirectories(exifBlock(cleaned)).gps).toHaveLength(1);
+    const comment = Buffer.from('"author":"Jane"', 'utf16le');
+    expect(exifBlock(cleaned).indexOf(littleEndian ? comment : comment.swap16())).toBe(-1);
+  });
+
+  test('does not grow the EXIF block when tagging again', async () => {
+    const once = await handler.embedMetadata(buildCameraJPEG(true), metadata);
+    const twice = await handler.embedMetadata(once, metadata);
+
+    expect(exifBlock(twice).length).toBe(exifBlock(once).length);
+  });
+
+  test('keeps EXIF data it cannot read', async () => {
+    const unreadable = handler._createAPP1Segment(Buffer.from('XX\0*garbage', 'latin1'), 'EXIF');
+    const jpeg = Buffer.concat([Buffer.from([0xFF, 0xD8]), unreadable, SCAN]);
+    const tagged = await new EXIFImageHandler({ preferredFormat: 'both' }).embedMetadata(jpeg, metadata);
+
+    expect(tagged.indexOf(unreadable)).toBeGreaterThan(0);
+    expect(await handler.extractMetadata(tagged)).toMatchObject({ author: 'Jane', _verified: true });
+  });
+});
+
+describe('EXIFImageHandler Extended XMP', () => {
+  const handler = new EXIFImageHandler();
+  const metadata = createMetadata({ origin: 'ai', author: 'Jane', prompt: 'A lighthouse at dusk. '.repeat(10000) });
+  const JFIF = Buffer.from([0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00]);
+  const PHOTOSHOP_XMP = `<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about="" xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/" photoshop:ColorMode="3"/>
+ </rdf:RDF>
+</x:xmpmeta>`;
+
+  const countXMPSegments = jpeg => handler._parseJPEGSegments(jpeg)
+    .filter(segment => handler._extractXMPFromSegment(segment) || handler._extractExtendedXMPFromSegment(segment)).length;
+
+  test.each([
+    ['without other XMP', Buffer.concat([Buffer.from([0xFF, 0xD8]), JFIF, SCAN])],
+    ['with XMP from another tool', Buffer.concat([Buffer.from([0xFF, 0xD8]),
+      handler._createAPP1Segment(Buffer.from(PHOTOSHOP_XMP), 'XMP'), SCAN])]
+  ])('restores the original file %s on removal', async (name, original) => {
+    const tagged = await handler.embedMetadata(original, metadata);
+
+    expect(countXMPSegments(tagged)).toBeGreaterThan(2);
+    expect(await handler.extractMetadata(tagged)).toMatchObject({ prompt: metadata.prompt, _verified: true });
+    expect(await handler.removeMetadata(tagged)).toEqual(original);
+  });
+});
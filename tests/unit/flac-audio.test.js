@@ -0,0 +1,138 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FLACHandler = require('../../lib/formats/flac-audio');
+const { createMetadata } = require('../../lib/core/metadata');
+
+const CLI_DIR = path.join(__dirname, '..', '..', 'cli');
+const FRAMES = Buffer.concat([Buffer.from([0xFF, 0xF8]), Buffer.from('frame one.frame two.', 'latin1')]);
+
+function block(type, data, last) {
+  const header = Buffer.alloc(4);
+  header[0] = type | (last ? 0x80 : 0);
+  header.writeUIntBE(data.length, 1, 3);
+  return Buffer.concat([header, data]);
+}
+
+// STREAMINFO, optionally followed by a PADDING block, then the audio frames
+function buildFLAC(padding) {
+  const streamInfo = block(0, Buffer.alloc(34, 0x11), padding === undefined);
+  return Buffer.concat([
+    Buffer.from('fLaC', 'latin1'),
+    streamInfo,
+    ...(padding === undefined ? [] : [block(1, Buffer.alloc(padding), true)]),
+    FRAMES
+  ]);
+}
+
+// ID3v2.4 tag holding only padding, as some encoders put before the stream
+function id3Tag(size) {
+  const header = Buffer.from([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, size]);
+  return Buffer.concat([header, Buffer.alloc(size)]);
+}
+
+describe('FLACHandler.writeMetadata', () => {
+  const metadata = createMetadata({ origin: 'ai', author: 'Jane' });
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'flac-audio-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const audioOffset = buffer => new FLACHandler()._parseFLAC(buffer).audioOffset;
+  const paddingSize = buffer => new FLACHandler()._parseFLAC(buffer).blocks
+    .filter(item => item.type === 1)
+    .reduce((size, item) => size + item.data.length, 0);
+
+  test('writes in place when the padding absorbs the comments', async () => {
+    const handler = new FLACHandler();
+    const original = buildFLAC(8192);
+    const file = path.join(directory, 'padded.flac');
+    fs.writeFileSync(file, original);
+
+    await expect(handler.writeMetadata(file, metadata)).resolves.toEqual({ inPlace: true });
+
+    const tagged = fs.readFileSync(file);
+    expect(tagged.length).toBe(original.length);
+    expect(audioOffset(tagged)).toBe(audioOffset(original));
+    expect(tagged.slice(audioOffset(tagged))).toEqual(FRAMES);
+    expect(paddingSize(tagged)).toBeLessThan(8192);
+    expect(await handler.extractMetadata(tagged)).toMatchObject({ author: 'Jane', _verified: true });
+  });
+
+  test('reuses the space when tagging again', async () => {
+    const handler = new FLACHandler();
+    const original = buildFLAC(8192);
+    const file = path.join(directory, 'padded.flac');
+    fs.writeFileSync(file, original);
+
+    await handler.writeMetadata(file, metadata);
+    await expect(handler.writeMetadata(file, { ...metadata, author: 'Jane Doe' })).resolves.toEqual({ inPlace: true });
+
+    const tagged = fs.readFileSync(file);
+    expect(tagged.length).toBe(original.length);
+    expect(tagged.slice(audioOffset(tagged))).toEqual(FRAMES);
+    expect(await handler.extractMetadata(tagged)).toMatchObject({ author: 'Jane Doe', _verified: true });
+  });
+
+  test('rewrites the file with the configured padding when the comments do not fit', async () => {
+    const handler = new FLACHandler();
+    const file = path.join(directory, 'unpadded.flac');
+    fs.writeFileSync(file, buildFLAC());
+
+    await expect(handler.writeMetadata(file, metadata)).resolves.toEqual({ inPlace: false });
+
+    const tagged = fs.readFileSync(file);
+    expect(paddingSize(tagged)).toBe(4096);
+    expect(tagged.slice(audioOffset(tagged))).toEqual(FRAMES);
+
+    // The added padding leaves room for the next edit
+    await expect(handler.writeMetadata(file, { ...metadata, author: 'Jane Doe' })).resolves.toEqual({ inPlace: true });
+    expect(fs.readFileSync(file).length).toBe(tagged.length);
+  });
+
+  test('keeps the audio frames in place when removing', async () => {
+    const handler = new FLACHandler();
+    const original = buildFLAC(8192);
+    const cleaned = await handler.removeMetadata(await handler.embedMetadata(original, metadata));
+
+    expect(cleaned.length).toBe(original.length);
+    expect(audioOffset(cleaned)).toBe(audioOffset(original));
+    expect(await handler.extractMetadata(cleaned)).toBeNull();
+  });
+});
+
+describe('tag-audio handler selection', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tag-audio-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const tagAudio = input => execFileSync(process.execPath, [path.join(CLI_DIR, 'tag-audio.js'),
+    input, '--origin', 'ai', '--author', 'Jane'], { stdio: 'pipe' });
+
+  test.each([
+    ['a FLAC stream with the .mp3 extension', 'song.mp3', buildFLAC(1024)],
+    ['a FLAC stream after an ID3v2 tag', 'song.flac', Buffer.concat([id3Tag(16), buildFLAC(1024)])]
+  ])('picks the FLAC handler for %s', async (name, fileName, content) => {
+    const input = path.join(directory, fileName);
+    fs.writeFileSync(input, content);
+
+    tagAudio(input);
+
+    const tagged = fs.readFileSync(input.replace(/(\.[^.]+)$/, '-tagged$1'));
+    expect(FLACHandler.isFLAC(tagged)).toBe(true);
+    expect(tagged.length).toBe(content.length);
+    expect(await new FLACHandler().extractMetadata(tagged)).toMatchObject({ author: 'Jane', _verified: true });
+  });
+});
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const ID3AudioHandler = require('../../lib/formats/id3-audio');
+const { createMetadata } = require('../../lib/core/metadata');
+
+// Built by tests/fixtures/id3/build-fixtures.js
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'id3');
+const readFixture = name => fs.readFileSync(path.join(FIXTURES, name));
+
+const AUDIO_SIZE = 3 * 417;
+const ID3V1_SIZE = 128;
+const ID3V1_EXTENDED_SIZE = 227;
+
+describe('ID3AudioHandler fixtures', () => {
+  const handler = new ID3AudioHandler();
+
+  const titleOf = buffer => {
+    const layout = handler._getTagLayout(buffer);
+    const frames = [
+      ...handler._parseID3Frames(buffer, layout.prepended),
+      ...(layout.appended ? handler._parseID3Frames(buffer, layout.appended) : [])
+    ];
+    const title = frames.find(frame => frame.id === 'TIT2');
+    return title ? handler._splitText(title.data.slice(1), title.data[0]).strings[0] : null;
+  };
+
+  describe.each([
+    ['v23-extended-header.mp3', { version: '2.3.0' }],
+    ['v24-extended-header-footer.mp3', { version: '2.4.0' }],
+    ['v23-unsynchronised.mp3', { version: '2.3.0' }],
+    ['v24-appended.mp3', { appended: true }],
+    ['v24-appended-id3v1.mp3', { appended: true, trailer: ID3V1_SIZE }],
+    ['v23-id3v1-extended.mp3', { version: '2.3.0', trailer: ID3V1_EXTENDED_SIZE + ID3V1_SIZE }]
+  ])('%s', (name, expected) => {
+    const fixture = readFixture(name);
+
+    test('locates the tags around the audio', () => {
+      const layout = handler._getTagLayout(fixture);
+
+      expect(layout.audioEnd - layout.audioStart).toBe(AUDIO_SIZE);
+      if (expected.version) expect(layout.prepended.version).toBe(expected.version);
+      expect(layout.appended !== null).toBe(Boolean(expected.appended));
+      expect(layout.id3v1 ? layout.id3v1.size : 0).toBe(expected.trailer || 0);
+    });
+
+    test('extracts the metadata with a matching checksum', async () => {
+      const metadata = await handler.extractMetadata(fixture);
+
+      expect(metadata).toMatchObject({ origin: 'ai', author: 'Fixture Author', _verified: true });
+      expect(titleOf(fixture)).toBe('Fixture Title');
+    });
+
+    test('removes the AI frames and keeps the other tags', async () => {
+      const cleaned = await handler.removeMetadata(fixture);
+      const layout = handler._getTagLayout(cleaned);
+
+      expect(await handler.extractMetadata(cleaned)).toBeNull();
+      expect(titleOf(cleaned)).toBe('Fixture Title');
+      expect(cleaned.slice(layout.audioStart, layout.audioEnd)).toEqual(handler._getAudioPayload(fixture));
+      if (expected.trailer) {
+        expect(cleaned.slice(-expected.trailer)).toEqual(fixture.slice(-expected.trailer));
+      }
+    });
+
+    test('keeps a single copy when tagging again', async () => {
+      const retagged = await handler.embedMetadata(fixture, createMetadata({ origin: 'human', author: 'Retagged' }));
+      const layout = handler._getTagLayout(retagged);
+
+      expect(await handler.extractMetadata(retagged)).toMatchObject({ origin: 'human', _verified: true });
+      if (layout.appended) {
+        expect(handler._extractAIFrames(handler._parseID3Frames(retagged, layout.appended))).toBeNull();
+      }
+      expect(titleOf(retagged)).toBe('Fixture Title');
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { tag, extract, verify } = require('../../lib');
+const cryptoUtils = require('../../lib/core/crypto');
+
+describe('tag and verify with sidecars', () => {
+  const content = Buffer.from('Plain text without an embedded format\n');
+  const fields = { origin: 'ai', author: 'Jane' };
+
+  test('accepts the XML sidecar returned by tag as the input', async () => {
+    const result = await tag(content, fields);
+
+    expect(result.format).toBe('sidecar');
+    expect(typeof result.sidecar).toBe('string');
+    expect(await extract(result.sidecar)).toMatchObject({ author: 'Jane' });
+
+    const verified = await verify(result.sidecar, { content });
+    expect(verified).toMatchObject({ valid: true, format: 'sidecar', issues: [] });
+    expect(verified.checksum.valid).toBe(true);
+  });
+
+  test('accepts the XML sidecar returned by tag as options.sidecar', async () => {
+    const { sidecar } = await tag(content, fields);
+
+    expect(await verify(content, { sidecar })).toMatchObject({ valid: true, format: 'sidecar' });
+    expect((await verify(Buffer.from('Other text\n'), { sidecar })).issues)
+      .toEqual(['Content checksum does not match']);
+  });
+
+  test('accepts the XMP sidecar returned by tag', async () => {
+    const result = await tag(content, fields, { format: 'xmp-sidecar' });
+
+    expect(Buffer.isBuffer(result.sidecar)).toBe(true);
+    expect(await verify(result.sidecar, { content })).toMatchObject({ valid: true, format: 'xmp-sidecar' });
+  });
+
+  test('still reads other strings as file paths', async () => {
+    await expect(extract('/nonexistent/file.txt')).rejects.toThrow('Failed to read /nonexistent/file.txt');
+  });
+});
+
+describe('tag with extension fields', () => {
+  const signer = cryptoUtils.generateKeyPair('Ed25519');
+  const fields = { origin: 'ai', author: 'Jane', seed: 42, custom: { sampler: 'euler', steps: [20, 30] } };
+
+  test.each([
+    ['sidecar', 'Plain text\n'],
+    ['header', 'Plain text\n'],
+    ['html', '<html><head><title>Report</title></head><body></body></html>\n']
+  ])('keeps them in the signed %s metadata', async (format, text) => {
+    const content = Buffer.from(text);
+    const result = await tag(content, fields, { format, privateKey: signer.privateKey });
+    const tagged = result.sidecar || result.content;
+
+    expect(await extract(tagged, { format })).toMatchObject({ seed: 42, custom: fields.custom });
+
+    const verified = await verify(tagged, { format, content, publicKey: signer.publicKey, requireSignature: true });
+    expect(verified.issues).toEqual([]);
+    expect(verified.metadata).toMatchObject({ seed: 42, custom: fields.custom });
+  });
+});
@@ -0,0 +1,86 @@
+const MP4Handler = require('../../lib/formats/mp4-media');
+const { createMetadata } = require('../../lib/core/metadata');
+
+function box(type, ...payload) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + payload.reduce((size, part) => size + part.length, 0));
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, ...payload]);
+}
+
+const fullBox = (type, data) => box(type, Buffer.alloc(4), data);
+
+function uint32(...values) {
+  const buffer = Buffer.alloc(4 * values.length);
+  values.forEach((value, index) => buffer.writeUInt32BE(value, 4 * index));
+  return buffer;
+}
+
+const FTYP = box('ftyp', Buffer.from('isom', 'latin1'), uint32(0x200), Buffer.from('isommp41', 'latin1'));
+const MEDIA = Buffer.from('chunk one.chunk two.', 'latin1');
+
+const moovBox = mdatOffset => box('moov',
+  fullBox('mvhd', Buffer.alloc(96)),
+  box('trak', box('mdia', box('minf', box('stbl',
+    fullBox('stco', uint32(2, mdatOffset + 8, mdatOffset + 18)))))));
+
+// One track with two chunks in mdat; moov before mdat (fast start) or after it
+function buildMP4(moovFirst) {
+  const mdat = box('mdat', MEDIA);
+  return moovFirst
+    ? Buffer.concat([FTYP, moovBox(FTYP.length + moovBox(0).length), mdat])
+    : Buffer.concat([FTYP, mdat, moovBox(FTYP.length)]);
+}
+
+describe.each([
+  ['moov before mdat', true],
+  ['moov after mdat', false]
+])('MP4Handler checksum with %s', (name, moovFirst) => {
+  const handler = new MP4Handler();
+  const metadata = createMetadata({ origin: 'ai', author: 'Jane' });
+  const media = buildMP4(moovFirst);
+
+  const chunkOffsets = buffer => {
+    const stco = buffer.indexOf('stco', 0, 'latin1');
+    return [buffer.readUInt32BE(stco + 12), buffer.readUInt32BE(stco + 16)];
+  };
+  const chunks = buffer => chunkOffsets(buffer).map(offset => buffer.slice(offset, offset + 10).toString('latin1'));
+
+  test('does not change when tagging moves the media data', async () => {
+    const tagged = await handler.embedMetadata(media, metadata);
+
+    expect(chunks(tagged)).toEqual(['chunk one.', 'chunk two.']);
+    expect(await handler.extractMetadata(tagged)).toMatchObject({ author: 'Jane', _verified: true });
+    expect(handler._calculateContentChecksum(tagged, handler._parseFile(tagged)))
+      .toBe(handler._calculateContentChecksum(media, handler._parseFile(media)));
+  });
+
+  test('covers the movie header', async () => {
+    const tagged = await handler.embedMetadata(media, metadata);
+    const mvhd = tagged.indexOf('mvhd', 0, 'latin1');
+    tagged[mvhd + 20] ^= 0x01;
+
+    expect((await handler.extractMetadata(tagged))._verified).toBe(false);
+  });
+
+  test('covers the chunk offsets', async () => {
+    const tagged = await handler.embedMetadata(media, metadata);
+    const stco = tagged.indexOf('stco', 0, 'latin1');
+    tagged.writeUInt32BE(tagged.readUInt32BE(stco + 16) - 1, stco + 16);
+
+    expect((await handler.extractMetadata(tagged))._verified).toBe(false);
+  });
+
+  test('covers the media data', async () => {
+    const tagged = await handler.embedMetadata(media, metadata);
+    tagged[tagged.indexOf('chunk two.', 0, 'latin1')] ^= 0x01;
+
+    expect((await handler.extractMetadata(tagged))._verified).toBe(false);
+  });
+
+  test('restores the original file on removal', async () => {
+    const tagged = await handler.embedMetadata(media, metadata);
+
+    expect(await handler.removeMetadata(tagged)).toEqual(media);
+  });
+});
@@ -0,0 +1,186 @@
+const OggHandler = require('../../lib/formats/ogg-audio');
+const vorbisComment = require('../../lib/formats/vorbis-comment');
+const { createMetadata } = require('../../lib/core/metadata');
+
+const SERIAL = 0x1234ABCD;
+
+// Bitwise Ogg CRC-32 (polynomial 0x04C11DB7, no reflection) over the page with a zero CRC field
+function oggCRC(page) {
+  let crc = 0;
+  page.forEach((value, index) => {
+    crc ^= (index >= 22 && index < 26 ? 0 : value) << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+    }
+  });
+  return crc >>> 0;
+}
+
+// One page holding complete packets
+function page(flags, granule, sequence, ...packets) {
+  const segments = [];
+  packets.forEach(packet => {
+    for (let length = packet.length; ; length -= 255) {
+      segments.push(Math.min(length, 255));
+      if (length < 255) break;
+    }
+  });
+
+  const header = Buffer.alloc(27);
+  header.write('OggS', 0, 'latin1');
+  header[5] = flags;
+  header.writeBigInt64LE(BigInt(granule), 6);
+  header.writeUInt32LE(SERIAL, 14);
+  header.writeUInt32LE(sequence, 18);
+  header[26] = segments.length;
+
+  const bytes = Buffer.concat([header, Buffer.from(segments), ...packets]);
+  bytes.writeUInt32LE(oggCRC(bytes), 22);
+  return bytes;
+}
+
+function readPages(buffer) {
+  const pages = [];
+  for (let offset = 0; offset < buffer.length;) {
+    const segments = [...buffer.slice(offset + 27, offset + 27 + buffer[offset + 26])];
+    const bodyOffset = offset + 27 + segments.length;
+    const end = bodyOffset + segments.reduce((sum, value) => sum + value, 0);
+    pages.push({
+      flags: buffer[offset + 5],
+      granule: buffer.readBigInt64LE(offset + 6),
+      sequence: buffer.readUInt32LE(offset + 18),
+      crc: buffer.readUInt32LE(offset + 22),
+      segments,
+      body: buffer.slice(bodyOffset, end),
+      raw: buffer.slice(offset, end)
+    });
+    offset = end;
+  }
+  return pages;
+}
+
+// Packets of a run of pages, joined across page boundaries
+function readPackets(pages) {
+  const packets = [];
+  let current = [];
+  pages.forEach(item => {
+    let position = 0;
+    item.segments.forEach(lacing => {
+      current.push(item.body.slice(position, position + lacing));
+      position += lacing;
+      if (lacing < 255) {
+        packets.push(Buffer.concat(current));
+        current = [];
+      }
+    });
+  });
+  return packets;
+}
+
+// Header packets of a file whose last two pages are audio pages
+const headerPackets = buffer => readPackets(readPages(buffer).slice(0, -2));
+
+const AUDIO = [Buffer.from('audio packet one', 'latin1'), Buffer.from('audio packet two', 'latin1')];
+
+const CODECS = {
+  vorbis: {
+    identification: Buffer.concat([Buffer.from('\x01vorbis', 'latin1'), Buffer.alloc(23, 0x02)]),
+    comment: Buffer.concat([Buffer.from('\x03vorbis', 'latin1'),
+      vorbisComment.create('Xiph.Org libVorbis I 20200704', ['TITLE=Song']), Buffer.from([0x01])]),
+    setup: [Buffer.concat([Buffer.from('\x05vorbis', 'latin1'), Buffer.alloc(300, 0x05)])]
+  },
+  opus: {
+    identification: Buffer.concat([Buffer.from('OpusHead', 'latin1'), Buffer.alloc(11, 0x01)]),
+    // Binary data after the comment list, kept by tools that understand it
+    comment: Buffer.concat([Buffer.from('OpusTags', 'latin1'),
+      vorbisComment.create('libopus 1.3', ['TITLE=Song']), Buffer.from([0x01, 0xAA, 0xBB])]),
+    setup: []
+  }
+};
+
+function buildOgg(codec) {
+  const { identification, comment, setup } = CODECS[codec];
+  return Buffer.concat([
+    page(0x02, 0, 0, identification),
+    page(0x00, 0, 1, comment, ...setup),
+    page(0x00, 960, 2, AUDIO[0]),
+    page(0x04, 1920, 3, AUDIO[1])
+  ]);
+}
+
+describe.each(['vorbis', 'opus'])('OggHandler with %s', codec => {
+  const handler = new OggHandler();
+  const original = buildOgg(codec);
+  const metadata = createMetadata({ origin: 'ai', author: 'Jane' });
+  // Comment header over 255 segments of 255 bytes, so it no longer fits one page
+  const longMetadata = createMetadata({ origin: 'ai', author: 'Jane', prompt: 'p'.repeat(70000) });
+
+  test('writes a valid CRC on every page', async () => {
+    const pages = readPages(await handler.embedMetadata(original, metadata));
+
+    expect(pages.map(item => item.crc)).toEqual(pages.map(item => oggCRC(item.raw)));
+  });
+
+  test('re-laces the comment header across pages when it grows', async () => {
+    const tagged = await handler.embedMetadata(original, longMetadata);
+    const pages = readPages(tagged);
+    const commentPages = pages.slice(1, -2);
+
+    expect(commentPages.length).toBeGreaterThan(1);
+    commentPages.forEach((item, index) => {
+      expect(item.segments.length).toBeLessThanOrEqual(255);
+      expect(item.body.length).toBe(item.segments.reduce((sum, value) => sum + value, 0));
+      expect(item.flags).toBe(index === 0 ? 0x00 : 0x01);
+      expect(item.crc).toBe(oggCRC(item.raw));
+    });
+    // Pages on which no packet ends have granule position -1
+    expect(commentPages.slice(0, -1).every(item => item.segments.every(value => value === 255))).toBe(true);
+    expect(commentPages.slice(0, -1).map(item => item.granule)).toEqual(commentPages.slice(0, -1).map(() => -1n));
+
+    const packets = headerPackets(tagged);
+    expect(packets).toHaveLength(2 + CODECS[codec].setup.length);
+    expect(packets[0]).toEqual(CODECS[codec].identification);
+    expect(packets.slice(2)).toEqual(CODECS[codec].setup);
+    expect(await handler.extractMetadata(tagged)).toMatchObject({ prompt: longMetadata.prompt, _verified: true });
+  });
+
+  test('renumbers the following pages when the comment header grows', async () => {
+    const pages = readPages(await handler.embedMetadata(original, longMetadata));
+
+    expect(pages.map(item => item.sequence)).toEqual(pages.map((item, index) => index));
+    expect(pages.slice(-2).map(item => item.body)).toEqual(AUDIO);
+    expect(pages.slice(-2).map(item => item.granule)).toEqual([960n, 1920n]);
+    expect(pages[pages.length - 1].flags).toBe(0x04);
+  });
+
+  test('restores the original file on removal', async () => {
+    expect(await handler.removeMetadata(await handler.embedMetadata(original, metadata))).toEqual(original);
+    expect(await handler.removeMetadata(await handler.embedMetadata(original, longMetadata))).toEqual(original);
+  });
+});
+
+describe('OggHandler comment header endings', () => {
+  const handler = new OggHandler();
+  const metadata = createMetadata({ origin: 'ai', author: 'Jane' });
+
+  const commentPacket = async codec => {
+    const packets = headerPackets(await handler.embedMetadata(buildOgg(codec), metadata));
+    const { comments, end } = vorbisComment.parse(packets[1], codec === 'vorbis' ? '\x03vorbis'.length : 'OpusTags'.length);
+    return { comments, trailing: packets[1].slice(end) };
+  };
+
+  test('ends the Vorbis comment header with the framing bit', async () => {
+    const { comments, trailing } = await commentPacket('vorbis');
+
+    expect(comments[0]).toBe('TITLE=Song');
+    expect(comments.some(comment => vorbisComment.isAIComment(comment))).toBe(true);
+    expect(trailing).toEqual(Buffer.from([0x01]));
+  });
+
+  test('keeps the data after the OpusTags comment list', async () => {
+    const { comments, trailing } = await commentPacket('opus');
+
+    expect(comments[0]).toBe('TITLE=Song');
+    expect(trailing).toEqual(Buffer.from([0x01, 0xAA, 0xBB]));
+  });
+});
@@ -0,0 +1,64 @@
+const { registry, FormatRegistry } = require('../../lib/formats/registry');
+const cryptoUtils = require('../../lib/core/crypto');
+const { ContentMetadata, createMetadata } = require('../../lib/core/metadata');
+
+describe('html format', () => {
+  const metadata = createMetadata({ origin: 'ai', author: 'Jane' });
+
+  test('detects meta tags commented out in non-HTML text', async () => {
+    const { content } = await registry.get('html').embed(Buffer.from('const answer = 42;\n'), metadata);
+    expect(content.toString('utf8')).toMatch(/^\s*<!-- <meta name="X-Content-/);
+
+    expect(registry.detect(content).name).toBe('html');
+    const result = await registry.verify(content);
+    expect(result).toMatchObject({ format: 'html', metadata: { author: 'Jane' } });
+    expect(result.checksum.valid).toBe(true);
+  });
+
+  test('detects meta tags after a leading comment in HTML', async () => {
+    const page = Buffer.from('<!-- generated -->\n<html><head><title>Page</title></head><body></body></html>\n');
+    const { content } = await registry.get('html').embed(page, metadata);
+
+    expect(registry.detect(content).name).toBe('html');
+    expect((await registry.extract(content)).metadata).toMatchObject({ author: 'Jane' });
+  });
+});
+
+describe('third-party formats', () => {
+  const registry = new FormatRegistry();
+  const { privateKey, publicKey } = cryptoUtils.generateKeyPair('Ed25519');
+  const metadata = new ContentMetadata({ origin: 'ai', author: 'Jane', checksum: 'a'.repeat(64) }).sign(privateKey).toObject();
+
+  registry.register({
+    name: 'demo',
+    detect: buffer => buffer.slice(0, 4).toString('latin1') === 'DEMO',
+    extract: async content => (content.length > 4 ? { metadata } : null)
+  });
+  const content = Buffer.from('DEMO data');
+
+  test('default to no signatures in extract results', async () => {
+    expect(await registry.extract(content)).toEqual({
+      format: 'demo',
+      source: 'embedded: demo',
+      metadata,
+      signatures: []
+    });
+  });
+
+  test('are verified from extract when they declare no verify', async () => {
+    expect(registry.supports('demo', 'verify')).toBe(true);
+
+    const result = await registry.verify(content, { publicKey });
+    expect(result).toMatchObject({
+      format: 'demo',
+      metadata,
+      signatures: [metadata.signature],
+      checksum: { present: true, valid: null },
+      signature: { present: true, valid: true, trusted: true, keyId: cryptoUtils.getKeyId(publicKey) }
+    });
+
+    const untrusted = await registry.verify(content);
+    expect(untrusted.signature).toMatchObject({ present: true, valid: false, trusted: false });
+    expect(await registry.verify(Buffer.from('DEMO'))).toBeNull();
+  });
+});
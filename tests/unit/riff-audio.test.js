@@ -0,0 +1,166 @@
+const RIFFAudioHandler = require('../../lib/formats/riff-audio');
+const { createMetadata } = require('../../lib/core/metadata');
+
+const SOUND = Buffer.from('pcm samples', 'latin1'); // Odd size, so the chunk is padded
+
+function chunk(id, data, littleEndian) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'latin1');
+  if (littleEndian) {
+    header.writeUInt32LE(data.length, 4);
+  } else {
+    header.writeUInt32BE(data.length, 4);
+  }
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+function form(container, type, chunks, littleEndian) {
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), ...chunks]);
+  return chunk(container, body, littleEndian);
+}
+
+const buildWAV = (...chunks) => form('RIFF', 'WAVE',
+  [chunk('fmt ', Buffer.alloc(16, 0x01), true), chunk('data', SOUND, true), ...chunks], true);
+
+const buildAIFF = (...chunks) => form('FORM', 'AIFF',
+  [chunk('COMM', Buffer.alloc(18, 0x01), false), chunk('SSND', Buffer.concat([Buffer.alloc(8), SOUND]), false), ...chunks], false);
+
+function readChunks(buffer, littleEndian) {
+  const readSize = offset => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+  const chunks = {};
+  for (let offset = 12; offset < buffer.length;) {
+    const size = readSize(offset + 4);
+    chunks[buffer.slice(offset, offset + 4).toString('latin1')] = buffer.slice(offset + 8, offset + 8 + size);
+    offset += 8 + size + (size % 2);
+  }
+  return { size: readSize(4), chunks };
+}
+
+function readInfoList(data) {
+  const entries = {};
+  for (let offset = 4; offset < data.length;) {
+    const size = data.readUInt32LE(offset + 4);
+    entries[data.slice(offset, offset + 4).toString('latin1')] = data.slice(offset + 8, offset + 8 + size).toString('utf8');
+    offset += 8 + size + (size % 2);
+  }
+  return entries;
+}
+
+function bext(description) {
+  const data = Buffer.alloc(602);
+  data.write(description, 0, 'latin1');
+  data.writeUInt16LE(1, 346);
+  return data;
+}
+
+const infoList = entries => Buffer.concat([Buffer.from('INFO', 'latin1'),
+  ...Object.entries(entries).map(([id, value]) => chunk(id, Buffer.from(`${value}\0`, 'utf8'), true))]);
+
+const IXML = '<?xml version="1.0" encoding="UTF-8"?>\n<BWFXML>\n  <IXML_VERSION>1.61</IXML_VERSION>\n  <PROJECT>Documentary</PROJECT>\n</BWFXML>\n';
+
+describe.each([
+  ['WAV', buildWAV, true, 'data'],
+  ['AIFF', buildAIFF, false, 'SSND']
+])('RIFFAudioHandler with %s', (name, build, littleEndian, soundChunk) => {
+  const handler = new RIFFAudioHandler();
+  const metadata = createMetadata({ origin: 'ai', author: 'Jane', model_identifier: 'VoiceClone' });
+  const original = build();
+
+  test('updates the container size', async () => {
+    const tagged = await handler.embedMetadata(original, metadata);
+    const { size, chunks } = readChunks(tagged, littleEndian);
+
+    expect(tagged.length).toBeGreaterThan(original.length);
+    expect(size).toBe(tagged.length - 8);
+    expect(chunks[soundChunk].slice(-SOUND.length)).toEqual(SOUND);
+    expect(chunks.iXML.toString('utf8')).toContain('<AI_METADATA>');
+    expect(await handler.extractMetadata(tagged)).toMatchObject({ author: 'Jane', _verified: true });
+  });
+
+  test('covers the sound data', async () => {
+    const tagged = await handler.embedMetadata(original, metadata);
+    tagged[tagged.indexOf('pcm samples', 0, 'latin1')] ^= 0x01;
+
+    expect((await handler.extractMetadata(tagged))._verified).toBe(false);
+  });
+
+  test('restores the original file on removal', async () => {
+    const cleaned = await handler.removeMetadata(await handler.embedMetadata(original, metadata));
+
+    expect(cleaned).toEqual(original);
+    expect(await handler.extractMetadata(cleaned)).toBeNull();
+  });
+
+  test('adds its elements to an existing iXML document and removes only those', async () => {
+    const withIXML = build(chunk('iXML', Buffer.from(IXML, 'utf8'), littleEndian));
+    const tagged = await handler.embedMetadata(withIXML, metadata);
+    const ixml = readChunks(tagged, littleEndian).chunks.iXML.toString('utf8');
+
+    expect(ixml).toContain('<PROJECT>Documentary</PROJECT>');
+    expect(ixml).toMatch(/\n {2}<AI_METADATA>[^\n]*<\/AI_METADATA>\n {2}<AI_CHECKSUM>/);
+    expect(await handler.removeMetadata(tagged)).toEqual(withIXML);
+  });
+});
+
+describe('RIFFAudioHandler WAV text fields', () => {
+  const metadata = createMetadata({ origin: 'ai', author: 'Jane', model_identifier: 'VoiceClone' });
+
+  test('writes the summary to the bext description and the LIST/INFO comment', async () => {
+    const { chunks } = readChunks(await new RIFFAudioHandler().embedMetadata(buildWAV(), metadata), true);
+
+    expect(chunks.bext).toHaveLength(602);
+    expect(chunks.bext.readUInt16LE(346)).toBe(1);
+    expect(chunks.bext.slice(0, 256).toString('latin1')).toMatch(/^aicontag: origin=ai; model=VoiceClone; author=Jane; created=[^\0]+\0+$/);
+    expect(chunks.LIST.slice(0, 4).toString('latin1')).toBe('INFO');
+    expect(readInfoList(chunks.LIST).ICMT).toMatch(/^aicontag: origin=ai; model=VoiceClone; author=Jane; created=.+\0$/);
+  });
+
+  test('keeps a bext description and INFO entries written by other tools', async () => {
+    const original = buildWAV(
+      chunk('bext', bext('Recorded at Studio A'), true),
+      chunk('LIST', infoList({ INAM: 'Interview', ICMT: 'Field recording' }), true)
+    );
+    const tagged = await new RIFFAudioHandler().embedMetadata(original, metadata);
+    const { chunks } = readChunks(tagged, true);
+
+    expect(chunks.bext).toEqual(bext('Recorded at Studio A'));
+    expect(readInfoList(chunks.LIST)).toEqual({ INAM: 'Interview\0', ICMT: 'Field recording\0' });
+    expect(await new RIFFAudioHandler().removeMetadata(tagged)).toEqual(original);
+  });
+
+  test('replaces text written by other tools with preserveExisting false', async () => {
+    const original = buildWAV(
+      chunk('bext', bext('Recorded at Studio A'), true),
+      chunk('LIST', infoList({ INAM: 'Interview', ICMT: 'Field recording' }), true)
+    );
+    const { chunks } = readChunks(await new RIFFAudioHandler({ preserveExisting: false }).embedMetadata(original, metadata), true);
+
+    expect(chunks.bext.slice(0, 256).toString('latin1')).toMatch(/^aicontag: origin=ai/);
+    expect(readInfoList(chunks.LIST)).toMatchObject({ INAM: 'Interview\0', ICMT: expect.stringMatching(/^aicontag: /) });
+  });
+
+  test('adds an INFO comment next to the existing entries and removes only it', async () => {
+    const original = buildWAV(chunk('LIST', infoList({ INAM: 'Interview' }), true));
+    const tagged = await new RIFFAudioHandler().embedMetadata(original, metadata);
+
+    expect(Object.keys(readInfoList(readChunks(tagged, true).chunks.LIST))).toEqual(['INAM', 'ICMT']);
+    expect(await new RIFFAudioHandler().removeMetadata(tagged)).toEqual(original);
+  });
+});
+
+describe('RIFFAudioHandler AIFF annotations', () => {
+  const metadata = createMetadata({ origin: 'ai', author: 'Jane' });
+
+  test('adds its annotation next to existing ones and removes only it', async () => {
+    const original = buildAIFF(chunk('ANNO', Buffer.from('Mastered by Sam', 'latin1'), false));
+    const tagged = await new RIFFAudioHandler().embedMetadata(original, metadata);
+
+    const annotations = [];
+    for (let offset = tagged.indexOf('ANNO', 0, 'latin1'); offset !== -1; offset = tagged.indexOf('ANNO', offset + 4, 'latin1')) {
+      annotations.push(tagged.slice(offset + 8, offset + 8 + tagged.readUInt32BE(offset + 4)).toString('latin1'));
+    }
+
+    expect(annotations).toEqual(['Mastered by Sam', expect.stringMatching(/^aicontag: origin=ai; author=Jane; created=/)]);
+    expect(await new RIFFAudioHandler().removeMetadata(tagged)).toEqual(original);
+  });
+});
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sidecarXml = require('../../lib/formats/sidecar-xml');
+const XMPSidecarHandler = require('../../lib/formats/xmp-sidecar');
+const cryptoUtils = require('../../lib/core/crypto');
+const { ContentMetadata } = require('../../lib/core/metadata');
+
+const createContentMetadata = fields => new ContentMetadata({
+  content_type: 'image',
+  origin: 'ai',
+  creation_timestamp: '2026-01-15T10:00:00.000Z',
+  ...fields
+});
+
+describe('sidecar-xml round trip', () => {
+  test('reads back the namespaced document it writes', async () => {
+    const metadata = createContentMetadata({
+      author: 'Jane <Studio & Co>',
+      model_identifier: 'ImageGen-3',
+      processing_steps: [{
+        step: 'generation',
+        tool: 'ImageGen-3',
+        parameters: { prompt: 'a lighthouse', steps: 30, guidance: 7.5, upscale: true, size: [1024, 768] },
+        timestamp: '2026-01-15T09:59:00.000Z',
+        seed: 42
+      }]
+    });
+    const xml = sidecarXml.create(metadata);
+
+    expect(xml).toMatch(new RegExp(`^<\\?xml [^>]*\\?>\\n<metadata xmlns="${sidecarXml.SIDECAR_NAMESPACE}" version="1.1">`));
+    expect(xml).toContain('<author>Jane &lt;Studio &amp; Co&gt;</author>');
+    expect(xml).toContain('<parameter name="steps" type="number">30</parameter>');
+    expect(xml).toContain('<field name="seed" type="number">42</field>');
+
+    const entry = await sidecarXml.parse(xml);
+    expect(entry.version).toBe('1.1');
+    expect(entry.signatures).toEqual([]);
+    expect(entry.metadata.toObject()).toEqual(metadata.toObject());
+  });
+
+  test('reads documents with a namespace prefix', async () => {
+    const xml = sidecarXml.create(createContentMetadata({ author: 'Jane' }))
+      .replace(/<(\/?)metadata/g, '<$1ai:metadata')
+      .replace(/<(\/?)(author|content_type|origin|creation_timestamp)>/g, '<$1ai:$2>')
+      .replace('xmlns=', 'xmlns:ai=');
+
+    expect((await sidecarXml.parse(xml)).metadata.toObject()).toMatchObject({ author: 'Jane', origin: 'ai' });
+  });
+
+  test('reads the flat sidecar written by earlier versions', async () => {
+    const xml = '<?xml version="1.0"?>\n<metadata>\n  <version>1.0</version>\n  <content_type>image</content_type>\n' +
+      '  <origin>ai-generated</origin>\n  <creation_timestamp>2026-01-15T10:00:00.000Z</creation_timestamp>\n' +
+      '  <processing_steps>[{"step":"generation","tool":"ImageGen-3"}]</processing_steps>\n</metadata>\n';
+
+    expect((await sidecarXml.parse(xml)).metadata.toObject()).toMatchObject({
+      origin: 'ai',
+      processing_steps: [{ step: 'generation', tool: 'ImageGen-3' }]
+    });
+  });
+
+  test('keeps one entry per file in a directory sidecar', async () => {
+    const xml = sidecarXml.createDirectory([
+      { file: 'a.jpg', metadata: createContentMetadata({ author: 'Ann' }) },
+      { metadata: createContentMetadata({ author: 'Default' }) }
+    ]);
+
+    expect((await sidecarXml.parse(xml, { file: '/photos/a.jpg' })).metadata.author).toBe('Ann');
+    expect((await sidecarXml.parse(xml, { file: '/photos/b.jpg' })).metadata.author).toBe('Default');
+  });
+});
+
+describe('sidecar-xml co-signatures', () => {
+  const first = cryptoUtils.generateKeyPair('Ed25519');
+  const second = cryptoUtils.generateKeyPair('ecdsa-p256');
+  const metadata = createContentMetadata({ author: 'Jane' }).sign(first.privateKey);
+  const coSignature = cryptoUtils.createSignature(metadata.getSignedData(), second.privateKey);
+
+  test('writes each signature once with its algorithm and key id', async () => {
+    const xml = sidecarXml.create(metadata, { signatures: [coSignature, metadata.signature] });
+
+    expect(xml.match(/<signature /g)).toHaveLength(2);
+    expect(xml).toContain(`<signature algorithm="ed25519" key_id="${first.keyId}">`);
+    expect(xml).toContain(`key_id="${second.keyId}"`);
+    expect((await sidecarXml.parse(xml)).signatures).toEqual([metadata.signature, coSignature]);
+  });
+
+  test('verifies when any signature is by a trusted key', async () => {
+    const { metadata: parsed, signatures } = await sidecarXml.parse(sidecarXml.create(metadata, { signatures: [coSignature] }));
+
+    const result = sidecarXml.verifySignatures(parsed, signatures, new Map([[second.keyId, second.publicKey]]));
+    expect(result).toMatchObject({ valid: true, trusted: true, keyId: second.keyId });
+    expect(result.signatures.map(item => item.valid)).toEqual([false, true]);
+
+    expect(sidecarXml.verifySignatures(parsed, signatures, new Map())).toMatchObject({ valid: false, trusted: false });
+    expect(sidecarXml.verifySignatures(parsed, [], new Map([[first.keyId, first.publicKey]])))
+      .toMatchObject({ valid: false, reason: 'Metadata is not signed' });
+  });
+
+  test('does not verify a co-signature over other metadata', async () => {
+    const other = cryptoUtils.createSignature(createContentMetadata({ author: 'Eve' }).getSignedData(), second.privateKey);
+    const { metadata: parsed, signatures } = await sidecarXml.parse(sidecarXml.create(metadata, { signatures: [other] }));
+
+    expect(sidecarXml.verifySignatures(parsed, signatures, new Map([[second.keyId, second.publicKey]])))
+      .toMatchObject({ valid: false });
+  });
+});
+
+describe('sidecar-xml discovery', () => {
+  let directory;
+  let photo;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sidecar-xml-test-'));
+    photo = path.join(directory, 'photo.jpg');
+    fs.writeFileSync(photo, 'image data');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const file = name => path.join(directory, name);
+  const writeXML = (name, author) => fs.writeFileSync(file(name), sidecarXml.create(createContentMetadata({ author })));
+  const writeXMP = async (name, author) => new XMPSidecarHandler()
+    .writeSidecar(photo, createContentMetadata({ author }).toObject(), { sidecarPath: file(name) });
+
+  // In the order documented at the top of sidecar-xml.js
+  const SIDECARS = ['photo.jpg.meta.xml', 'photo.jpg.tagged.meta.xml', 'photo.meta.xml', 'photo.xmp', 'photo.jpg.xmp', '.meta.xml'];
+
+  async function writeAll() {
+    writeXML('photo.jpg.meta.xml', 'photo.jpg.meta.xml');
+    writeXML('photo.jpg.tagged.meta.xml', 'photo.jpg.tagged.meta.xml');
+    writeXML('photo.meta.xml', 'photo.meta.xml');
+    await writeXMP('photo.xmp', 'photo.xmp');
+    await writeXMP('photo.jpg.xmp', 'photo.jpg.xmp');
+    await sidecarXml.write(photo, createContentMetadata({ author: '.meta.xml' }), { directory: true });
+  }
+
+  test('lists the sidecars in the documented order', async () => {
+    await writeAll();
+
+    expect(sidecarXml.findSidecars(photo).map(candidate => path.basename(candidate.path))).toEqual(SIDECARS);
+    expect(sidecarXml.findSidecars(photo).map(candidate => `${candidate.type}/${candidate.scope}`))
+      .toEqual(['xml/file', 'xml/file', 'xml/file', 'xmp/file', 'xmp/file', 'xml/directory']);
+  });
+
+  test('reads the first sidecar found', async () => {
+    await writeAll();
+
+    for (const name of SIDECARS) {
+      const entry = await sidecarXml.discover(photo);
+      expect(path.basename(entry.path)).toBe(name);
+      expect(entry.metadata.author).toBe(name);
+      fs.unlinkSync(file(name));
+    }
+    expect(await sidecarXml.discover(photo)).toBeNull();
+  });
+
+  test('skips sidecars that do not parse and directory sidecars without an entry for the file', async () => {
+    fs.writeFileSync(file('photo.jpg.meta.xml'), '<metadata><unclosed>');
+    await sidecarXml.write(file('other.jpg'), createContentMetadata({ author: 'Other' }), { directory: true });
+
+    expect(await sidecarXml.discover(photo)).toBeNull();
+
+    await writeXMP('photo.jpg.xmp', 'photo.jpg.xmp');
+    expect(await sidecarXml.discover(photo)).toMatchObject({ type: 'xmp', scope: 'file', metadata: { author: 'photo.jpg.xmp' } });
+  });
+});
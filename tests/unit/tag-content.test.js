@@ -0,0 +1,67 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cryptoUtils = require('../../lib/core/crypto');
+const { registry } = require('../../lib/formats/registry');
+
+const CLI = path.join(__dirname, '..', '..', 'cli', 'tag-content.js');
+
+describe('tag-content --sign', () => {
+  const signer = cryptoUtils.generateKeyPair('Ed25519');
+  const coSigner = cryptoUtils.generateKeyPair('ecdsa-p256');
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tag-content-test-'));
+    fs.writeFileSync(path.join(directory, 'signer.pem'), signer.privateKey);
+    fs.writeFileSync(path.join(directory, 'co-signer.pem'), coSigner.privateKey);
+    fs.writeFileSync(path.join(directory, 'report.txt'), 'Quarterly report\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const file = name => path.join(directory, name);
+  const tagContent = (...args) => execFileSync(process.execPath, [CLI, '-i', file('report.txt'), '--origin', 'ai',
+    '--author', 'Jane', '--sign', ...args], { stdio: 'pipe' });
+  const verify = (content, options) => registry.verify(content, { trustedKeys: [signer.publicKey], ...options });
+
+  test('signs the XML sidecar', async () => {
+    tagContent('--key', file('signer.pem'));
+
+    const result = await verify(fs.readFileSync(file('report.txt.tagged')), { path: file('report.txt.tagged') });
+    expect(result.format).toBe('sidecar');
+    expect(result.checksum.valid).toBe(true);
+    expect(result.signature).toMatchObject({ present: true, valid: true, trusted: true, keyId: signer.keyId });
+  });
+
+  test('adds a co-signature to the XML sidecar for each further key', async () => {
+    tagContent('--key', file('signer.pem'), '--key', file('co-signer.pem'));
+
+    const result = await verify(fs.readFileSync(file('report.txt.tagged')), { path: file('report.txt.tagged') });
+    expect(result.signatures).toHaveLength(2);
+    expect(result.signature.signatures.map(entry => entry.keyId)).toEqual([signer.keyId, coSigner.keyId]);
+  });
+
+  test.each(['html', 'header'])('signs the %s output', async format => {
+    tagContent('--key', file('signer.pem'), '--format', format);
+
+    const result = await verify(fs.readFileSync(file('report.txt.tagged')));
+    expect(result.format).toBe(format);
+    expect(result.checksum.valid).toBe(true);
+    expect(result.signature).toMatchObject({ present: true, valid: true, trusted: true, keyId: signer.keyId });
+  });
+
+  test('uses the signing key of the key store without --key', async () => {
+    const keyStore = file('keys');
+    fs.mkdirSync(keyStore);
+    fs.copyFileSync(file('signer.pem'), path.join(keyStore, 'signing-key.pem'));
+
+    tagContent('--key-store', keyStore, '--format', 'header');
+
+    const result = await verify(fs.readFileSync(file('report.txt.tagged')));
+    expect(result.signature).toMatchObject({ valid: true, keyId: signer.keyId });
+  });
+});
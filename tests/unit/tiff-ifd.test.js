@@ -0,0 +1,103 @@
+const tiff = require('../../lib/formats/tiff-ifd');
+const EXIFImageHandler = require('../../lib/formats/exif-image');
+const { createMetadata } = require('../../lib/core/metadata');
+
+const IMAGE_WIDTH = 0x0100;
+const IMAGE_LENGTH = 0x0101;
+const MAKE = 0x010F;
+const STRIP_OFFSETS = 0x0111;
+const STRIP_BYTE_COUNTS = 0x0117;
+
+const STRIPS = [Buffer.from('first strip.....', 'latin1'), Buffer.from('second strip....', 'latin1')];
+
+/**
+ * Build a two-strip TIFF with the strips before IFD0, or IFD0 before the strips
+ */
+function buildTIFF(littleEndian, stripsFirst) {
+  const entries = stripOffsets => [
+    tiff.encodeEntry(IMAGE_WIDTH, tiff.TIFF_TYPES.SHORT, 4, littleEndian),
+    tiff.encodeEntry(IMAGE_LENGTH, tiff.TIFF_TYPES.SHORT, 8, littleEndian),
+    tiff.encodeEntry(MAKE, tiff.TIFF_TYPES.ASCII, 'Scanner', littleEndian),
+    tiff.encodeEntry(STRIP_OFFSETS, tiff.TIFF_TYPES.LONG, stripOffsets, littleEndian),
+    tiff.encodeEntry(STRIP_BYTE_COUNTS, tiff.TIFF_TYPES.LONG, STRIPS.map(strip => strip.length), littleEndian)
+  ];
+  const strips = Buffer.concat(STRIPS);
+
+  if (stripsFirst) {
+    const ifdOffset = 8 + strips.length;
+    const ifd = tiff.buildIFD(entries([8, 8 + STRIPS[0].length]), ifdOffset, 0, littleEndian);
+    return Buffer.concat([tiff.createHeader(littleEndian, ifdOffset), strips, ifd]);
+  }
+
+  const ifdLength = tiff.buildIFD(entries([0, 0]), 8, 0, littleEndian).length;
+  const stripOffset = 8 + ifdLength;
+  const ifd = tiff.buildIFD(entries([stripOffset, stripOffset + STRIPS[0].length]), 8, 0, littleEndian);
+  return Buffer.concat([tiff.createHeader(littleEndian, 8), ifd, strips]);
+}
+
+function readIFD0(buffer) {
+  const { littleEndian, ifdOffset } = tiff.parseHeader(buffer);
+  const ifd0 = tiff.readIFD(buffer, ifdOffset, littleEndian);
+  const numbers = tag => tiff.readEntryNumbers(buffer, ifd0.entries.find(entry => entry.tag === tag), littleEndian);
+  return { littleEndian, ifd0, numbers };
+}
+
+describe.each([
+  ['II', true],
+  ['MM', false]
+])('tiff-ifd with %s byte order', (byteOrder, littleEndian) => {
+  test('writes the byte order in the header', () => {
+    const header = tiff.createHeader(littleEndian, 8);
+
+    expect(header.slice(0, 2).toString('latin1')).toBe(byteOrder);
+    expect(tiff.parseHeader(header)).toEqual({ littleEndian, ifdOffset: 8 });
+  });
+
+  test('reads back the entries it builds', () => {
+    const buffer = buildTIFF(littleEndian, true);
+    const { ifd0, numbers } = readIFD0(buffer);
+
+    expect(ifd0.entries.map(entry => entry.tag)).toEqual([IMAGE_WIDTH, IMAGE_LENGTH, MAKE, STRIP_OFFSETS, STRIP_BYTE_COUNTS]);
+    expect(numbers(IMAGE_WIDTH)).toEqual([4]);
+    expect(numbers(STRIP_BYTE_COUNTS)).toEqual([16, 16]);
+    expect(tiff.getEntryData(buffer, ifd0.entries.find(entry => entry.tag === MAKE)).toString('latin1')).toBe('Scanner\0');
+    expect(ifd0.nextIFDOffset).toBe(0);
+  });
+});
+
+describe.each([
+  ['II, strips before IFD0', true, true],
+  ['II, IFD0 before strips', true, false],
+  ['MM, strips before IFD0', false, true],
+  ['MM, IFD0 before strips', false, false]
+])('EXIFImageHandler TIFF embedding (%s)', (name, littleEndian, stripsFirst) => {
+  const handler = new EXIFImageHandler();
+  const metadata = createMetadata({ origin: 'ai', author: 'Jane' });
+  const original = buildTIFF(littleEndian, stripsFirst);
+  const originalOffsets = readIFD0(original).numbers(STRIP_OFFSETS);
+
+  const expectStripsUnchanged = buffer => {
+    const { littleEndian: bufferLittleEndian, numbers } = readIFD0(buffer);
+    const offsets = numbers(STRIP_OFFSETS);
+
+    expect(bufferLittleEndian).toBe(littleEndian);
+    expect(offsets).toEqual(originalOffsets);
+    expect(offsets.map((offset, index) => buffer.slice(offset, offset + STRIPS[index].length))).toEqual(STRIPS);
+  };
+
+  test('keeps the strip offsets when embedding', async () => {
+    const tagged = await handler.embedMetadata(original, metadata);
+
+    expectStripsUnchanged(tagged);
+    expect(await handler.extractMetadata(tagged)).toMatchObject({ author: 'Jane', _verified: true });
+  });
+
+  test('keeps the strip offsets when removing', async () => {
+    const cleaned = await handler.removeMetadata(await handler.embedMetadata(original, metadata));
+
+    expectStripsUnchanged(cleaned);
+    expect(await handler.extractMetadata(cleaned)).toBeNull();
+    expect(readIFD0(cleaned).ifd0.entries.map(entry => entry.tag))
+      .toEqual([IMAGE_WIDTH, IMAGE_LENGTH, MAKE, STRIP_OFFSETS, STRIP_BYTE_COUNTS]);
+  });
+});
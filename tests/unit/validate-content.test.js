@@ -0,0 +1,52 @@
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cryptoUtils = require('../../lib/core/crypto');
+
+const CLI_DIR = path.join(__dirname, '..', '..', 'cli');
+
+describe('validate-content --require-signature', () => {
+  const signer = cryptoUtils.generateKeyPair('Ed25519');
+  const other = cryptoUtils.generateKeyPair('Ed25519');
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-content-test-'));
+    fs.writeFileSync(path.join(directory, 'signer.pem'), signer.privateKey);
+    fs.mkdirSync(path.join(directory, 'trusted'));
+    fs.writeFileSync(path.join(directory, 'trusted', 'signer.pem'), signer.publicKey);
+    fs.mkdirSync(path.join(directory, 'other'));
+    fs.writeFileSync(path.join(directory, 'other', 'other.pem'), other.publicKey);
+    fs.writeFileSync(path.join(directory, 'report.txt'), 'Quarterly report\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const file = name => path.join(directory, name);
+  const tagContent = (...args) => execFileSync(process.execPath, [path.join(CLI_DIR, 'tag-content.js'),
+    '-i', file('report.txt'), '--origin', 'ai', '--author', 'Jane', '--format', 'header', ...args], { stdio: 'pipe' });
+  const validateContent = (...args) => spawnSync(process.execPath, [path.join(CLI_DIR, 'validate-content.js'),
+    '-i', file('report.txt.tagged'), '--format', 'header', ...args], { encoding: 'utf8' }).status;
+
+  test('exits 0 for metadata signed by a trusted key', () => {
+    tagContent('--sign', '--key', file('signer.pem'));
+
+    expect(validateContent('--trusted-keys', file('trusted'), '--require-signature')).toBe(0);
+  });
+
+  test('exits 1 for unsigned metadata without --strict', () => {
+    tagContent();
+
+    expect(validateContent('--trusted-keys', file('trusted'))).toBe(0);
+    expect(validateContent('--trusted-keys', file('trusted'), '--require-signature')).toBe(1);
+  });
+
+  test('exits 1 for metadata signed by an untrusted key without --strict', () => {
+    tagContent('--sign', '--key', file('signer.pem'));
+
+    expect(validateContent('--trusted-keys', file('other'), '--require-signature')).toBe(1);
+  });
+});
@@ -0,0 +1,105 @@
+const xmp = require('../../lib/formats/xmp');
+const XMPSidecarHandler = require('../../lib/formats/xmp-sidecar');
+const { createMetadata } = require('../../lib/core/metadata');
+
+// Develop settings as Adobe Camera Raw and Lightroom write them: a single
+// self-closing rdf:Description carrying everything as attributes
+const CAMERA_RAW_PACKET = `<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/" x:xmptk="Adobe XMP Core 7.0-c000 1.000000, 0000/00/00-00:00:00        ">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:tiff="http://ns.adobe.com/tiff/1.0/"
+    xmlns:crs="http://ns.adobe.com/camera-raw-settings/1.0/"
+   tiff:Make="Canon"
+   crs:Version="15.0"
+   crs:WhiteBalance="As Shot"
+   crs:Exposure2012="+0.50"/>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+
+const content = Buffer.from('raw image data');
+const metadata = createMetadata({ origin: 'ai', author: 'Jane', license: 'CC-BY-4.0' });
+
+describe('xmp.removeAIData', () => {
+  test('drops our description next to a self-closing Camera Raw description', () => {
+    const merged = xmp.merge([Buffer.from(CAMERA_RAW_PACKET)], metadata).toString('utf8');
+    expect(merged).toContain('Iptc4xmpExt:DigitalSourceType');
+
+    const cleaned = xmp.removeAIData(Buffer.from(merged)).toString('utf8');
+
+    expect(cleaned).toBe(CAMERA_RAW_PACKET);
+    expect(cleaned).not.toContain('DigitalSourceType');
+    expect(cleaned).not.toContain('dc:creator');
+    expect(cleaned).not.toContain('dc:rights');
+  });
+
+  test('keeps self-closing descriptions that follow ours', () => {
+    const ours = xmp.create(metadata).toString('utf8');
+    const packet = ours.replace(/(\s*)<\/rdf:RDF>/,
+      '$1<rdf:Description rdf:about="" xmlns:crs="http://ns.adobe.com/camera-raw-settings/1.0/" crs:Exposure2012="+0.50"/>$1</rdf:RDF>');
+
+    const cleaned = xmp.removeAIData(Buffer.from(packet)).toString('utf8');
+
+    expect(cleaned).toContain('crs:Exposure2012="+0.50"/>');
+    expect(xmp.containsAIData(cleaned)).toBe(false);
+    expect(cleaned).not.toContain('dc:creator');
+  });
+
+  test('returns null when only our description was present', () => {
+    expect(xmp.removeAIData(xmp.create(metadata))).toBeNull();
+  });
+});
+
+describe('xmp.merge', () => {
+  // DigitalSourceType as an image generator writes it
+  const GENERATOR_PACKET = `<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about="" xmlns:Iptc4xmpExt="http://iptc.org/std/Iptc4xmpExt/2008-02-29/">
+   <Iptc4xmpExt:DigitalSourceType>http://cv.iptc.org/newscodes/digitalsourcetype/compositeWithTrainedAlgorithmicMedia</Iptc4xmpExt:DigitalSourceType>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>`;
+
+  test('keeps a DigitalSourceType written by another tool through merge and remove', () => {
+    const merged = xmp.merge([Buffer.from(GENERATOR_PACKET)], metadata).toString('utf8');
+
+    expect(merged.match(/<Iptc4xmpExt:DigitalSourceType>/g)).toHaveLength(1);
+    expect(merged).toContain('compositeWithTrainedAlgorithmicMedia</Iptc4xmpExt:DigitalSourceType>');
+    expect(xmp.parseAIData(Buffer.from(merged))).toMatchObject({ origin: 'ai', author: 'Jane' });
+    expect(xmp.removeAIData(Buffer.from(merged)).toString('utf8')).toBe(GENERATOR_PACKET);
+  });
+
+  test('writes no DigitalSourceType for human content', () => {
+    const human = xmp.merge([], createMetadata({ origin: 'human', author: 'Jane' })).toString('utf8');
+
+    expect(human).not.toContain('DigitalSourceType');
+    expect(xmp.parseAIData(Buffer.from(human))).toMatchObject({ origin: 'human' });
+  });
+
+  test('still reads digitalCapture written by cameras as human', () => {
+    const camera = Buffer.from(GENERATOR_PACKET.replace('compositeWithTrainedAlgorithmicMedia', 'digitalCapture'));
+
+    expect(xmp.parseStandardData(camera)).toMatchObject({ origin: 'human' });
+  });
+
+  test('writes its own DigitalSourceType again when tagging twice', () => {
+    const twice = xmp.merge([xmp.merge([Buffer.from(CAMERA_RAW_PACKET)], metadata)], metadata).toString('utf8');
+
+    expect(twice.match(/trainedAlgorithmicMedia<\/Iptc4xmpExt:DigitalSourceType>/g)).toHaveLength(1);
+  });
+});
+
+describe('XMPSidecarHandler with a Camera Raw sidecar', () => {
+  const handler = new XMPSidecarHandler();
+
+  test('removes the AI metadata and keeps the develop settings', async () => {
+    const sidecar = await handler.embedMetadata(content, metadata, { existingXmp: Buffer.from(CAMERA_RAW_PACKET) });
+    expect((await handler.extractMetadata(content, { xmpData: sidecar })).author).toBe('Jane');
+
+    const cleaned = await handler.removeMetadata(sidecar);
+
+    expect(cleaned.toString('utf8')).toBe(CAMERA_RAW_PACKET);
+    expect(await handler.extractMetadata(content, { xmpData: cleaned })).toBeNull();
+  });
+});